@@ -39,6 +39,26 @@ class Admin {
         add_action('woocommerce_save_product_variation', [ $variation_field_renderer, 'save_the_fields' ], 10, 2);
         add_action( 'admin_notices', [ $this, 'maybe_show_back_button' ] );
         add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ] , 99 );
+        add_filter( 'heartbeat_received', [ $this, 'heartbeat_refresh_nonce' ], 10, 2 );
+    }
+
+
+    /**
+     * Hand out a fresh admin AJAX nonce through the heartbeat.
+     *
+     * The inline edit save queue asks for it after a nonce failure, so queued edits can be
+     * retried without reloading the page.
+     *
+     * @param array $response Heartbeat response data.
+     * @param array $data     Heartbeat request data.
+     * @return array
+     */
+    public function heartbeat_refresh_nonce( array $response, array $data ): array {
+        if ( ! empty( $data['luma_product_fields_refresh_nonce'] ) && current_user_can( 'manage_woocommerce' ) ) {
+            $response['luma_product_fields_nonce'] = wp_create_nonce( Ajax::NONCE_ACTION );
+        }
+
+        return $response;
     }
 
 
@@ -59,7 +79,11 @@ class Admin {
 
         wp_enqueue_script('select2');
         wp_enqueue_style('select2');  
-        wp_enqueue_script('luma-product-fields-admin-js', LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/ajax-admin.js', [ 'wc-admin-meta-boxes', 'jquery-ui-tooltip'  ], LUMA_PRODUCT_FIELDS_PLUGIN_VER, true);
+        wp_register_script('luma-product-fields-notices', LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/notices.js', [ 'jquery' ], LUMA_PRODUCT_FIELDS_PLUGIN_VER, true);
+        wp_register_script('luma-product-fields-save-queue', LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/save-queue.js', [ 'jquery', 'heartbeat', 'luma-product-fields-notices' ], LUMA_PRODUCT_FIELDS_PLUGIN_VER, true);
+        wp_register_script('luma-product-fields-validation', LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/field-validation.js', [ 'jquery', 'wp-hooks' ], LUMA_PRODUCT_FIELDS_PLUGIN_VER, true);
+        wp_register_script('luma-product-fields-conditions', LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/field-conditions.js', [ 'jquery', 'luma-product-fields-validation' ], LUMA_PRODUCT_FIELDS_PLUGIN_VER, true);
+        wp_enqueue_script('luma-product-fields-admin-js', LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/ajax-admin.js', [ 'wc-admin-meta-boxes', 'jquery-ui-tooltip', 'jquery-ui-sortable', 'luma-product-fields-notices', 'luma-product-fields-save-queue', 'luma-product-fields-validation', 'luma-product-fields-conditions' ], LUMA_PRODUCT_FIELDS_PLUGIN_VER, true);
         wp_enqueue_style('luma-product-fields-admin-style', LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'css/admin-style.css', [], LUMA_PRODUCT_FIELDS_PLUGIN_VER);
         wp_localize_script('luma-product-fields-admin-js', 'luma_product_fields_admin_ajaxdata', $this->get_ajax_data());
     }
@@ -84,6 +108,41 @@ class Admin {
             /* translators: %d: minimum number of characters the user must type before search starts. */
             'autocomplete_min_chars'   => __( 'Enter at least %d characters', 'luma-product-fields' ),
             'autocomplete_searching'   => __( 'Searching…', 'luma-product-fields' ),
+            'autocomplete_preload'     => Ajax::get_autocomplete_preload_limit() > 0,
+            /* translators: %s: the typed term name. */
+            'autocomplete_create'      => __( 'Create “%s”', 'luma-product-fields' ),
+            /* translators: %s: comma separated names of existing terms. */
+            'autocomplete_similar'     => __( 'Similar existing: %s', 'luma-product-fields' ),
+            /* translators: %d: number of products using the term. */
+            'autocomplete_count_one'   => __( '%d product', 'luma-product-fields' ),
+            /* translators: %d: number of products using the term. */
+            'autocomplete_count_many'  => __( '%d products', 'luma-product-fields' ),
+            'queue'   => [
+                /* translators: %d: number of edits waiting to be saved. */
+                'unsynced_one'  => __( '%d unsynced edit', 'luma-product-fields' ),
+                /* translators: %d: number of edits waiting to be saved. */
+                'unsynced_many' => __( '%d unsynced edits', 'luma-product-fields' ),
+                'retry_now'     => __( 'Edits are saved when the connection is back. Click to retry now.', 'luma-product-fields' ),
+                'leave_warning' => __( 'Some edits are not saved yet. They will be retried next time you open the admin.', 'luma-product-fields' ),
+                'failed'        => __( 'Failed to save.', 'luma-product-fields' ),
+            ],
+            'validation' => [
+                'required'    => __( 'This field is required.', 'luma-product-fields' ),
+                'number'      => __( 'Enter a number, e.g. 12 or 12.5.', 'luma-product-fields' ),
+                'integer'     => __( 'Enter a whole number.', 'luma-product-fields' ),
+                'min_max'     => __( 'Min must be less than or equal to max.', 'luma-product-fields' ),
+                /* translators: %s: unit, e.g. kg. */
+                'unit_suffix' => __( 'Enter the number only, the unit (%s) is added automatically.', 'luma-product-fields' ),
+            ],
+            'notices' => [
+                'retry'           => __( 'Retry', 'luma-product-fields' ),
+                'dismiss'         => __( 'Dismiss this notice.', 'luma-product-fields' ),
+                'unknown_error'   => __( 'Something went wrong. Please try again.', 'luma-product-fields' ),
+                'offline'         => __( 'Could not reach the server. Check your connection.', 'luma-product-fields' ),
+                'session_expired' => __( 'Your session has expired. Reload the page and log in again.', 'luma-product-fields' ),
+                /* translators: %s: HTTP status code. */
+                'request_failed'  => __( 'The request failed (HTTP %s).', 'luma-product-fields' ),
+            ],
             'spinner' => '<div style="text-align:center;padding:3em;"><img src="/wp-admin/images/spinner-2x.gif" /></div>',
         ];
 
@@ -10,10 +10,13 @@ namespace Luma\ProductFields\Admin;
 defined( 'ABSPATH' ) || exit;
 
 use Luma\ProductFields\Utils\Helpers;
+use Luma\ProductFields\Utils\FieldConditions;
 use Luma\ProductFields\Product\FieldRenderer;
 use Luma\ProductFields\Product\FieldStorage;
 use Luma\ProductFields\Registry\FieldTypeRegistry;
 use Luma\ProductFields\Taxonomy\ProductGroup;
+use Luma\ProductFields\Meta\FieldLayout;
+use Luma\ProductFields\Utils\CacheInvalidator;
 
 /**
  * Ajax class
@@ -59,6 +62,23 @@ class Ajax {
 	public const DISPATCH_KEY = 'luma_product_fields_action';
 
 
+	/**
+	 * Maximum number of products accepted by bulk_save_field(), and of cells accepted by
+	 * bulk_save_cells(), per request.
+	 *
+	 * @var int
+	 */
+	public const BULK_BATCH_LIMIT = 50;
+
+
+	/**
+	 * Taxonomies with at most this many terms are preloaded for autocomplete fields.
+	 *
+	 * @var int
+	 */
+	public const AUTOCOMPLETE_PRELOAD_LIMIT = 500;
+
+
     
     public function __construct() {
         add_action( 'wp_ajax_luma_product_fields_ajax', [ $this, 'handle_request' ] );
@@ -79,7 +99,7 @@ class Ajax {
         check_ajax_referer( self::NONCE_ACTION, 'nonce' );
 
         if ( ! current_user_can( 'manage_woocommerce' ) ) {
-            wp_send_json_error( [ 'error' => 'Not allowed.' ], 403 );
+            NotificationManager::ajax_error( __( 'You are not allowed to do this.', 'luma-product-fields' ), 'forbidden', [], 403 );
         }
 
         // Read only the dispatch key here; handlers are responsible for reading/sanitizing
@@ -89,7 +109,7 @@ class Ajax {
             : '';
 
         if ( '' === $action || str_starts_with( $action, '__' ) ) {
-            wp_send_json_error( [ 'error' => 'Invalid action.' ], 400 );
+            NotificationManager::ajax_error( __( 'Invalid action.', 'luma-product-fields' ), 'invalid_action', [], 400 );
         }
 
         if ( method_exists( $this, $action ) && is_callable( [ $this, $action ] ) ) {
@@ -111,7 +131,7 @@ class Ajax {
          */
         do_action( LUMA_PRODUCT_FIELDS_PREFIX . '_incoming_ajax_' . $action, $action );
 
-        wp_send_json_error( [ 'error' => 'Unknown action.' ], 400 );
+        NotificationManager::ajax_error( __( 'Unknown action.', 'luma-product-fields' ), 'unknown_action', [], 400 );
     }
 
 
@@ -131,30 +151,30 @@ class Ajax {
 
         $group_slug_input = filter_input( INPUT_POST, 'product_group', FILTER_DEFAULT );
         if ( null === $group_slug_input ) {
-            wp_send_json_error( [ 'error' => 'Missing product_group.' ] );
+            NotificationManager::ajax_error( __( 'Missing product group.', 'luma-product-fields' ), 'missing_product_group' );
         }
 
         $group_slug_raw = is_string( $group_slug_input ) ? wp_unslash( $group_slug_input ) : '';
         $group_slug     = '' !== $group_slug_raw ? sanitize_key( $group_slug_raw ) : '';
 
         if ( ! $post_id ) {
-            wp_send_json_error( [ 'error' => 'Missing Post ID.' ] );
+            NotificationManager::ajax_error( __( 'Missing post ID.', 'luma-product-fields' ), 'missing_post_id' );
         }
 
         if ( ! current_user_can( 'edit_post', $post_id ) ) {
-            wp_send_json_error( [ 'error' => 'Not allowed.' ], 403 );
+            NotificationManager::ajax_error( __( 'You are not allowed to edit this product.', 'luma-product-fields' ), 'forbidden', [], 403 );
         }
 
         if ( '' !== $group_slug ) {
             $allowed_groups = array_keys( ProductGroup::get_product_groups() );
             if ( ! in_array( $group_slug, $allowed_groups, true ) ) {
-                wp_send_json_error( [ 'error' => 'Invalid product group.' ], 400 );
+                NotificationManager::ajax_error( __( 'Invalid product group.', 'luma-product-fields' ), 'invalid_product_group', [], 400 );
             }
         }
 
         $product = wc_get_product( $post_id );
         if ( ! $product ) {
-            wp_send_json_error( [ 'error' => 'Invalid product.' ] );
+            NotificationManager::ajax_error( __( 'Invalid product.', 'luma-product-fields' ), 'invalid_product' );
         }
 
         $html = '';
@@ -183,10 +203,41 @@ class Ajax {
     }
 
 
+    /**
+     * Return the empty field controls of a product group for Quick Edit.
+     *
+     * The values are filled in by js/admin/quickedit.js from the row data (see QuickEdit).
+     * Expects `product_group`, a group slug or 'general'.
+     *
+     * @return void
+     */
+    protected function quick_edit_fields(): void {
+        $group_slug = $this->get_list_view_group();
+        $fields     = Helpers::get_fields_for_group( $group_slug );
+
+        $html = wp_kses(
+            ( new FieldRenderer() )->render_form_fields( $group_slug, 0 ),
+            wp_kses_allowed_html( 'luma_product_fields_admin_fields' )
+        );
+
+        wp_send_json_success(
+            [
+                'html'   => $html,
+                'fields' => array_column( $fields, 'slug' ),
+            ]
+        );
+    }
+
+
 
     /**
      * Handle autocomplete term search for a given taxonomy.
      *
+     * Returns `results`: terms whose name contains the search, most used first, with
+     * their product `count`. Also returns `similar`: other terms whose name is close to
+     * the search (ignoring case, accents, punctuation and small typos), so the editor can
+     * warn before a near-duplicate term is created.
+     *
      * @return void
      */
     public function autocomplete_search(): void {
@@ -197,15 +248,15 @@ class Ajax {
         $search   = isset( $_POST['term'] ) ? sanitize_text_field( wp_unslash( $_POST['term'] ) ) : '';
 
         if ( '' === $taxonomy ) {
-            wp_send_json_success( [ 'message' => 'Missing taxonomy' ] );
+            NotificationManager::ajax_error( __( 'Missing taxonomy.', 'luma-product-fields' ), 'missing_taxonomy' );
         }
 
         if ( '' === $search ) {
-            wp_send_json_success( [ 'results' => [] ] );
+            wp_send_json_success( [ 'results' => [], 'similar' => [] ] );
         }
 
         if ( ! taxonomy_exists( $taxonomy ) ) {
-            wp_send_json_error( [ 'message' => 'Invalid taxonomy' ] );
+            NotificationManager::ajax_error( __( 'Invalid taxonomy.', 'luma-product-fields' ), 'invalid_taxonomy' );
         }
 
         $terms = get_terms(
@@ -213,25 +264,181 @@ class Ajax {
                 'taxonomy'   => $taxonomy,
                 'hide_empty' => false,
                 'name__like' => $search,
+                'orderby'    => 'count',
+                'order'      => 'DESC',
                 'number'     => 20,
             ]
         );
 
-        $results = array_map(
-            static function ( $term ) {
-                return [
-                    'slug' => $term->slug,
-                    'name' => $term->name,
-                ];
-            },
-            is_array( $terms ) ? $terms : []
+        $format = static function ( $term ) {
+            return [
+                'slug'  => $term->slug,
+                'name'  => $term->name,
+                'count' => (int) $term->count,
+            ];
+        };
+
+        $results = array_map( $format, is_array( $terms ) ? $terms : [] );
+
+        wp_send_json_success( [
+            'results' => $results,
+            'similar' => array_map( $format, $this->find_similar_terms( $taxonomy, $search, array_column( $results, 'slug' ) ) ),
+        ] );
+
+    }
+
+
+
+    /**
+     * Find terms with a name close to a search string.
+     *
+     * Names are compared after Helpers::normalize_term_name(), then by edit distance:
+     * one edit for short names, two for names of six characters or more.
+     *
+     * @param string   $taxonomy Taxonomy.
+     * @param string   $search   Search string.
+     * @param string[] $exclude  Term slugs to leave out (already in the results).
+     *
+     * @return \WP_Term[] At most five terms, closest first.
+     */
+    protected function find_similar_terms( string $taxonomy, string $search, array $exclude ): array {
+        $needle = Helpers::normalize_term_name( $search );
+        if ( strlen( $needle ) < 2 ) {
+            return [];
+        }
+
+        $max_distance = strlen( $needle ) >= 6 ? 2 : 1;
+        $distances    = [];
+
+        foreach ( $this->get_normalized_term_names( $taxonomy ) as $term_id => $name ) {
+            // Names that differ more in length cannot be close enough
+            if ( abs( strlen( $name ) - strlen( $needle ) ) > $max_distance ) {
+                continue;
+            }
+
+            $distance = levenshtein( $needle, $name );
+            if ( $distance <= $max_distance ) {
+                $distances[ $term_id ] = $distance;
+            }
+        }
+
+        if ( empty( $distances ) ) {
+            return [];
+        }
+
+        asort( $distances );
+        $distances = array_slice( $distances, 0, 5 + count( $exclude ), true );
+
+        $terms = get_terms(
+            [
+                'taxonomy'   => $taxonomy,
+                'hide_empty' => false,
+                'include'    => array_keys( $distances ),
+            ]
         );
 
-        wp_send_json_success( [ 'results' => $results ] );
+        $similar = [];
+        foreach ( is_array( $terms ) ? $terms : [] as $term ) {
+            if ( ! in_array( $term->slug, $exclude, true ) ) {
+                $similar[] = [ $distances[ $term->term_id ], $term ];
+            }
+        }
+
+        usort( $similar, static fn( $a, $b ) => $a[0] <=> $b[0] );
+
+        return array_column( array_slice( $similar, 0, 5 ), 1 );
+    }
+
+
+    /**
+     * Normalized names of all terms of a taxonomy, for find_similar_terms().
+     *
+     * Cached in a transient, cleared through CacheInvalidator::invalidate_term_names()
+     * when a term of the taxonomy is created, edited or deleted.
+     *
+     * @param string $taxonomy Taxonomy.
+     *
+     * @return array<int, string> Term ID => normalized name.
+     */
+    protected function get_normalized_term_names( string $taxonomy ): array {
+        $key   = CacheInvalidator::TERM_NAMES_PREFIX . $taxonomy;
+        $names = get_transient( $key );
+
+        if ( is_array( $names ) ) {
+            return $names;
+        }
+
+        $terms = get_terms(
+            [
+                'taxonomy'   => $taxonomy,
+                'hide_empty' => false,
+                'fields'     => 'id=>name',
+            ]
+        );
+
+        $names = array_map( [ Helpers::class, 'normalize_term_name' ], is_array( $terms ) ? $terms : [] );
+        set_transient( $key, $names, WEEK_IN_SECONDS );
+
+        return $names;
+    }
+
+
+    /**
+     * Maximum number of terms of a taxonomy to preload for autocomplete fields.
+     *
+     * @hook luma_product_fields_autocomplete_preload_limit
+     *       Filters the maximum number of terms to preload per taxonomy. 0 disables preloading.
+     *       @param int $limit Default Ajax::AUTOCOMPLETE_PRELOAD_LIMIT.
+     *
+     * @return int
+     */
+    public static function get_autocomplete_preload_limit(): int {
+        return max( 0, (int) apply_filters( 'luma_product_fields_autocomplete_preload_limit', self::AUTOCOMPLETE_PRELOAD_LIMIT ) );
+    }
 
+
+
+    /**
+     * AJAX: Load all terms of small autocomplete taxonomies, so they can be searched client-side.
+     *
+     * Expects `taxonomies[]`. Returns `taxonomies`: taxonomy => list of terms (slug, name, count),
+     * or null if the taxonomy has more terms than get_autocomplete_preload_limit().
+     *
+     * @return void
+     */
+    protected function autocomplete_preload(): void {
+        $taxonomies = isset( $_POST['taxonomies'] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST['taxonomies'] ) ) : []; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized by array_map.
+        $limit      = self::get_autocomplete_preload_limit();
+        $result     = [];
+
+        foreach ( array_unique( array_filter( $taxonomies ) ) as $taxonomy ) {
+            if ( ! taxonomy_exists( $taxonomy ) || ! Helpers::is_taxonomy_field( $taxonomy ) ) {
+                continue;
+            }
+
+            $count = (int) wp_count_terms( [ 'taxonomy' => $taxonomy, 'hide_empty' => false ] );
+            if ( ! $limit || $count > $limit ) {
+                $result[ $taxonomy ] = null;
+                continue;
+            }
+
+            $terms = get_terms( [ 'taxonomy' => $taxonomy, 'hide_empty' => false ] );
+
+            $result[ $taxonomy ] = array_map(
+                static fn( $term ) => [
+                    'slug'  => $term->slug,
+                    'name'  => $term->name,
+                    'count' => (int) $term->count,
+                ],
+                is_array( $terms ) ? $terms : []
+            );
+        }
+
+        wp_send_json_success( [ 'taxonomies' => (object) $result ] );
     }
 
 
+
     /**
      * Return capability flags for a given field type.
      *
@@ -247,7 +454,7 @@ class Ajax {
         $type = isset( $_POST['field_type'] ) ? sanitize_key( wp_unslash( $_POST['field_type'] ) ) : '';
 
         if ( ! FieldTypeRegistry::get( $type ) ) {
-            wp_send_json_error( [ 'message' => 'Invalid field type' ] );
+            NotificationManager::ajax_error( __( 'Invalid field type.', 'luma-product-fields' ), 'invalid_field_type' );
         }
 
         wp_send_json_success(
@@ -261,6 +468,22 @@ class Ajax {
     }
 
 
+    /**
+     * AJAX: Render the live preview of the field editor.
+     *
+     * Expects `field` (the settings in the editor form) and `sample`. Returns the `admin`
+     * control and the `frontend` output, see FieldEditor::render_preview().
+     *
+     * @return void
+     */
+    protected function render_field_preview(): void {
+        $settings = isset( $_POST['field'] ) && is_array( $_POST['field'] ) ? wp_unslash( $_POST['field'] ) : []; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized in FieldEditor::render_preview().
+        $sample   = isset( $_POST['sample'] ) && is_scalar( $_POST['sample'] ) ? sanitize_text_field( wp_unslash( (string) $_POST['sample'] ) ) : '';
+
+        wp_send_json_success( FieldEditor::render_preview( $settings, $sample ) );
+    }
+
+
     /**
      * Handles AJAX request to load variation rows for a variable product.
      *
@@ -273,17 +496,17 @@ class Ajax {
         $product_id = isset( $_POST['product_id'] ) ? absint( wp_unslash( $_POST['product_id'] ) ) : 0;
 
         if ( ! $product_id ) {
-            wp_send_json_error( [ 'error' => 'Missing product_id.' ] );
+            NotificationManager::ajax_error( __( 'Missing product ID.', 'luma-product-fields' ), 'missing_product_id' );
         }
 
         if ( ! current_user_can( 'edit_post', $product_id ) ) {
-            wp_send_json_error( [ 'error' => 'Not allowed.' ], 403 );
+            NotificationManager::ajax_error( __( 'You are not allowed to edit this product.', 'luma-product-fields' ), 'forbidden', [], 403 );
         }
 
         $product_group_slug = Helpers::get_product_group_slug( $product_id );
 
         if ( ! $product_group_slug ) {
-            wp_send_json_error( [ 'error' => 'Could not determine product group.' ] );
+            NotificationManager::ajax_error( __( 'Could not determine the product group.', 'luma-product-fields' ), 'unknown_product_group' );
         }
 
         $table = new ListViewTable( $product_group_slug );
@@ -307,7 +530,7 @@ class Ajax {
         $field_slug = isset( $_POST['field_slug'] ) ? sanitize_key( wp_unslash( $_POST['field_slug'] ) ) : '';
 
         if ( ! $product_id || ! $field_slug || ! current_user_can( 'edit_post', $product_id ) ) {
-            wp_send_json_error( 'Permission denied.' );
+            NotificationManager::ajax_error( __( 'You are not allowed to edit this product.', 'luma-product-fields' ), 'forbidden' );
         }
 
         // If the slug is not one of ours, only allow it if explicitly whitelisted.
@@ -320,13 +543,24 @@ class Ajax {
             );
 
             if ( ! $allowed ) {
-                wp_send_json_error( 'Unknown field.' );
+                NotificationManager::ajax_error( __( 'Unknown field.', 'luma-product-fields' ), 'unknown_field' );
             }
         }
 
         $product      = wc_get_product( $product_id );
         if ( ! $product ) {
-            wp_send_json_error( 'Invalid product.' );
+            NotificationManager::ajax_error( __( 'Invalid product.', 'luma-product-fields' ), 'invalid_product' );
+        }
+
+        if ( $field && ! FieldConditions::is_visible( $field, $product_id ) ) {
+            NotificationManager::ajax_error(
+                sprintf(
+                    /* translators: %s: visibility rules of the field, e.g. "Shoe type equals heels" */
+                    __( 'This field is hidden for this product. It is only shown when %s.', 'luma-product-fields' ),
+                    FieldConditions::describe( $field )
+                ),
+                'hidden_by_conditions'
+            );
         }
 
         $product_name = $product ? $product->get_name() : '';
@@ -351,7 +585,11 @@ class Ajax {
 
         $html = ob_get_clean();
 
-        wp_send_json_success( [ 'html' => $html ] );
+        wp_send_json_success( [
+            'html'     => $html,
+            'value'    => Helpers::get_editable_field_value( $product_id, $field_slug ),
+            'revision' => Helpers::get_field_value_revision( $product_id, $field_slug ),
+        ] );
 
     }
 
@@ -368,7 +606,7 @@ class Ajax {
         $product_id = isset( $_POST['product_id'] ) ? absint( wp_unslash( $_POST['product_id'] ) ) : 0;
         $field_slug = isset( $_POST['field_slug'] ) ? sanitize_key( wp_unslash( $_POST['field_slug'] ) ) : '';
         if ( ! $product_id || ! $field_slug || ! current_user_can( 'edit_post', $product_id ) ) {
-            wp_send_json_error( 'Permission denied or invalid data.' );
+            NotificationManager::ajax_error( __( 'You are not allowed to edit this product, or the request is incomplete.', 'luma-product-fields' ), 'forbidden' );
         }
 
         $field = Helpers::get_field_definition_by_slug( $field_slug );
@@ -387,66 +625,511 @@ class Ajax {
              * @param string $field_slug
              */
             do_action( 'luma_product_fields_inline_save_field', $product_id, $field_slug );
-            wp_send_json_error( 'Unknown field.' );
+            NotificationManager::ajax_error( __( 'Unknown field.', 'luma-product-fields' ), 'unknown_field' );
         }
 
-        $type       = (string) ( $field['type'] ?? 'text' );
-        $definition = FieldTypeRegistry::get( $type ) ?? [];
-        $datatype   = (string) ( $definition['datatype'] ?? 'text' );
-        $validation = (string) ( $definition['validation'] ?? '' );
+        $type = (string) ( $field['type'] ?? 'text' );
 
         // Read raw input from generic `value` payload only.
         if ( ! isset( $_POST['value'] ) ) {
-            wp_send_json_error( 'Missing value.' );
+            NotificationManager::ajax_error( __( 'Missing value.', 'luma-product-fields' ), 'missing_value' );
+        }
+
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized per field type.
+        $value = $this->sanitize_inline_value( $type, wp_unslash( $_POST['value'] ) );
+
+        if ( null === $value ) {
+            NotificationManager::ajax_error( __( 'Invalid value.', 'luma-product-fields' ), 'invalid_value' );
+        }
+
+        if ( $this->is_inverted_range( $value ) ) {
+            NotificationManager::ajax_error( __( 'Min must be less than or equal to max.', 'luma-product-fields' ), 'min_max' );
         }
 
+        // Reject stale writes: the value changed since the editor loaded it.
+        $revision = isset( $_POST['revision'] ) ? sanitize_text_field( wp_unslash( $_POST['revision'] ) ) : '';
+        $current  = Helpers::get_field_value_revision( $product_id, $field_slug );
+
+        if ( '' !== $revision && ! hash_equals( $current, $revision ) ) {
+            NotificationManager::ajax_error(
+                __( 'This value was changed by someone else after you opened it.', 'luma-product-fields' ),
+                'conflict',
+                $this->get_conflict_data( $product_id, $field, $value )
+            );
+        }
+
+        $previous = Helpers::get_editable_field_value( $product_id, $field_slug );
+
+        $ok = FieldStorage::save_field( $product_id, $field_slug, $value );
+
+        if ( ! $ok ) {
+            NotificationManager::ajax_error( __( 'Could not save the field value.', 'luma-product-fields' ), 'save_failed', [ 'retry' => true ] );
+        }
+
+        $updated_html = ListViewTable::render_field_cell_inner( $product_id, $field );
+        $safe_html = wp_kses( $updated_html, wp_kses_allowed_html( 'luma_product_fields_admin_fields' ) );
+
+        $saved = Helpers::get_editable_field_value( $product_id, $field_slug );
+
+        wp_send_json_success( [
+            'html'              => $safe_html,
+            'previous'          => $previous,
+            'previous_revision' => $current,
+            'value'             => $saved,
+            'revision'          => Helpers::get_field_value_revision( $product_id, $field_slug ),
+            'terms'             => $this->get_saved_terms( $field, $saved ),
+        ] );
+
+    }
+
+
+
+    /**
+     * AJAX: Save one value for a field across a batch of products and variations.
+     *
+     * Used by the list view "fill column" action. Each row is checked and saved on its own,
+     * so a failing row does not stop the rest of the batch.
+     *
+     * @return void
+     */
+    public function bulk_save_field(): void {
+        check_ajax_referer( self::NONCE_ACTION, 'nonce' );
+
+        $field_slug  = isset( $_POST['field_slug'] ) ? sanitize_key( wp_unslash( $_POST['field_slug'] ) ) : '';
+        $product_ids = isset( $_POST['product_ids'] )
+            ? array_unique( array_filter( array_map( 'absint', (array) wp_unslash( $_POST['product_ids'] ) ) ) )
+            : [];
+
+        if ( ! $field_slug || empty( $product_ids ) ) {
+            NotificationManager::ajax_error( __( 'Missing field or products.', 'luma-product-fields' ), 'missing_data' );
+        }
+
+        if ( count( $product_ids ) > self::BULK_BATCH_LIMIT ) {
+            NotificationManager::ajax_error( __( 'Too many products in one batch.', 'luma-product-fields' ), 'batch_too_large' );
+        }
+
+        $field = Helpers::get_field_definition_by_slug( $field_slug );
+        if ( ! $field ) {
+            NotificationManager::ajax_error( __( 'Unknown field.', 'luma-product-fields' ), 'unknown_field' );
+        }
+
+        if ( ! isset( $_POST['value'] ) ) {
+            NotificationManager::ajax_error( __( 'Missing value.', 'luma-product-fields' ), 'missing_value' );
+        }
+
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized per field type.
+        $value = $this->sanitize_inline_value( (string) ( $field['type'] ?? 'text' ), wp_unslash( $_POST['value'] ) );
+
+        if ( null === $value ) {
+            NotificationManager::ajax_error( __( 'Invalid value.', 'luma-product-fields' ), 'invalid_value' );
+        }
+
+        if ( $this->is_inverted_range( $value ) ) {
+            NotificationManager::ajax_error( __( 'Min must be less than or equal to max.', 'luma-product-fields' ), 'min_max' );
+        }
+
+        $results = [];
+        foreach ( $product_ids as $product_id ) {
+            $results[ $product_id ] = $this->save_bulk_row( $product_id, $field, $value );
+        }
+
+        wp_send_json_success( [ 'results' => $results ] );
+    }
+
+
+    /**
+     * AJAX: Save values for a batch of product/field cells.
+     *
+     * Used by the list view paste, so a large paste takes one request per batch instead
+     * of one per cell. Expects `cells[]` with `product_id`, `field_slug`, `value` and an
+     * optional `revision` (see inline_save_field()). Each cell is checked and saved on its
+     * own; results are returned in the order of the cells.
+     *
+     * @return void
+     */
+    public function bulk_save_cells(): void {
+        check_ajax_referer( self::NONCE_ACTION, 'nonce' );
+
+        // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized per cell in save_bulk_cell().
+        $cells = isset( $_POST['cells'] ) && is_array( $_POST['cells'] ) ? array_values( wp_unslash( $_POST['cells'] ) ) : [];
+
+        if ( empty( $cells ) ) {
+            NotificationManager::ajax_error( __( 'Missing field or products.', 'luma-product-fields' ), 'missing_data' );
+        }
+
+        if ( count( $cells ) > self::BULK_BATCH_LIMIT ) {
+            NotificationManager::ajax_error( __( 'Too many products in one batch.', 'luma-product-fields' ), 'batch_too_large' );
+        }
+
+        $results = [];
+        foreach ( $cells as $cell ) {
+            $results[] = is_array( $cell )
+                ? $this->save_bulk_cell( $cell )
+                : [ 'success' => false, 'error' => __( 'Missing value.', 'luma-product-fields' ) ];
+        }
+
+        wp_send_json_success( [ 'results' => $results ] );
+    }
+
+
+    /**
+     * AJAX: Match term names or slugs to existing terms of a taxonomy field.
+     *
+     * Used by the list view paste preview. Values are matched by slug first, then by
+     * name, like FieldStorage::save_autocomplete_value() does.
+     *
+     * Expects `field_slug` and `values[]`. Returns `matches`: value => term slug, or null.
+     *
+     * @return void
+     */
+    protected function resolve_terms(): void {
+        $field_slug = isset( $_POST['field_slug'] ) ? sanitize_key( wp_unslash( $_POST['field_slug'] ) ) : '';
+        $values     = isset( $_POST['values'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['values'] ) ) : []; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized by array_map.
+
+        if ( ! Helpers::get_field_definition_by_slug( $field_slug ) || ! Helpers::is_taxonomy_field( $field_slug ) ) {
+            NotificationManager::ajax_error( __( 'Unknown field.', 'luma-product-fields' ), 'unknown_field' );
+        }
+
+        $matches = [];
+        foreach ( array_slice( array_unique( array_filter( $values, 'strlen' ) ), 0, self::BULK_BATCH_LIMIT * 10 ) as $value ) {
+            $term = get_term_by( 'slug', $value, $field_slug ) ?: get_term_by( 'name', $value, $field_slug );
+
+            $matches[ $value ] = $term ? $term->slug : null;
+        }
+
+        wp_send_json_success( [ 'matches' => (object) $matches ] );
+    }
+
+
+    /**
+     * AJAX: Save a named list view (columns, filters) for the current user.
+     *
+     * Expects `product_group`, `name` and `view` (JSON encoded).
+     *
+     * @return void
+     */
+    protected function save_list_view(): void {
+        $group_slug = $this->get_list_view_group();
+        $name       = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+        $view       = isset( $_POST['view'] ) ? json_decode( wp_unslash( $_POST['view'] ), true ) : null; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized in ListViewSavedViews::sanitize_view().
+
+        if ( '' === $name || ! is_array( $view ) ) {
+            NotificationManager::ajax_error( __( 'Enter a name for the view.', 'luma-product-fields' ), 'missing_name' );
+        }
+
+        if ( ! ListViewSavedViews::save_view( $group_slug, $name, $view ) ) {
+            NotificationManager::ajax_error(
+                /* translators: %d: maximum number of saved views. */
+                sprintf( __( 'You can save up to %d views per product group.', 'luma-product-fields' ), ListViewSavedViews::MAX_VIEWS ),
+                'too_many_views'
+            );
+        }
+
+        wp_send_json_success( [ 'views' => ListViewSavedViews::get_views( $group_slug ) ] );
+    }
+
+
+    /**
+     * AJAX: Delete a named list view of the current user.
+     *
+     * @return void
+     */
+    protected function delete_list_view(): void {
+        $group_slug = $this->get_list_view_group();
+        $name       = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+
+        ListViewSavedViews::delete_view( $group_slug, $name );
+
+        wp_send_json_success( [ 'views' => ListViewSavedViews::get_views( $group_slug ) ] );
+    }
+
+
+    /**
+     * AJAX: Save the field order and sections of a product group.
+     *
+     * Expects `product_group` and `sections`, a JSON list of {id, label, collapsed, fields[]}.
+     *
+     * @return void
+     */
+    protected function save_field_layout(): void {
+        $group_slug = $this->get_list_view_group();
+        $sections   = isset( $_POST['sections'] ) ? json_decode( wp_unslash( $_POST['sections'] ), true ) : null; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized in FieldLayout::save().
+
+        if ( ! is_array( $sections ) ) {
+            NotificationManager::ajax_error( __( 'Invalid field layout.', 'luma-product-fields' ), 'invalid_layout', [], 400 );
+        }
+
+        $saved = FieldLayout::save( $group_slug, $sections );
+        CacheInvalidator::invalidate_all_meta_caches();
+
+        wp_send_json_success(
+            [
+                'sections' => $saved,
+                'message'  => __( 'Field order saved.', 'luma-product-fields' ),
+            ]
+        );
+    }
+
+
+    /**
+     * Read and validate the product group of a list view request.
+     *
+     * @return string Product group slug, or 'general' for products without a group.
+     */
+    protected function get_list_view_group(): string {
+        $group_slug = isset( $_POST['product_group'] ) ? sanitize_title( wp_unslash( $_POST['product_group'] ) ) : '';
+
+        if ( 'general' !== $group_slug && ! array_key_exists( $group_slug, ProductGroup::get_product_groups() ) ) {
+            NotificationManager::ajax_error( __( 'Invalid product group.', 'luma-product-fields' ), 'invalid_product_group', [], 400 );
+        }
+
+        return $group_slug;
+    }
+
+
+    /**
+     * Save a bulk value for a single product or variation.
+     *
+     * @param int   $product_id Product or variation ID.
+     * @param array $field      Field definition.
+     * @param mixed $value      Sanitized value.
+     * @return array{success: bool, html?: string, previous?: mixed, value?: mixed, error?: string}
+     */
+    protected function save_bulk_row( int $product_id, array $field, $value ): array {
+        if ( ! current_user_can( 'edit_post', $product_id ) ) {
+            return [ 'success' => false, 'error' => __( 'You are not allowed to edit this product.', 'luma-product-fields' ) ];
+        }
+
+        $product = wc_get_product( $product_id );
+        if ( ! $product ) {
+            return [ 'success' => false, 'error' => __( 'Invalid product.', 'luma-product-fields' ) ];
+        }
+
+        if ( $product->is_type( 'variation' ) && empty( $field['variation'] ) ) {
+            return [ 'success' => false, 'error' => __( 'This field is not enabled for variations.', 'luma-product-fields' ) ];
+        }
+
+        $previous          = Helpers::get_editable_field_value( $product_id, $field['slug'] );
+        $previous_revision = Helpers::get_field_value_revision( $product_id, $field['slug'] );
+
+        if ( ! FieldStorage::save_field( $product_id, $field['slug'], $value ) ) {
+            return [ 'success' => false, 'error' => __( 'Could not save field value.', 'luma-product-fields' ) ];
+        }
+
+        $html = ListViewTable::render_field_cell_inner( $product_id, $field );
+
+        return [
+            'success'           => true,
+            'html'              => wp_kses( $html, wp_kses_allowed_html( 'luma_product_fields_admin_fields' ) ),
+            'previous'          => $previous,
+            'previous_revision' => $previous_revision,
+            'value'             => Helpers::get_editable_field_value( $product_id, $field['slug'] ),
+            'revision'          => Helpers::get_field_value_revision( $product_id, $field['slug'] ),
+        ];
+    }
+
+
+    /**
+     * Save one cell of bulk_save_cells().
+     *
+     * @param array $cell Unslashed cell: product_id, field_slug, value and revision.
+     * @return array Result like save_bulk_row(). A stale write fails with code 'conflict'
+     *               and the data for the conflict dialog in `conflict`.
+     */
+    protected function save_bulk_cell( array $cell ): array {
+        $product_id = absint( $cell['product_id'] ?? 0 );
+        $field_slug = sanitize_key( (string) ( $cell['field_slug'] ?? '' ) );
+        $field      = $field_slug ? Helpers::get_field_definition_by_slug( $field_slug ) : null;
+
+        if ( ! $product_id || ! $field ) {
+            return [ 'success' => false, 'error' => __( 'Unknown field.', 'luma-product-fields' ) ];
+        }
+
+        if ( ! current_user_can( 'edit_post', $product_id ) ) {
+            return [ 'success' => false, 'error' => __( 'You are not allowed to edit this product.', 'luma-product-fields' ) ];
+        }
+
+        if ( ! array_key_exists( 'value', $cell ) ) {
+            return [ 'success' => false, 'error' => __( 'Missing value.', 'luma-product-fields' ) ];
+        }
+
+        $value = $this->sanitize_inline_value( (string) ( $field['type'] ?? 'text' ), $cell['value'] );
+
+        if ( null === $value ) {
+            return [ 'success' => false, 'error' => __( 'Invalid value.', 'luma-product-fields' ) ];
+        }
+
+        if ( $this->is_inverted_range( $value ) ) {
+            return [ 'success' => false, 'error' => __( 'Min must be less than or equal to max.', 'luma-product-fields' ) ];
+        }
+
+        $revision = isset( $cell['revision'] ) && is_scalar( $cell['revision'] ) ? sanitize_text_field( (string) $cell['revision'] ) : '';
+        $current  = Helpers::get_field_value_revision( $product_id, $field_slug );
+
+        if ( '' !== $revision && ! hash_equals( $current, $revision ) ) {
+            $error = __( 'This value was changed by someone else after you opened it.', 'luma-product-fields' );
+
+            return [
+                'success'  => false,
+                'code'     => 'conflict',
+                'error'    => $error,
+                'conflict' => array_merge( $this->get_conflict_data( $product_id, $field, $value ), [ 'error' => $error ] ),
+            ];
+        }
+
+        $result = $this->save_bulk_row( $product_id, $field, $value );
+
+        if ( ! empty( $result['success'] ) ) {
+            $result['terms'] = $this->get_saved_terms( $field, $result['value'] );
+        }
+
+        return $result;
+    }
+
+
+    /**
+     * Data for the conflict dialog (listview-conflicts.js) when a stale write is rejected.
+     *
+     * @param int   $product_id Product or variation ID.
+     * @param array $field      Field definition.
+     * @param mixed $value      The rejected value.
+     * @return array
+     */
+    protected function get_conflict_data( int $product_id, array $field, $value ): array {
+        $theirs = Helpers::get_editable_field_value( $product_id, $field['slug'] );
+
+        return [
+            'conflict'    => true,
+            'revision'    => Helpers::get_field_value_revision( $product_id, $field['slug'] ),
+            'theirs'      => $theirs,
+            'theirs_html' => wp_kses(
+                ListViewTable::render_field_cell_inner( $product_id, $field ),
+                wp_kses_allowed_html( 'luma_product_fields_admin_fields' )
+            ),
+            'labels'      => $this->get_term_labels( $field, array_merge( (array) $theirs, (array) $value ) ),
+        ];
+    }
+
+
+    /**
+     * The terms of a saved taxonomy field value, for the autocomplete term cache.
+     *
+     * @param array $field Field definition.
+     * @param mixed $value Saved value (term slugs).
+     * @return array<int, array{id: int, slug: string, name: string, count: int}>
+     */
+    protected function get_saved_terms( array $field, $value ): array {
+        if ( ! Helpers::is_taxonomy_field( $field['slug'] ) ) {
+            return [];
+        }
+
+        $terms = [];
+        foreach ( array_unique( array_filter( array_map( 'strval', (array) $value ) ) ) as $slug ) {
+            $term = get_term_by( 'slug', $slug, $field['slug'] );
+            if ( $term && ! is_wp_error( $term ) ) {
+                $terms[] = [
+                    'id'    => (int) $term->term_id,
+                    'slug'  => $term->slug,
+                    'name'  => $term->name,
+                    'count' => (int) $term->count,
+                ];
+            }
+        }
+
+        return $terms;
+    }
+
+
+    /**
+     * Map term slugs of a taxonomy field to their names, for display in the conflict dialog.
+     *
+     * @param array $field Field definition.
+     * @param array $slugs Term slugs (values that are not existing terms are left out).
+     * @return array<string,string>
+     */
+    protected function get_term_labels( array $field, array $slugs ): array {
+        if ( ! Helpers::is_taxonomy_field( $field['slug'] ) ) {
+            return [];
+        }
+
+        $labels = [];
+        foreach ( array_unique( array_filter( array_map( 'strval', $slugs ) ) ) as $slug ) {
+            $term = get_term_by( 'slug', $slug, $field['slug'] );
+            if ( $term && ! is_wp_error( $term ) ) {
+                $labels[ $slug ] = $term->name;
+            }
+        }
+
+        return $labels;
+    }
+
+
+    /**
+     * Sanitize the raw `value` payload sent by the inline editor, based on the field type.
+     *
+     * @param string $type Field type slug.
+     * @param mixed  $raw  Unslashed request value.
+     * @return mixed|null Sanitized value, or null when a range value is not an array of
+     *                    numbers or a number is not a single value.
+     */
+    protected function sanitize_inline_value( string $type, $raw ) {
+        $definition = FieldTypeRegistry::get( $type ) ?? [];
+        $datatype   = (string) ( $definition['datatype'] ?? 'text' );
+        $validation = (string) ( $definition['validation'] ?? '' );
+
         $is_range   = ( $validation === 'range' ) || ( $type === 'minmax' );
         $is_integer = ( $validation === 'integer' ) || ( $type === 'integer' );
         $is_numeric = ( $datatype === 'number' );
 
         if ( FieldTypeRegistry::supports( $type, 'multiple_values' ) ) {
-            $value = array_filter(
-                array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['value'] ) ),
+            return array_filter(
+                array_map( 'sanitize_text_field', (array) $raw ),
                 static fn( $item ) => $item !== ''
             );
-        } elseif ( $is_range ) {
-            if ( ! is_array( $_POST['value'] ) ) {
-                wp_send_json_error( 'Invalid range value.' );
-            }
+        }
 
-            $min = isset( $_POST['value']['min'] )
-                ? sanitize_text_field( wp_unslash( (string) $_POST['value']['min'] ) )
-                : '';
-            $max = isset( $_POST['value']['max'] )
-                ? sanitize_text_field( wp_unslash( (string) $_POST['value']['max'] ) )
-                : '';
+        if ( $is_range ) {
+            if ( ! is_array( $raw ) ) {
+                return null;
+            }
 
-            $value = [
-                'min' => $min,
-                'max' => $max,
-            ];
-        } elseif ( $is_integer ) {
-            $value = sanitize_text_field( wp_unslash( (string) $_POST['value'] ) );
-        } elseif ( $is_numeric ) {
-            $value = sanitize_text_field( wp_unslash( (string) $_POST['value'] ) );
-        } else {
-            if ( is_array( $_POST['value'] ) ) {
-                $value = array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['value'] ) );
-            } else {
-                $value = sanitize_text_field( wp_unslash( (string) $_POST['value'] ) );
+            $range = [];
+            foreach ( [ 'min', 'max' ] as $key ) {
+                if ( isset( $raw[ $key ] ) && ! is_scalar( $raw[ $key ] ) ) {
+                    return null;
+                }
+                $range[ $key ] = isset( $raw[ $key ] ) ? sanitize_text_field( (string) $raw[ $key ] ) : '';
             }
+
+            return $range;
         }
 
-        $ok = FieldStorage::save_field( $product_id, $field_slug, $value );
+        if ( $is_integer || $is_numeric ) {
+            return is_scalar( $raw ) ? sanitize_text_field( (string) $raw ) : null;
+        }
 
-        if ( ! $ok ) {
-            wp_send_json_error( 'Could not save field value.' );
+        if ( is_array( $raw ) ) {
+            return array_map( 'sanitize_text_field', $raw );
         }
 
-        $updated_html = ListViewTable::render_field_cell_inner( $product_id, $field );
-        $safe_html = wp_kses( $updated_html, wp_kses_allowed_html( 'luma_product_fields_admin_fields' ) );
+        return sanitize_text_field( (string) $raw );
+    }
+
+
+    /**
+     * Whether a sanitized range value has a min greater than its max.
+     *
+     * @param mixed $value Value returned by sanitize_inline_value().
+     * @return bool
+     */
+    protected function is_inverted_range( $value ): bool {
+        if ( ! is_array( $value ) || ! isset( $value['min'], $value['max'] ) ) {
+            return false;
+        }
 
-        wp_send_json_success( [ 'html' => $safe_html ] );
+        $min = str_replace( ',', '.', (string) $value['min'] );
+        $max = str_replace( ',', '.', (string) $value['max'] );
 
+        return is_numeric( $min ) && is_numeric( $max ) && (float) $min > (float) $max;
     }
 }
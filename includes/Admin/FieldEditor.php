@@ -15,6 +15,11 @@ use Luma\ProductFields\Admin\NotificationManager;
 use Luma\ProductFields\Taxonomy\ProductGroup;
 use Luma\ProductFields\Utils\CacheInvalidator;
 use Luma\ProductFields\Utils\Helpers;
+use Luma\ProductFields\Utils\FieldConditions;
+use Luma\ProductFields\Frontend\StructuredData;
+use Luma\ProductFields\Frontend\FieldRenderer as FrontendFieldRenderer;
+use Luma\ProductFields\Product\FieldRenderer as ProductFieldRenderer;
+use WP_Term;
 
 defined( 'ABSPATH' ) || exit;
 
@@ -58,6 +63,8 @@ class FieldEditor {
         add_filter( 'submenu_file', [ $this, 'filter_submenu_file' ] );
         add_action( 'admin_head', [ $this, 'hide_editor_submenu_css' ] );
         add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_editor_menu_script' ], 100 );
+        add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_preview_script' ], 100 );
+        add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_conditions_script' ], 100 );
     }
 
 
@@ -110,6 +117,9 @@ class FieldEditor {
             'hide_in_frontend' => false,
             'variation'        => false,
             'show_links'       => false,
+            'required'         => false,
+            'conditions'       => [],
+            'schema_property'  => '',
         ];
 
         $field = wp_parse_args( $field, $field_defaults );
@@ -153,6 +163,7 @@ class FieldEditor {
             echo '<input type="hidden" name="lrpf_original_slug" value="' . esc_attr( $slug ) . '" />';
         }
 
+        echo '<div class="lumaprfi-field-editor-layout">';
         echo '<table class="form-table">';
 
         // Type.
@@ -224,6 +235,11 @@ class FieldEditor {
         echo '<td><label><input type="checkbox" name="lrpf_hide_in_frontend" value="1"' . checked( $field['hide_in_frontend'] ?? false, true, false ) . ' /> ';
         echo esc_html__( 'Hide in frontend', 'luma-product-fields' ) . '</label></td></tr>';
 
+        // Required.
+        echo '<tr><th><label>' . esc_html__( 'Required', 'luma-product-fields' ) . '</label></th>';
+        echo '<td><label><input type="checkbox" name="lrpf_required" value="1"' . checked( $field['required'] ?? false, true, false ) . ' /> ';
+        echo esc_html__( 'Warn editors when this field is left empty', 'luma-product-fields' ) . '</label></td></tr>';
+
         // Variations.
         echo '<tr class="' . esc_attr( $variations_row_class ) . '"><th><label>' . esc_html__( 'Use in variations', 'luma-product-fields' ) . '</label></th>';
         echo '<td><label><input type="checkbox" name="lrpf_variation" value="1"' . checked( $field['variation'] ?? false, true, false ) . ' /> ';
@@ -234,10 +250,31 @@ class FieldEditor {
         echo '<td><label><input type="checkbox" name="lrpf_show_links" value="1"' . checked( $field['show_links'] ?? false, true, false ) . ' /> ';
         echo esc_html__( 'Link to products with same value in front end', 'luma-product-fields' ) . '</label></td></tr>';
 
+        // Structured data.
+        echo '<tr><th><label>' . esc_html__( 'Structured data (schema.org)', 'luma-product-fields' ) . '</label></th>';
+        echo '<td><select name="lrpf_schema_property">';
+        echo '<option value="">' . esc_html__( 'None', 'luma-product-fields' ) . '</option>';
+
+        foreach ( StructuredData::get_properties() as $value => $property ) {
+            echo '<option value="' . esc_attr( $value ) . '"' . selected( $field['schema_property'] ?? '', $value, false ) . '>' . esc_html( $property['label'] ) . '</option>';
+        }
+        echo '</select>';
+        echo '<p>' . esc_html__( 'Adds the value to the product markup for search engines. Weight, width, height and depth need a number or range field.', 'luma-product-fields' ) . '</p>';
+        echo '</td></tr>';
+
+        // Conditional visibility.
+        echo '<tr class="field-conditions-row"><th><label>' . esc_html__( 'Show only when', 'luma-product-fields' ) . '</label></th>';
+        echo '<td>';
+        $this->render_conditions_builder( $slug, (array) $field['conditions'] );
+        echo '</td></tr>';
+
         do_action( 'luma_product_fields_field_editor_form_bottom', $field );
 
         echo '</table>';
 
+        $this->render_preview_pane();
+        echo '</div>';
+
         submit_button( __( 'Save Field', 'luma-product-fields' ) );
 
         echo '</form></div>';
@@ -276,6 +313,422 @@ class FieldEditor {
     }
 
 
+    /**
+     * Render the visibility rules builder (see FieldConditions).
+     *
+     * Rows are added and removed by js/admin/field-editor-conditions.js, from the row template.
+     * Taxonomy fields get a list of their terms as suggestions for the value.
+     *
+     * @param string $slug       Slug of the edited field, empty for a new field.
+     * @param array  $conditions Stored conditions.
+     * @return void
+     */
+    protected function render_conditions_builder( string $slug, array $conditions ): void
+    {
+        $sources = array_filter(
+            Helpers::get_all_fields( null ),
+            static fn( array $source ): bool => ( $source['slug'] ?? '' ) !== $slug
+        );
+
+        if ( empty( $sources ) ) {
+            echo '<p class="description">' . esc_html__( 'Add more fields to show this one depending on their values.', 'luma-product-fields' ) . '</p>';
+            return;
+        }
+
+        $match = ( $conditions['match'] ?? 'all' ) === 'any' ? 'any' : 'all';
+        $rules = (array) ( $conditions['rules'] ?? [] );
+
+        echo '<div class="lumaprfi-conditions">';
+
+        echo '<p class="lumaprfi-conditions-match"' . ( empty( $rules ) ? ' hidden' : '' ) . '>';
+        echo '<select name="lrpf_conditions[match]" aria-label="' . esc_attr__( 'Match', 'luma-product-fields' ) . '">';
+        echo '<option value="all"' . selected( $match, 'all', false ) . '>' . esc_html__( 'All rules match', 'luma-product-fields' ) . '</option>';
+        echo '<option value="any"' . selected( $match, 'any', false ) . '>' . esc_html__( 'Any rule matches', 'luma-product-fields' ) . '</option>';
+        echo '</select></p>';
+
+        echo '<ul class="lumaprfi-condition-rules">';
+        foreach ( array_values( $rules ) as $i => $rule ) {
+            $this->render_condition_rule( (string) $i, (array) $rule, $sources );
+        }
+        echo '</ul>';
+
+        echo '<template class="lumaprfi-condition-template">';
+        $this->render_condition_rule( '__i__', [], $sources );
+        echo '</template>';
+
+        foreach ( $sources as $source ) {
+            if ( ! Helpers::is_taxonomy_field( $source['slug'] ) || ! taxonomy_exists( $source['slug'] ) ) {
+                continue;
+            }
+            $terms = get_terms(
+                [
+                    'taxonomy'   => $source['slug'],
+                    'hide_empty' => false,
+                    'number'     => 200,
+                    'fields'     => 'names',
+                ]
+            );
+            echo '<datalist id="lumaprfi-condition-terms-' . esc_attr( $source['slug'] ) . '">';
+            foreach ( is_wp_error( $terms ) ? [] : $terms as $name ) {
+                echo '<option value="' . esc_attr( $name ) . '"></option>';
+            }
+            echo '</datalist>';
+        }
+
+        echo '<button type="button" class="button lumaprfi-condition-add">' . esc_html__( 'Add rule', 'luma-product-fields' ) . '</button>';
+        echo '<p class="description">' . esc_html__( 'Without rules the field is always shown. With rules it is only shown in the product editor and on the storefront when they match. Values of hidden fields are kept.', 'luma-product-fields' ) . '</p>';
+        echo '</div>';
+    }
+
+
+    /**
+     * Render one rule of the visibility rules builder.
+     *
+     * @param string $index   Row index in the submitted array.
+     * @param array  $rule    Rule (field, operator, value or min/max).
+     * @param array  $sources Fields a rule can depend on.
+     * @return void
+     */
+    protected function render_condition_rule( string $index, array $rule, array $sources ): void
+    {
+        $name     = 'lrpf_conditions[rules][' . $index . ']';
+        $operator = $rule['operator'] ?? 'equals';
+
+        echo '<li class="lumaprfi-condition-rule">';
+
+        echo '<select name="' . esc_attr( $name . '[field]' ) . '" class="lumaprfi-condition-field" aria-label="' . esc_attr__( 'Field', 'luma-product-fields' ) . '">';
+        foreach ( $sources as $source ) {
+            printf(
+                '<option value="%1$s" data-type="%2$s" data-taxonomy="%3$s"%4$s>%5$s</option>',
+                esc_attr( $source['slug'] ),
+                esc_attr( $source['type'] ?? 'text' ),
+                Helpers::is_taxonomy_field( $source['slug'] ) ? '1' : '0',
+                selected( $rule['field'] ?? '', $source['slug'], false ),
+                esc_html( $source['label'] ?? $source['slug'] )
+            );
+        }
+        echo '</select> ';
+
+        echo '<select name="' . esc_attr( $name . '[operator]' ) . '" class="lumaprfi-condition-operator" aria-label="' . esc_attr__( 'Condition', 'luma-product-fields' ) . '">';
+        foreach ( FieldConditions::get_operator_labels() as $value => $label ) {
+            echo '<option value="' . esc_attr( $value ) . '"' . selected( $operator, $value, false ) . '>' . esc_html( $label ) . '</option>';
+        }
+        echo '</select> ';
+
+        printf(
+            '<input type="text" name="%1$s" class="lumaprfi-condition-value" value="%2$s" aria-label="%3$s" placeholder="%3$s" /> ',
+            esc_attr( $name . '[value]' ),
+            esc_attr( $rule['value'] ?? '' ),
+            esc_attr__( 'Value', 'luma-product-fields' )
+        );
+
+        echo '<span class="lumaprfi-condition-range">';
+        printf(
+            '<input type="text" name="%1$s" class="small-text" value="%2$s" inputmode="decimal" aria-label="%3$s" placeholder="%3$s" /> – ',
+            esc_attr( $name . '[min]' ),
+            esc_attr( $rule['min'] ?? '' ),
+            esc_attr__( 'Min', 'luma-product-fields' )
+        );
+        printf(
+            '<input type="text" name="%1$s" class="small-text" value="%2$s" inputmode="decimal" aria-label="%3$s" placeholder="%3$s" />',
+            esc_attr( $name . '[max]' ),
+            esc_attr( $rule['max'] ?? '' ),
+            esc_attr__( 'Max', 'luma-product-fields' )
+        );
+        echo '</span> ';
+
+        echo '<button type="button" class="button-link lumaprfi-condition-remove" aria-label="' . esc_attr__( 'Remove rule', 'luma-product-fields' ) . '">&#10005;</button>';
+        echo '</li>';
+    }
+
+
+    /**
+     * Render the live preview pane, filled by js/admin/field-editor-preview.js.
+     *
+     * The sample value input has no name, so it is never saved with the field.
+     *
+     * @return void
+     */
+    protected function render_preview_pane(): void
+    {
+        echo '<aside class="lumaprfi-field-preview" aria-live="polite">';
+        echo '<h2>' . esc_html__( 'Preview', 'luma-product-fields' ) . '</h2>';
+
+        echo '<p class="lumaprfi-field-preview-sample"><label for="lumaprfi-field-preview-sample">' . esc_html__( 'Sample value', 'luma-product-fields' ) . '</label>';
+        echo '<input type="text" id="lumaprfi-field-preview-sample" class="regular-text" /></p>';
+
+        echo '<h3>' . esc_html__( 'Product edit screen', 'luma-product-fields' ) . '</h3>';
+        echo '<div class="lumaprfi-field-preview-admin woocommerce_options_panel"></div>';
+
+        echo '<h3>' . esc_html__( 'Storefront', 'luma-product-fields' ) . '</h3>';
+        echo '<div class="lumaprfi-field-preview-frontend"></div>';
+
+        echo '<p class="lumaprfi-field-preview-note description"></p>';
+        echo '</aside>';
+    }
+
+
+    /**
+     * Enqueue the live preview script, and the frontend styles it previews, on the editor screen.
+     *
+     * @return void
+     */
+    public function enqueue_preview_script(): void
+    {
+        if ( ! self::is_field_editor_screen() ) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'luma-product-fields-style',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'css/style.css',
+            [],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER
+        );
+
+        wp_enqueue_script(
+            'luma-product-fields-field-preview',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/field-editor-preview.js',
+            [ 'jquery', 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_localize_script( 'luma-product-fields-field-preview', 'luma_product_fields_field_preview', $this->get_preview_data() );
+    }
+
+
+    /**
+     * Enqueue the visibility rules builder on the editor screen.
+     *
+     * @return void
+     */
+    public function enqueue_conditions_script(): void
+    {
+        if ( ! self::is_field_editor_screen() ) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'luma-product-fields-field-conditions-builder',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/field-editor-conditions.js',
+            [ 'jquery' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+    }
+
+
+    /**
+     * Data for the live preview: field types with their capabilities and, when editing a
+     * taxonomy field, a few of its terms as sample values.
+     *
+     * @return array<string,mixed>
+     */
+    protected function get_preview_data(): array
+    {
+        $types = [];
+        foreach ( FieldTypeRegistry::get_all() as $type_slug => $info ) {
+            $types[ $type_slug ] = [
+                'label'    => (string) ( $info['label'] ?? $type_slug ),
+                'storage'  => (string) ( $info['storage'] ?? 'meta' ),
+                'supports' => array_values( (array) ( $info['supports'] ?? [] ) ),
+                'core'     => FieldTypeRegistry::is_core_type( $type_slug ),
+            ];
+        }
+
+        $edit_input = filter_input( INPUT_GET, 'edit', FILTER_DEFAULT );
+        $slug       = is_string( $edit_input ) ? sanitize_key( wp_unslash( $edit_input ) ) : '';
+        $terms      = [];
+
+        if ( $slug && taxonomy_exists( $slug ) && Helpers::is_taxonomy_field( $slug ) ) {
+            $found = get_terms(
+                [
+                    'taxonomy'   => $slug,
+                    'hide_empty' => false,
+                    'orderby'    => 'count',
+                    'order'      => 'DESC',
+                    'number'     => 3,
+                    'fields'     => 'names',
+                ]
+            );
+
+            $terms = is_wp_error( $found ) ? [] : array_values( $found );
+        }
+
+        return [
+            'types'         => $types,
+            'sample_terms'  => $terms,
+            'strings'       => [
+                'sample_text'    => __( 'Sample text', 'luma-product-fields' ),
+                'sample_terms'   => __( 'Sample A, Sample B', 'luma-product-fields' ),
+                'hint_text'      => __( 'Any text', 'luma-product-fields' ),
+                'hint_number'    => __( 'A number, e.g. 12.5', 'luma-product-fields' ),
+                'hint_range'     => __( 'Min and max, e.g. 3.5-6', 'luma-product-fields' ),
+                'hint_terms'     => __( 'Term names, separated by commas', 'luma-product-fields' ),
+                'hidden'         => __( 'This field is hidden in the frontend, so customers will not see it.', 'luma-product-fields' ),
+                'empty'          => __( 'Fields without a value are not shown in the frontend.', 'luma-product-fields' ),
+                'links'          => __( 'Linked values lead to all products with the same value.', 'luma-product-fields' ),
+                'custom_type'    => __( 'Custom field types are previewed as plain text. Their own controls are shown on the product edit screen.', 'luma-product-fields' ),
+            ],
+        ];
+    }
+
+
+    /**
+     * Render the live preview of a field for a sample value: its control on the product
+     * edit screen and its output on the storefront.
+     *
+     * Both come from the renderers used for real products (Product\FieldRenderer and
+     * Frontend\FieldRenderer), so the preview cannot drift from them. Custom field types
+     * are previewed as text, as their renderers read the value of a saved product.
+     *
+     * @param array  $settings Field settings from the editor form, unsanitized.
+     * @param string $sample   Sample value as typed.
+     *
+     * @return array{admin: string, frontend: string} Frontend is empty when the value would not be shown.
+     */
+    public static function render_preview( array $settings, string $sample ): array
+    {
+        $type = sanitize_key( (string) ( $settings['type'] ?? '' ) );
+        if ( ! FieldTypeRegistry::get( $type ) || ! FieldTypeRegistry::is_core_type( $type ) ) {
+            $type = 'text';
+        }
+
+        $slug  = sanitize_key( (string) ( $settings['slug'] ?? '' ) );
+        $unit  = sanitize_key( (string) ( $settings['unit'] ?? '' ) );
+        $label = sanitize_text_field( (string) ( $settings['label'] ?? '' ) );
+
+        $field = [
+            'slug'          => '' !== $slug ? $slug : 'lumaprfi_preview',
+            'label'         => '' !== $label ? $label : __( 'Field label', 'luma-product-fields' ),
+            'description'   => sanitize_textarea_field( (string) ( $settings['description'] ?? '' ) ),
+            'frontend_desc' => wp_kses_post( (string) ( $settings['frontend_desc'] ?? '' ) ),
+            'type'          => $type,
+            'unit'          => FieldTypeRegistry::supports( $type, 'unit' ) && array_key_exists( $unit, FieldTypeRegistry::get_units() ) ? $unit : '',
+            'show_links'    => FieldTypeRegistry::supports( $type, 'link' ) && ! empty( $settings['show_links'] ),
+        ];
+
+        $sample   = trim( sanitize_text_field( $sample ) );
+        $selected = null;
+        $terms    = [];
+
+        if ( 'taxonomy' === ( FieldTypeRegistry::get( $type )['storage'] ?? 'meta' ) ) {
+            [ $selected, $terms ] = self::get_preview_terms( $field, $sample );
+
+            $slugs = wp_list_pluck( $selected, 'slug' );
+            $value = 'single' === $type ? ( $slugs[0] ?? null ) : $slugs;
+        } else {
+            $value = self::parse_preview_sample( $type, $sample );
+        }
+
+        $frontend = '';
+        if ( ! Helpers::is_truly_empty( $value ) ) {
+            $renderer = new FrontendFieldRenderer();
+            $method   = "render_{$type}_field";
+            if ( null !== $selected ) {
+                $html = $renderer->render_terms( $field, $selected );
+            } else {
+                $html = method_exists( $renderer, $method ) ? (string) $renderer->$method( $field, $value ) : esc_html( (string) $value );
+            }
+
+            $frontend = '' !== $html ? FrontendFieldRenderer::wrap_field( $field, $html ) : '';
+        }
+
+        return [
+            'admin'    => ( new ProductFieldRenderer() )->render_preview_field( $field, $value, $terms ),
+            'frontend' => $frontend,
+        ];
+    }
+
+
+    /**
+     * Parse a sample value into the shape the field type stores it.
+     *
+     * @param string $type   Core field type, not taxonomy based.
+     * @param string $sample Sample value as typed.
+     *
+     * @return mixed String, number or min/max pair; null when empty.
+     */
+    protected static function parse_preview_sample( string $type, string $sample )
+    {
+        if ( '' === $sample ) {
+            return null;
+        }
+
+        $number = static function ( string $value ) {
+            $value = str_replace( ',', '.', $value );
+            return is_numeric( $value ) ? (float) $value : null;
+        };
+
+        switch ( $type ) {
+            case 'number':
+                return $number( $sample );
+            case 'integer':
+                $float = $number( $sample );
+                return null === $float ? null : (int) $float;
+            case 'minmax':
+                // "3.5-6", "3.5 – 6", "-2 - 4" or just "3.5"
+                if ( ! preg_match( '/^(-?[\d.,]+)?\s*(?:[-–]\s*(-?[\d.,]+))?$/u', $sample, $match ) ) {
+                    return null;
+                }
+                $min = isset( $match[1] ) && '' !== $match[1] ? $number( $match[1] ) : null;
+                $max = isset( $match[2] ) ? $number( $match[2] ) : null;
+                return null === $min && null === $max ? null : [ 'min' => $min, 'max' => $max ];
+            default:
+                return $sample;
+        }
+    }
+
+
+    /**
+     * Terms for the preview of a taxonomy field.
+     *
+     * Sample names are matched to the terms of the field, when it exists; other names are
+     * previewed as new, unsaved terms.
+     *
+     * @param array  $field  Field definition.
+     * @param string $sample Term names, separated by commas.
+     *
+     * @return array{0: WP_Term[], 1: WP_Term[]} The sample terms, and all terms to offer in the control.
+     */
+    protected static function get_preview_terms( array $field, string $sample ): array
+    {
+        $existing = [];
+        if ( taxonomy_exists( $field['slug'] ) && Helpers::is_taxonomy_field( $field['slug'] ) ) {
+            $found    = get_terms(
+                [
+                    'taxonomy'   => $field['slug'],
+                    'hide_empty' => false,
+                ]
+            );
+            $existing = is_wp_error( $found ) ? [] : $found;
+        }
+
+        $selected = [];
+        foreach ( array_filter( array_map( 'trim', explode( ',', $sample ) ), 'strlen' ) as $name ) {
+            $term = current( wp_list_filter( $existing, [ 'name' => $name ] ) );
+
+            $selected[] = $term ?: new WP_Term(
+                (object) [
+                    'term_id'  => 0,
+                    'name'     => $name,
+                    'slug'     => sanitize_title( $name ),
+                    'taxonomy' => $field['slug'],
+                ]
+            );
+        }
+
+        if ( 'single' === $field['type'] ) {
+            $selected = array_slice( $selected, 0, 1 );
+        }
+
+        $new = array_filter( $selected, static fn( WP_Term $term ): bool => ! $term->term_id );
+
+        return [ $selected, array_merge( $existing, array_values( $new ) ) ];
+    }
+
+
     /**
      * Force Products > Product Fields to highlight when viewing the field editor.
      *
@@ -437,6 +890,14 @@ public function handle_save(): void {
         'hide_in_frontend' => ! empty( $_POST['lrpf_hide_in_frontend'] ),
         'variation'        => ! empty( $_POST['lrpf_variation'] ),
         'show_links'       => ! empty( $_POST['lrpf_show_links'] ),
+        'required'         => ! empty( $_POST['lrpf_required'] ),
+        'conditions'       => FieldConditions::sanitize(
+            isset( $_POST['lrpf_conditions'] ) && is_array( $_POST['lrpf_conditions'] ) ? wp_unslash( $_POST['lrpf_conditions'] ) : [], // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized in FieldConditions::sanitize().
+            $slug
+        ),
+        'schema_property'  => StructuredData::sanitize_property(
+            isset( $_POST['lrpf_schema_property'] ) && is_scalar( $_POST['lrpf_schema_property'] ) ? sanitize_text_field( wp_unslash( (string) $_POST['lrpf_schema_property'] ) ) : ''
+        ),
     ];
 
     /**
@@ -480,8 +941,8 @@ public function handle_save(): void {
      */
     do_action( 'luma_product_fields_field_saved', $data, $action, $is_tax, $original_slug );
 
-    if ( $this->should_flag_rewrite_flush( $before, $data ) ) {
-        $this->flag_rewrite_flush();
+    if ( self::should_flag_rewrite_flush( $before, $data ) ) {
+        self::flag_rewrite_flush();
     }
 
     CacheInvalidator::invalidate_all_meta_caches();
@@ -554,14 +1015,16 @@ public function handle_save(): void {
      * - A linkable taxonomy field changes its slug.
      * - A field switches storage between taxonomy ↔ meta while linkability changes.
      *
+     * Also used by the field configuration import (SchemaImportExport).
+     *
      * @param array<string,mixed>|null $before Field definition before save (null on create).
      * @param array<string,mixed>      $after  Field definition after save (the data we just persisted).
      * @return bool True if the plugin should flush rewrite rules on next request.
      */
-    protected function should_flag_rewrite_flush( ?array $before, array $after ): bool
+    public static function should_flag_rewrite_flush( ?array $before, array $after ): bool
     {
-        $before_linkable = $this->is_linkable_taxonomy_field( $before );
-        $after_linkable  = $this->is_linkable_taxonomy_field( $after );
+        $before_linkable = self::is_linkable_taxonomy_field( $before );
+        $after_linkable  = self::is_linkable_taxonomy_field( $after );
 
         // If linkability toggled (false→true or true→false), we must flush.
         if ( $before_linkable !== $after_linkable ) {
@@ -598,7 +1061,7 @@ public function handle_save(): void {
      * @param array<string,mixed>|null $def Field definition, or null.
      * @return bool
      */
-    protected function is_linkable_taxonomy_field( ?array $def ): bool
+    protected static function is_linkable_taxonomy_field( ?array $def ): bool
     {
         if ( ! is_array( $def ) ) {
             return false;
@@ -624,7 +1087,7 @@ public function handle_save(): void {
      *
      * @return void
      */
-    protected function flag_rewrite_flush(): void
+    public static function flag_rewrite_flush(): void
     {
         update_option( 'luma_product_fields_flush_rewrite', 1, true );
     }
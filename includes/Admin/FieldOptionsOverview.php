@@ -9,6 +9,7 @@ namespace Luma\ProductFields\Admin;
 
 use Luma\ProductFields\Taxonomy\TaxonomyManager;
 use Luma\ProductFields\Meta\MetaManager;
+use Luma\ProductFields\Meta\FieldLayout;
 use Luma\ProductFields\Utils\Helpers;
 use Luma\ProductFields\Taxonomy\ProductGroup;
 
@@ -33,6 +34,7 @@ class FieldOptionsOverview {
     public function __construct() {
         add_action( 'admin_menu', [ $this, 'register_menu' ] );
         add_action( 'admin_init', [ $this, 'maybe_delete_field' ] );
+        add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_layout_script' ], 100 );
     }
 
     /**
@@ -84,6 +86,8 @@ class FieldOptionsOverview {
 
             <?php $this->render_table(); ?>
 
+            <?php $this->render_layout_editor( $selected_group ); ?>
+
             <div class="lumaprfi-actions">
                 <a href="<?php echo esc_url( admin_url( 'admin.php?page=luma-product-fields-edit' ) ); ?>" class="button button-primary button-large" style="margin-left: 1em;">
                     <span class="dashicons dashicons-plus-alt"></span><?php esc_html_e( 'Add New Field', 'luma-product-fields' ); ?>
@@ -178,6 +182,153 @@ class FieldOptionsOverview {
         echo '</tbody></table>';
     }
 
+    /**
+     * Renders the drag and drop editor for the field order and sections of the selected group.
+     *
+     * Saved through the save_field_layout AJAX action (js/admin/field-layout.js).
+     *
+     * @param string $selected_group Selected product group slug, 'general' or 'all'.
+     * @return void
+     */
+    public function render_layout_editor( string $selected_group ): void {
+        echo '<div class="lumaprfi-field-layout-wrap">';
+        echo '<h3>' . esc_html__( 'Field order and sections', 'luma-product-fields' ) . '</h3>';
+
+        if ( 'all' === $selected_group ) {
+            echo '<p class="description">' . esc_html__( 'Filter on a product group to arrange its fields. The order and sections are used on the product edit screen, in the list view and on the storefront.', 'luma-product-fields' ) . '</p>';
+            echo '</div>';
+            return;
+        }
+
+        $fields = Helpers::get_all_fields( $selected_group );
+        if ( empty( $fields ) ) {
+            echo '<p class="description">' . esc_html__( 'This product group has no fields yet.', 'luma-product-fields' ) . '</p>';
+            echo '</div>';
+            return;
+        }
+
+        // Empty sections are kept here, so they can be filled.
+        $sections = FieldLayout::get( $selected_group );
+        if ( empty( $sections ) ) {
+            $sections = [ [ 'id' => '', 'label' => '', 'collapsed' => false, 'fields' => [] ] ];
+        }
+
+        $filled      = FieldLayout::get_sections( $fields, $selected_group );
+        $by_id       = array_column( $filled, 'fields', 'id' );
+        $section_ids = array_column( $sections, 'id' );
+
+        // Fields of sections that were filtered out go to the first section.
+        foreach ( $filled as $section ) {
+            if ( ! in_array( $section['id'], $section_ids, true ) ) {
+                $by_id[''] = array_merge( $by_id[''] ?? [], $section['fields'] );
+            }
+        }
+
+        echo '<p class="description">' . esc_html__( 'Drag fields into the order they should appear in. Fields in a section are shown together under its name, and can be collapsed.', 'luma-product-fields' ) . '</p>';
+
+        printf( '<div id="lumaprfi-field-layout" data-group="%s">', esc_attr( $selected_group ) );
+
+        foreach ( $sections as $section ) {
+            $this->render_layout_section( $section, $by_id[ $section['id'] ] ?? [] );
+        }
+
+        echo '</div>';
+
+        echo '<p class="lumaprfi-field-layout-actions">';
+        echo '<button type="button" class="button lumaprfi-layout-add-section"><span class="dashicons dashicons-plus-alt2"></span>' . esc_html__( 'Add section', 'luma-product-fields' ) . '</button> ';
+        echo '<button type="button" class="button button-primary lumaprfi-layout-save">' . esc_html__( 'Save order', 'luma-product-fields' ) . '</button>';
+        echo '<span class="spinner"></span>';
+        echo '</p>';
+        echo '</div>';
+    }
+
+
+    /**
+     * Renders one section of the layout editor.
+     *
+     * @param array $section Section from FieldLayout::get().
+     * @param array $fields  Field definitions in the section, in order.
+     * @return void
+     */
+    protected function render_layout_section( array $section, array $fields ): void {
+        $is_first = '' === $section['id'];
+
+        printf(
+            '<div class="lumaprfi-layout-section%1$s" data-id="%2$s">',
+            $is_first ? ' is-unsectioned' : '',
+            esc_attr( $section['id'] )
+        );
+
+        echo '<div class="lumaprfi-layout-section-header">';
+        if ( $is_first ) {
+            echo '<strong>' . esc_html__( 'Without section', 'luma-product-fields' ) . '</strong>';
+        } else {
+            echo '<span class="dashicons dashicons-move lumaprfi-layout-section-handle" aria-hidden="true"></span>';
+            printf(
+                '<input type="text" class="lumaprfi-layout-section-label" value="%1$s" aria-label="%2$s" placeholder="%2$s" />',
+                esc_attr( $section['label'] ),
+                esc_attr__( 'Section name', 'luma-product-fields' )
+            );
+            printf(
+                '<label><input type="checkbox" class="lumaprfi-layout-section-collapsed"%1$s /> %2$s</label>',
+                checked( $section['collapsed'], true, false ),
+                esc_html__( 'Collapsed by default', 'luma-product-fields' )
+            );
+            echo '<button type="button" class="button-link lumaprfi-layout-remove-section">' . esc_html__( 'Remove section', 'luma-product-fields' ) . '</button>';
+        }
+        echo '</div>';
+
+        echo '<ul class="lumaprfi-layout-fields">';
+        foreach ( $fields as $field ) {
+            printf(
+                '<li data-slug="%1$s" tabindex="0"><span class="dashicons dashicons-menu" aria-hidden="true"></span> %2$s <code>%1$s</code></li>',
+                esc_attr( $field['slug'] ),
+                esc_html( $field['label'] ?? $field['slug'] )
+            );
+        }
+        echo '</ul>';
+
+        echo '</div>';
+    }
+
+
+    /**
+     * Enqueue the layout editor script on the Product fields screen.
+     *
+     * @return void
+     */
+    public function enqueue_layout_script(): void {
+        $page = isset( $_GET['page'] ) ? sanitize_key( wp_unslash( $_GET['page'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+
+        if ( 'luma-product-fields' !== $page ) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'luma-product-fields-field-layout',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/field-layout.js',
+            [ 'jquery', 'jquery-ui-sortable', 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_localize_script(
+            'luma-product-fields-field-layout',
+            'luma_product_fields_field_layout',
+            [
+                'strings' => [
+                    'section_name'   => __( 'Section name', 'luma-product-fields' ),
+                    'new_section'    => __( 'New section', 'luma-product-fields' ),
+                    'collapsed'      => __( 'Collapsed by default', 'luma-product-fields' ),
+                    'remove_section' => __( 'Remove section', 'luma-product-fields' ),
+                    'empty_section'  => __( 'Drag fields here', 'luma-product-fields' ),
+                    'unsaved'        => __( 'The field order has unsaved changes.', 'luma-product-fields' ),
+                ],
+            ]
+        );
+    }
+
+
     /**
      * Deletes a field if requested via GET param and user has permissions.
      *
@@ -200,6 +351,8 @@ class FieldOptionsOverview {
             MetaManager::delete_field( $slug, true );
         }
 
+        FieldLayout::remove_field( $slug );
+
         NotificationManager::add_notice(
             [
                 'type'    => 'success',
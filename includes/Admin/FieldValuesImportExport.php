@@ -0,0 +1,944 @@
+<?php
+/**
+ * Field values import and export class
+ *
+ * @package Luma\ProductFields
+ */
+
+namespace Luma\ProductFields\Admin;
+
+defined( 'ABSPATH' ) || exit;
+
+use WP_Error;
+use WC_Product;
+use Luma\ProductFields\Product\FieldStorage;
+use Luma\ProductFields\Registry\FieldTypeRegistry;
+use Luma\ProductFields\Taxonomy\ProductGroup;
+use Luma\ProductFields\Utils\Helpers;
+
+/**
+ * Export and import of product field values per product group.
+ *
+ * Export downloads the field values of a group's products, and optionally their variations,
+ * as CSV or JSON (admin-post.php). Import runs in the browser (js/admin/field-values-import.js):
+ * the file is parsed and its columns mapped to fields there, then checked against the
+ * import_match_products and resolve_terms endpoints before anything is saved. The rows are
+ * sent in chunks to import_field_values, which validates every value again and saves it
+ * through FieldStorage::save_field().
+ *
+ * CSV columns: ID, parent_id, sku, name, type, then one column per field named by its slug,
+ * `slug:min` and `slug:max` for ranges and `slug:unit` for fields with a unit. Multiple terms
+ * are separated by " | ". The JSON export holds the same data, with the field definitions.
+ *
+ * @hook luma_product_fields_export_row
+ *      Filters a product's row before it is written to the export.
+ *      @param array      $row     Row data: id, parent_id, sku, name, type and values (slug => value).
+ *      @param WC_Product $product Product or variation.
+ *      @param string     $group   Product group slug.
+ */
+class FieldValuesImportExport {
+
+    /**
+     * Admin page slug.
+     */
+    public const PAGE_SLUG = 'luma-product-fields-import-export';
+
+
+    /**
+     * admin-post.php action and nonce action of the export.
+     */
+    public const EXPORT_ACTION = 'luma_product_fields_export_values';
+
+
+    /**
+     * Value of `format` in JSON exports.
+     */
+    public const JSON_FORMAT = 'luma-product-fields-values';
+
+
+    /**
+     * Version of the export format.
+     */
+    public const FORMAT_VERSION = 1;
+
+
+    /**
+     * Maximum number of rows per import request.
+     */
+    public const IMPORT_BATCH_SIZE = 25;
+
+
+    /**
+     * Maximum number of IDs or SKUs per import_match_products request.
+     */
+    public const MATCH_LIMIT = 500;
+
+
+    /**
+     * Separator of multiple terms in CSV cells.
+     */
+    public const LIST_SEPARATOR = ' | ';
+
+
+    /**
+     * Constructor.
+     *
+     * Registers the page, the export handler and the import endpoints.
+     */
+    public function __construct() {
+        add_action( 'admin_menu', [ $this, 'register_page' ] );
+        add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ], 100 );
+        add_action( 'admin_post_' . self::EXPORT_ACTION, [ $this, 'handle_export' ] );
+        add_action( LUMA_PRODUCT_FIELDS_PREFIX . '_incoming_ajax_import_match_products', [ $this, 'ajax_match_products' ] );
+        add_action( LUMA_PRODUCT_FIELDS_PREFIX . '_incoming_ajax_import_field_values', [ $this, 'ajax_import_values' ] );
+    }
+
+
+    /**
+     * Register the page under Products, below the product fields overview.
+     *
+     * @return void
+     */
+    public function register_page(): void {
+        add_submenu_page(
+            'edit.php?post_type=product',
+            __( 'Import and export field values', 'luma-product-fields' ),
+            __( 'Field values import / export', 'luma-product-fields' ),
+            'manage_woocommerce',
+            self::PAGE_SLUG,
+            [ $this, 'render_page' ],
+            6
+        );
+    }
+
+
+    /**
+     * URL of the page.
+     *
+     * @param string $group Product group slug to preselect, or ''.
+     * @return string
+     */
+    public static function get_page_url( string $group = '' ): string {
+        $args = [
+            'post_type' => 'product',
+            'page'      => self::PAGE_SLUG,
+        ];
+
+        if ( '' !== $group ) {
+            $args['product_group'] = $group;
+        }
+
+        return add_query_arg( $args, admin_url( 'edit.php' ) );
+    }
+
+
+    /**
+     * Check if the current admin screen is the import / export page.
+     *
+     * @return bool
+     */
+    public static function is_import_export_screen(): bool {
+        $page_input = filter_input( INPUT_GET, 'page', FILTER_DEFAULT );
+        $page       = is_string( $page_input ) ? sanitize_key( wp_unslash( $page_input ) ) : '';
+
+        return is_admin() && self::PAGE_SLUG === $page;
+    }
+
+
+    /**
+     * Enqueue the import script on the import / export page.
+     *
+     * @return void
+     */
+    public function enqueue_scripts(): void {
+        if ( ! self::is_import_export_screen() ) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'luma-product-fields-field-values-import',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/field-values-import.js',
+            [ 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_localize_script( 'luma-product-fields-field-values-import', 'luma_product_fields_import', $this->get_script_data() );
+    }
+
+
+    /**
+     * Fields of every product group and strings for the import script.
+     *
+     * @return array
+     */
+    protected function get_script_data(): array {
+        $groups = [ 'general' => __( 'No group', 'luma-product-fields' ) ] + ProductGroup::get_product_groups();
+        $fields = [];
+
+        foreach ( $groups as $slug => $label ) {
+            $fields[ $slug ] = array_map( [ $this, 'describe_field' ], Helpers::get_fields_for_group( (string) $slug ) );
+        }
+
+        return [
+            'batch_size'   => self::IMPORT_BATCH_SIZE,
+            'match_limit'  => self::MATCH_LIMIT,
+            'json_format'  => self::JSON_FORMAT,
+            'fields'       => $fields,
+            'overview_url' => admin_url( 'edit.php?post_type=product&page=luma-product-fields-overview' ),
+            'strings'      => [
+                'column'            => __( 'Column', 'luma-product-fields' ),
+                'sample'            => __( 'Sample values', 'luma-product-fields' ),
+                'import_as'         => __( 'Import as', 'luma-product-fields' ),
+                'skip_column'       => __( '— Skip column —', 'luma-product-fields' ),
+                'product_id'        => __( 'Product ID', 'luma-product-fields' ),
+                'sku'               => __( 'SKU', 'luma-product-fields' ),
+                /* translators: %s: field label */
+                'field_min'         => __( '%s (min)', 'luma-product-fields' ),
+                /* translators: %s: field label */
+                'field_max'         => __( '%s (max)', 'luma-product-fields' ),
+                /* translators: %s: field label */
+                'field_range'       => __( '%s (range, e.g. 3-5)', 'luma-product-fields' ),
+                'line'              => __( 'Line', 'luma-product-fields' ),
+                'product'           => __( 'Product', 'luma-product-fields' ),
+                'field'             => __( 'Field', 'luma-product-fields' ),
+                'message'           => __( 'Problem', 'luma-product-fields' ),
+                'read_failed'       => __( 'The file could not be read.', 'luma-product-fields' ),
+                'invalid_json'      => __( 'The file is not valid JSON.', 'luma-product-fields' ),
+                'empty_file'        => __( 'The file has no rows to import.', 'luma-product-fields' ),
+                'no_product_column' => __( 'Map a column to Product ID or SKU, so products can be found.', 'luma-product-fields' ),
+                'no_field_column'   => __( 'Map at least one column to a field.', 'luma-product-fields' ),
+                'checking'          => __( 'Checking products and values…', 'luma-product-fields' ),
+                'product_not_found' => __( 'Product not found.', 'luma-product-fields' ),
+                'not_in_group'      => __( 'The product is not in this product group.', 'luma-product-fields' ),
+                'not_editable'      => __( 'You are not allowed to edit this product.', 'luma-product-fields' ),
+                'not_for_variation' => __( 'This field is not enabled for variations.', 'luma-product-fields' ),
+                'invalid_range'     => __( 'Enter a range like 10-20, or a single number.', 'luma-product-fields' ),
+                /* translators: %s: term name */
+                'unknown_term'      => __( 'Unknown option: %s.', 'luma-product-fields' ),
+                /* translators: %s: comma separated term names */
+                'new_terms'         => __( 'New terms will be created: %s.', 'luma-product-fields' ),
+                /* translators: 1: rows to import, 2: rows with problems, 3: values to save, 4: invalid values, 5: empty values skipped */
+                'summary'           => __( '%1$d products will be updated, %2$d rows have problems. Values to save: %3$d, invalid: %4$d, empty and skipped: %5$d.', 'luma-product-fields' ),
+                /* translators: %d: number of rows shown */
+                'preview_limited'   => __( 'The preview shows the first %d rows.', 'luma-product-fields' ),
+                'problems_only'     => __( 'Show only rows with problems', 'luma-product-fields' ),
+                /* translators: %d: number of products */
+                'import'            => __( 'Import %d products', 'luma-product-fields' ),
+                /* translators: 1: rows done, 2: total rows */
+                'progress'          => __( 'Importing %1$d of %2$d…', 'luma-product-fields' ),
+                /* translators: 1: values saved, 2: values failed */
+                'done'              => __( 'Import finished: %1$d values saved, %2$d failed.', 'luma-product-fields' ),
+                'paused'            => __( 'Paused. Retry to continue the import.', 'luma-product-fields' ),
+                'failed_heading'    => __( 'These values could not be imported:', 'luma-product-fields' ),
+                'open_overview'     => __( 'Open the product fields overview', 'luma-product-fields' ),
+            ],
+        ];
+    }
+
+
+    /**
+     * The properties of a field the import script needs.
+     *
+     * @param array $field Field definition.
+     * @return array{slug: string, label: string, type: string, unit: string, taxonomy: bool, multiple: bool, range: bool, variation: bool}
+     */
+    public function describe_field( array $field ): array {
+        $type = (string) ( $field['type'] ?? 'text' );
+
+        return [
+            'slug'      => (string) $field['slug'],
+            'label'     => (string) ( $field['label'] ?? $field['slug'] ),
+            'type'      => $type,
+            'unit'      => (string) ( $field['unit'] ?? '' ),
+            'taxonomy'  => Helpers::is_taxonomy_field( (string) $field['slug'] ),
+            'multiple'  => FieldTypeRegistry::supports( $type, 'multiple_values' ),
+            'range'     => $this->is_range_field( $field ),
+            'variation' => ! empty( $field['variation'] ),
+        ];
+    }
+
+
+    /**
+     * Render the page: export form and import screen.
+     *
+     * @return void
+     */
+    public function render_page(): void {
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'luma-product-fields' ) );
+        }
+
+        $group_input = filter_input( INPUT_GET, 'product_group', FILTER_DEFAULT );
+        $group       = is_string( $group_input ) ? sanitize_title( wp_unslash( $group_input ) ) : '';
+        $admin       = new Admin();
+        $select_args = [ 'include_general' => true ];
+        $allowed     = wp_kses_allowed_html( 'luma_product_fields_admin_fields' );
+
+        echo '<div id="lumaprfi-import-export" class="wrap">';
+        echo '<h1>' . esc_html__( 'Import and export field values', 'luma-product-fields' ) . '</h1>';
+        echo '<p>' . esc_html__( 'Export the field values of a product group to send them to suppliers or marketplaces, and import the edited file again. Products are matched by ID or SKU.', 'luma-product-fields' ) . '</p>';
+
+        echo '<h2>' . esc_html__( 'Export', 'luma-product-fields' ) . '</h2>';
+        echo '<form method="post" action="' . esc_url( admin_url( 'admin-post.php' ) ) . '">';
+        echo '<input type="hidden" name="action" value="' . esc_attr( self::EXPORT_ACTION ) . '" />';
+        wp_nonce_field( self::EXPORT_ACTION, 'luma_product_fields_export_nonce' );
+
+        echo '<table class="form-table"><tbody>';
+
+        echo '<tr><th scope="row"><label for="product_group">' . esc_html__( 'Product group', 'luma-product-fields' ) . '</label></th><td>';
+        echo wp_kses( $admin->get_product_group_select( 'product_group', $group, null, $select_args ), $allowed );
+        echo '</td></tr>';
+
+        echo '<tr><th scope="row">' . esc_html__( 'Format', 'luma-product-fields' ) . '</th><td>';
+        echo '<label><input type="radio" name="format" value="csv" checked /> CSV</label><br />';
+        echo '<label><input type="radio" name="format" value="json" /> JSON</label>';
+        echo '</td></tr>';
+
+        echo '<tr><th scope="row">' . esc_html__( 'Options', 'luma-product-fields' ) . '</th><td>';
+        echo '<label><input type="checkbox" name="include_variations" value="1" checked /> ' . esc_html__( 'Include variations', 'luma-product-fields' ) . '</label><br />';
+        echo '<label>' . esc_html__( 'Terms as', 'luma-product-fields' ) . ' <select name="term_format">';
+        echo '<option value="names">' . esc_html__( 'Names', 'luma-product-fields' ) . '</option>';
+        echo '<option value="slugs">' . esc_html__( 'Slugs', 'luma-product-fields' ) . '</option>';
+        echo '</select></label>';
+        echo '</td></tr>';
+
+        echo '</tbody></table>';
+        echo '<p><button type="submit" class="button button-primary">' . esc_html__( 'Download export', 'luma-product-fields' ) . '</button></p>';
+        echo '</form>';
+
+        echo '<hr />';
+
+        echo '<h2>' . esc_html__( 'Import', 'luma-product-fields' ) . '</h2>';
+        echo '<p>' . esc_html__( 'Choose a CSV or JSON file. You can map its columns to fields and check every value before anything is saved.', 'luma-product-fields' ) . '</p>';
+
+        echo '<div class="lumaprfi-import">';
+        echo '<table class="form-table"><tbody>';
+
+        echo '<tr><th scope="row"><label for="lumaprfi-import-group">' . esc_html__( 'Product group', 'luma-product-fields' ) . '</label></th><td>';
+        echo wp_kses( $admin->get_product_group_select( 'lumaprfi-import-group', $group, null, $select_args ), $allowed );
+        echo '</td></tr>';
+
+        echo '<tr><th scope="row"><label for="lumaprfi-import-file">' . esc_html__( 'File', 'luma-product-fields' ) . '</label></th><td>';
+        echo '<input type="file" id="lumaprfi-import-file" accept=".csv,.json,.txt,text/csv,application/json" />';
+        echo '</td></tr>';
+
+        echo '<tr><th scope="row">' . esc_html__( 'Options', 'luma-product-fields' ) . '</th><td>';
+        echo '<label><input type="checkbox" id="lumaprfi-import-create-terms" /> ' . esc_html__( 'Create terms that do not exist yet', 'luma-product-fields' ) . '</label><br />';
+        echo '<label><input type="checkbox" id="lumaprfi-import-clear-empty" /> ' . esc_html__( 'Clear fields where the cell is empty', 'luma-product-fields' ) . '</label>';
+        echo '</td></tr>';
+
+        echo '</tbody></table>';
+
+        // Filled by field-values-import.js
+        echo '<div class="lumaprfi-import-mapping" hidden></div>';
+        echo '<div class="lumaprfi-import-preview" hidden></div>';
+        echo '<div class="lumaprfi-import-runner" hidden>';
+        echo '<progress class="lumaprfi-import-progress" max="100" value="0"></progress>';
+        echo '<p class="lumaprfi-import-progress-text" aria-live="polite"></p>';
+        echo '<div class="lumaprfi-import-results"></div>';
+        echo '</div>';
+
+        echo '</div>';
+        echo '</div>';
+    }
+
+
+    /**
+     * admin-post.php: download the field values of a product group.
+     *
+     * @return void
+     */
+    public function handle_export(): void {
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'luma-product-fields' ) );
+        }
+
+        check_admin_referer( self::EXPORT_ACTION, 'luma_product_fields_export_nonce' );
+
+        $group              = isset( $_POST['product_group'] ) ? sanitize_title( wp_unslash( $_POST['product_group'] ) ) : '';
+        $format             = isset( $_POST['format'] ) && 'json' === sanitize_key( wp_unslash( $_POST['format'] ) ) ? 'json' : 'csv';
+        $include_variations = ! empty( $_POST['include_variations'] );
+        $term_format        = isset( $_POST['term_format'] ) && 'slugs' === sanitize_key( wp_unslash( $_POST['term_format'] ) ) ? 'slugs' : 'names';
+
+        if ( ! $this->is_valid_group( $group ) ) {
+            wp_die( esc_html__( 'Invalid product group.', 'luma-product-fields' ) );
+        }
+
+        $fields   = Helpers::get_fields_for_group( $group );
+        $filename = sprintf( 'product-fields-%s-%s.%s', $group, gmdate( 'Y-m-d' ), $format );
+
+        nocache_headers();
+        header( 'Content-Type: ' . ( 'json' === $format ? 'application/json' : 'text/csv' ) . '; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+        if ( 'json' === $format ) {
+            $this->output_json( $group, $fields, $include_variations, $term_format );
+        } else {
+            $this->output_csv( $group, $fields, $include_variations, $term_format );
+        }
+
+        exit;
+    }
+
+
+    /**
+     * Write the export as JSON.
+     *
+     * @param string $group              Product group slug.
+     * @param array  $fields             Field definitions of the group.
+     * @param bool   $include_variations Add the variations of variable products.
+     * @param string $term_format        'names' or 'slugs'.
+     * @return void
+     */
+    protected function output_json( string $group, array $fields, bool $include_variations, string $term_format ): void {
+        $products = [];
+
+        foreach ( $this->get_export_products( $group, $include_variations ) as $product ) {
+            $products[] = $this->get_export_row( $product, $group, $fields, $term_format );
+        }
+
+        echo wp_json_encode(
+            [
+                'format'        => self::JSON_FORMAT,
+                'version'       => self::FORMAT_VERSION,
+                'product_group' => $group,
+                'exported'      => gmdate( 'c' ),
+                'fields'        => array_map( [ $this, 'describe_field' ], $fields ),
+                'products'      => $products,
+            ],
+            JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES
+        );
+    }
+
+
+    /**
+     * Write the export as CSV.
+     *
+     * @param string $group              Product group slug.
+     * @param array  $fields             Field definitions of the group.
+     * @param bool   $include_variations Add the variations of variable products.
+     * @param string $term_format        'names' or 'slugs'.
+     * @return void
+     */
+    protected function output_csv( string $group, array $fields, bool $include_variations, string $term_format ): void {
+        // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen -- Streams the download.
+        $output = fopen( 'php://output', 'w' );
+
+        // Byte order mark, so spreadsheet applications read the file as UTF-8
+        fwrite( $output, "\xEF\xBB\xBF" ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fwrite
+
+        $header = [ 'ID', 'parent_id', 'sku', 'name', 'type' ];
+        foreach ( $fields as $field ) {
+            if ( $this->is_range_field( $field ) ) {
+                $header[] = $field['slug'] . ':min';
+                $header[] = $field['slug'] . ':max';
+            } else {
+                $header[] = $field['slug'];
+            }
+
+            if ( ! empty( $field['unit'] ) ) {
+                $header[] = $field['slug'] . ':unit';
+            }
+        }
+        fputcsv( $output, $header );
+
+        foreach ( $this->get_export_products( $group, $include_variations ) as $product ) {
+            $row  = $this->get_export_row( $product, $group, $fields, $term_format );
+            $line = [ $row['id'], $row['parent_id'], $row['sku'], $row['name'], $row['type'] ];
+
+            foreach ( $fields as $field ) {
+                $value = $row['values'][ $field['slug'] ] ?? '';
+
+                if ( $this->is_range_field( $field ) ) {
+                    $line[] = is_array( $value ) ? ( $value['min'] ?? '' ) : '';
+                    $line[] = is_array( $value ) ? ( $value['max'] ?? '' ) : '';
+                } else {
+                    $line[] = is_array( $value ) ? implode( self::LIST_SEPARATOR, $value ) : (string) $value;
+                }
+
+                if ( ! empty( $field['unit'] ) ) {
+                    $line[] = $field['unit'];
+                }
+            }
+
+            fputcsv( $output, array_map( [ $this, 'escape_csv_cell' ], $line ) );
+        }
+
+        fclose( $output ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+    }
+
+
+    /**
+     * Escape a cell that a spreadsheet application would run as a formula, like
+     * WC_CSV_Exporter::escape_data(). Numbers are left alone. The import strips the quote again.
+     *
+     * @param mixed $value Cell value.
+     * @return string
+     */
+    protected function escape_csv_cell( $value ): string {
+        $value    = (string) $value;
+        $triggers = [ '=', '+', '-', '@', chr( 0x09 ), chr( 0x0d ) ];
+
+        if ( '' !== $value && ! is_numeric( $value ) && in_array( mb_substr( $value, 0, 1 ), $triggers, true ) ) {
+            $value = "'" . $value;
+        }
+
+        return $value;
+    }
+
+
+    /**
+     * Products of a group in ID order, each followed by its variations.
+     *
+     * @param string $group              Product group slug ('general' for products without a group).
+     * @param bool   $include_variations Add the variations of variable products.
+     * @return \Generator<WC_Product>
+     */
+    protected function get_export_products( string $group, bool $include_variations ): \Generator {
+        $args = [
+            'status'  => [ 'publish', 'private', 'draft', 'pending' ],
+            'limit'   => -1,
+            'return'  => 'ids',
+            'orderby' => 'ID',
+            'order'   => 'ASC',
+        ];
+
+        // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+        $args['tax_query'] = [
+            'general' === $group
+                ? [
+                    'taxonomy' => ProductGroup::$tax_name,
+                    'operator' => 'NOT EXISTS',
+                ]
+                : [
+                    'taxonomy' => ProductGroup::$tax_name,
+                    'field'    => 'slug',
+                    'terms'    => $group,
+                ],
+        ];
+
+        foreach ( wc_get_products( $args ) as $product_id ) {
+            $product = wc_get_product( $product_id );
+            if ( ! $product ) {
+                continue;
+            }
+
+            yield $product;
+
+            if ( $include_variations && $product->is_type( 'variable' ) ) {
+                foreach ( $product->get_children() as $variation_id ) {
+                    $variation = wc_get_product( $variation_id );
+                    if ( $variation ) {
+                        yield $variation;
+                    }
+                }
+            }
+        }
+    }
+
+
+    /**
+     * Export data of one product or variation.
+     *
+     * Variations only get values of fields enabled for variations, without falling back to
+     * the parent value, so an import writes them back unchanged.
+     *
+     * @param WC_Product $product     Product or variation.
+     * @param string     $group       Product group slug.
+     * @param array      $fields      Field definitions of the group.
+     * @param string     $term_format 'names' or 'slugs'.
+     * @return array{id: int, parent_id: int, sku: string, name: string, type: string, values: array<string, mixed>}
+     */
+    protected function get_export_row( WC_Product $product, string $group, array $fields, string $term_format ): array {
+        $product_id   = $product->get_id();
+        $is_variation = $product->is_type( 'variation' );
+        $values       = [];
+
+        foreach ( $fields as $field ) {
+            $slug = $field['slug'];
+
+            if ( $is_variation && empty( $field['variation'] ) ) {
+                $values[ $slug ] = $this->is_range_field( $field ) ? [ 'min' => '', 'max' => '' ] : '';
+                continue;
+            }
+
+            $value = Helpers::get_editable_field_value( $product_id, $slug );
+
+            if ( Helpers::is_taxonomy_field( $slug ) && 'names' === $term_format ) {
+                $names = array_map(
+                    static function ( $term_slug ) use ( $slug ) {
+                        $term = get_term_by( 'slug', (string) $term_slug, $slug );
+                        return $term ? $term->name : (string) $term_slug;
+                    },
+                    array_filter( (array) $value, 'strlen' )
+                );
+
+                $value = is_array( $value ) ? array_values( $names ) : (string) ( reset( $names ) ?: '' );
+            }
+
+            $values[ $slug ] = $value;
+        }
+
+        $row = [
+            'id'        => $product_id,
+            'parent_id' => $product->get_parent_id(),
+            'sku'       => (string) $product->get_sku(),
+            'name'      => $product->get_name(),
+            'type'      => $product->get_type(),
+            'values'    => $values,
+        ];
+
+        /**
+         * Filters a product's row before it is written to the export.
+         *
+         * @hook luma_product_fields_export_row
+         *
+         * @param array      $row     Row data: id, parent_id, sku, name, type and values (slug => value).
+         * @param WC_Product $product Product or variation.
+         * @param string     $group   Product group slug.
+         */
+        return apply_filters( 'luma_product_fields_export_row', $row, $product, $group );
+    }
+
+
+    /**
+     * AJAX: find the products of an import by ID and SKU.
+     *
+     * Expects `product_group`, `ids[]` and `skus[]`. Returns `ids` (ID => product) and `skus`
+     * (SKU => product), with null for products that were not found. A product is
+     * {id, name, variation, in_group, editable}.
+     *
+     * @return void
+     */
+    public function ajax_match_products(): void {
+        $group = $this->read_group();
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified by Ajax::handle_request().
+        $ids  = isset( $_POST['ids'] ) ? array_map( 'absint', (array) wp_unslash( $_POST['ids'] ) ) : [];
+        $skus = isset( $_POST['skus'] ) ? array_map( 'sanitize_text_field', (array) wp_unslash( $_POST['skus'] ) ) : []; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized by array_map.
+        // phpcs:enable WordPress.Security.NonceVerification.Missing
+
+        $by_id = [];
+        foreach ( array_slice( array_unique( array_filter( $ids ) ), 0, self::MATCH_LIMIT ) as $product_id ) {
+            $by_id[ $product_id ] = $this->describe_product( $product_id, $group );
+        }
+
+        $by_sku = [];
+        foreach ( array_slice( array_unique( array_filter( $skus, 'strlen' ) ), 0, self::MATCH_LIMIT ) as $sku ) {
+            $product_id       = wc_get_product_id_by_sku( $sku );
+            $by_sku[ $sku ] = $product_id ? $this->describe_product( (int) $product_id, $group ) : null;
+        }
+
+        wp_send_json_success(
+            [
+                'ids'  => (object) $by_id,
+                'skus' => (object) $by_sku,
+            ]
+        );
+    }
+
+
+    /**
+     * AJAX: save the values of a chunk of import rows.
+     *
+     * Expects `product_group`, `create_terms` and `rows`, a JSON list of
+     * {line, product_id, values: {slug: value}}. Every value is checked again here; rows and
+     * values that fail are reported and the rest is saved.
+     *
+     * @return void
+     */
+    public function ajax_import_values(): void {
+        $group = $this->read_group();
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified by Ajax::handle_request().
+        $create_terms = isset( $_POST['create_terms'] ) && filter_var( wp_unslash( $_POST['create_terms'] ), FILTER_VALIDATE_BOOLEAN );
+        $rows         = isset( $_POST['rows'] ) && is_string( $_POST['rows'] ) ? json_decode( wp_unslash( $_POST['rows'] ), true ) : null; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized per value in import_row().
+        // phpcs:enable WordPress.Security.NonceVerification.Missing
+
+        if ( ! is_array( $rows ) ) {
+            NotificationManager::ajax_error( __( 'Invalid import data.', 'luma-product-fields' ), 'invalid_rows', [], 400 );
+        }
+
+        if ( count( $rows ) > self::IMPORT_BATCH_SIZE ) {
+            NotificationManager::ajax_error( __( 'Too many products in one batch.', 'luma-product-fields' ), 'batch_too_large', [], 400 );
+        }
+
+        $fields  = array_column( Helpers::get_fields_for_group( $group ), null, 'slug' );
+        $results = [];
+
+        foreach ( $rows as $row ) {
+            $results[] = $this->import_row( is_array( $row ) ? $row : [], $fields, $group, $create_terms );
+        }
+
+        wp_send_json_success( [ 'results' => $results ] );
+    }
+
+
+    /**
+     * Save the values of one import row.
+     *
+     * @param array  $row          {line, product_id, values}.
+     * @param array  $fields       Field definitions of the group, keyed by slug.
+     * @param string $group        Product group slug.
+     * @param bool   $create_terms Create terms that do not exist.
+     * @return array{line: int, product_id: int, saved: int, errors: array<int, array{field: string, message: string}>}
+     */
+    protected function import_row( array $row, array $fields, string $group, bool $create_terms ): array {
+        $product_id = absint( $row['product_id'] ?? 0 );
+        $product    = $product_id ? wc_get_product( $product_id ) : null;
+        $result     = [
+            'line'       => absint( $row['line'] ?? 0 ),
+            'product_id' => $product_id,
+            'saved'      => 0,
+            'errors'     => [],
+        ];
+
+        $error = null;
+        if ( ! $product ) {
+            $error = __( 'Product not found.', 'luma-product-fields' );
+        } elseif ( ! current_user_can( 'edit_post', $product_id ) ) {
+            $error = __( 'You are not allowed to edit this product.', 'luma-product-fields' );
+        } elseif ( Helpers::get_product_group_slug( $product_id ) !== $group ) {
+            $error = __( 'The product is not in this product group.', 'luma-product-fields' );
+        }
+
+        if ( null !== $error ) {
+            $result['errors'][] = [ 'field' => '', 'message' => $error ];
+            return $result;
+        }
+
+        foreach ( (array) ( $row['values'] ?? [] ) as $slug => $raw ) {
+            $slug  = sanitize_key( (string) $slug );
+            $field = $fields[ $slug ] ?? null;
+
+            if ( ! $field ) {
+                $result['errors'][] = [ 'field' => $slug, 'message' => __( 'Unknown field.', 'luma-product-fields' ) ];
+                continue;
+            }
+
+            if ( $product->is_type( 'variation' ) && empty( $field['variation'] ) ) {
+                $result['errors'][] = [ 'field' => $slug, 'message' => __( 'This field is not enabled for variations.', 'luma-product-fields' ) ];
+                continue;
+            }
+
+            $value = $this->prepare_value( $field, $raw, $create_terms );
+
+            if ( is_wp_error( $value ) ) {
+                $result['errors'][] = [ 'field' => $slug, 'message' => $value->get_error_message() ];
+                continue;
+            }
+
+            if ( $this->is_unchanged_range( $product_id, $field, $value ) ) {
+                $result['saved']++;
+                continue;
+            }
+
+            if ( ! FieldStorage::save_field( $product_id, $slug, $value ) ) {
+                $result['errors'][] = [ 'field' => $slug, 'message' => __( 'Could not save the field value.', 'luma-product-fields' ) ];
+                continue;
+            }
+
+            $result['saved']++;
+        }
+
+        return $result;
+    }
+
+
+    /**
+     * Check an imported value and turn it into the value FieldStorage::save_field() takes.
+     *
+     * Terms are matched by slug, then by name. Empty values clear the field.
+     *
+     * @param array $field        Field definition.
+     * @param mixed $raw          Imported value: a string, a list of terms or {min, max}.
+     * @param bool  $create_terms Create terms that do not exist.
+     * @return mixed|WP_Error
+     */
+    protected function prepare_value( array $field, $raw, bool $create_terms ) {
+        $type = (string) ( $field['type'] ?? 'text' );
+
+        if ( Helpers::is_taxonomy_field( $field['slug'] ) ) {
+            $slugs = [];
+
+            foreach ( array_filter( array_map( 'sanitize_text_field', array_map( 'strval', (array) $raw ) ), 'strlen' ) as $item ) {
+                $term = get_term_by( 'slug', $item, $field['slug'] ) ?: get_term_by( 'name', $item, $field['slug'] );
+
+                if ( $term ) {
+                    $slugs[] = $term->slug;
+                    continue;
+                }
+
+                if ( ! $create_terms ) {
+                    /* translators: %s: term name */
+                    return new WP_Error( 'unknown_term', sprintf( __( 'Unknown option: %s.', 'luma-product-fields' ), $item ) );
+                }
+
+                $created = wp_insert_term( $item, $field['slug'] );
+                if ( is_wp_error( $created ) ) {
+                    return $created;
+                }
+
+                $created_term = get_term( (int) $created['term_id'], $field['slug'] );
+                $slugs[]      = $created_term && ! is_wp_error( $created_term ) ? $created_term->slug : sanitize_title( $item );
+            }
+
+            $slugs = array_values( array_unique( $slugs ) );
+
+            return FieldTypeRegistry::supports( $type, 'multiple_values' ) ? $slugs : (string) ( $slugs[0] ?? '' );
+        }
+
+        if ( $this->is_range_field( $field ) ) {
+            $raw = is_array( $raw ) ? $raw : [];
+            $min = $this->normalize_number( $raw['min'] ?? '' );
+            $max = $this->normalize_number( $raw['max'] ?? '' );
+
+            if ( null === $min || null === $max ) {
+                return new WP_Error( 'invalid_range', __( 'Enter a range like 10-20, or a single number.', 'luma-product-fields' ) );
+            }
+
+            if ( '' !== $min && '' !== $max && (float) $min > (float) $max ) {
+                return new WP_Error( 'invalid_range', __( 'Min must be less than or equal to max.', 'luma-product-fields' ) );
+            }
+
+            return [ 'min' => $min, 'max' => $max ];
+        }
+
+        if ( is_array( $raw ) ) {
+            return FieldTypeRegistry::supports( $type, 'multiple_values' )
+                ? array_values( array_filter( array_map( 'sanitize_text_field', array_map( 'strval', $raw ) ), 'strlen' ) )
+                : new WP_Error( 'invalid_value', __( 'Invalid value.', 'luma-product-fields' ) );
+        }
+
+        $value = sanitize_text_field( (string) $raw );
+
+        if ( 'number' === $type || 'integer' === $type ) {
+            $number = $this->normalize_number( $value );
+
+            if ( null === $number ) {
+                return new WP_Error( 'invalid_number', __( 'Enter a number, e.g. 12 or 12.5.', 'luma-product-fields' ) );
+            }
+
+            if ( 'integer' === $type && '' !== $number && false === filter_var( $number, FILTER_VALIDATE_INT ) ) {
+                return new WP_Error( 'invalid_integer', __( 'Enter a whole number.', 'luma-product-fields' ) );
+            }
+
+            return $number;
+        }
+
+        return $value;
+    }
+
+
+    /**
+     * Normalize a number with a decimal comma.
+     *
+     * @param mixed $value Value.
+     * @return string|null The number, '' when empty, or null when it is not a number.
+     */
+    protected function normalize_number( $value ): ?string {
+        $value = trim( str_replace( ',', '.', (string) $value ) );
+
+        if ( '' === $value ) {
+            return '';
+        }
+
+        return is_numeric( $value ) ? $value : null;
+    }
+
+
+    /**
+     * The import data of a product.
+     *
+     * @param int    $product_id Product or variation ID.
+     * @param string $group      Product group slug of the import.
+     * @return array{id: int, name: string, variation: bool, in_group: bool, editable: bool}|null
+     */
+    protected function describe_product( int $product_id, string $group ): ?array {
+        $product = wc_get_product( $product_id );
+
+        if ( ! $product ) {
+            return null;
+        }
+
+        return [
+            'id'        => $product_id,
+            'name'      => $product->get_name(),
+            'variation' => $product->is_type( 'variation' ),
+            'in_group'  => Helpers::get_product_group_slug( $product_id ) === $group,
+            'editable'  => current_user_can( 'edit_post', $product_id ),
+        ];
+    }
+
+
+    /**
+     * Whether an imported range equals the stored one. Saving an unchanged range fails,
+     * as update_post_meta() returns false when nothing changes.
+     *
+     * @param int   $product_id Product or variation ID.
+     * @param array $field      Field definition.
+     * @param mixed $value      Value from prepare_value().
+     * @return bool
+     */
+    protected function is_unchanged_range( int $product_id, array $field, $value ): bool {
+        if ( ! $this->is_range_field( $field ) || ! is_array( $value ) ) {
+            return false;
+        }
+
+        $current = Helpers::get_editable_field_value( $product_id, $field['slug'] );
+        if ( ! is_array( $current ) ) {
+            return false;
+        }
+
+        foreach ( [ 'min', 'max' ] as $key ) {
+            $old = (string) ( $current[ $key ] ?? '' );
+            $new = (string) ( $value[ $key ] ?? '' );
+
+            if ( ( '' === $old ) !== ( '' === $new ) || (float) $old !== (float) $new ) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+
+    /**
+     * Whether a field stores a min/max range.
+     *
+     * @param array $field Field definition.
+     * @return bool
+     */
+    protected function is_range_field( array $field ): bool {
+        $type       = (string) ( $field['type'] ?? 'text' );
+        $definition = FieldTypeRegistry::get( $type ) ?? [];
+
+        return 'minmax' === $type || 'range' === ( $definition['validation'] ?? '' );
+    }
+
+
+    /**
+     * Whether a product group slug exists ('general' for products without a group).
+     *
+     * @param string $group Product group slug.
+     * @return bool
+     */
+    protected function is_valid_group( string $group ): bool {
+        return 'general' === $group || array_key_exists( $group, ProductGroup::get_product_groups() );
+    }
+
+
+    /**
+     * Read and validate the product group of an import request.
+     *
+     * @return string Product group slug.
+     */
+    protected function read_group(): string {
+        $group = isset( $_POST['product_group'] ) ? sanitize_title( wp_unslash( $_POST['product_group'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified by Ajax::handle_request().
+
+        if ( ! $this->is_valid_group( $group ) ) {
+            NotificationManager::ajax_error( __( 'Invalid product group.', 'luma-product-fields' ), 'invalid_product_group', [], 400 );
+        }
+
+        return $group;
+    }
+}
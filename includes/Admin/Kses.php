@@ -61,12 +61,15 @@ class Kses {
 	private function get_allowed_admin_fields_html(): array {
 		return [
 			'div' => [
-				'id'                  => true,
-				'class'               => true,
-				'data-product-id'     => true,
-				'data-field-slug'     => true,
-				'data-field-type'     => true,
-				'data-original-value' => true,
+				'id'                    => true,
+				'class'                 => true,
+				'data-product-id'       => true,
+				'data-field-slug'       => true,
+				'data-field-type'       => true,
+				'data-original-value'   => true,
+				'data-field-unit'       => true,
+				'data-field-required'   => true,
+				'data-field-conditions' => true,
 			],
 			'span'     => [
 				'id'          => true,
@@ -128,6 +131,12 @@ class Kses {
                 'class' => true, 
                 'id' => true 
             ],
+            'details'  => [
+                'class'        => true,
+                'data-section' => true,
+                'open'         => true,
+            ],
+            'summary'  => [],
 			'a'        => [
 				'href'   => true,
 				'class'  => true,
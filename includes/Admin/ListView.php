@@ -60,6 +60,177 @@ class ListView {
     public function __construct() {
         $this->page_title = __('Product fields overview', 'luma-product-fields');
         add_action('admin_menu', array( $this, 'register_list_page') );
+        add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ], 100 );
+    }
+
+
+    /**
+     * Enqueue list view scripts on the overview screen only.
+     *
+     * @return void
+     */
+    public function enqueue_scripts(): void {
+        if ( ! self::is_list_view_screen() ) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'luma-product-fields-listview-bulk-fill',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/listview-bulk-fill.js',
+            [ 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_enqueue_script(
+            'luma-product-fields-listview-history',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/listview-history.js',
+            [ 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_enqueue_script(
+            'luma-product-fields-listview-conflicts',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/listview-conflicts.js',
+            [ 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_enqueue_script(
+            'luma-product-fields-listview-completeness',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/listview-completeness.js',
+            [ 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_enqueue_script(
+            'luma-product-fields-listview-paste',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/listview-paste.js',
+            [ 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_enqueue_script(
+            'luma-product-fields-listview-columns',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/listview-columns.js',
+            [ 'luma-product-fields-admin-js', 'jquery-ui-sortable' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_localize_script( 'luma-product-fields-admin-js', 'luma_product_fields_listview', $this->get_script_data() );
+    }
+
+
+    /**
+     * Data and strings for the list view scripts.
+     *
+     * @return array
+     */
+    protected function get_script_data(): array {
+        return [
+            'bulk_batch_size'  => min( 10, Ajax::BULK_BATCH_LIMIT ),
+            'paste_batch_size' => Ajax::BULK_BATCH_LIMIT,
+            'strings'          => [
+                'choose_field'           => __( 'Choose a field to fill first.', 'luma-product-fields' ),
+                'no_rows'                => __( 'Select at least one row that has this field.', 'luma-product-fields' ),
+                /* translators: 1: field label, 2: number of rows. */
+                'fill_title'             => __( 'Fill "%1$s" in %2$d rows', 'luma-product-fields' ),
+                /* translators: 1: rows done, 2: total rows. */
+                'progress'               => __( 'Saving %1$d of %2$d…', 'luma-product-fields' ),
+                /* translators: 1: rows saved, 2: rows failed. */
+                'done'                   => __( 'Done: %1$d saved, %2$d failed.', 'luma-product-fields' ),
+                'failed_heading'         => __( 'These rows could not be updated:', 'luma-product-fields' ),
+                'skipped'                => __( 'Skipped: field not available for this row.', 'luma-product-fields' ),
+                'request_failed'         => __( 'AJAX request failed.', 'luma-product-fields' ),
+                'history_title'          => __( 'Recent changes', 'luma-product-fields' ),
+                'history_undo'           => __( 'Undo', 'luma-product-fields' ),
+                'history_redo'           => __( 'Redo', 'luma-product-fields' ),
+                'history_clear'          => __( 'Clear history', 'luma-product-fields' ),
+                'history_revert'         => __( 'Revert', 'luma-product-fields' ),
+                'history_empty'          => __( 'No changes yet in this session.', 'luma-product-fields' ),
+                'conflict_title'         => __( 'Someone else changed this value', 'luma-product-fields' ),
+                'conflict_theirs'        => __( 'Theirs (saved)', 'luma-product-fields' ),
+                'conflict_mine'          => __( 'Yours', 'luma-product-fields' ),
+                'conflict_keep_mine'     => __( 'Keep mine', 'luma-product-fields' ),
+                'conflict_take_theirs'   => __( 'Take theirs', 'luma-product-fields' ),
+                'conflict_save_merge'    => __( 'Save merged value', 'luma-product-fields' ),
+                'conflict_merge_heading' => __( 'Merge', 'luma-product-fields' ),
+                'conflict_min'           => __( 'Min', 'luma-product-fields' ),
+                'conflict_max'           => __( 'Max', 'luma-product-fields' ),
+                'columns_title'          => __( 'Columns and quick filters', 'luma-product-fields' ),
+                'columns_pin'            => __( 'Pin name column', 'luma-product-fields' ),
+                'columns_reset'          => __( 'Reset', 'luma-product-fields' ),
+                'columns_drag'           => __( 'Drag to reorder', 'luma-product-fields' ),
+                /* translators: %s: column label. */
+                'filter_label'           => __( 'Filter %s', 'luma-product-fields' ),
+                'filter_none'            => __( 'No filter', 'luma-product-fields' ),
+                'filter_empty'           => __( 'Is empty', 'luma-product-fields' ),
+                'filter_not_empty'       => __( 'Is not empty', 'luma-product-fields' ),
+                'filter_contains'        => __( 'Contains', 'luma-product-fields' ),
+                'filter_range'           => __( 'Between', 'luma-product-fields' ),
+                'filter_min'             => __( 'Min', 'luma-product-fields' ),
+                'filter_max'             => __( 'Max', 'luma-product-fields' ),
+                /* translators: 1: matching products, 2: products in the group. */
+                'filter_status'          => __( 'Showing %1$d of %2$d products', 'luma-product-fields' ),
+                'view_name'              => __( 'View name', 'luma-product-fields' ),
+                'view_name_missing'      => __( 'Enter a name for the view.', 'luma-product-fields' ),
+                'view_save'              => __( 'Save view', 'luma-product-fields' ),
+                'view_delete'            => __( 'Delete view', 'luma-product-fields' ),
+                /* translators: %s: view name. */
+                'view_delete_confirm'    => __( 'Delete the view "%s"?', 'luma-product-fields' ),
+                /* translators: %s: view name. */
+                'view_saved'             => __( 'View "%s" saved.', 'luma-product-fields' ),
+                /* translators: 1: filled fields, 2: total fields. */
+                'completeness_title'     => __( '%1$d of %2$d fields filled', 'luma-product-fields' ),
+                'no_empty_cells'         => __( 'No empty cells left on this page.', 'luma-product-fields' ),
+                /* translators: %d: number of pasted rows. */
+                'paste_title'            => __( 'Paste %d rows', 'luma-product-fields' ),
+                'paste_has_header'       => __( 'First row contains column names', 'luma-product-fields' ),
+                'paste_clear_empty'      => __( 'Clear fields where the pasted cell is empty', 'luma-product-fields' ),
+                'paste_product'          => __( 'Product', 'luma-product-fields' ),
+                /* translators: %d: pasted column number. */
+                'paste_column'           => __( 'Field for pasted column %d', 'luma-product-fields' ),
+                'paste_skip_column'      => __( '— Skip column —', 'luma-product-fields' ),
+                'paste_checking'         => __( 'Checking values…', 'luma-product-fields' ),
+                /* translators: 1: cells to save, 2: invalid cells, 3: cells without field, 4: empty cells skipped. */
+                'paste_summary'          => __( '%1$d cells will be saved. Invalid: %2$d, not available: %3$d, empty and skipped: %4$d.', 'luma-product-fields' ),
+                /* translators: %d: number of rows. */
+                'paste_extra_rows'       => __( '%d rows below the last row on this page are ignored.', 'luma-product-fields' ),
+                /* translators: %d: number of cells. */
+                'paste_commit'           => __( 'Save %d cells', 'luma-product-fields' ),
+                'paste_cancel'           => __( 'Cancel', 'luma-product-fields' ),
+                'paste_not_editable'     => __( 'This field is not available for this row.', 'luma-product-fields' ),
+                'paste_invalid_range'    => __( 'Enter a range like 10-20, or a single number.', 'luma-product-fields' ),
+                /* translators: %s: term name. */
+                'paste_unknown_term'     => __( 'Unknown option: %s.', 'luma-product-fields' ),
+                /* translators: %s: comma separated term names. */
+                'paste_new_terms'        => __( 'New terms will be created: %s.', 'luma-product-fields' ),
+                /* translators: 1: cells saved, 2: cells failed. */
+                'paste_done'             => __( 'Paste finished: %1$d cells saved, %2$d failed.', 'luma-product-fields' ),
+            ],
+        ];
+    }
+
+
+    /**
+     * Check if the current admin screen is the product fields overview.
+     *
+     * @return bool
+     */
+    public static function is_list_view_screen(): bool {
+        if ( ! is_admin() ) {
+            return false;
+        }
+
+        $page_input = filter_input( INPUT_GET, 'page', FILTER_DEFAULT );
+        $page       = is_string( $page_input ) ? sanitize_key( wp_unslash( $page_input ) ) : '';
+
+        return 'luma-product-fields-overview' === $page;
     }
 
 
@@ -102,7 +273,9 @@ class ListView {
         }
 
         echo '<div id="luma-product-fields-fields-overview" class="wrap">';
-        echo '<h1>' . esc_html($this->page_title) . '</h1>';
+        echo '<h1 class="wp-heading-inline">' . esc_html($this->page_title) . '</h1>';
+        echo ' <a href="' . esc_url( FieldValuesImportExport::get_page_url( (string) $this->selected_group ) ) . '" class="page-title-action">' . esc_html__( 'Import / export values', 'luma-product-fields' ) . '</a>';
+        echo '<hr class="wp-header-end" />';
 
         echo '<form method="get">';
         echo '<input type="hidden" name="post_type" value="product" />';
@@ -129,6 +302,10 @@ class ListView {
             return;
         }
 
+        echo '<p class="description lumaprfi-keyboard-hint">' .
+            esc_html__( 'Tip: click a cell, then use the arrow keys or Tab to move and Enter to edit. Enter saves and moves down, Ctrl+Enter saves and moves right. N opens the next empty cell, Alt+N saves and moves to it. Paste spreadsheet data at the selected cell with Ctrl+V.', 'luma-product-fields' ) .
+            '</p>';
+
         if ($this->selected_group === 'general') {
             $table = new ListViewTable('general');
             $table->prepare_items();
@@ -0,0 +1,215 @@
+<?php
+/**
+ * List view saved views
+ *
+ * @package Luma\ProductFields
+ */
+
+namespace Luma\ProductFields\Admin;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Named views of the product fields overview, stored per user and product group.
+ *
+ * A view holds the column order, hidden columns, whether the name column is pinned
+ * and the quick filters, as set by js/admin/listview-columns.js.
+ */
+class ListViewSavedViews {
+
+    /**
+     * User meta key holding all views, keyed by product group slug and view name.
+     */
+    protected const META_KEY = 'luma_product_fields_listview_views';
+
+
+    /**
+     * Maximum number of views per product group.
+     */
+    public const MAX_VIEWS = 20;
+
+
+    /**
+     * Filter modes understood by the list view script.
+     */
+    protected const FILTER_MODES = [ 'empty', 'not_empty', 'contains', 'range' ];
+
+
+    /**
+     * Query argument holding the active quick filters (JSON), applied by ListViewTable.
+     */
+    public const FILTERS_ARG = 'lumaprfi_filters';
+
+
+
+    /**
+     * Get the saved views of the current user for a product group.
+     *
+     * @param string $group_slug Product group slug ('general' for products without a group).
+     *
+     * @return array<string, array> Views keyed by name.
+     */
+    public static function get_views( string $group_slug ): array {
+        $all = self::get_all();
+        return ( isset( $all[ $group_slug ] ) && is_array( $all[ $group_slug ] ) ) ? $all[ $group_slug ] : [];
+    }
+
+
+
+    /**
+     * Save (or overwrite) a named view for the current user.
+     *
+     * @param string $group_slug Product group slug.
+     * @param string $name       View name.
+     * @param array  $view       Raw view data from the request.
+     *
+     * @return bool False if the name is empty or the group already has the maximum number of views.
+     */
+    public static function save_view( string $group_slug, string $name, array $view ): bool {
+        $user_id = get_current_user_id();
+        if ( ! $user_id || '' === $name || '' === $group_slug ) {
+            return false;
+        }
+
+        $all   = self::get_all();
+        $views = $all[ $group_slug ] ?? [];
+
+        if ( ! isset( $views[ $name ] ) && count( $views ) >= self::MAX_VIEWS ) {
+            return false;
+        }
+
+        $views[ $name ] = self::sanitize_view( $view );
+        ksort( $views, SORT_NATURAL | SORT_FLAG_CASE );
+        $all[ $group_slug ] = $views;
+
+        update_user_meta( $user_id, self::META_KEY, $all );
+        return true;
+    }
+
+
+
+    /**
+     * Delete a named view of the current user.
+     *
+     * @param string $group_slug Product group slug.
+     * @param string $name       View name.
+     *
+     * @return void
+     */
+    public static function delete_view( string $group_slug, string $name ): void {
+        $user_id = get_current_user_id();
+        if ( ! $user_id ) {
+            return;
+        }
+
+        $all = self::get_all();
+        unset( $all[ $group_slug ][ $name ] );
+
+        if ( empty( $all[ $group_slug ] ) ) {
+            unset( $all[ $group_slug ] );
+        }
+
+        update_user_meta( $user_id, self::META_KEY, $all );
+    }
+
+
+
+    /**
+     * Sanitize a view to the keys and values the list view script uses.
+     *
+     * @param array $view Raw view data.
+     *
+     * @return array{columns: string[], hidden: string[], pinned: bool, filters: array}
+     */
+    public static function sanitize_view( array $view ): array {
+        $keys = static fn( $list ): array => array_values( array_filter( array_map( 'sanitize_key', (array) $list ) ) );
+
+        return [
+            'columns' => $keys( $view['columns'] ?? [] ),
+            'hidden'  => $keys( $view['hidden'] ?? [] ),
+            'pinned'  => ! empty( $view['pinned'] ) && 'false' !== $view['pinned'],
+            'filters' => self::sanitize_filters( (array) ( $view['filters'] ?? [] ) ),
+        ];
+    }
+
+
+
+    /**
+     * Sanitize quick filters, keyed by column key.
+     *
+     * @param array $filters Raw filters.
+     *
+     * @return array<string, array{mode: string, value: string, min: string, max: string}>
+     */
+    public static function sanitize_filters( array $filters ): array {
+        $sanitized = [];
+        foreach ( $filters as $column => $filter ) {
+            $column = sanitize_key( (string) $column );
+            $mode   = is_array( $filter ) && is_scalar( $filter['mode'] ?? null ) ? sanitize_key( (string) $filter['mode'] ) : '';
+
+            if ( '' === $column || ! in_array( $mode, self::FILTER_MODES, true ) ) {
+                continue;
+            }
+
+            $sanitized[ $column ] = [
+                'mode'  => $mode,
+                'value' => is_scalar( $filter['value'] ?? null ) ? sanitize_text_field( (string) $filter['value'] ) : '',
+                'min'   => self::sanitize_number( $filter['min'] ?? '' ),
+                'max'   => self::sanitize_number( $filter['max'] ?? '' ),
+            ];
+        }
+
+        return $sanitized;
+    }
+
+
+
+    /**
+     * Quick filters passed to the overview in the query string.
+     *
+     * @return array<string, array> Sanitized filters, keyed by column key.
+     */
+    public static function get_request_filters(): array {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- read-only filtering of the overview, sanitized by sanitize_filters().
+        $raw = isset( $_GET[ self::FILTERS_ARG ] ) ? wp_unslash( $_GET[ self::FILTERS_ARG ] ) : '';
+        $filters = is_string( $raw ) ? json_decode( $raw, true ) : null;
+
+        return is_array( $filters ) ? self::sanitize_filters( $filters ) : [];
+    }
+
+
+
+    /**
+     * Keep a numeric filter bound, or an empty string.
+     *
+     * @param mixed $value Raw value.
+     *
+     * @return string
+     */
+    protected static function sanitize_number( $value ): string {
+        if ( ! is_scalar( $value ) ) {
+            return '';
+        }
+
+        $value = str_replace( ',', '.', trim( (string) $value ) );
+        return is_numeric( $value ) ? $value : '';
+    }
+
+
+
+    /**
+     * All views of the current user.
+     *
+     * @return array<string, array<string, array>>
+     */
+    protected static function get_all(): array {
+        $user_id = get_current_user_id();
+        if ( ! $user_id ) {
+            return [];
+        }
+
+        $all = get_user_meta( $user_id, self::META_KEY, true );
+        return is_array( $all ) ? $all : [];
+    }
+
+}
@@ -9,6 +9,7 @@ namespace Luma\ProductFields\Admin;
 
 use WP_List_Table;
 use Luma\ProductFields\Utils\Helpers;
+use Luma\ProductFields\Meta\FieldLayout;
 use Luma\ProductFields\Registry\FieldTypeRegistry;
 use Luma\ProductFields\Taxonomy\ProductGroup;
 
@@ -44,6 +45,20 @@ class ListViewTable extends WP_List_Table {
      */
     protected $order;
 
+    /**
+     * Active quick filters from the query string, keyed by column key.
+     *
+     * @var array
+     */
+    protected $filters = [];
+
+    /**
+     * Number of products in the group, before filtering.
+     *
+     * @var int
+     */
+    protected $total_products = 0;
+
     /**
      * Constructor.
      *
@@ -66,7 +81,8 @@ class ListViewTable extends WP_List_Table {
 
         $order = strtolower( sanitize_text_field( $order_raw ) ); 
         $this->order = in_array( $order, [ 'asc', 'desc' ], true ) ? $order : 'asc';
-        
+
+        $this->filters = array_filter( ListViewSavedViews::get_request_filters(), [ $this, 'is_active_filter' ] );
     }
     
 
@@ -108,6 +124,7 @@ class ListViewTable extends WP_List_Table {
         }
 
         $products = wc_get_products( $args );
+        $fields   = Helpers::get_fields_for_group( $this->product_group_slug );
         $this->items = [];
 
         foreach ( $products as $product ) {
@@ -116,11 +133,11 @@ class ListViewTable extends WP_List_Table {
             }
 
             $row = [
-                'ID'         => $product->get_id(),
-                'name'       => $product->get_name(),
+                'ID'   => $product->get_id(),
+                'name' => $product->get_name(),
             ];
 
-            foreach ( Helpers::get_fields_for_group( $this->product_group_slug ) as $field ) {
+            foreach ( $fields as $field ) {
                 if ( $product->is_type( 'variation' ) && ! $field['show_in_variation'] ) {
                     continue;
                 }
@@ -136,6 +153,18 @@ class ListViewTable extends WP_List_Table {
             $this->items[] = $row;
         }
 
+        // Completeness reads every field value of a product: only for the rows on this page,
+        // unless the table is sorted or filtered by it
+        $all_completeness = 'completeness' === $this->orderby || isset( $this->filters['completeness'] );
+        if ( $all_completeness ) {
+            $this->add_completeness( $fields );
+        }
+
+        $this->total_products = count( $this->items );
+        if ( $this->filters ) {
+            $this->items = array_values( array_filter( $this->items, [ $this, 'matches_filters' ] ) );
+        }
+
         if ( $this->orderby && ! in_array( $this->orderby, [ 'name', 'sku' ], true ) ) {
             usort( $this->items, function ( $a, $b ) {
                 $a_val = $a[ $this->orderby ]['raw'] ?? '';
@@ -160,6 +189,10 @@ class ListViewTable extends WP_List_Table {
         $total_items = count( $this->items );
         $this->items = array_slice( $this->items, ( $paged - 1 ) * $per_page, $per_page );
 
+        if ( ! $all_completeness ) {
+            $this->add_completeness( $fields );
+        }
+
         $this->set_pagination_args([
             'total_items' => $total_items,
             'per_page'    => $per_page,
@@ -214,6 +247,270 @@ public function column_default( $item, $column_name ) {
 
 
 
+    /**
+     * Render the row selection checkbox used by the bulk fill action.
+     *
+     * @param array $item Row item.
+     *
+     * @return string
+     */
+    public function column_cb( $item ) {
+        return self::render_row_checkbox( (int) $item['ID'], (string) ( $item['name'] ?? '' ) );
+    }
+
+
+    /**
+     * Render a row selection checkbox for a product or variation.
+     *
+     * @param int    $product_id Product or variation ID.
+     * @param string $name       Product name, used for the accessible label.
+     *
+     * @return string
+     */
+    public static function render_row_checkbox( int $product_id, string $name ): string {
+        return sprintf(
+            '<label class="screen-reader-text" for="lumaprfi-select-%1$d">%2$s</label>
+            <input type="checkbox" class="lumaprfi-row-select" id="lumaprfi-select-%1$d" value="%1$d" />',
+            $product_id,
+            /* translators: %s: product name. */
+            esc_html( sprintf( __( 'Select %s', 'luma-product-fields' ), $name ) )
+        );
+    }
+
+
+    /**
+     * Output the bulk fill, history and column/view controls above the table.
+     *
+     * @param string $which Either 'top' or 'bottom'.
+     *
+     * @return void
+     */
+    protected function extra_tablenav( $which ) {
+        if ( 'top' !== $which ) {
+            return;
+        }
+
+        $fields = Helpers::get_fields_for_group( $this->product_group_slug );
+        if ( empty( $fields ) ) {
+            return;
+        }
+        ?>
+        <div class="alignleft actions lumaprfi-bulk-fill">
+            <label for="lumaprfi-bulk-fill-field" class="screen-reader-text"><?php esc_html_e( 'Field to fill', 'luma-product-fields' ); ?></label>
+            <select id="lumaprfi-bulk-fill-field">
+                <option value=""><?php esc_html_e( 'Fill column…', 'luma-product-fields' ); ?></option>
+                <?php foreach ( $fields as $field ) : ?>
+                    <option value="<?php echo esc_attr( $field['slug'] ); ?>"><?php echo esc_html( $field['label'] ); ?></option>
+                <?php endforeach; ?>
+            </select>
+            <button type="button" class="button" id="lumaprfi-bulk-fill-open"><?php esc_html_e( 'Fill selected rows', 'luma-product-fields' ); ?></button>
+            <span class="lumaprfi-bulk-fill-progress" aria-live="polite"></span>
+        </div>
+        <div class="alignleft actions">
+            <button type="button" class="button" id="lumaprfi-next-empty" title="<?php esc_attr_e( 'Shortcut: N', 'luma-product-fields' ); ?>">
+                <?php esc_html_e( 'Next empty cell', 'luma-product-fields' ); ?>
+            </button>
+            <button type="button" class="button" id="lumaprfi-history-toggle">
+                <?php esc_html_e( 'History', 'luma-product-fields' ); ?>
+                <span class="lumaprfi-history-count count">0</span>
+            </button>
+        </div>
+        <div class="alignleft actions lumaprfi-views"
+            data-product-group="<?php echo esc_attr( $this->product_group_slug ); ?>"
+            data-filters-arg="<?php echo esc_attr( ListViewSavedViews::FILTERS_ARG ); ?>"
+            data-filtered-total="<?php echo (int) $this->get_pagination_arg( 'total_items' ); ?>"
+            data-total="<?php echo (int) $this->total_products; ?>"
+            data-views="<?php echo esc_attr( wp_json_encode( (object) ListViewSavedViews::get_views( $this->product_group_slug ) ) ); ?>">
+            <button type="button" class="button" id="lumaprfi-columns-toggle" aria-expanded="false" aria-controls="lumaprfi-columns-panel">
+                <?php esc_html_e( 'Columns & filters', 'luma-product-fields' ); ?>
+            </button>
+            <label for="lumaprfi-view-select" class="screen-reader-text"><?php esc_html_e( 'Saved view', 'luma-product-fields' ); ?></label>
+            <select id="lumaprfi-view-select">
+                <option value=""><?php esc_html_e( 'Saved views…', 'luma-product-fields' ); ?></option>
+            </select>
+            <span class="lumaprfi-filter-status" aria-live="polite"></span>
+        </div>
+        <?php
+    }
+
+
+    /**
+     * Render the completeness column.
+     *
+     * @param array $item Row item.
+     *
+     * @return string
+     */
+    public function column_completeness( $item ) {
+        return self::render_completeness( $item['completeness'] );
+    }
+
+
+    /**
+     * Count the filled editable fields of a product or variation.
+     *
+     * Only fields shown as editable cells count: fields with a custom list renderer are left
+     * out, and for variations only fields enabled for variations.
+     *
+     * @param int   $product_id Product or variation ID.
+     * @param array $fields     Field definitions of the product group.
+     *
+     * @return array{raw: int, filled: int, total: int} raw is the percentage, used for sorting.
+     */
+    public static function get_completeness( int $product_id, array $fields ): array {
+        $is_variation = 'product_variation' === get_post_type( $product_id );
+        $filled       = 0;
+        $total        = 0;
+
+        foreach ( $fields as $field ) {
+            $field_definition = FieldTypeRegistry::get( $field['type'] ?? 'text' );
+            if ( isset( $field_definition['render_admin_list_cb'] ) && is_callable( $field_definition['render_admin_list_cb'] ) ) {
+                continue;
+            }
+            if ( $is_variation && empty( $field['variation'] ) ) {
+                continue;
+            }
+
+            $total++;
+            if ( ! Helpers::is_empty_field_value( Helpers::get_editable_field_value( $product_id, $field['slug'] ) ) ) {
+                $filled++;
+            }
+        }
+
+        return [
+            'raw'    => $total ? (int) floor( $filled / $total * 100 ) : 100,
+            'filled' => $filled,
+            'total'  => $total,
+        ];
+    }
+
+
+    /**
+     * Add the completeness of each row in $this->items.
+     *
+     * @param array $fields Fields of the product group.
+     *
+     * @return void
+     */
+    protected function add_completeness( array $fields ): void {
+        foreach ( $this->items as &$item ) {
+            $item['completeness'] = self::get_completeness( (int) $item['ID'], $fields );
+        }
+        unset( $item );
+    }
+
+
+    /**
+     * Whether a quick filter restricts the rows. Contains and range filters need a value.
+     *
+     * @param array $filter Sanitized filter.
+     *
+     * @return bool
+     */
+    protected function is_active_filter( array $filter ): bool {
+        switch ( $filter['mode'] ) {
+            case 'contains':
+                return '' !== $filter['value'];
+            case 'range':
+                return '' !== $filter['min'] || '' !== $filter['max'];
+            default:
+                return true;
+        }
+    }
+
+
+    /**
+     * Whether a row matches all active quick filters.
+     *
+     * Matches on the text of the rendered cell, the same way js/admin/listview-columns.js
+     * filters the variation rows it loads later.
+     *
+     * @param array $item Row item.
+     *
+     * @return bool
+     */
+    protected function matches_filters( array $item ): bool {
+        $columns = $this->_column_headers[0];
+
+        foreach ( $this->filters as $key => $filter ) {
+            // Filters of columns the group no longer has are ignored
+            if ( ! isset( $columns[ $key ] ) ) {
+                continue;
+            }
+
+            $method = 'column_' . $key;
+            $html   = method_exists( $this, $method ) ? $this->$method( $item ) : $this->column_default( $item, $key );
+            $text   = trim( html_entity_decode( wp_strip_all_tags( (string) $html ), ENT_QUOTES, 'UTF-8' ) );
+
+            if ( ! $this->matches_filter( $text, $filter ) ) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+
+    /**
+     * Whether the text of a cell matches a quick filter.
+     *
+     * @param string $text   Cell text.
+     * @param array  $filter Sanitized filter.
+     *
+     * @return bool
+     */
+    protected function matches_filter( string $text, array $filter ): bool {
+        $is_empty = in_array( $text, [ '', '—', '-', '--' ], true );
+
+        switch ( $filter['mode'] ) {
+            case 'empty':
+                return $is_empty;
+            case 'not_empty':
+                return ! $is_empty;
+            case 'contains':
+                $fold = static fn( string $value ): string => mb_strtolower( remove_accents( $value ) );
+                return false !== strpos( $fold( $text ), $fold( $filter['value'] ) );
+            case 'range':
+                // The numbers in the cell span [low, high], so a min–max value matches when it overlaps
+                preg_match_all( '/-?\d+(?:[.,]\d+)?/', $text, $numbers );
+                if ( empty( $numbers[0] ) ) {
+                    return false;
+                }
+                $numbers = array_map( static fn( string $number ): float => (float) str_replace( ',', '.', $number ), $numbers[0] );
+
+                return ( '' === $filter['min'] || max( $numbers ) >= (float) $filter['min'] )
+                    && ( '' === $filter['max'] || min( $numbers ) <= (float) $filter['max'] );
+            default:
+                return true;
+        }
+    }
+
+
+    /**
+     * Render a completeness bar with percentage.
+     *
+     * js/admin/listview-completeness.js updates it after inline saves.
+     *
+     * @param array $completeness Result of get_completeness().
+     *
+     * @return string
+     */
+    public static function render_completeness( array $completeness ): string {
+        $percent = (int) $completeness['raw'];
+
+        return sprintf(
+            '<div class="lumaprfi-completeness lumaprfi-is-numeric%1$s" title="%2$s">
+                <span class="lumaprfi-completeness-bar"><span style="width:%3$d%%"></span></span>
+                <span class="lumaprfi-completeness-value">%3$d%%</span>
+            </div>',
+            100 === $percent ? ' is-complete' : '',
+            /* translators: 1: filled fields, 2: total fields. */
+            esc_attr( sprintf( __( '%1$d of %2$d fields filled', 'luma-product-fields' ), $completeness['filled'], $completeness['total'] ) ),
+            $percent
+        );
+    }
+
+
     /**
      * Render the name column with edit link.
      *
@@ -255,15 +552,25 @@ public function column_default( $item, $column_name ) {
     /**
      * Defines the columns to display in the product field overview table.
      *
+     * Field columns follow the order and sections arranged for the product group; the
+     * section name is shown as a tooltip on the column header.
+     *
      * @return array<string, string>
      */
     public function get_columns() {
         $columns = [
-            'name'       => __( 'Name', 'luma-product-fields' ),
+            'cb'           => '<input type="checkbox" />',
+            'name'         => __( 'Name', 'luma-product-fields' ),
+            'completeness' => __( 'Complete', 'luma-product-fields' ),
         ];
 
-        foreach ( Helpers::get_fields_for_group( $this->product_group_slug ) as $field ) {
-            $columns[ 'lpftbl_' . $field['slug'] ] = $field['label'];
+        $fields = Helpers::get_fields_for_group( $this->product_group_slug );
+        foreach ( FieldLayout::get_sections( $fields, (string) $this->product_group_slug ) as $section ) {
+            foreach ( $section['fields'] as $field ) {
+                $columns[ 'lpftbl_' . $field['slug'] ] = '' === $section['id']
+                    ? $field['label']
+                    : sprintf( '<span class="lumaprfi-column-in-section" title="%1$s">%2$s</span>', esc_attr( $section['label'] ), esc_html( $field['label'] ) );
+            }
         }
         $columns = apply_filters( 'luma_product_fields_listview_columns', $columns );
         return $columns;
@@ -276,7 +583,8 @@ public function column_default( $item, $column_name ) {
      */
     public function get_sortable_columns() {
         $columns = [
-            'name' => [ 'name', false ],
+            'name'         => [ 'name', false ],
+            'completeness' => [ 'completeness', false ],
         ];
 
         foreach ( Helpers::get_fields_for_group( $this->product_group_slug ) as $field ) {
@@ -315,9 +623,15 @@ public function column_default( $item, $column_name ) {
             }
             ?>
             <tr class="variation-child-row variation-child-of-<?php echo esc_attr( $product_id ); ?>">
+                <th scope="row" class="check-column">
+                    <?php echo self::render_row_checkbox( $variation_id, $variation->get_name() ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped in render_row_checkbox(). ?>
+                </th>
                 <td class="column-name">
                     <?php echo esc_html( $variation->get_name() ); ?>
                 </td>
+                <td class="column-completeness">
+                    <?php echo self::render_completeness( self::get_completeness( $variation_id, $fields ) ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- escaped in render_completeness(). ?>
+                </td>
                 <?php 
                 foreach ( $fields as $field ) :
                     $is_numeric = FieldTypeRegistry::field_type_is_numeric( $field['type'] );
@@ -369,18 +683,26 @@ public function column_default( $item, $column_name ) {
             $classes[] = 'lumaprfi-is-numeric';
         }
 
+        if ( Helpers::is_empty_field_value( Helpers::get_editable_field_value( $product_id, $field['slug'] ) ) ) {
+            $classes[] = 'lumaprfi-is-empty';
+        }
+
         return sprintf(
             '<div class="%s" 
                 data-product-id="%d" 
                 data-field-slug="%s" 
                 data-field-type="%s"
+                data-field-unit="%s"
                 data-original-value="%s"
+                data-revision="%s"
                 id="lumaprfi-%d-%s">%s</div>',
             esc_attr( implode( ' ', $classes ) ),
             $product_id,
             esc_attr( $field['slug'] ),
             esc_attr( $field['type'] ?? 'text' ),
+            esc_attr( $field['unit'] ?? '' ),
             esc_attr( is_scalar( $raw_value ) ? $raw_value : '' ),
+            esc_attr( Helpers::get_field_value_revision( $product_id, $field['slug'] ) ),
             $product_id,
             esc_attr( $field['slug'] ),
             $html_value
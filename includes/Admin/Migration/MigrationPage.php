@@ -7,21 +7,31 @@
 namespace Luma\ProductFields\Admin\Migration;
 
 use Luma\ProductFields\Migration\LegacyMetaMigrator;
+use Luma\ProductFields\Migration\MigrationRuns;
 use Luma\ProductFields\Utils\Helpers;
 use Luma\ProductFields\Admin\Admin;
 use Luma\ProductFields\Admin\Settings;
+use Luma\ProductFields\Admin\NotificationManager;
 
 defined( 'ABSPATH' ) || exit;
 
 /**
  * Migration UI Page
  *
- * Displays a field-to-legacy-meta mapping UI, handles dry run and real migration,
- * and outputs a result table for admin feedback.
+ * Displays a field-to-legacy-meta mapping UI. Picking a meta key shows sample values with
+ * their parsed result and a would-migrate / would-fail count (migration_sample endpoint);
+ * unit aliases and a regex extraction rule can be added per field. js/admin/migration.js
+ * previews (dry run) and migrates batch by batch through the migration_batch endpoint,
+ * with progress, pause/resume and a live log. Migrations are recorded (MigrationRuns) and can be rolled
+ * back through the migration_rollback endpoint.
  *
  * @hook luma_product_fields_migration_field_options
  *      Allow extensions to render extra field-specific options.
  *      @param array $field Current field definition.
+ *
+ * @hook luma_product_fields_migration_batch_size
+ *      Filters the number of products migrated or rolled back per request.
+ *      @param int $size Products per batch.
  */
 class MigrationPage {
 
@@ -31,6 +41,26 @@ class MigrationPage {
     public const OPTION_MIGRATION_LOG = 'luma_product_fields_meta_migration_log';
 
 
+    /**
+     * Default number of products per batch.
+     */
+    public const BATCH_SIZE = 100;
+
+
+    /**
+     * Number of sample values (and of failing values) the mapper shows per field.
+     */
+    public const SAMPLE_SIZE = 20;
+
+
+    /**
+     * Hook suffix of the migration page.
+     *
+     * @var string
+     */
+    protected static string $hook_suffix = '';
+
+
     /**
      * Register the admin submenu page (invisible under Products).
      */
@@ -41,6 +71,10 @@ class MigrationPage {
 
         add_action( 'admin_menu', [ static::class, 'add_admin_page' ] );
         add_action( 'luma_product_fields_field_manager_actions', [ static::class, 'show_migration_button' ] );
+        add_action( 'admin_enqueue_scripts', [ static::class, 'enqueue_scripts' ] );
+        add_action( LUMA_PRODUCT_FIELDS_PREFIX . '_incoming_ajax_migration_batch', [ static::class, 'ajax_migration_batch' ] );
+        add_action( LUMA_PRODUCT_FIELDS_PREFIX . '_incoming_ajax_migration_rollback', [ static::class, 'ajax_migration_rollback' ] );
+        add_action( LUMA_PRODUCT_FIELDS_PREFIX . '_incoming_ajax_migration_sample', [ static::class, 'ajax_migration_sample' ] );
     }
 
 
@@ -48,7 +82,7 @@ class MigrationPage {
      * Add the submenu page under "Products", but without a visible menu link.
      */
     public static function add_admin_page(): void {
-        add_submenu_page(
+        static::$hook_suffix = (string) add_submenu_page(
             'edit.php?post_type=product',
             __( 'Migrate Legacy Meta', 'luma-product-fields' ),
             '',
@@ -74,99 +108,16 @@ class MigrationPage {
 
 
     /**
-     * Render the migration UI form, handle POSTed data, and display results.
+     * Render the mapping form, the runner (progress and log) and the recorded runs.
      */
     public static function render(): void {
         if ( ! current_user_can( 'manage_options' ) ) {
             wp_die( esc_html__( 'Access denied', 'luma-product-fields' ) );
         }
 
-        $fields          = Helpers::get_all_fields();
-        $distinct_keys   = self::get_distinct_meta_keys();
-        $migration_log   = get_option( static::OPTION_MIGRATION_LOG, [] );
-        $mapping         = [];
-        $summary         = [];
-        $is_dry_run      = true;
-        $notice          = '';
-        $show_summary_ui = false;
-
-        $request_method = isset( $_SERVER['REQUEST_METHOD'] )
-            ? sanitize_text_field( wp_unslash( $_SERVER['REQUEST_METHOD'] ) )
-            : '';
-
-        if ( 'POST' === $request_method && check_admin_referer( 'luma_product_fields_fields_migration' ) ) {
-            $is_dry_run    = isset( $_POST['dry_run'] );
-            $skip_existing = filter_input( INPUT_POST, 'skip_existing', FILTER_VALIDATE_BOOLEAN ) ?? false;
-
-            foreach ( $fields as $field ) {
-                $slug      = $field['slug'];
-                $map_key   = 'map_' . $slug;
-                $index_key = 'number_index_' . $slug;
-
-                $meta_key = isset( $_POST[ $map_key ] ) ? sanitize_text_field( wp_unslash( $_POST[ $map_key ] ) ) : '';
-
-                $index_value   = isset( $_POST[ $index_key ] ) ? sanitize_text_field( wp_unslash( $_POST[ $index_key ] ) ) : ''; 
-
-                if ( '' === $meta_key ) {
-                    continue;
-                }
-
-                $match_unit = filter_input(
-                    INPUT_POST,
-                    'match_unit_' . $slug,
-                    FILTER_VALIDATE_BOOLEAN
-                ) ?? false;
-
-                $include_variations = filter_input(
-                    INPUT_POST,
-                    'include_variations_' . $slug,
-                    FILTER_VALIDATE_BOOLEAN
-                ) ?? false;
-
-                $mapping[ $slug ] = [
-                    'skip_existing'      => $skip_existing,
-                    'meta_key'           => $meta_key, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
-                    'field'              => $field,
-                    'number_index'       => $index_value,
-                    'match_unit'         => $match_unit,
-                    'include_variations' => $include_variations,
-                ];
-            }
-
-            if ( ! empty( $mapping ) ) {
-                $migrator = new LegacyMetaMigrator();
-                $summary  = $migrator->run( $mapping, $is_dry_run );
-
-                if ( $is_dry_run ) {
-                    $show_summary_ui = true;
-                } else {
-                    $log = get_option( static::OPTION_MIGRATION_LOG, [] );
-                    foreach ( array_keys( $mapping ) as $slug ) {
-                        $log[ $slug ] = current_time( 'mysql' );
-                    }
-                    update_option( static::OPTION_MIGRATION_LOG, $log );
-                    $migration_log = $log;
-
-                    $updated_count = 0;
-                    foreach ( $summary as $product ) {
-                        foreach ( $product as $result ) {
-                            if ( isset( $result['status'] ) && 'migrated' === $result['status'] ) {
-                                $updated_count++;
-                                break;
-                            }
-                        }
-                    }
-
-                    if ( $updated_count > 0 ) {
-                        /* translators: %d: number of products updated */
-                        $notice = sprintf( esc_html__( '%d products updated successfully.', 'luma-product-fields' ), $updated_count );
-                    } else {
-                        $notice = esc_html__( 'No products were updated.', 'luma-product-fields' );
-                    }
-                }
-            }
-        }
-
+        $fields        = Helpers::get_all_fields();
+        $distinct_keys = self::get_distinct_meta_keys();
+        $migration_log = get_option( static::OPTION_MIGRATION_LOG, [] );
 
         echo '<div class="wrap">';
 
@@ -178,12 +129,7 @@ class MigrationPage {
 
         self::render_migration_intro();
 
-        if ( ! empty( $notice ) ) {
-            echo '<div class="notice notice-success is-dismissible"><p>' . esc_html( $notice ) . '</p></div>';
-        }
-
-        echo '<form method="post">';
-        wp_nonce_field( 'luma_product_fields_fields_migration' );
+        echo '<form id="lumaprfi-migration-form" onsubmit="return false;">';
 
         echo '<table class="widefat  striped">';
         echo '<thead><tr>';
@@ -205,51 +151,46 @@ class MigrationPage {
                   esc_html__( 'Not migrated', 'luma-product-fields' ) .
                   '</span>';
 
-            echo '<tr>';
+            echo '<tr class="lumaprfi-migration-field" data-field="' . esc_attr( $slug ) . '">';
             echo '<td><strong>' . esc_html( $field['label'] ?? $slug ) . '</strong><br><code>' . esc_html( $slug ) . '</code></td>';
 
-            echo '<td><select name="map_' . esc_attr( $slug ) . '"><option value="">' . esc_html_x( '--', 'no meta key selected', 'luma-product-fields' ) . '</option>';
-            $map_key           = 'map_' . $slug;
-            $selected_key = isset( $_POST[ $map_key ] ) ? sanitize_text_field( wp_unslash( $_POST[ $map_key ] ) ) : ''; 
+            echo '<td><select name="map_' . esc_attr( $slug ) . '" class="lumaprfi-migration-meta-key"><option value="">' . esc_html_x( '--', 'no meta key selected', 'luma-product-fields' ) . '</option>';
             foreach ( $distinct_keys as $key ) {
-                $selected_attr = selected( $selected_key, $key, false );
-                // "selected" attribute string is safe, all dynamic pieces must be escaped above.
-                // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
-                echo '<option value="' . esc_attr( $key ) . '"' . $selected_attr . '>' . esc_html( $key ) . '</option>';
+                echo '<option value="' . esc_attr( $key ) . '">' . esc_html( $key ) . '</option>';
             }
             echo '</select></td>';
 
             echo '<td class="luma-product-fields-migration-options">';
             if ( empty( $field['is_taxonomy'] ) ) {
                 echo '<label>';
-                echo '<input type="checkbox" name="include_variations_' . esc_attr( $slug ) . '" ' .
-                     checked( ! empty( $_POST[ 'include_variations_' . $slug ] ), true, false ) . '> ';
+                echo '<input type="checkbox" name="include_variations_' . esc_attr( $slug ) . '" data-option="include_variations"> ';
                 esc_html_e( 'Include variations', 'luma-product-fields' );
                 echo '</label>';
             }
-            
-            if ( in_array( $field['type'], [ 'number', 'integer' ], true ) ) {
-                $index_key          = 'number_index_' . $slug;
-                $selected_index = isset( $_POST[ $index_key ] ) ? sanitize_text_field( wp_unslash( $_POST[ $index_key ] ) ) : '0'; 
 
+            if ( in_array( $field['type'], [ 'number', 'integer' ], true ) ) {
                 echo '<label>' . esc_html__( 'Which number?', 'luma-product-fields' ) . ' ';
-                echo '<select name="number_index_' . esc_attr( $slug ) . '">';
-                echo '<option value="0"'  . selected( $selected_index, '0', false )  . '>' . esc_html__( '1st',  'luma-product-fields' ) . '</option>';
-                echo '<option value="1"'  . selected( $selected_index, '1', false )  . '>' . esc_html__( '2nd',  'luma-product-fields' ) . '</option>';
-                echo '<option value="-1"' . selected( $selected_index, '-1', false ) . '>' . esc_html__( 'Last', 'luma-product-fields' ) . '</option>';
+                echo '<select name="number_index_' . esc_attr( $slug ) . '" data-option="number_index">';
+                echo '<option value="0">' . esc_html__( '1st', 'luma-product-fields' ) . '</option>';
+                echo '<option value="1">' . esc_html__( '2nd', 'luma-product-fields' ) . '</option>';
+                echo '<option value="-1">' . esc_html__( 'Last', 'luma-product-fields' ) . '</option>';
                 echo '</select>';
                 echo '</label>';
 
-                $match_unit_key   = 'match_unit_' . $slug;
-                $match_unit_check = filter_input( INPUT_POST, $match_unit_key, FILTER_VALIDATE_BOOLEAN ) ?? false;
-
                 echo '<label>';
-                echo '<input type="checkbox" name="match_unit_' . esc_attr( $slug ) . '" ' .
-                     checked( $match_unit_check, true, false ) . '> ';
+                echo '<input type="checkbox" name="match_unit_' . esc_attr( $slug ) . '" data-option="match_unit"> ';
                 esc_html_e( 'Try to match unit', 'luma-product-fields' );
                 echo '</label>';
+
+                echo '<label>' . esc_html__( 'Extra unit aliases', 'luma-product-fields' ) . ' ';
+                echo '<input type="text" class="regular-text" name="unit_aliases_' . esc_attr( $slug ) . '" data-option="unit_aliases" placeholder="' . esc_attr__( 'e.g. gr, grams', 'luma-product-fields' ) . '">';
+                echo '</label>';
             }
 
+            echo '<label>' . esc_html__( 'Extraction rule (regex)', 'luma-product-fields' ) . ' ';
+            echo '<input type="text" class="regular-text code" name="regex_' . esc_attr( $slug ) . '" data-option="regex" placeholder="' . esc_attr( 'weight:\s*([\d.,]+\s*g)' ) . '">';
+            echo '</label>';
+
             /**
              * Allow extensions to render extra field-specific options.
              *
@@ -261,31 +202,32 @@ class MigrationPage {
 
             echo '</td>';
 
-            echo '<td>' . wp_kses_post( $status_label ) . '</td>';
+            echo '<td class="lumaprfi-migration-status">' . wp_kses_post( $status_label ) . '</td>';
             echo '</tr>';
+
+            // Sample values of the selected meta key, filled by migration.js
+            echo '<tr class="lumaprfi-migration-sample" data-field="' . esc_attr( $slug ) . '" hidden><td colspan="4"></td></tr>';
         }
 
         echo '</tbody></table>';
 
         echo '<p><label>';
-        echo '<input type="checkbox" name="skip_existing" ' . checked( ! empty( $_POST['skip_existing'] ), true, false ) . '>';
+        echo '<input type="checkbox" name="skip_existing" id="lumaprfi-migration-skip-existing">';
         echo ' ' . esc_html__( 'Skip if field already has a value', 'luma-product-fields' );
         echo '</label></p>';
 
-        echo '<p><label><input type="checkbox" name="dry_run" checked> ' .
-             esc_html__( 'Dry run (no changes will be saved)', 'luma-product-fields' ) .
-             '</label></p>';
-
-        echo '<p><button type="submit" class="button button-primary">' .
-             esc_html__( 'Run Migration', 'luma-product-fields' ) .
-             '</button></p>';
+        echo '<p class="lumaprfi-migration-actions">';
+        echo '<button type="button" class="button lumaprfi-migration-preview">' . esc_html__( 'Preview (dry run)', 'luma-product-fields' ) . '</button> ';
+        echo '<button type="button" class="button button-primary lumaprfi-migration-start" disabled>' . esc_html__( 'Run Migration', 'luma-product-fields' ) . '</button> ';
+        echo '<button type="button" class="button lumaprfi-migration-pause" hidden>' . esc_html__( 'Pause', 'luma-product-fields' ) . '</button>';
+        echo '<span class="spinner"></span>';
+        echo '</p>';
+        echo '<p class="description">' . esc_html__( 'Run a preview of the current mapping first; the migration can be started once the preview looks right.', 'luma-product-fields' ) . '</p>';
 
         echo '</form>';
 
-        if ( $show_summary_ui && ! empty( $summary ) ) {
-            self::render_summary_table( $summary, $fields );
-        }
-
+        self::render_runner();
+        self::render_runs_table( MigrationRuns::get_all(), $fields );
         self::render_migration_notes();
 
         echo '</div>';
@@ -293,143 +235,543 @@ class MigrationPage {
 
 
     /**
-     * Render migration summary as a compact table.
+     * Render the progress, per-field counters and live log of a running migration or preview.
+     *
+     * Filled by js/admin/migration.js.
      *
-     * @param array $summary Full migration summary from LegacyMetaMigrator::run().
-     * @param array $fields  Field definitions.
+     * @return void
      */
-    protected static function render_summary_table( array $summary, array $fields ): void {
-        $field_labels = [];
+    protected static function render_runner(): void {
+        echo '<div class="lumaprfi-migration-runner" hidden>';
+        echo '<h2 class="lumaprfi-migration-title"></h2>';
 
-        foreach ( $fields as $field ) {
-            $field_labels[ $field['slug'] ] = $field['label'] ?? $field['slug'];
+        echo '<progress class="lumaprfi-migration-progress" max="100" value="0"></progress>';
+        echo '<p class="lumaprfi-migration-progress-text" aria-live="polite"></p>';
+
+        echo '<table class="widefat fixed striped lumaprfi-migration-counters">';
+        echo '<thead><tr>';
+        echo '<th>' . esc_html__( 'Field', 'luma-product-fields' ) . '</th>';
+        echo '<th><span class="luma-product-fields-count lumaprfi-count-green">&#10004;</span> ' . esc_html__( 'Migrated / previewed', 'luma-product-fields' ) . '</th>';
+        echo '<th><span class="luma-product-fields-count lumaprfi-count-orange">=</span> ' . esc_html__( 'Skipped (existing value)', 'luma-product-fields' ) . '</th>';
+        echo '<th><span class="luma-product-fields-count lumaprfi-count-gray">&#10005;</span> ' . esc_html__( 'Failed (no valid data)', 'luma-product-fields' ) . '</th>';
+        echo '</tr></thead><tbody></tbody></table>';
+
+        echo '<h3>' . esc_html__( 'Log', 'luma-product-fields' ) . '</h3>';
+        echo '<p><label><input type="checkbox" class="lumaprfi-migration-failures-only"> ' . esc_html__( 'Show failures only', 'luma-product-fields' ) . '</label></p>';
+
+        echo '<div class="lumaprfi-migration-log-wrap">';
+        echo '<table class="widefat fixed striped luma-product-fields-summary-table lumaprfi-migration-log">';
+        echo '<thead><tr>';
+        echo '<th>' . esc_html__( 'Product', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'Field', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'Status', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'Original', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'New value', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'Reason / Details', 'luma-product-fields' ) . '</th>';
+        echo '</tr></thead><tbody></tbody></table>';
+        echo '</div>';
+
+        echo '</div>';
+    }
+
+
+    /**
+     * Render the recorded migration runs, with a rollback button per run.
+     *
+     * @param array $runs   Runs from MigrationRuns::get_all().
+     * @param array $fields Field definitions.
+     * @return void
+     */
+    protected static function render_runs_table( array $runs, array $fields ): void {
+        $labels = array_column( $fields, 'label', 'slug' );
+
+        // Rendered without runs too, so a first run can be added by migration.js
+        echo '<div class="lumaprfi-migration-runs-wrap"' . ( empty( $runs ) ? ' hidden' : '' ) . '>';
+        echo '<h2>' . esc_html__( 'Migration runs', 'luma-product-fields' ) . '</h2>';
+        echo '<p>' . esc_html__( 'Rolling back a run restores the field values the products had before it. Fields edited after the migration are left unchanged.', 'luma-product-fields' ) . '</p>';
+
+        echo '<table class="widefat striped lumaprfi-migration-runs">';
+        echo '<thead><tr>';
+        echo '<th>' . esc_html__( 'Started', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'Fields', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'Products changed', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'Migrated / skipped / failed', 'luma-product-fields' ) . '</th>';
+        echo '<th>' . esc_html__( 'Status', 'luma-product-fields' ) . '</th>';
+        echo '<th></th>';
+        echo '</tr></thead><tbody>';
+
+        foreach ( $runs as $run ) {
+            echo self::get_run_row_html( $run, $labels ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in get_run_row_html().
+        }
+
+        echo '</tbody></table>';
+        echo '</div>';
+    }
+
+
+    /**
+     * Table row of a migration run.
+     *
+     * @param array                 $run    Run from MigrationRuns.
+     * @param array<string, string> $labels Field labels keyed by slug.
+     * @return string
+     */
+    protected static function get_run_row_html( array $run, array $labels ): string {
+        $statuses = self::get_run_status_labels();
+
+        $mapped = [];
+        foreach ( (array) $run['fields'] as $slug => $meta_key ) {
+            $mapped[] = sprintf( '%s ← %s', $labels[ $slug ] ?? $slug, $meta_key );
+        }
+
+        $user = get_userdata( (int) $run['user'] );
+
+        $html  = '<tr data-run="' . esc_attr( $run['id'] ) . '">';
+        $html .= '<td>' . esc_html( $run['started'] ) . ( $user ? '<br><small>' . esc_html( $user->display_name ) . '</small>' : '' ) . '</td>';
+        $html .= '<td>' . esc_html( implode( ', ', $mapped ) ) . '</td>';
+        $html .= '<td>' . esc_html( (string) $run['products'] ) . '</td>';
+        $html .= '<td>' . esc_html( sprintf( '%d / %d / %d', $run['counts']['migrated'] ?? 0, $run['counts']['skipped'] ?? 0, $run['counts']['failed'] ?? 0 ) ) . '</td>';
+        $html .= '<td class="lumaprfi-run-status">' . esc_html( $statuses[ $run['status'] ] ?? $run['status'] ) . '</td>';
+        $html .= '<td>';
+        if ( 'rolled-back' !== $run['status'] ) {
+            $html .= '<button type="button" class="button lumaprfi-migration-rollback" data-run="' . esc_attr( $run['id'] ) . '">' . esc_html__( 'Roll back', 'luma-product-fields' ) . '</button>';
         }
+        $html .= '</td>';
+        $html .= '</tr>';
 
-        $counts = [
-            'migrated'         => 0,
-            'dry_run'          => 0,
-            'skipped_existing' => 0,
-            'skipped_invalid'  => 0,
-            'external_save'    => 0,
+        return $html;
+    }
+
+
+    /**
+     * Labels of the run statuses.
+     *
+     * @return array<string, string>
+     */
+    protected static function get_run_status_labels(): array {
+        return [
+            'running'     => __( 'Not finished', 'luma-product-fields' ),
+            'completed'   => __( 'Completed', 'luma-product-fields' ),
+            'rolled-back' => __( 'Rolled back', 'luma-product-fields' ),
         ];
+    }
+
+
+    /**
+     * Enqueue the migration runner on the migration page.
+     *
+     * @param string $hook_suffix Current admin page hook.
+     * @return void
+     */
+    public static function enqueue_scripts( string $hook_suffix ): void {
+        if ( '' === static::$hook_suffix || $hook_suffix !== static::$hook_suffix ) {
+            return;
+        }
 
-        foreach ( $summary as $product_id => $field_results ) {
-            foreach ( $field_results as $slug => $row ) {
-                $status = $row['status'] ?? '';
+        wp_enqueue_script(
+            'luma-product-fields-migration',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/migration.js',
+            [ 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_localize_script(
+            'luma-product-fields-migration',
+            'luma_product_fields_migration',
+            [
+                'max_log_rows' => 1000,
+                'statuses'     => [
+                    'migrated' => __( 'migrated', 'luma-product-fields' ),
+                    'dry-run'  => __( 'dry run', 'luma-product-fields' ),
+                    'external' => __( 'handled by external save callback', 'luma-product-fields' ),
+                    'existing' => __( 'skipped (existing value)', 'luma-product-fields' ),
+                    'failed'   => __( 'skipped (no valid data)', 'luma-product-fields' ),
+                    'changed'  => __( 'not restored', 'luma-product-fields' ),
+                ],
+                'strings'      => [
+                    'preview_title'    => __( 'Preview (dry run): nothing is saved', 'luma-product-fields' ),
+                    'migrate_title'    => __( 'Migration', 'luma-product-fields' ),
+                    'rollback_title'   => __( 'Rollback', 'luma-product-fields' ),
+                    /* translators: 1: processed products, 2: total products */
+                    'progress'         => __( '%1$d of %2$d products', 'luma-product-fields' ),
+                    'paused'           => __( 'Paused.', 'luma-product-fields' ),
+                    'done'             => __( 'Done.', 'luma-product-fields' ),
+                    'pause'            => __( 'Pause', 'luma-product-fields' ),
+                    'resume'           => __( 'Resume', 'luma-product-fields' ),
+                    'no_mapping'       => __( 'Select a legacy meta key for at least one field.', 'luma-product-fields' ),
+                    'confirm_migrate'  => __( 'Migrate the legacy values into the selected fields now? The run is recorded and can be rolled back.', 'luma-product-fields' ),
+                    'confirm_rollback' => __( 'Restore the field values these products had before this run?', 'luma-product-fields' ),
+                    /* translators: %d: number of products rolled back so far */
+                    'rolled_back'      => __( '%d products restored.', 'luma-product-fields' ),
+                    'changed_after'    => __( 'edited after the migration, left unchanged', 'luma-product-fields' ),
+                    'log_truncated'    => __( 'Older log rows are hidden; the counters include all products.', 'luma-product-fields' ),
+                    'would_succeed'    => __( 'products would migrate', 'luma-product-fields' ),
+                    'would_fail'       => __( 'products would fail', 'luma-product-fields' ),
+                    'samples'          => __( 'Sample values', 'luma-product-fields' ),
+                    'failures'         => __( 'Values that would fail', 'luma-product-fields' ),
+                    'raw'              => __( 'Legacy value', 'luma-product-fields' ),
+                    'parsed'           => __( 'Parsed value', 'luma-product-fields' ),
+                    'reason'           => __( 'Reason', 'luma-product-fields' ),
+                    'products'         => __( 'Products', 'luma-product-fields' ),
+                    'no_values'        => __( 'No products have a value in this meta key.', 'luma-product-fields' ),
+                    /* translators: %d: number of distinct values checked */
+                    'sample_truncated' => __( 'Only the %d most common values were checked.', 'luma-product-fields' ),
+                ],
+            ]
+        );
+    }
+
+
+    /**
+     * AJAX: migrate (or preview) the next batch of products.
+     *
+     * Expects `mapping` (JSON list of {field, meta_key, number_index, match_unit,
+     * include_variations}), `skip_existing`, `dry_run`, `after_id` (0 for the first batch)
+     * and, after the first batch of a migration, the returned `run_id`. Migrations also get
+     * `run_row`, the updated row of the run for the runs table.
+     *
+     * Dispatched by Ajax::handle_request() after the nonce check.
+     *
+     * @return void
+     */
+    public static function ajax_migration_batch(): void {
+        self::verify_ajax_capability();
 
-                if ( 'migrated' === $status ) {
+        $dry_run       = filter_var( wp_unslash( $_POST['dry_run'] ?? '' ), FILTER_VALIDATE_BOOLEAN ); // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified by Ajax::handle_request().
+        $skip_existing = filter_var( wp_unslash( $_POST['skip_existing'] ?? '' ), FILTER_VALIDATE_BOOLEAN ); // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $after_id      = isset( $_POST['after_id'] ) ? absint( wp_unslash( $_POST['after_id'] ) ) : 0; // phpcs:ignore WordPress.Security.NonceVerification.Missing
+        $run_id        = isset( $_POST['run_id'] ) ? sanitize_key( wp_unslash( $_POST['run_id'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Missing
+
+        $mapping = self::read_posted_mapping( (bool) $skip_existing );
+        if ( empty( $mapping ) ) {
+            NotificationManager::ajax_error( __( 'Select a legacy meta key for at least one field.', 'luma-product-fields' ), 'empty_mapping', [], 400 );
+        }
+
+        $migrator = new LegacyMetaMigrator();
+        $total    = 0 === $after_id ? $migrator->count_products( $mapping ) : null;
+
+        if ( ! $dry_run ) {
+            if ( '' === $run_id ) {
+                $run_id = MigrationRuns::start( array_map( static fn( $config ) => $config['meta_key'], $mapping ) )['id'];
+            } elseif ( ! MigrationRuns::get( $run_id ) ) {
+                NotificationManager::ajax_error( __( 'Unknown migration run.', 'luma-product-fields' ), 'unknown_run', [], 400 );
+            }
+        }
+
+        $batch = $migrator->run_batch( $mapping, $after_id, self::get_batch_size(), (bool) $dry_run, $dry_run ? '' : $run_id );
+        $rows  = self::get_log_rows( $batch['summary'], $mapping );
+
+        if ( ! $dry_run ) {
+            $counts   = [ 'migrated' => 0, 'skipped' => 0, 'failed' => 0 ];
+            $products = [];
+            foreach ( $rows as $row ) {
+                if ( in_array( $row['status'], [ 'migrated', 'external' ], true ) ) {
                     $counts['migrated']++;
-                } elseif ( 'dry-run' === $status ) {
-                    $counts['dry_run']++;
-                } elseif ( 'skipped' === $status && ( $row['reason'] ?? '' ) === 'Existing value present' ) {
-                    $counts['skipped_existing']++;
-                } elseif ( 'skipped' === $status ) {
-                    $counts['skipped_invalid']++;
-                } elseif ( strpos( $status, 'external save' ) !== false ) {
-                    $counts['external_save']++;
+                    $products[ $row['product_id'] ] = true;
+                } elseif ( 'existing' === $row['status'] ) {
+                    $counts['skipped']++;
+                } else {
+                    $counts['failed']++;
                 }
             }
+
+            MigrationRuns::add_counts( $run_id, $counts, count( $products ) );
+
+            if ( $batch['done'] ) {
+                MigrationRuns::set_status( $run_id, 'completed' );
+                self::update_migration_log( array_keys( $mapping ), true );
+            }
         }
 
-        echo '<h2>' . esc_html__( 'Migration Result (dry run)', 'luma-product-fields' ) . '</h2>';
+        wp_send_json_success(
+            [
+                'run_id'    => $dry_run ? '' : $run_id,
+                'run_row'   => $dry_run ? '' : self::get_run_row_html( (array) MigrationRuns::get( $run_id ), array_column( Helpers::get_all_fields(), 'label', 'slug' ) ),
+                'last_id'   => $batch['last_id'],
+                'processed' => $batch['processed'],
+                'total'     => $total,
+                'done'      => $batch['done'],
+                'rows'      => $rows,
+            ]
+        );
+    }
 
-        echo '<div class="luma-product-fields-migration-counters">';
-        echo '<p><strong>' . esc_html__( 'Migration Summary', 'luma-product-fields' ) . '</strong></p>';
 
-        echo '<ul class="luma-product-fields-counters-list">';
-        echo '<li><span class="luma-product-fields-count lumaprfi-count-green">' . esc_html( (string) $counts['migrated'] ) . '</span> ' . esc_html__( 'migrated', 'luma-product-fields' ) . '</li>';
-        echo '<li><span class="luma-product-fields-count lumaprfi-count-blue">' . esc_html( (string) $counts['dry_run'] ) . '</span> ' . esc_html__( 'dry-run changes', 'luma-product-fields' ) . '</li>';
-        echo '<li><span class="luma-product-fields-count lumaprfi-count-orange">' . esc_html( (string) $counts['skipped_existing'] ) . '</span> ' . esc_html__( 'skipped (existing value)', 'luma-product-fields' ) . '</li>';
-        echo '<li><span class="luma-product-fields-count lumaprfi-count-gray">' . esc_html( (string) $counts['skipped_invalid'] ) . '</span> ' . esc_html__( 'skipped (no valid data)', 'luma-product-fields' ) . '</li>';
-        if ( $counts['external_save'] > 0 ) {
-            echo '<li><span class="luma-product-fields-count lumaprfi-count-purple">' . esc_html( (string) $counts['external_save'] ) . '</span> ' . esc_html__( 'handled by external save callback', 'luma-product-fields' ) . '</li>';
+    /**
+     * AJAX: how the values of one mapped field would be transformed.
+     *
+     * Expects `mapping` as for migration_batch, with the row of one field. Answers with
+     * the number of products that would succeed and fail, and the most common values of
+     * both with their parsed result or reason. Nothing is saved.
+     *
+     * @return void
+     */
+    public static function ajax_migration_sample(): void {
+        self::verify_ajax_capability();
+
+        $mapping = self::read_posted_mapping( false );
+        $config  = reset( $mapping );
+
+        if ( ! $config ) {
+            NotificationManager::ajax_error( __( 'Select a legacy meta key for at least one field.', 'luma-product-fields' ), 'empty_mapping', [], 400 );
         }
-        echo '</ul>';
-        echo '</div>';
 
-        echo '<div style="overflow:auto; max-height:600px; border:1px solid #ccc; padding:1em;">';
-        echo '<table class="widefat fixed striped">';
-        echo '<thead><tr>';
-        echo '<th>' . esc_html__( 'Product', 'luma-product-fields' ) . '</th>';
-        echo '<th>' . esc_html__( 'Field', 'luma-product-fields' ) . '</th>';
-        echo '<th>' . esc_html__( 'Status', 'luma-product-fields' ) . '</th>';
-        echo '<th>' . esc_html__( 'Original', 'luma-product-fields' ) . '</th>';
-        echo '<th>' . esc_html__( 'Existing', 'luma-product-fields' ) . '</th>';
-        echo '<th>' . esc_html__( 'New value', 'luma-product-fields' ) . '</th>';
-        echo '<th>' . esc_html__( 'Reason / Details', 'luma-product-fields' ) . '</th>';
-        echo '</tr></thead><tbody>';
+        $sample = ( new LegacyMetaMigrator() )->sample_values( $config, self::SAMPLE_SIZE );
+
+        $to_rows = static function ( array $items ): array {
+            return array_map(
+                static fn( array $item ): array => [
+                    'raw'      => self::to_log_text( $item['raw'] ),
+                    'parsed'   => self::to_log_text( $item['value'] ?? '' ),
+                    'reason'   => (string) ( $item['reason'] ?? '' ),
+                    'products' => (int) $item['products'],
+                    'edit_url' => (string) get_edit_post_link( (int) $item['product_id'], 'raw' ),
+                ],
+                $items
+            );
+        };
+
+        wp_send_json_success(
+            [
+                'field'     => $config['field']['slug'],
+                'succeed'   => $sample['succeed'],
+                'fail'      => $sample['fail'],
+                'distinct'  => $sample['distinct'],
+                'truncated' => $sample['truncated'],
+                'samples'   => $to_rows( $sample['samples'] ),
+                'failures'  => $to_rows( $sample['failures'] ),
+            ]
+        );
+    }
 
-        $rows      = 0;
-        $max_rows  = 500;
-        $truncated = false;
 
-        foreach ( $summary as $product_id => $field_results ) {
-            foreach ( $field_results as $slug => $result ) {
-                $rows++;
-                if ( $rows > $max_rows ) {
-                    $truncated = true;
-                    break 2;
-                }
+    /**
+     * AJAX: roll back the next batch of products of a migration run.
+     *
+     * Expects `run_id`.
+     *
+     * @return void
+     */
+    public static function ajax_migration_rollback(): void {
+        self::verify_ajax_capability();
 
-                $product_link = get_edit_post_link( $product_id );
-                $product_cell = $product_link
-                    ? '<a href="' . esc_url( $product_link ) . '">#' . (int) $product_id . '</a>'
-                    : '#' . (int) $product_id;
+        $run_id = isset( $_POST['run_id'] ) ? sanitize_key( wp_unslash( $_POST['run_id'] ) ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified by Ajax::handle_request().
+        $run    = MigrationRuns::get( $run_id );
 
-                $field_label = $field_labels[ $slug ] ?? $slug;
+        if ( ! $run ) {
+            NotificationManager::ajax_error( __( 'Unknown migration run.', 'luma-product-fields' ), 'unknown_run', [], 400 );
+        }
 
-                $status = $result['status'] ?? '';
-                $orig   = $result['original'] ?? '';
-                $new    = $result['new'] ?? '';
-                if ( is_array( $new ) ) {
-                    $new = wp_json_encode( $new );
-                }
-                $existing_val = $result['existing'] ?? '';
-                if ( is_array( $existing_val ) ) {
-                    $existing_val = wp_json_encode( $existing_val );
-                }
-                $reason = $result['reason'] ?? '';
-
-                if ( 'migrated' === $status ) {
-                    $cls = 'luma-product-fields-status-migrated';
-                } elseif ( 'dry-run' === $status ) {
-                    $cls = 'luma-product-fields-status-dry-run';
-                } elseif ( 'skipped' === $status && 'Existing value present' === $reason ) {
-                    $cls = 'luma-product-fields-status-skipped-exists';
-                } elseif ( strpos( $status, 'external save' ) !== false ) {
-                    $cls = 'luma-product-fields-status-external';
+        $result = MigrationRuns::rollback_batch( $run_id, self::get_batch_size() );
+
+        $changed = array_map(
+            static function ( array $item ): array {
+                $field = Helpers::get_field_definition_by_slug( $item['field'] );
+                return [
+                    'product_id' => $item['product_id'],
+                    'product'    => get_the_title( $item['product_id'] ),
+                    'edit_url'   => (string) get_edit_post_link( $item['product_id'], 'raw' ),
+                    'field'      => $item['field'],
+                    'label'      => $field['label'] ?? $item['field'],
+                ];
+            },
+            $result['changed']
+        );
+
+        if ( $result['done'] ) {
+            self::update_migration_log( array_keys( (array) $run['fields'] ), false );
+        }
+
+        wp_send_json_success(
+            [
+                'restored'  => $result['restored'],
+                'changed'   => $changed,
+                'remaining' => $result['remaining'],
+                'done'      => $result['done'],
+                'status'    => self::get_run_status_labels()[ $result['done'] ? 'rolled-back' : $run['status'] ] ?? '',
+            ]
+        );
+    }
+
+
+    /**
+     * Stop AJAX requests of users that may not use the migration tool.
+     *
+     * @return void
+     */
+    protected static function verify_ajax_capability(): void {
+        if ( ! current_user_can( 'manage_options' ) ) {
+            NotificationManager::ajax_error( __( 'You are not allowed to do this.', 'luma-product-fields' ), 'forbidden', [], 403 );
+        }
+    }
+
+
+    /**
+     * Read the mapping posted as JSON in `mapping`.
+     *
+     * The JSON is not sanitized as a whole, so extraction rules keep characters like `<`;
+     * read_mapping() sanitizes every value.
+     *
+     * @param bool $skip_existing Keep values that are already set.
+     * @return array Mapping for LegacyMetaMigrator, keyed by field slug.
+     */
+    protected static function read_posted_mapping( bool $skip_existing ): array {
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Nonce verified by Ajax::handle_request(), values sanitized in read_mapping().
+        $rows = isset( $_POST['mapping'] ) && is_string( $_POST['mapping'] ) ? json_decode( wp_unslash( $_POST['mapping'] ), true ) : [];
+
+        return self::read_mapping( is_array( $rows ) ? $rows : [], $skip_existing );
+    }
+
+
+    /**
+     * Build the migrator mapping from the submitted rows.
+     *
+     * Stops the request with an error when an extraction rule is not a valid regular
+     * expression.
+     *
+     * @param array $rows          Submitted rows: field, meta_key, number_index, match_unit, include_variations,
+     *                             unit_aliases (comma separated) and regex.
+     * @param bool  $skip_existing Keep values that are already set.
+     * @return array Mapping for LegacyMetaMigrator, keyed by field slug.
+     */
+    protected static function read_mapping( array $rows, bool $skip_existing ): array {
+        $mapping = [];
+
+        foreach ( $rows as $row ) {
+            if ( ! is_array( $row ) ) {
+                continue;
+            }
+
+            $field    = Helpers::get_field_definition_by_slug( sanitize_key( (string) ( $row['field'] ?? '' ) ) );
+            $meta_key = sanitize_text_field( (string) ( $row['meta_key'] ?? '' ) );
+
+            if ( ! $field || '' === $meta_key ) {
+                continue;
+            }
+
+            $regex = trim( (string) ( $row['regex'] ?? '' ) );
+            if ( '' !== $regex && null === LegacyMetaMigrator::compile_regex( $regex ) ) {
+                NotificationManager::ajax_error(
+                    /* translators: %s: field label */
+                    sprintf( __( 'The extraction rule of "%s" is not a valid regular expression.', 'luma-product-fields' ), $field['label'] ?? $field['slug'] ),
+                    'invalid_regex',
+                    [ 'field' => $field['slug'] ],
+                    400
+                );
+            }
+
+            $mapping[ $field['slug'] ] = [
+                'skip_existing'      => $skip_existing,
+                'meta_key'           => $meta_key, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+                'field'              => $field,
+                'number_index'       => (int) ( $row['number_index'] ?? 0 ),
+                'match_unit'         => ! empty( $row['match_unit'] ),
+                'include_variations' => ! empty( $row['include_variations'] ),
+                'unit_aliases'       => array_values( array_filter( array_map( 'sanitize_text_field', explode( ',', (string) ( $row['unit_aliases'] ?? '' ) ) ), 'strlen' ) ),
+                'regex'              => $regex,
+            ];
+        }
+
+        return $mapping;
+    }
+
+
+    /**
+     * Turn a batch summary into rows for the live log.
+     *
+     * Status is one of: migrated, dry-run, external, existing (skipped, value kept) and
+     * failed (no valid data).
+     *
+     * @param array $summary Summary from LegacyMetaMigrator::run_batch().
+     * @param array $mapping Mapping, keyed by field slug.
+     * @return array<int, array<string, mixed>>
+     */
+    protected static function get_log_rows( array $summary, array $mapping ): array {
+        $rows = [];
+
+        foreach ( $summary as $product_id => $results ) {
+            foreach ( $results as $slug => $result ) {
+                $status = (string) ( $result['status'] ?? '' );
+
+                if ( false !== strpos( $status, 'external save' ) ) {
+                    $key = 'external';
+                } elseif ( 'migrated' === $status || 'dry-run' === $status ) {
+                    $key = $status;
+                } elseif ( 'existing' === ( $result['reason_code'] ?? '' ) ) {
+                    $key = 'existing';
                 } else {
-                    $cls = 'luma-product-fields-status-skipped';
+                    $key = 'failed';
                 }
 
-                echo '<tr class="' . esc_attr( $cls ) . '">';
-                echo '<td>' . wp_kses_post( $product_cell ) . '</td>';
-                echo '<td><strong>' . esc_html( $field_label ) . '</strong><br><code>' . esc_html( $slug ) . '</code></td>';
-                echo '<td>' . esc_html( (string) $status ) . '</td>';
-                echo '<td>' . esc_html( (string) $orig ) . '</td>';
-                echo '<td>' . esc_html( (string) $existing_val ) . '</td>';
-                echo '<td>' . esc_html( (string) $new ) . '</td>';
-                echo '<td>' . esc_html( (string) $reason ) . '</td>';
-                echo '</tr>';
+                $rows[] = [
+                    'product_id' => (int) $product_id,
+                    'product'    => get_the_title( (int) $product_id ),
+                    'edit_url'   => (string) get_edit_post_link( (int) $product_id, 'raw' ),
+                    'field'      => $slug,
+                    'label'      => $mapping[ $slug ]['field']['label'] ?? $slug,
+                    'status'     => $key,
+                    'original'   => self::to_log_text( $result['original'] ?? '' ),
+                    'new'        => self::to_log_text( $result['new'] ?? '' ),
+                    'reason'     => (string) ( $result['reason'] ?? '' ),
+                ];
             }
         }
 
-        if ( ! $rows ) {
-            echo '<tr><td colspan="6">' . esc_html__( 'No changes were detected in this dry run.', 'luma-product-fields' ) . '</td></tr>';
-        }
+        return $rows;
+    }
 
-        echo '</tbody></table>';
 
-        if ( $truncated ) {
-            echo '<p><em>' .
-                 esc_html__( 'Showing only the first 500 rows.', 'luma-product-fields' ) .
-                 '</em></p>';
+    /**
+     * Display text of a value in the log.
+     *
+     * @param mixed $value Value.
+     * @return string
+     */
+    protected static function to_log_text( $value ): string {
+        return is_scalar( $value ) || null === $value ? (string) $value : (string) wp_json_encode( $value );
+    }
+
+
+    /**
+     * Mark fields as migrated (or no longer migrated) in the migration log.
+     *
+     * @param string[] $slugs    Field slugs.
+     * @param bool     $migrated True after a migration, false after a rollback.
+     * @return void
+     */
+    protected static function update_migration_log( array $slugs, bool $migrated ): void {
+        $log = get_option( static::OPTION_MIGRATION_LOG, [] );
+        $log = is_array( $log ) ? $log : [];
+
+        foreach ( $slugs as $slug ) {
+            if ( $migrated ) {
+                $log[ $slug ] = current_time( 'mysql' );
+            } else {
+                unset( $log[ $slug ] );
+            }
         }
 
-        echo '</div>';
+        update_option( static::OPTION_MIGRATION_LOG, $log );
     }
 
 
+    /**
+     * Number of products per migration or rollback request.
+     *
+     * @return int
+     */
+    protected static function get_batch_size(): int {
+        /**
+         * Filters the number of products migrated or rolled back per request.
+         *
+         * @hook luma_product_fields_migration_batch_size
+         *
+         * @param int $size Products per batch. Default 100.
+         */
+        return max( 1, (int) apply_filters( 'luma_product_fields_migration_batch_size', self::BATCH_SIZE ) );
+    }
+
     /**
      * Retrieve distinct meta keys from the postmeta table.
      *
@@ -497,7 +839,14 @@ class MigrationPage {
 
         echo '<p>';
         echo esc_html__(
-            'By default, the migration runs in dry-run mode. In this mode, no data is written to the database. Disable dry-run only when you are confident in the results.',
+            'Picking a legacy meta key shows its most common values next to the parsed result, with the number of products that would migrate or fail. If values are not recognized, add unit aliases (like "gr") or an extraction rule: a regular expression whose first group is the part of the value to migrate.',
+            'luma-product-fields'
+        );
+        echo '</p>';
+
+        echo '<p>';
+        echo esc_html__(
+            'Start with a preview (dry run): it shows the converted value of every product without writing anything to the database. Run the migration when the preview looks right. Products are processed in batches, so large catalogs do not time out, and a run can be paused, resumed and rolled back.',
             'luma-product-fields'
         );
         echo '</p>';
@@ -127,41 +127,59 @@ class NotificationManager
 
 
     /**
-     * Render notices for the current user.
+     * Remove and return the notices matching a context.
      *
-     * Only notices matching the provided context are rendered.
-     * Others remain stored for future requests.
+     * Notices for other contexts remain stored for future requests.
      *
-     * @param string|null $context Context filter (optional).
+     * @param string|null $context Context filter, null for all notices.
      *
-     * @return void
+     * @return array List of notices.
      */
-    public static function render(?string $context = null): void
+    public static function take_notices( ?string $context = null ): array
     {
         $user_id = get_current_user_id();
-        if (! $user_id) {
-            return;
+        if ( ! $user_id ) {
+            return [];
         }
 
         $notices = self::get_notices();
-        if (empty($notices)) {
-            return;
+        if ( empty( $notices ) ) {
+            return [];
         }
 
+        $taken     = [];
         $remaining = [];
 
-        foreach ($notices as $notice) {
-
+        foreach ( $notices as $notice ) {
             $notice_context = $notice['context'] ?? '';
-            $should_render = (
-                $context === null ||
-                $context === $notice_context
-            );
 
-            if (! $should_render) {
+            if ( null === $context || $context === $notice_context ) {
+                $taken[] = $notice;
+            } else {
                 $remaining[] = $notice;
-                continue;
             }
+        }
+
+        update_user_meta( $user_id, self::META_KEY, $remaining );
+
+        return $taken;
+    }
+
+
+
+    /**
+     * Render notices for the current user.
+     *
+     * Only notices matching the provided context are rendered.
+     * Others remain stored for future requests.
+     *
+     * @param string|null $context Context filter (optional).
+     *
+     * @return void
+     */
+    public static function render(?string $context = null): void
+    {
+        foreach (self::take_notices($context) as $notice) {
 
             $type = esc_attr($notice['type']);
             $classes = 'notice notice-' . $type;
@@ -174,7 +192,53 @@ class NotificationManager
                  wp_kses_post($notice['message']) .
                  '</p></div>';
         }
-        update_user_meta($user_id, self::META_KEY, $remaining);
+    }
+
+
+
+    /**
+     * Send a JSON error response in the shape the admin scripts expect.
+     *
+     * Every admin AJAX error uses this contract, which js/admin/notices.js turns into
+     * a dismissible notice:
+     * [
+     *     'code'    => 'machine_readable_code',
+     *     'message' => 'Translated message for the user',
+     *     'error'   => Same as message, kept for handlers reading `data.error`,
+     *     'retry'   => true if sending the same request again may succeed,
+     *     'notices' => Stored notices with the context 'ajax', shown alongside,
+     * ]
+     *
+     * Keys in $data are added to the payload, e.g. for the conflict details of an inline save.
+     *
+     * @param string   $message     User facing message.
+     * @param string   $code        Error code.
+     * @param array    $data        Additional payload.
+     * @param int|null $status_code HTTP status code (optional).
+     *
+     * @return void
+     */
+    public static function ajax_error( string $message, string $code = 'error', array $data = [], ?int $status_code = null ): void
+    {
+        $payload = array_merge(
+            [ 'retry' => false ],
+            $data,
+            [
+                'code'    => $code,
+                'message' => $message,
+                'error'   => $message,
+                'notices' => array_map(
+                    static fn( array $notice ): array => [
+                        'type'        => (string) $notice['type'],
+                        'message'     => wp_kses_post( (string) $notice['message'] ),
+                        'dismissible' => ! empty( $notice['dismissible'] ),
+                    ],
+                    self::take_notices( 'ajax' )
+                ),
+            ]
+        );
+
+        wp_send_json_error( $payload, $status_code );
     }
 
 }
@@ -0,0 +1,499 @@
+<?php
+/**
+ * Quick Edit class
+ *
+ * @package Luma\ProductFields
+ */
+
+namespace Luma\ProductFields\Admin;
+
+defined( 'ABSPATH' ) || exit;
+
+use Luma\ProductFields\Utils\Helpers;
+use Luma\ProductFields\Product\FieldStorage;
+use Luma\ProductFields\Registry\FieldTypeRegistry;
+use Luma\ProductFields\Taxonomy\ProductGroup;
+
+/**
+ * Quick Edit and Bulk Edit of field values in the Products list.
+ *
+ * Quick Edit: each product row carries its product group and field values in a hidden
+ * `.lumaprfi-inline-data` element (data attributes, JSON). js/admin/quickedit.js loads the
+ * controls of the selected group through the quick_edit_fields endpoint, fills them from
+ * those attributes and posts them with the row. Only the fields that were shown are saved.
+ *
+ * Bulk Edit: one or more rules, each setting, clearing or (for multi-value taxonomy fields)
+ * appending terms of a field. A rule only applies to products whose group has the field.
+ */
+class QuickEdit {
+
+    /**
+     * Nonce action for Quick Edit / Bulk Edit of field values.
+     *
+     * @var string
+     */
+    private const NONCE_ACTION = 'luma_product_fields_quick_edit_fields';
+
+
+    /**
+     * Nonce field name for Quick Edit / Bulk Edit of field values.
+     *
+     * @var string
+     */
+    private const NONCE_FIELD = 'luma_product_fields_quick_edit_nonce';
+
+
+    /**
+     * Bulk Edit actions.
+     */
+    public const BULK_ACTIONS = [ 'set', 'clear', 'append' ];
+
+
+    /**
+     * Bulk Edit rules of the current request, parsed once for all products.
+     *
+     * @var array<int, array<string, mixed>>|null
+     */
+    protected $bulk_rules = null;
+
+
+    /**
+     * Constructor.
+     */
+    public function __construct() {
+        add_action( 'manage_product_posts_custom_column', [ $this, 'render_inline_data' ], 20, 2 );
+        add_action( 'woocommerce_product_quick_edit_end', [ $this, 'render_quick_edit_fields' ] );
+        add_action( 'woocommerce_product_quick_edit_save', [ $this, 'handle_quick_edit_save' ], 20, 1 );
+        add_action( 'woocommerce_product_bulk_edit_end', [ $this, 'render_bulk_edit_fields' ] );
+        add_action( 'woocommerce_product_bulk_edit_save', [ $this, 'handle_bulk_edit_save' ], 20, 1 );
+        add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ] );
+    }
+
+
+    /**
+     * Output the product group and field values of a row for Quick Edit.
+     *
+     * Values are in the shape the controls post them (see Helpers::get_editable_field_value()),
+     * term names are included so autocomplete controls can show the selected terms.
+     *
+     * Hook: manage_product_posts_custom_column
+     *
+     * @param string $column  Column key.
+     * @param int    $post_id Product ID.
+     * @return void
+     */
+    public function render_inline_data( $column, $post_id ): void {
+        if ( 'name' !== $column ) {
+            return;
+        }
+
+        $post_id    = (int) $post_id;
+        $group      = Helpers::get_product_group( $post_id );
+        $group_slug = Helpers::get_product_group_slug( $post_id );
+        $values     = [];
+        $terms      = [];
+
+        foreach ( Helpers::get_fields_for_group( $group_slug ) as $field ) {
+            $slug            = $field['slug'];
+            $values[ $slug ] = Helpers::get_editable_field_value( $post_id, $slug );
+
+            if ( Helpers::is_taxonomy_field( $slug ) ) {
+                $assigned = wp_get_post_terms( $post_id, $slug );
+                if ( ! is_wp_error( $assigned ) && $assigned ) {
+                    $terms[ $slug ] = wp_list_pluck( $assigned, 'name', 'slug' );
+                }
+            }
+        }
+
+        printf(
+            '<div class="hidden lumaprfi-inline-data" data-product-group="%1$s" data-product-group-id="%2$s" data-values="%3$s" data-terms="%4$s"></div>',
+            esc_attr( $group_slug ),
+            esc_attr( $group ? (string) $group->term_id : '' ),
+            esc_attr( (string) wp_json_encode( (object) $values ) ),
+            esc_attr( (string) wp_json_encode( (object) $terms ) )
+        );
+    }
+
+
+    /**
+     * Render the container the field controls are loaded into in Quick Edit.
+     *
+     * Hook: woocommerce_product_quick_edit_end
+     *
+     * @return void
+     */
+    public function render_quick_edit_fields(): void {
+        ?>
+        <div class="inline-edit-group lumaprfi-quick-edit">
+            <?php wp_nonce_field( self::NONCE_ACTION, self::NONCE_FIELD ); ?>
+            <h4><?php esc_html_e( 'Product fields', 'luma-product-fields' ); ?></h4>
+            <div class="lumaprfi-quick-edit-fields"></div>
+        </div>
+        <?php
+    }
+
+
+    /**
+     * Save the field values posted from Quick Edit.
+     *
+     * Runs after the product group is saved (ProductGroup::handle_quick_edit_save()), so the
+     * fields of the new group are saved. `lumaprfi_quick_fields` lists the fields that were
+     * shown; a listed field without posted value (e.g. no checkbox ticked) is cleared.
+     *
+     * Hook: woocommerce_product_quick_edit_save
+     *
+     * @param \WC_Product $product Product being saved via Quick Edit.
+     * @return void
+     */
+    public function handle_quick_edit_save( $product ): void {
+        $product_id = $this->verify_request( $product );
+        if ( ! $product_id ) {
+            return;
+        }
+
+        $shown = isset( $_REQUEST['lumaprfi_quick_fields'] ) && is_array( $_REQUEST['lumaprfi_quick_fields'] )
+            ? array_map( 'sanitize_key', wp_unslash( $_REQUEST['lumaprfi_quick_fields'] ) )
+            : [];
+
+        if ( empty( $shown ) ) {
+            return;
+        }
+
+        foreach ( Helpers::get_fields_for_group( Helpers::get_product_group_slug( $product_id ) ) as $field ) {
+            $slug = $field['slug'];
+            $key  = 'luma-product-fields-' . $slug;
+
+            if ( ! in_array( $slug, $shown, true ) ) {
+                continue;
+            }
+
+            $value = '';
+            if ( isset( $_REQUEST[ $key ] ) ) {
+                // Same normalization as the product edit screen, FieldStorage validates by type.
+                $value = is_array( $_REQUEST[ $key ] )
+                    ? array_map( 'sanitize_text_field', wp_unslash( (array) $_REQUEST[ $key ] ) )
+                    : sanitize_text_field( wp_unslash( (string) $_REQUEST[ $key ] ) );
+            }
+
+            FieldStorage::save_field( $product_id, $slug, $value );
+        }
+    }
+
+
+    /**
+     * Render the field rules in Bulk Edit.
+     *
+     * Hook: woocommerce_product_bulk_edit_end
+     *
+     * @return void
+     */
+    public function render_bulk_edit_fields(): void {
+        $fields = Helpers::get_all_fields();
+        if ( empty( $fields ) ) {
+            return;
+        }
+        ?>
+        <div class="inline-edit-group lumaprfi-bulk-edit">
+            <?php wp_nonce_field( self::NONCE_ACTION, self::NONCE_FIELD ); ?>
+            <h4><?php esc_html_e( 'Product fields', 'luma-product-fields' ); ?></h4>
+            <ul class="lumaprfi-bulk-rules">
+                <?php $this->render_bulk_rule( '0', $fields ); ?>
+            </ul>
+            <template class="lumaprfi-bulk-template">
+                <?php $this->render_bulk_rule( '__i__', $fields ); ?>
+            </template>
+            <button type="button" class="button lumaprfi-bulk-add"><?php esc_html_e( 'Add field', 'luma-product-fields' ); ?></button>
+            <p class="description">
+                <?php esc_html_e( 'Separate multiple terms with commas; terms match by name or slug. A change is skipped for products whose product group does not have the field.', 'luma-product-fields' ); ?>
+            </p>
+        </div>
+        <?php
+    }
+
+
+    /**
+     * Render one Bulk Edit rule: field, action and value.
+     *
+     * @param string $index  Rule index, '__i__' in the row template.
+     * @param array  $fields All field definitions.
+     * @return void
+     */
+    protected function render_bulk_rule( string $index, array $fields ): void {
+        $name = 'lumaprfi_bulk[' . $index . ']';
+
+        echo '<li class="lumaprfi-bulk-rule">';
+
+        echo '<select name="' . esc_attr( $name . '[field]' ) . '" class="lumaprfi-bulk-field" aria-label="' . esc_attr__( 'Field', 'luma-product-fields' ) . '">';
+        echo '<option value="">' . esc_html__( '— No change —', 'luma-product-fields' ) . '</option>';
+        foreach ( $fields as $field ) {
+            $type = $field['type'] ?? 'text';
+            printf(
+                '<option value="%1$s" data-type="%2$s" data-taxonomy="%3$s" data-multiple="%4$s">%5$s</option>',
+                esc_attr( $field['slug'] ),
+                esc_attr( $type ),
+                Helpers::is_taxonomy_field( $field['slug'] ) ? '1' : '0',
+                FieldTypeRegistry::supports_multiple_values( $type ) ? '1' : '0',
+                esc_html( $field['label'] ?? $field['slug'] )
+            );
+        }
+        echo '</select> ';
+
+        echo '<select name="' . esc_attr( $name . '[action]' ) . '" class="lumaprfi-bulk-action" aria-label="' . esc_attr__( 'Change', 'luma-product-fields' ) . '">';
+        echo '<option value="set">' . esc_html__( 'Set to', 'luma-product-fields' ) . '</option>';
+        echo '<option value="append">' . esc_html__( 'Add terms', 'luma-product-fields' ) . '</option>';
+        echo '<option value="clear">' . esc_html__( 'Clear', 'luma-product-fields' ) . '</option>';
+        echo '</select> ';
+
+        printf(
+            '<input type="text" name="%1$s" class="lumaprfi-bulk-value" aria-label="%2$s" placeholder="%2$s" /> ',
+            esc_attr( $name . '[value]' ),
+            esc_attr__( 'Value', 'luma-product-fields' )
+        );
+
+        echo '<span class="lumaprfi-bulk-range" hidden>';
+        printf(
+            '<input type="text" inputmode="decimal" name="%1$s" aria-label="%2$s" placeholder="%2$s" /> – <input type="text" inputmode="decimal" name="%3$s" aria-label="%4$s" placeholder="%4$s" />',
+            esc_attr( $name . '[min]' ),
+            esc_attr__( 'Min', 'luma-product-fields' ),
+            esc_attr( $name . '[max]' ),
+            esc_attr__( 'Max', 'luma-product-fields' )
+        );
+        echo '</span> ';
+
+        echo '<button type="button" class="button-link lumaprfi-bulk-remove" aria-label="' . esc_attr__( 'Remove', 'luma-product-fields' ) . '">&#10005;</button>';
+        echo '</li>';
+    }
+
+
+    /**
+     * Apply the Bulk Edit rules to a product.
+     *
+     * - set:    replace the value. Taxonomy fields take comma-separated terms; for
+     *           single/multiple fields unknown terms are ignored, autocomplete fields create them.
+     * - clear:  remove the value.
+     * - append: add terms to a multi-value taxonomy field, keeping the assigned ones.
+     *
+     * Hook: woocommerce_product_bulk_edit_save
+     *
+     * @param \WC_Product $product Product being processed in bulk save.
+     * @return void
+     */
+    public function handle_bulk_edit_save( $product ): void {
+        $product_id = $this->verify_request( $product );
+        if ( ! $product_id ) {
+            return;
+        }
+
+        $group_slugs = array_column( Helpers::get_fields_for_group( Helpers::get_product_group_slug( $product_id ) ), 'slug' );
+
+        foreach ( $this->get_bulk_rules() as $rule ) {
+            $field = $rule['field'];
+            $slug  = $field['slug'];
+
+            if ( ! in_array( $slug, $group_slugs, true ) ) {
+                continue;
+            }
+
+            if ( 'clear' === $rule['action'] ) {
+                FieldStorage::save_field( $product_id, $slug, '' );
+                continue;
+            }
+
+            if ( 'minmax' === ( $field['type'] ?? '' ) ) {
+                FieldStorage::save_field( $product_id, $slug, [ 'min' => $rule['min'], 'max' => $rule['max'] ] );
+                continue;
+            }
+
+            if ( ! Helpers::is_taxonomy_field( $slug ) ) {
+                FieldStorage::save_field( $product_id, $slug, $rule['value'] );
+                continue;
+            }
+
+            $terms = $this->resolve_terms( $field, $rule['terms'] );
+            if ( empty( $terms ) ) {
+                continue;
+            }
+
+            if ( 'append' === $rule['action'] ) {
+                $terms = array_values( array_unique( array_merge( (array) Helpers::get_editable_field_value( $product_id, $slug ), $terms ) ) );
+            }
+
+            FieldStorage::save_field( $product_id, $slug, FieldTypeRegistry::supports_multiple_values( $field['type'] ?? '' ) ? $terms : $terms[0] );
+        }
+    }
+
+
+    /**
+     * Parse the submitted Bulk Edit rules.
+     *
+     * Rules without field, with an unknown action, or without value are left out. Append is
+     * only kept for multi-value taxonomy fields.
+     *
+     * @return array<int, array{field: array, action: string, value: string, min: string, max: string, terms: string[]}>
+     */
+    protected function get_bulk_rules(): array {
+        if ( null !== $this->bulk_rules ) {
+            return $this->bulk_rules;
+        }
+
+        $this->bulk_rules = [];
+
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Verified in verify_request().
+        $raw = isset( $_REQUEST['lumaprfi_bulk'] ) && is_array( $_REQUEST['lumaprfi_bulk'] ) ? wp_unslash( $_REQUEST['lumaprfi_bulk'] ) : [];
+
+        foreach ( $raw as $index => $rule ) {
+            if ( '__i__' === $index || ! is_array( $rule ) ) {
+                continue;
+            }
+
+            $field  = Helpers::get_field_definition_by_slug( sanitize_key( (string) ( $rule['field'] ?? '' ) ) );
+            $action = sanitize_key( (string) ( $rule['action'] ?? '' ) );
+
+            if ( ! $field || ! in_array( $action, self::BULK_ACTIONS, true ) ) {
+                continue;
+            }
+
+            $is_taxonomy = Helpers::is_taxonomy_field( $field['slug'] );
+            $is_multiple = FieldTypeRegistry::supports_multiple_values( $field['type'] ?? '' );
+
+            if ( 'append' === $action && ! ( $is_taxonomy && $is_multiple ) ) {
+                continue;
+            }
+
+            $parsed = [
+                'field'  => $field,
+                'action' => $action,
+                'value'  => sanitize_text_field( (string) ( $rule['value'] ?? '' ) ),
+                'min'    => sanitize_text_field( (string) ( $rule['min'] ?? '' ) ),
+                'max'    => sanitize_text_field( (string) ( $rule['max'] ?? '' ) ),
+                'terms'  => [],
+            ];
+
+            if ( $is_taxonomy ) {
+                $parsed['terms'] = array_values( array_filter( array_map( 'trim', explode( ',', $parsed['value'] ) ), 'strlen' ) );
+            }
+
+            // "Set to" with nothing entered would clear the field; that needs "Clear".
+            $is_empty = 'minmax' === ( $field['type'] ?? '' )
+                ? '' === $parsed['min'] && '' === $parsed['max']
+                : '' === $parsed['value'];
+
+            if ( 'clear' !== $action && $is_empty ) {
+                continue;
+            }
+
+            $this->bulk_rules[] = $parsed;
+        }
+
+        return $this->bulk_rules;
+    }
+
+
+    /**
+     * Resolve entered term names or slugs to what FieldStorage::save_field() expects.
+     *
+     * Autocomplete fields take names as they are (new terms are created when saved); other
+     * taxonomy fields only take existing terms, returned as slugs.
+     *
+     * @param array    $field Field definition.
+     * @param string[] $terms Entered term names or slugs.
+     * @return string[]
+     */
+    protected function resolve_terms( array $field, array $terms ): array {
+        if ( 'autocomplete' === ( $field['type'] ?? '' ) ) {
+            return $terms;
+        }
+
+        $slugs = [];
+        foreach ( $terms as $entered ) {
+            $term = get_term_by( 'slug', sanitize_title( $entered ), $field['slug'] )
+                ?: get_term_by( 'name', $entered, $field['slug'] );
+
+            if ( $term && ! is_wp_error( $term ) ) {
+                $slugs[] = $term->slug;
+            }
+        }
+
+        return array_values( array_unique( $slugs ) );
+    }
+
+
+    /**
+     * Check the nonce and permissions of a Quick Edit / Bulk Edit save.
+     *
+     * @param \WC_Product $product Product being saved.
+     * @return int Product ID, or 0 when the values must not be saved.
+     */
+    protected function verify_request( $product ): int {
+        $nonce = isset( $_REQUEST[ self::NONCE_FIELD ] )
+            ? sanitize_text_field( wp_unslash( $_REQUEST[ self::NONCE_FIELD ] ) )
+            : '';
+
+        if ( ! wp_verify_nonce( $nonce, self::NONCE_ACTION ) || ! $product instanceof \WC_Product ) {
+            return 0;
+        }
+
+        $product_id = (int) $product->get_id();
+
+        return $product_id > 0 && current_user_can( 'edit_post', $product_id ) ? $product_id : 0;
+    }
+
+
+    /**
+     * Enqueue the Quick Edit / Bulk Edit script on the Products list.
+     *
+     * @param string $hook_suffix Current admin page hook.
+     * @return void
+     */
+    public function enqueue_scripts( string $hook_suffix ): void {
+        if ( 'edit.php' !== $hook_suffix ) {
+            return;
+        }
+
+        $screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
+        if ( ! $screen || 'edit-product' !== $screen->id ) {
+            return;
+        }
+
+        wp_register_script(
+            'luma-product-fields-quickedit',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/quickedit.js',
+            [ 'jquery', 'inline-edit-post', 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_localize_script(
+            'luma-product-fields-quickedit',
+            'lumaProductFieldsQuickEdit',
+            [
+                'selectSelector' => 'select.' . LUMA_PRODUCT_FIELDS_PREFIX . '-pg-quick-single',
+                'groups'         => $this->get_group_slugs_by_id(),
+                'debug'          => defined( 'WP_DEBUG' ) && WP_DEBUG,
+            ]
+        );
+
+        wp_enqueue_script( 'luma-product-fields-quickedit' );
+    }
+
+
+    /**
+     * Product group slugs keyed by term ID, to load the fields of the group picked in Quick Edit.
+     *
+     * @return array<string, string>
+     */
+    protected function get_group_slugs_by_id(): array {
+        $terms = get_terms(
+            [
+                'taxonomy'   => ProductGroup::$tax_name,
+                'hide_empty' => false,
+            ]
+        );
+
+        if ( is_wp_error( $terms ) ) {
+            return [];
+        }
+
+        return array_map( 'strval', wp_list_pluck( $terms, 'slug', 'term_id' ) );
+    }
+}
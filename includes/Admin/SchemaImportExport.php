@@ -0,0 +1,696 @@
+<?php
+/**
+ * Schema import and export class
+ *
+ * @package Luma\ProductFields
+ */
+
+namespace Luma\ProductFields\Admin;
+
+defined( 'ABSPATH' ) || exit;
+
+use WP_Error;
+use Luma\ProductFields\Frontend\StructuredData;
+use Luma\ProductFields\Meta\FieldLayout;
+use Luma\ProductFields\Meta\MetaManager;
+use Luma\ProductFields\Registry\FieldTypeRegistry;
+use Luma\ProductFields\Taxonomy\ProductGroup;
+use Luma\ProductFields\Taxonomy\TaxonomyManager;
+use Luma\ProductFields\Utils\CacheInvalidator;
+use Luma\ProductFields\Utils\FieldConditions;
+use Luma\ProductFields\Utils\Helpers;
+
+/**
+ * Export and import of the field configuration, to copy it between sites (e.g. staging and
+ * production).
+ *
+ * The schema is a versioned JSON file with the product groups, the field definitions (with
+ * the options of Single select and Checkboxes fields) and the field order and sections per
+ * group. Field values are not part of it, see FieldValuesImportExport.
+ *
+ * Import runs in the browser (js/admin/schema-import.js): the file is compared with the
+ * configuration of this site, which is passed to the script, and the added, changed and
+ * removed groups and fields are listed. Only the changes picked there are sent to
+ * schema_import, which checks every definition again before saving it. Removing a field
+ * only removes its definition: product values and terms stay, so adding it again restores them.
+ *
+ * @hook luma_product_fields_schema_import_field
+ *      Filters an imported field definition before it is saved.
+ *      @param array $data Sanitized field definition.
+ *      @param array $raw  Field definition as found in the schema file.
+ */
+class SchemaImportExport {
+
+    /**
+     * Admin page slug.
+     */
+    public const PAGE_SLUG = 'luma-product-fields-schema';
+
+
+    /**
+     * admin-post.php action and nonce action of the export.
+     */
+    public const EXPORT_ACTION = 'luma_product_fields_export_schema';
+
+
+    /**
+     * Value of `format` in schema files.
+     */
+    public const FORMAT = 'luma-product-fields-schema';
+
+
+    /**
+     * Version of the schema format. Files with a newer version are refused.
+     */
+    public const FORMAT_VERSION = 1;
+
+
+    /**
+     * Constructor.
+     *
+     * Registers the page, the export handler and the import endpoint.
+     */
+    public function __construct() {
+        add_action( 'admin_menu', [ $this, 'register_page' ] );
+        add_action( 'luma_product_fields_field_manager_actions', [ $this, 'render_button' ] );
+        add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_scripts' ], 100 );
+        add_action( 'admin_post_' . self::EXPORT_ACTION, [ $this, 'handle_export' ] );
+        add_action( LUMA_PRODUCT_FIELDS_PREFIX . '_incoming_ajax_schema_import', [ $this, 'ajax_import' ] );
+    }
+
+
+    /**
+     * Add the page under Products, without a visible menu link.
+     *
+     * @return void
+     */
+    public function register_page(): void {
+        add_submenu_page(
+            'edit.php?post_type=product',
+            __( 'Export and import field configuration', 'luma-product-fields' ),
+            '',
+            'manage_woocommerce',
+            self::PAGE_SLUG,
+            [ $this, 'render_page' ]
+        );
+    }
+
+
+    /**
+     * Render the "Export / import" button in the Field Manager.
+     *
+     * @return void
+     */
+    public function render_button(): void {
+        ?>
+        <a href="<?php echo esc_url( admin_url( 'edit.php?post_type=product&page=' . self::PAGE_SLUG ) ); ?>"
+           class="button button-large"
+           style="margin-left: 1em;">
+            <?php esc_html_e( 'Export / import', 'luma-product-fields' ); ?>
+        </a>
+        <?php
+    }
+
+
+    /**
+     * Check if the current admin screen is the schema page.
+     *
+     * @return bool
+     */
+    public static function is_schema_screen(): bool {
+        $page_input = filter_input( INPUT_GET, 'page', FILTER_DEFAULT );
+        $page       = is_string( $page_input ) ? sanitize_key( wp_unslash( $page_input ) ) : '';
+
+        return is_admin() && self::PAGE_SLUG === $page;
+    }
+
+
+    /**
+     * Enqueue the import script on the schema page.
+     *
+     * @return void
+     */
+    public function enqueue_scripts(): void {
+        if ( ! self::is_schema_screen() ) {
+            return;
+        }
+
+        wp_enqueue_script(
+            'luma-product-fields-schema-import',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/admin/schema-import.js',
+            [ 'luma-product-fields-admin-js' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            true
+        );
+
+        wp_localize_script( 'luma-product-fields-schema-import', 'luma_product_fields_schema', $this->get_script_data() );
+    }
+
+
+    /**
+     * The configuration of this site, field types and strings for the import script.
+     *
+     * @return array
+     */
+    protected function get_script_data(): array {
+        $types = [];
+        foreach ( FieldTypeRegistry::get_all() as $type => $definition ) {
+            $types[ $type ] = [
+                'label'   => (string) ( $definition['label'] ?? $type ),
+                'storage' => (string) ( $definition['storage'] ?? 'meta' ),
+            ];
+        }
+
+        return [
+            'format'  => self::FORMAT,
+            'version' => self::FORMAT_VERSION,
+            'current' => $this->get_schema(),
+            'types'   => $types,
+            'strings' => [
+                'read_failed'     => __( 'The file could not be read.', 'luma-product-fields' ),
+                'invalid_file'    => __( 'This is not a field configuration export.', 'luma-product-fields' ),
+                /* translators: 1: version of the file, 2: supported version */
+                'newer_version'   => __( 'The file has format version %1$d; this version of the plugin reads up to version %2$d. Update the plugin first.', 'luma-product-fields' ),
+                /* translators: 1: site URL, 2: export date */
+                'source'          => __( 'Exported from %1$s on %2$s.', 'luma-product-fields' ),
+                'product_groups'  => __( 'Product groups', 'luma-product-fields' ),
+                'fields'          => __( 'Fields', 'luma-product-fields' ),
+                'layouts'         => __( 'Field order and sections', 'luma-product-fields' ),
+                'apply'           => __( 'Apply', 'luma-product-fields' ),
+                'name'            => __( 'Name', 'luma-product-fields' ),
+                'change'          => __( 'Change', 'luma-product-fields' ),
+                'details'         => __( 'Details', 'luma-product-fields' ),
+                'added'           => __( 'Added', 'luma-product-fields' ),
+                'changed'         => __( 'Changed', 'luma-product-fields' ),
+                'removed'         => __( 'Removed', 'luma-product-fields' ),
+                'conflict'        => __( 'Cannot import', 'luma-product-fields' ),
+                'group_removed'   => __( 'Only on this site. Product groups are not deleted by an import.', 'luma-product-fields' ),
+                'field_removed'   => __( 'Only on this site. Removing it deletes the definition; product values and terms are kept.', 'luma-product-fields' ),
+                /* translators: %s: field type */
+                'unknown_type'    => __( 'Unknown field type "%s". Is the plugin that adds it active?', 'luma-product-fields' ),
+                'storage_change'  => __( 'The type changes between a meta field and a taxonomy field. Change it by hand.', 'luma-product-fields' ),
+                /* translators: %d: number of unchanged items */
+                'unchanged'       => __( '%d unchanged.', 'luma-product-fields' ),
+                'no_changes'      => __( 'The configuration of this site matches the file.', 'luma-product-fields' ),
+                'options_added'   => __( 'Options added', 'luma-product-fields' ),
+                'options_renamed' => __( 'Options renamed', 'luma-product-fields' ),
+                'options_missing' => __( 'Options only on this site (kept)', 'luma-product-fields' ),
+                'empty'           => __( '(empty)', 'luma-product-fields' ),
+                'yes'             => __( 'Yes', 'luma-product-fields' ),
+                'no'              => __( 'No', 'luma-product-fields' ),
+                /* translators: %d: number of selected changes */
+                'apply_button'    => __( 'Apply %d changes', 'luma-product-fields' ),
+                'confirm_remove'  => __( 'The selected fields will be removed from this site. Continue?', 'luma-product-fields' ),
+                'failed_heading'  => __( 'These changes could not be applied:', 'luma-product-fields' ),
+                'keys'            => [
+                    'label'            => __( 'Label', 'luma-product-fields' ),
+                    'description'      => __( 'Tooltip (admin)', 'luma-product-fields' ),
+                    'frontend_desc'    => __( 'Tooltip (frontend)', 'luma-product-fields' ),
+                    'type'             => __( 'Type', 'luma-product-fields' ),
+                    'unit'             => __( 'Unit', 'luma-product-fields' ),
+                    'groups'           => __( 'Product groups', 'luma-product-fields' ),
+                    'hide_in_frontend' => __( 'Hidden in frontend', 'luma-product-fields' ),
+                    'variation'        => __( 'Variations', 'luma-product-fields' ),
+                    'show_links'       => __( 'Links', 'luma-product-fields' ),
+                    'required'         => __( 'Required', 'luma-product-fields' ),
+                    'conditions'       => __( 'Visibility rules', 'luma-product-fields' ),
+                    'schema_property'  => __( 'Structured data', 'luma-product-fields' ),
+                    'options'          => __( 'Options', 'luma-product-fields' ),
+                ],
+            ],
+        ];
+    }
+
+
+    /**
+     * Render the page: export button and import screen.
+     *
+     * @return void
+     */
+    public function render_page(): void {
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'luma-product-fields' ) );
+        }
+
+        echo '<div id="lumaprfi-schema" class="wrap">';
+        echo '<h1>' . esc_html__( 'Export and import field configuration', 'luma-product-fields' ) . '</h1>';
+        echo '<p>' . esc_html__( 'Copy the product groups, fields, field options and field order from one site to another, for example from staging to production. Field values of products are not included.', 'luma-product-fields' ) . '</p>';
+
+        echo '<h2>' . esc_html__( 'Export', 'luma-product-fields' ) . '</h2>';
+        echo '<form method="post" action="' . esc_url( admin_url( 'admin-post.php' ) ) . '">';
+        echo '<input type="hidden" name="action" value="' . esc_attr( self::EXPORT_ACTION ) . '" />';
+        wp_nonce_field( self::EXPORT_ACTION, 'luma_product_fields_schema_nonce' );
+        echo '<p><button type="submit" class="button button-primary">' . esc_html__( 'Download configuration', 'luma-product-fields' ) . '</button></p>';
+        echo '</form>';
+
+        echo '<hr />';
+
+        echo '<h2>' . esc_html__( 'Import', 'luma-product-fields' ) . '</h2>';
+        echo '<p>' . esc_html__( 'Choose an exported configuration. The differences with this site are listed, and only the changes you select are applied.', 'luma-product-fields' ) . '</p>';
+        echo '<p><input type="file" id="lumaprfi-schema-file" accept=".json,application/json" /></p>';
+
+        // Filled by schema-import.js
+        echo '<div class="lumaprfi-schema-diff" hidden></div>';
+        echo '<div class="lumaprfi-schema-results"></div>';
+
+        echo '</div>';
+    }
+
+
+    /**
+     * admin-post.php: download the configuration of this site.
+     *
+     * @return void
+     */
+    public function handle_export(): void {
+        if ( ! current_user_can( 'manage_woocommerce' ) ) {
+            wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'luma-product-fields' ) );
+        }
+
+        check_admin_referer( self::EXPORT_ACTION, 'luma_product_fields_schema_nonce' );
+
+        $host     = sanitize_title( (string) wp_parse_url( home_url(), PHP_URL_HOST ) );
+        $filename = sprintf( 'product-fields-schema-%s-%s.json', $host ?: 'site', gmdate( 'Y-m-d' ) );
+
+        nocache_headers();
+        header( 'Content-Type: application/json; charset=utf-8' );
+        header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+        echo wp_json_encode( $this->get_schema(), JSON_PRETTY_PRINT | JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES );
+        exit;
+    }
+
+
+    /**
+     * The configuration of this site.
+     *
+     * @return array{format: string, version: int, plugin_version: string, site: string, exported: string, product_groups: array, fields: array, layouts: array}
+     */
+    public function get_schema(): array {
+        $groups = [];
+        $terms  = get_terms(
+            [
+                'taxonomy'   => ProductGroup::$tax_name,
+                'hide_empty' => false,
+            ]
+        );
+
+        foreach ( is_array( $terms ) ? $terms : [] as $term ) {
+            $groups[] = [
+                'slug'        => $term->slug,
+                'name'        => $term->name,
+                'description' => $term->description,
+            ];
+        }
+
+        $fields = [];
+        foreach ( array_merge( MetaManager::get_all(), TaxonomyManager::get_all() ) as $field ) {
+            if ( $this->has_options( $field ) ) {
+                $field['options'] = $this->get_options( (string) $field['slug'] );
+            }
+            $fields[] = $field;
+        }
+
+        $layouts = [];
+        foreach ( array_merge( [ 'general' ], array_column( $groups, 'slug' ) ) as $group ) {
+            $layout = FieldLayout::get( (string) $group );
+            if ( ! empty( $layout ) ) {
+                $layouts[ $group ] = $layout;
+            }
+        }
+
+        return [
+            'format'         => self::FORMAT,
+            'version'        => self::FORMAT_VERSION,
+            'plugin_version' => LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            'site'           => home_url(),
+            'exported'       => gmdate( 'c' ),
+            'product_groups' => $groups,
+            'fields'         => $fields,
+            // An object even without layouts, so the import script can look groups up
+            'layouts'        => (object) $layouts,
+        ];
+    }
+
+
+    /**
+     * AJAX: apply the selected changes of a schema file.
+     *
+     * Expects `schema` (the file contents) and the slugs to apply: `groups[]` (product groups
+     * to add or update), `fields[]` (fields to add or update), `remove[]` (fields to remove)
+     * and `layouts[]` (groups whose field order to replace). Answers with the number of
+     * applied changes, the problems and the new configuration of this site.
+     *
+     * @return void
+     */
+    public function ajax_import(): void {
+        $schema = $this->read_schema();
+
+        // phpcs:disable WordPress.Security.NonceVerification.Missing -- Verified by Ajax::handle_request().
+        $selected = [];
+        foreach ( [ 'groups', 'fields', 'remove', 'layouts' ] as $key ) {
+            $selected[ $key ] = isset( $_POST[ $key ] ) ? array_map( 'sanitize_key', (array) wp_unslash( $_POST[ $key ] ) ) : []; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- sanitized by array_map.
+        }
+        // phpcs:enable WordPress.Security.NonceVerification.Missing
+
+        $applied = 0;
+        $errors  = [];
+
+        // Groups first, so fields can be assigned to new groups
+        foreach ( $schema['product_groups'] as $group ) {
+            $slug = sanitize_key( (string) ( $group['slug'] ?? '' ) );
+            if ( '' === $slug || ! in_array( $slug, $selected['groups'], true ) ) {
+                continue;
+            }
+
+            $result = $this->import_group( $group );
+            if ( is_wp_error( $result ) ) {
+                $errors[] = [ 'item' => $slug, 'message' => $result->get_error_message() ];
+            } else {
+                $applied++;
+            }
+        }
+
+        // Not ProductGroup::get_product_groups(), which caches the groups from before the import
+        $group_terms = get_terms(
+            [
+                'taxonomy'   => ProductGroup::$tax_name,
+                'hide_empty' => false,
+            ]
+        );
+        $group_slugs = array_map( static fn( $term ) => sanitize_key( $term->slug ), is_array( $group_terms ) ? $group_terms : [] );
+
+        $with_options = [];
+        foreach ( $schema['fields'] as $raw ) {
+            $slug = sanitize_key( (string) ( $raw['slug'] ?? '' ) );
+            if ( '' === $slug || ! in_array( $slug, $selected['fields'], true ) ) {
+                continue;
+            }
+
+            $result = $this->import_field( $raw, $group_slugs );
+            if ( is_wp_error( $result ) ) {
+                $errors[] = [ 'item' => $slug, 'message' => $result->get_error_message() ];
+                continue;
+            }
+
+            $applied++;
+            if ( $this->has_options( $result ) && isset( $raw['options'] ) && is_array( $raw['options'] ) ) {
+                $with_options[ $slug ] = $raw['options'];
+            }
+        }
+
+        if ( ! empty( $with_options ) ) {
+            // Taxonomies of new fields are only registered on the next request
+            ( new TaxonomyManager() )->register_dynamic_taxonomies();
+
+            foreach ( $with_options as $slug => $options ) {
+                $result = $this->import_options( $slug, $options );
+                if ( is_wp_error( $result ) ) {
+                    $errors[] = [ 'item' => $slug, 'message' => $result->get_error_message() ];
+                }
+            }
+        }
+
+        $in_file = array_map( static fn( $field ) => sanitize_key( (string) ( $field['slug'] ?? '' ) ), $schema['fields'] );
+        foreach ( array_diff( $selected['remove'], $in_file ) as $slug ) {
+            if ( ! Helpers::get_field_definition_by_slug( $slug ) ) {
+                continue;
+            }
+
+            if ( Helpers::is_taxonomy_field( $slug ) ) {
+                TaxonomyManager::delete_field( $slug );
+            } else {
+                MetaManager::delete_field( $slug );
+            }
+            FieldLayout::remove_field( $slug );
+            $applied++;
+        }
+
+        foreach ( $schema['layouts'] as $group => $sections ) {
+            $group = sanitize_key( (string) $group );
+            if ( ! in_array( $group, $selected['layouts'], true ) || ! is_array( $sections ) ) {
+                continue;
+            }
+
+            if ( 'general' !== $group && ! in_array( $group, $group_slugs, true ) ) {
+                /* translators: %s: product group slug */
+                $errors[] = [ 'item' => $group, 'message' => sprintf( __( 'The product group "%s" does not exist on this site.', 'luma-product-fields' ), $group ) ];
+                continue;
+            }
+
+            FieldLayout::save( $group, $sections );
+            $applied++;
+        }
+
+        CacheInvalidator::invalidate_all_meta_caches();
+
+        wp_send_json_success(
+            [
+                'applied' => $applied,
+                'errors'  => $errors,
+                'current' => $this->get_schema(),
+                /* translators: %d: number of applied changes */
+                'message' => sprintf( _n( '%d change applied.', '%d changes applied.', $applied, 'luma-product-fields' ), $applied ),
+            ]
+        );
+    }
+
+
+    /**
+     * Add a product group, or update the name and description of an existing one.
+     *
+     * @param array $group {slug, name, description}.
+     * @return true|WP_Error
+     */
+    protected function import_group( array $group ) {
+        $slug        = sanitize_key( (string) ( $group['slug'] ?? '' ) );
+        $name        = sanitize_text_field( (string) ( $group['name'] ?? '' ) );
+        $description = sanitize_textarea_field( (string) ( $group['description'] ?? '' ) );
+
+        if ( '' === $name ) {
+            return new WP_Error( 'invalid_group', __( 'The product group has no name.', 'luma-product-fields' ) );
+        }
+
+        $term = get_term_by( 'slug', $slug, ProductGroup::$tax_name );
+
+        $result = $term
+            ? wp_update_term( $term->term_id, ProductGroup::$tax_name, [ 'name' => $name, 'description' => $description ] )
+            : wp_insert_term( $name, ProductGroup::$tax_name, [ 'slug' => $slug, 'description' => $description ] );
+
+        return is_wp_error( $result ) ? $result : true;
+    }
+
+
+    /**
+     * Add or update a field from its definition in the schema file.
+     *
+     * The definition is checked like a field saved in the Field Editor. A field keeps its
+     * storage: a meta field cannot become a taxonomy field or the other way around.
+     *
+     * @param array    $raw         Field definition from the file.
+     * @param string[] $group_slugs Product groups of this site.
+     * @return array|WP_Error The saved definition.
+     */
+    protected function import_field( array $raw, array $group_slugs ) {
+        $slug  = sanitize_key( (string) ( $raw['slug'] ?? '' ) );
+        $type  = sanitize_key( (string) ( $raw['type'] ?? '' ) );
+        $label = sanitize_text_field( (string) ( $raw['label'] ?? '' ) );
+        $info  = FieldTypeRegistry::get( $type );
+
+        if ( '' === $label ) {
+            return new WP_Error( 'invalid_field', __( 'The field has no label.', 'luma-product-fields' ) );
+        }
+
+        if ( ! $info ) {
+            /* translators: %s: field type */
+            return new WP_Error( 'unknown_type', sprintf( __( 'Unknown field type "%s".', 'luma-product-fields' ), $type ) );
+        }
+
+        $is_tax   = 'taxonomy' === ( $info['storage'] ?? '' );
+        $existing = Helpers::get_field_definition_by_slug( $slug );
+
+        if ( $existing && Helpers::is_taxonomy_field( $slug ) !== $is_tax ) {
+            return new WP_Error( 'storage_change', __( 'The type changes between a meta field and a taxonomy field. Change it by hand.', 'luma-product-fields' ) );
+        }
+
+        if ( ! $existing && $is_tax && taxonomy_exists( $slug ) ) {
+            return new WP_Error( 'slug_conflict', __( 'A taxonomy with this slug already exists.', 'luma-product-fields' ) );
+        }
+
+        $unit = (string) ( $raw['unit'] ?? '' );
+        if ( '' !== $unit && ! array_key_exists( $unit, FieldTypeRegistry::get_units() ) ) {
+            $unit = '';
+        }
+
+        $data = [
+            'label'            => $label,
+            'description'      => sanitize_textarea_field( (string) ( $raw['description'] ?? '' ) ),
+            'frontend_desc'    => wp_kses_post( (string) ( $raw['frontend_desc'] ?? '' ) ),
+            'slug'             => $slug,
+            'type'             => $type,
+            'unit'             => $unit,
+            'groups'           => array_values( array_intersect( array_map( 'sanitize_key', (array) ( $raw['groups'] ?? [] ) ), $group_slugs ) ),
+            'hide_in_frontend' => ! empty( $raw['hide_in_frontend'] ),
+            'variation'        => ! empty( $raw['variation'] ),
+            'show_links'       => ! empty( $raw['show_links'] ),
+            'required'         => ! empty( $raw['required'] ),
+            'conditions'       => FieldConditions::sanitize( $raw['conditions'] ?? [], $slug ),
+            'schema_property'  => StructuredData::sanitize_property( $raw['schema_property'] ?? '' ),
+        ];
+
+        /**
+         * Filters an imported field definition before it is saved.
+         *
+         * Extensions that store extra keys in the definition can copy them from $raw here.
+         *
+         * @hook luma_product_fields_schema_import_field
+         *
+         * @param array $data Sanitized field definition.
+         * @param array $raw  Field definition as found in the schema file.
+         */
+        $data = apply_filters( 'luma_product_fields_schema_import_field', $data, $raw );
+        $data = is_array( $data ) ? $data : [];
+
+        if ( $is_tax ) {
+            TaxonomyManager::save_field( $data );
+
+            // save_field() does not create a field whose slug is taken or reserved
+            if ( ! TaxonomyManager::get_field( $slug ) ) {
+                return new WP_Error( 'slug_conflict', __( 'The field could not be created: its slug is already in use or reserved.', 'luma-product-fields' ) );
+            }
+        } else {
+            MetaManager::save_field( $data );
+        }
+
+        /** This action is documented in includes/Admin/FieldEditor.php */
+        do_action( 'luma_product_fields_field_saved', $data, $existing ? 'updated' : 'created', $is_tax, $existing ? $slug : '' );
+
+        // Archive URLs of linkable fields need new rewrite rules, like a save in the Field Editor
+        if ( FieldEditor::should_flag_rewrite_flush( $existing, $data ) ) {
+            FieldEditor::flag_rewrite_flush();
+        }
+
+        return $data;
+    }
+
+
+    /**
+     * Add the options of a field that are missing, and update names and descriptions.
+     *
+     * Options that are only on this site are kept, products may use them.
+     *
+     * @param string $slug    Field (taxonomy) slug.
+     * @param array  $options List of {slug, name, description}.
+     * @return true|WP_Error The first error, after trying all options.
+     */
+    protected function import_options( string $slug, array $options ) {
+        $error = true;
+
+        foreach ( $options as $option ) {
+            if ( ! is_array( $option ) ) {
+                continue;
+            }
+
+            $term_slug   = sanitize_title( (string) ( $option['slug'] ?? '' ) );
+            $name        = sanitize_text_field( (string) ( $option['name'] ?? '' ) );
+            $description = sanitize_textarea_field( (string) ( $option['description'] ?? '' ) );
+
+            if ( '' === $name ) {
+                continue;
+            }
+
+            $term = '' !== $term_slug ? get_term_by( 'slug', $term_slug, $slug ) : false;
+
+            if ( $term && $term->name === $name && $term->description === $description ) {
+                continue;
+            }
+
+            $result = $term
+                ? wp_update_term( $term->term_id, $slug, [ 'name' => $name, 'description' => $description ] )
+                : wp_insert_term( $name, $slug, [ 'slug' => $term_slug, 'description' => $description ] );
+
+            if ( is_wp_error( $result ) && true === $error ) {
+                $error = $result;
+            }
+        }
+
+        return $error;
+    }
+
+
+    /**
+     * The options of a field: its terms.
+     *
+     * @param string $slug Field (taxonomy) slug.
+     * @return array<int, array{slug: string, name: string, description: string}>
+     */
+    protected function get_options( string $slug ): array {
+        $terms = get_terms(
+            [
+                'taxonomy'   => $slug,
+                'hide_empty' => false,
+                'orderby'    => 'name',
+            ]
+        );
+
+        if ( ! is_array( $terms ) ) {
+            return [];
+        }
+
+        return array_map(
+            static fn( $term ) => [
+                'slug'        => $term->slug,
+                'name'        => $term->name,
+                'description' => $term->description,
+            ],
+            $terms
+        );
+    }
+
+
+    /**
+     * Whether the options of a field are part of the configuration: the predefined terms of
+     * taxonomy fields. Autocomplete terms are entered with the products, so they are not.
+     *
+     * @param array $field Field definition.
+     * @return bool
+     */
+    protected function has_options( array $field ): bool {
+        $type = (string) ( $field['type'] ?? '' );
+        $info = FieldTypeRegistry::get( $type ) ?? [];
+
+        return 'taxonomy' === ( $info['storage'] ?? '' ) && 'autocomplete' !== $type;
+    }
+
+
+    /**
+     * Read and validate the posted schema file.
+     *
+     * @return array{product_groups: array, fields: array, layouts: array}
+     */
+    protected function read_schema(): array {
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing,WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Verified by Ajax::handle_request(); sanitized per item on import.
+        $schema = isset( $_POST['schema'] ) && is_string( $_POST['schema'] ) ? json_decode( wp_unslash( $_POST['schema'] ), true ) : null;
+
+        if ( ! is_array( $schema ) || self::FORMAT !== ( $schema['format'] ?? '' ) ) {
+            NotificationManager::ajax_error( __( 'This is not a field configuration export.', 'luma-product-fields' ), 'invalid_schema', [], 400 );
+        }
+
+        $version = (int) ( $schema['version'] ?? 0 );
+        if ( $version < 1 || $version > self::FORMAT_VERSION ) {
+            NotificationManager::ajax_error(
+                /* translators: 1: version of the file, 2: supported version */
+                sprintf( __( 'The file has format version %1$d; this version of the plugin reads up to version %2$d. Update the plugin first.', 'luma-product-fields' ), $version, self::FORMAT_VERSION ),
+                'unsupported_version',
+                [],
+                400
+            );
+        }
+
+        return [
+            'product_groups' => array_filter( (array) ( $schema['product_groups'] ?? [] ), 'is_array' ),
+            'fields'         => array_filter( (array) ( $schema['fields'] ?? [] ), 'is_array' ),
+            'layouts'        => (array) ( $schema['layouts'] ?? [] ),
+        ];
+    }
+}
@@ -122,6 +122,30 @@ class Settings {
 				'default'  => 'no',
 				'desc_tip' => true,
 			],
+			[
+				'title'    => __( 'Preload variation fields', 'luma-product-fields' ),
+				'desc'     => __( 'Load the fields of all variations with one request when a variable product page opens, so switching variations is instant. Best for products with a moderate number of variations.', 'luma-product-fields' ),
+				'id'       => self::PREFIX . 'preload_variation_fields',
+				'type'     => 'checkbox',
+				'default'  => 'no',
+				'desc_tip' => true,
+			],
+			[
+				'title'    => __( 'Enable field filters', 'luma-product-fields' ),
+				'desc'     => __( 'Let shoppers filter the shop and product archives by field values. Shown on the plugin\'s field archives, and anywhere else with the "Product field filters" widget or the [luma_product_fields_filters] shortcode.', 'luma-product-fields' ),
+				'id'       => self::PREFIX . 'enable_filters',
+				'type'     => 'checkbox',
+				'default'  => 'no',
+				'desc_tip' => true,
+			],
+			[
+				'title'    => __( 'Enable product comparison', 'luma-product-fields' ),
+				'desc'     => __( 'Add an "Add to compare" button to product and shop pages, and a table comparing the fields of the selected products.', 'luma-product-fields' ),
+				'id'       => self::PREFIX . 'enable_compare',
+				'type'     => 'checkbox',
+				'default'  => 'no',
+				'desc_tip' => true,
+			],
             [
 				'title'    => __( 'Enable migration tool', 'luma-product-fields' ),
 				'desc'     => __( 'Add tool to migrate existing metadata to Product Fields.', 'luma-product-fields' ),
@@ -0,0 +1,272 @@
+<?php
+/**
+ * Compare controller
+ *
+ * @package Luma\ProductFields
+ */
+namespace Luma\ProductFields\Frontend;
+
+defined('ABSPATH') || exit;
+
+use Luma\ProductFields\Admin\Settings;
+use Luma\ProductFields\Utils\Helpers;
+
+
+/**
+ * Compare controller class
+ *
+ * Adds an "Add to compare" toggle to product and archive pages and serves the field
+ * data for the comparison table. The selection itself is kept client-side
+ * (js/luma-product-fields-compare.js), the table is built there as well.
+ *
+ * @hook luma_product_fields_compare_max_products
+ *      Filters the maximum number of products that can be compared at once.
+ *      @param int $max Default 4.
+ *
+ * @hook luma_product_fields_compare_button
+ *      Filters the HTML of the "Add to compare" toggle.
+ *      @param string      $html    Button HTML.
+ *      @param \WC_Product $product The product.
+ *
+ * @since 1.1.0
+ */
+class CompareController {
+
+    /**
+     * Default maximum number of products in a comparison.
+     */
+    public const MAX_PRODUCTS = 4;
+
+
+    /**
+     * Frontend controller, used for the field data of each product.
+     *
+     * @var FrontendController
+     */
+    protected FrontendController $frontend;
+
+
+
+    /**
+     * @param FrontendController $frontend Frontend controller instance.
+     */
+    public function __construct( FrontendController $frontend ) {
+        $this->frontend = $frontend;
+    }
+
+
+
+    /**
+     * Register hooks, if comparing is enabled in the settings.
+     *
+     * @return void
+     */
+    public function register(): void {
+        add_action( 'wp_ajax_nopriv_luma_product_fields_get_compare_data', [ $this, 'ajax_get_compare_data' ] );
+        add_action( 'wp_ajax_luma_product_fields_get_compare_data', [ $this, 'ajax_get_compare_data' ] );
+
+        if ( ! self::is_enabled() ) {
+            return;
+        }
+
+        add_action( 'wp_enqueue_scripts', [ $this, 'enqueue_scripts' ] );
+        add_action( 'woocommerce_single_product_summary', [ $this, 'render_toggle' ], 35 );
+        add_action( 'woocommerce_after_shop_loop_item', [ $this, 'render_toggle' ], 15 );
+    }
+
+
+
+    /**
+     * Whether the compare feature is enabled.
+     *
+     * @return bool
+     */
+    public static function is_enabled(): bool {
+        return 'yes' === get_option( Settings::PREFIX . 'enable_compare', 'no' );
+    }
+
+
+
+    /**
+     * Maximum number of products in a comparison.
+     *
+     * @return int
+     */
+    public static function get_max_products(): int {
+        return max( 2, (int) apply_filters( 'luma_product_fields_compare_max_products', self::MAX_PRODUCTS ) );
+    }
+
+
+
+    /**
+     * Enqueue the compare script and styles on product, shop and archive pages.
+     *
+     * @return void
+     */
+    public function enqueue_scripts(): void {
+        $is_shop_page = function_exists( 'is_woocommerce' ) && is_woocommerce();
+
+        if ( ! ( $is_shop_page || $this->frontend->is_on_plugin_taxonomy_archive() ) ) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'luma-product-fields-style',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'css/style.css',
+            array(),
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER
+        );
+
+        wp_enqueue_script(
+            'luma-product-fields-compare',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/luma-product-fields-compare.js',
+            [ 'jquery' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            [ 'strategy' => 'defer', 'in_footer' => true ]
+        );
+
+        wp_localize_script( 'luma-product-fields-compare', 'luma_product_fields_compare', [
+            'ajax_url' => admin_url( 'admin-ajax.php' ),
+            'nonce'    => wp_create_nonce( 'luma_product_fields_compare_nonce' ),
+            'max'      => self::get_max_products(),
+            'strings'  => [
+                'add'            => __( 'Add to compare', 'luma-product-fields' ),
+                'remove'         => __( 'Remove from compare', 'luma-product-fields' ),
+                'compare'        => __( 'Compare (%d)', 'luma-product-fields' ),
+                'clear'          => __( 'Clear', 'luma-product-fields' ),
+                'close'          => __( 'Close', 'luma-product-fields' ),
+                'title'          => __( 'Compare products', 'luma-product-fields' ),
+                'only_diff'      => __( 'Only show differences', 'luma-product-fields' ),
+                'remove_product' => __( 'Remove', 'luma-product-fields' ),
+                'price'          => __( 'Price', 'luma-product-fields' ),
+                'no_fields'      => __( 'These products have no fields to compare.', 'luma-product-fields' ),
+                'need_more'      => __( 'Add another product from the same product group to compare it.', 'luma-product-fields' ),
+                'max_reached'    => __( 'You can compare up to %d products.', 'luma-product-fields' ),
+                'load_failed'    => __( 'The comparison could not be loaded. Please try again.', 'luma-product-fields' ),
+            ],
+        ] );
+    }
+
+
+
+    /**
+     * Output the toggle for the current product, on the single product page and in the product loop.
+     *
+     * @return void
+     */
+    public function render_toggle(): void {
+        global $product; // phpcs:ignore WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound
+        if ( $product instanceof \WC_Product ) {
+            echo wp_kses_post( $this->get_toggle_html( $product ) );
+        }
+    }
+
+
+
+    /**
+     * Build the "Add to compare" toggle for a product.
+     *
+     * @param \WC_Product $product Product.
+     *
+     * @return string
+     */
+    public function get_toggle_html( \WC_Product $product ): string {
+        $html = sprintf(
+            '<button type="button" class="button lumaprfi-compare-toggle" data-product-id="%1$d">%2$s</button>',
+            $product->get_id(),
+            esc_html__( 'Add to compare', 'luma-product-fields' )
+        );
+
+        return (string) apply_filters( 'luma_product_fields_compare_button', $html, $product );
+    }
+
+
+
+    /**
+     * AJAX handler: Returns the data for the comparison table.
+     *
+     * Expects `product_ids[]`. Returns the products (in the requested order) with their
+     * field data, and per product group the fields in the group's order, so the script
+     * can align values across products of the same group.
+     *
+     * @return void
+     */
+    public function ajax_get_compare_data(): void {
+
+        check_ajax_referer( 'luma_product_fields_compare_nonce', 'nonce' );
+
+        if ( ! self::is_enabled() ) {
+            wp_send_json_error( [ 'error' => 'Comparing is disabled' ], 403 );
+        }
+
+        $ids = isset( $_POST['product_ids'] )
+            ? array_map( 'absint', (array) wp_unslash( $_POST['product_ids'] ) )
+            : [];
+        $ids = array_slice( array_values( array_unique( array_filter( $ids ) ) ), 0, self::get_max_products() );
+
+        if ( empty( $ids ) ) {
+            wp_send_json_error( [ 'error' => 'Missing product IDs' ], 400 );
+        }
+
+        $products = [];
+        $groups   = [];
+
+        foreach ( $ids as $product_id ) {
+            $product = wc_get_product( $product_id );
+            if ( ! $product instanceof \WC_Product || $product->is_type( 'variation' ) || 'publish' !== $product->get_status() ) {
+                continue;
+            }
+
+            $group_slug = Helpers::get_product_group_slug( $product_id ) ?: 'general';
+            if ( ! isset( $groups[ $group_slug ] ) ) {
+                $groups[ $group_slug ] = $this->get_group_data( $group_slug, $product_id );
+            }
+
+            $products[] = [
+                'id'         => $product_id,
+                'name'       => $product->get_name(),
+                'url'        => $product->get_permalink(),
+                'image'      => $product->get_image( 'woocommerce_thumbnail' ),
+                'price_html' => $product->get_price_html(),
+                'group'      => $group_slug,
+                'fields'     => (object) $this->frontend->get_all_fields_data( $product_id ),
+            ];
+        }
+
+        wp_send_json_success( [
+            'products' => $products,
+            'groups'   => $groups,
+        ] );
+    }
+
+
+
+    /**
+     * Name and visible fields of a product group, in the group's field order.
+     *
+     * @param string $group_slug Product group slug ('general' for products without a group).
+     * @param int    $product_id A product in the group, used to look up the group name.
+     *
+     * @return array{name: string, fields: array<int, array{slug: string, label: string, type: string}>}
+     */
+    protected function get_group_data( string $group_slug, int $product_id ): array {
+        $group  = Helpers::get_product_group( $product_id );
+        $fields = [];
+
+        foreach ( Helpers::get_fields_for_group( $group_slug ) as $field ) {
+            if ( ! empty( $field['hide_in_frontend'] ) || empty( $field['slug'] ) ) {
+                continue;
+            }
+            $fields[] = [
+                'slug'  => (string) $field['slug'],
+                'label' => (string) ( $field['label'] ?? $field['slug'] ),
+                'type'  => (string) ( $field['type'] ?? 'text' ),
+            ];
+        }
+
+        return [
+            'name'   => $group ? $group->name : __( 'General', 'luma-product-fields' ),
+            'fields' => $fields,
+        ];
+    }
+}
@@ -80,6 +80,68 @@ class FieldRenderer
         return esc_html($value); // fallback.
     }
 
+
+
+    /**
+     * Get a field value as structured data for scripts.
+     *
+     * Used by the variation endpoint and the product page script, so themes can place
+     * values anywhere on the page. `html` is the same value markup as render_field_value(),
+     * `text` is its plain-text version without unit.
+     *
+     * @param array $field   Field definition array.
+     * @param int   $post_id Product or variation ID.
+     *
+     * @return array{slug: string, label: string, type: string, value: mixed, text: string, html: string, unit: string, unit_label: string, terms: array<int, array{slug: string, name: string, url: string}>}|null
+     *         Null if the field has no value.
+     */
+    public function get_field_data(array $field, int $post_id): ?array
+    {
+        $slug = (string) ( $field['slug'] ?? '' );
+        if ( '' === $slug ) {
+            return null;
+        }
+
+        $value = Helpers::get_field_value( $post_id, $slug );
+        $html  = Helpers::is_truly_empty( $value ) ? '' : $this->render_field_value( $field, $post_id );
+        if ( '' === $html ) {
+            return null;
+        }
+
+        $unit  = (string) ( $field['unit'] ?? '' );
+        $units = FieldTypeRegistry::get_units();
+
+        $terms = [];
+        if ( Helpers::is_taxonomy_field( $slug ) ) {
+            $found = get_terms([
+                'taxonomy'   => $slug,
+                'slug'       => (array) $value,
+                'hide_empty' => false,
+            ]);
+
+            foreach ( is_wp_error( $found ) ? [] : self::sort_terms_by_slugs( $found, (array) $value ) as $term ) {
+                $url     = get_term_link( $term );
+                $terms[] = [
+                    'slug' => $term->slug,
+                    'name' => $term->name,
+                    'url'  => is_wp_error( $url ) ? '' : $url,
+                ];
+            }
+        }
+
+        return [
+            'slug'       => $slug,
+            'label'      => (string) ( $field['label'] ?? $slug ),
+            'type'       => (string) ( $field['type'] ?? 'text' ),
+            'value'      => $value,
+            'text'       => trim( html_entity_decode( wp_strip_all_tags( $html ), ENT_QUOTES, 'UTF-8' ) ),
+            'html'       => $html,
+            'unit'       => $unit,
+            'unit_label' => '' !== $unit ? (string) ( $units[ $unit ] ?? $unit ) : '',
+            'terms'      => $terms,
+        ];
+    }
+
     
     /**
      * Wrap rendered field value in semantic HTML using <dl>/<dt>/<dd>.
@@ -116,6 +178,34 @@ class FieldRenderer
     }
 
 
+    /**
+     * Wrap the rendered fields of a section (see FieldLayout) in a collapsible block.
+     *
+     * Fields outside any section (the first section, without id) are returned as they are.
+     *
+     * @param array  $section Section from FieldLayout::get_sections().
+     * @param string $html    Rendered fields of the section.
+     *
+     * @return string
+     */
+    public static function wrap_section( array $section, string $html ): string {
+        if ( '' === $html || '' === (string) ( $section['id'] ?? '' ) ) {
+            return $html;
+        }
+
+        return sprintf(
+            "<details class='lumaprfi-section' data-section='%1\$s'%2\$s>
+                <summary class='lumaprfi-section-title'>%3\$s</summary>
+                %4\$s
+            </details>",
+            esc_attr( $section['id'] ),
+            empty( $section['collapsed'] ) ? ' open' : '',
+            esc_html( (string) ( $section['label'] ?? '' ) ),
+            $html
+        );
+    }
+
+
     /**
      * Build the tooltip HTML (if any) for a frontend field.
      *
@@ -295,12 +385,28 @@ class FieldRenderer
             return '';
         }
 
+        return $this->render_terms($field, self::sort_terms_by_slugs($terms, $values));
+    }
+
+
+
+    /**
+     * Render terms as a comma separated list, linked to their archives if the field shows links.
+     * Terms that are not saved (without ID) are never linked.
+     *
+     * @param array     $field Field definition.
+     * @param WP_Term[] $terms Terms, in display order.
+     *
+     * @return string
+     */
+    public function render_terms(array $field, array $terms): string
+    {
         $should_link = !empty($field['show_links']) &&
                        \Luma\ProductFields\Registry\FieldTypeRegistry::supports($field['type'], 'link');
 
         $output = array_map(function (WP_Term $term) use ($should_link) {
             $name = esc_html($term->name);
-            if (!$should_link) {
+            if (!$should_link || !$term->term_id) {
                 return $name;
             }
             $url = get_term_link($term);
@@ -312,6 +418,23 @@ class FieldRenderer
 
 
 
+    /**
+     * Put terms in the order of the given slugs, e.g. the saved order of an autocomplete field.
+     *
+     * @param WP_Term[] $terms Terms.
+     * @param string[]  $slugs Term slugs in the wanted order.
+     *
+     * @return WP_Term[]
+     */
+    protected static function sort_terms_by_slugs(array $terms, array $slugs): array
+    {
+        $position = array_flip(array_values($slugs));
+        usort($terms, static fn(WP_Term $a, WP_Term $b) => ($position[$a->slug] ?? PHP_INT_MAX) <=> ($position[$b->slug] ?? PHP_INT_MAX));
+        return $terms;
+    }
+
+
+
     /**
      * Render an autocomplete field (term-based).
      *
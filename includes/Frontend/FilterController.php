@@ -0,0 +1,865 @@
+<?php
+/**
+ * Filter controller
+ *
+ * @package Luma\ProductFields
+ */
+namespace Luma\ProductFields\Frontend;
+
+defined('ABSPATH') || exit;
+
+use Luma\ProductFields\Admin\Settings;
+use Luma\ProductFields\Product\FieldStorage;
+use Luma\ProductFields\Registry\FieldTypeRegistry;
+use Luma\ProductFields\Taxonomy\ProductGroup;
+use Luma\ProductFields\Utils\CacheInvalidator;
+use Luma\ProductFields\Utils\Helpers;
+
+
+/**
+ * Filter controller class
+ *
+ * Faceted filtering of shop and product archives (including the plugin's own taxonomy
+ * archives) by product field values: checkbox facets with counts for taxonomy fields, and
+ * range sliders for numeric fields. Filters are plain GET parameters on the archive URL
+ * (`lpf_{slug}=a,b`, `lpf_{slug}_min=1&lpf_{slug}_max=5`), so every filtered view can be
+ * shared and bookmarked. js/luma-product-fields-filters.js loads the filtered pages via
+ * AJAX and keeps the browser history in sync.
+ *
+ * Term facets combine with OR within a field and AND across fields. Counts for a facet are
+ * based on the other active filters. A product matches if the product, or any of its
+ * variations, has one of the checked terms or a value inside the range; ranges (min/max
+ * fields) match if they overlap.
+ *
+ * Filters and counts run as SQL subqueries, scoped to the archive by its tax/term
+ * constraints, so no list of product IDs is built in PHP. Term counts and range bounds
+ * are cached in transients, invalidated through CacheInvalidator when products change.
+ *
+ * The form is output on the `luma_product_fields_archive_filters` action, which is called
+ * by the plugin's archive template, the "Product field filters" widget and the
+ * [luma_product_fields_filters] shortcode.
+ *
+ * @hook luma_product_fields_filter_fields
+ *      Filters the fields offered as facets.
+ *      @param array         $fields Field definitions keyed by slug.
+ *      @param \WP_Term|null $term   Queried archive term, if any.
+ *
+ * @since 1.1.0
+ */
+class FilterController {
+
+    /**
+     * Prefix of the filter query parameters.
+     */
+    public const PARAM_PREFIX = 'lpf_';
+
+
+    /**
+     * Product ID of a product or variation row aliased `v`: variations count for their parent.
+     */
+    protected const PRODUCT_ID_SQL = "CASE WHEN v.post_type = 'product_variation' THEN v.post_parent ELSE v.ID END";
+
+
+    /**
+     * A plain number, as stored by FieldStorage.
+     */
+    protected const NUMBER_REGEXP = '^-?[0-9]+([.][0-9]+)?([eE][-+]?[0-9]+)?$';
+
+
+    /**
+     * Main query vars before the filters were applied, used to scope the facets to the archive.
+     *
+     * @var array|null
+     */
+    protected ?array $base_query_vars = null;
+
+
+    /**
+     * The main query being filtered, see filter_main_query().
+     *
+     * @var \WP_Query|null
+     */
+    protected ?\WP_Query $main_query = null;
+
+
+    /**
+     * SQL of the archive's tax/term constraints, see get_archive_tax_sql().
+     *
+     * @var array{join: string, where: string}|null
+     */
+    protected ?array $archive_tax_sql = null;
+
+
+
+    /**
+     * Register hooks, if filtering is enabled in the settings.
+     *
+     * @return void
+     */
+    public function register(): void {
+        if ( ! self::is_enabled() ) {
+            return;
+        }
+
+        add_action( 'pre_get_posts', [ $this, 'filter_main_query' ], 30 );
+        add_action( 'wp_enqueue_scripts', [ $this, 'enqueue_scripts' ] );
+        add_action( 'woocommerce_before_main_content', [ $this, 'open_products_container' ], 50 );
+        add_action( 'woocommerce_after_main_content', [ $this, 'close_products_container' ], 5 );
+        add_action( 'luma_product_fields_archive_filters', [ $this, 'render' ] );
+        add_shortcode( 'luma_product_fields_filters', [ $this, 'shortcode' ] );
+    }
+
+
+
+    /**
+     * Whether filtering is enabled.
+     *
+     * @return bool
+     */
+    public static function is_enabled(): bool {
+        return 'yes' === get_option( Settings::PREFIX . 'enable_filters', 'no' );
+    }
+
+
+
+    /**
+     * Whether a query lists products on the shop page or a product taxonomy archive.
+     *
+     * @param \WP_Query $query Query.
+     *
+     * @return bool
+     */
+    protected function is_product_archive_query( \WP_Query $query ): bool {
+        return $query->is_post_type_archive( 'product' ) || $query->is_tax( get_object_taxonomies( 'product' ) );
+    }
+
+
+
+    /**
+     * Whether the current request is a product archive.
+     *
+     * @return bool
+     */
+    protected function is_product_archive(): bool {
+        global $wp_query; // phpcs:ignore WordPress.NamingConventions.PrefixAllGlobals.NonPrefixedVariableFound
+        return $wp_query instanceof \WP_Query && $this->is_product_archive_query( $wp_query );
+    }
+
+
+
+    /**
+     * Enqueue the filter script and styles on product archives.
+     *
+     * @return void
+     */
+    public function enqueue_scripts(): void {
+        if ( ! $this->is_product_archive() ) {
+            return;
+        }
+
+        wp_enqueue_style(
+            'luma-product-fields-style',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'css/style.css',
+            array(),
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER
+        );
+
+        wp_enqueue_script(
+            'luma-product-fields-filters',
+            LUMA_PRODUCT_FIELDS_PLUGIN_URL . 'js/luma-product-fields-filters.js',
+            [ 'jquery' ],
+            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
+            [ 'strategy' => 'defer', 'in_footer' => true ]
+        );
+
+        wp_localize_script( 'luma-product-fields-filters', 'luma_product_fields_filters', [
+            'prefix' => self::PARAM_PREFIX,
+        ] );
+    }
+
+
+
+    /**
+     * Open the container that the filter script replaces with the filtered results.
+     *
+     * @return void
+     */
+    public function open_products_container(): void {
+        if ( $this->is_product_archive() ) {
+            echo '<div id="lumaprfi-products" class="lumaprfi-products">';
+        }
+    }
+
+
+
+    /**
+     * Close the container opened by open_products_container().
+     *
+     * @return void
+     */
+    public function close_products_container(): void {
+        if ( $this->is_product_archive() ) {
+            echo '</div>';
+        }
+    }
+
+
+
+    /**
+     * Apply the active filters to the main product query.
+     *
+     * @param \WP_Query $query Query.
+     *
+     * @return void
+     */
+    public function filter_main_query( \WP_Query $query ): void {
+        if ( is_admin() || ! $query->is_main_query() || ! $this->is_product_archive_query( $query ) ) {
+            return;
+        }
+
+        $this->base_query_vars = $query->query_vars;
+        $this->main_query      = $query;
+
+        if ( ! empty( $this->get_filter_clauses( 'p.ID' ) ) ) {
+            add_filter( 'posts_where', [ $this, 'filter_main_where' ], 10, 2 );
+        }
+    }
+
+
+
+    /**
+     * Add the active filters to the WHERE clause of the main product query.
+     *
+     * @param string    $where WHERE clause.
+     * @param \WP_Query $query Query.
+     *
+     * @return string
+     */
+    public function filter_main_where( string $where, \WP_Query $query ): string {
+        global $wpdb;
+
+        if ( $query !== $this->main_query ) {
+            return $where;
+        }
+
+        foreach ( $this->get_filter_clauses( "{$wpdb->posts}.ID" ) as $clause ) {
+            $where .= " AND {$clause}";
+        }
+
+        return $where;
+    }
+
+
+
+    /**
+     * Fields offered as facets on the current archive: taxonomy fields as checkboxes,
+     * numeric fields as ranges. On a product group archive only the group's fields.
+     *
+     * @return array<string, array> Field definitions keyed by slug.
+     */
+    public function get_filter_fields(): array {
+        $term    = get_queried_object();
+        $term    = $term instanceof \WP_Term ? $term : null;
+        $group   = ( $term && ProductGroup::$tax_name === $term->taxonomy ) ? $term->slug : null;
+        $current = $term ? $term->taxonomy : '';
+        $fields  = [];
+
+        foreach ( Helpers::get_all_fields( $group ) as $field ) {
+            $slug = (string) ( $field['slug'] ?? '' );
+            if ( '' === $slug || $slug === $current || ! empty( $field['hide_in_frontend'] ) ) {
+                continue;
+            }
+            if ( null !== $this->get_facet_kind( $field ) ) {
+                $fields[ $slug ] = $field;
+            }
+        }
+
+        return apply_filters( 'luma_product_fields_filter_fields', $fields, $term );
+    }
+
+
+
+    /**
+     * The kind of facet for a field.
+     *
+     * @param array $field Field definition.
+     *
+     * @return string|null 'terms', 'range', or null if the field cannot be filtered.
+     */
+    protected function get_facet_kind( array $field ): ?string {
+        $type = (string) ( $field['type'] ?? '' );
+        if ( null === FieldTypeRegistry::get( $type ) ) {
+            return null;
+        }
+
+        $storage = FieldTypeRegistry::get_field_storage_type( $type );
+        if ( 'taxonomy' === $storage ) {
+            return 'terms';
+        }
+
+        return ( 'meta' === $storage && FieldTypeRegistry::field_type_is_numeric( $type ) ) ? 'range' : null;
+    }
+
+
+
+    /**
+     * Active filters from the request.
+     *
+     * @return array{terms: array<string, string[]>, ranges: array<string, array{min: float|null, max: float|null}>}
+     */
+    public function get_active_filters(): array {
+        $active = [
+            'terms'  => [],
+            'ranges' => [],
+        ];
+
+        foreach ( $this->get_filter_fields() as $slug => $field ) {
+            if ( 'terms' === $this->get_facet_kind( $field ) ) {
+                // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Public archive filters.
+                $raw = isset( $_GET[ self::PARAM_PREFIX . $slug ] ) ? wp_unslash( $_GET[ self::PARAM_PREFIX . $slug ] ) : '';
+                $raw = is_array( $raw ) ? $raw : explode( ',', (string) $raw );
+
+                $values = array_values( array_unique( array_filter( array_map( 'sanitize_title', $raw ) ) ) );
+                if ( ! empty( $values ) ) {
+                    $active['terms'][ $slug ] = $values;
+                }
+                continue;
+            }
+
+            $min = $this->get_number_param( self::PARAM_PREFIX . $slug . '_min' );
+            $max = $this->get_number_param( self::PARAM_PREFIX . $slug . '_max' );
+            if ( null !== $min || null !== $max ) {
+                $active['ranges'][ $slug ] = [
+                    'min' => $min,
+                    'max' => $max,
+                ];
+            }
+        }
+
+        return $active;
+    }
+
+
+
+    /**
+     * Read a numeric query parameter.
+     *
+     * @param string $name Parameter name.
+     *
+     * @return float|null
+     */
+    protected function get_number_param( string $name ): ?float {
+        // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Public archive filters.
+        $raw = isset( $_GET[ $name ] ) ? str_replace( ',', '.', sanitize_text_field( wp_unslash( $_GET[ $name ] ) ) ) : '';
+
+        return is_numeric( $raw ) ? (float) $raw : null;
+    }
+
+
+
+    /**
+     * SQL conditions for the active filters, each on a column holding a product ID.
+     *
+     * @param string $column Product ID column, e.g. "p.ID".
+     * @param string $except Field slug to leave out, for the counts of its own facet.
+     *
+     * @return array<string, string> Conditions keyed by field slug.
+     */
+    protected function get_filter_clauses( string $column, string $except = '' ): array {
+        global $wpdb;
+
+        $active  = $this->get_active_filters();
+        $clauses = [];
+
+        foreach ( $active['terms'] as $slug => $values ) {
+            if ( $slug === $except ) {
+                continue;
+            }
+
+            $placeholders = implode( ',', array_fill( 0, count( $values ), '%s' ) );
+
+            // phpcs:ignore WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+            $clauses[ $slug ] = $column . ' IN ( ' . $wpdb->prepare(
+                'SELECT ' . self::PRODUCT_ID_SQL . "
+                FROM {$wpdb->term_relationships} tr
+                INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id
+                INNER JOIN {$wpdb->terms} t ON t.term_id = tt.term_id
+                INNER JOIN {$wpdb->posts} v ON v.ID = tr.object_id
+                WHERE tt.taxonomy = %s
+                AND t.slug IN ( {$placeholders} )
+                AND v.post_status = 'publish'",
+                array_merge( [ $slug ], $values )
+            ) . ' )';
+        }
+
+        foreach ( $active['ranges'] as $slug => $range ) {
+            if ( $slug === $except ) {
+                continue;
+            }
+
+            $overlap = [];
+            if ( null !== $range['max'] ) {
+                $overlap[] = $wpdb->prepare( 'r.low <= %f', $range['max'] );
+            }
+            if ( null !== $range['min'] ) {
+                $overlap[] = $wpdb->prepare( 'r.high >= %f', $range['min'] );
+            }
+
+            $clauses[ $slug ] = sprintf(
+                '%1$s IN ( SELECT r.product_id FROM ( %2$s ) r WHERE %3$s )',
+                $column,
+                $this->get_range_values_sql( $slug ),
+                implode( ' AND ', $overlap )
+            );
+        }
+
+        return $clauses;
+    }
+
+
+
+    /**
+     * SQL listing all values of a numeric field as [low, high] intervals, by product.
+     * Variation values count for their parent.
+     *
+     * Min/max fields are stored serialized; their bounds are read from the serialized array.
+     *
+     * @param string $slug Field slug.
+     *
+     * @return string SELECT with the columns product_id, low and high.
+     */
+    protected function get_range_values_sql( string $slug ): string {
+        global $wpdb;
+
+        $number = "CASE WHEN pm.meta_value REGEXP '" . self::NUMBER_REGEXP . "' THEN pm.meta_value + 0 END";
+        $min    = "CASE WHEN LEFT( pm.meta_value, 2 ) = 'a:' THEN " . $this->get_serialized_number_sql( 'min' ) . " ELSE {$number} END";
+        $max    = "CASE WHEN LEFT( pm.meta_value, 2 ) = 'a:' THEN " . $this->get_serialized_number_sql( 'max' ) . " ELSE {$number} END";
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $values = $wpdb->prepare(
+            'SELECT ' . self::PRODUCT_ID_SQL . " AS product_id, {$min} AS min_value, {$max} AS max_value
+            FROM {$wpdb->postmeta} pm
+            INNER JOIN {$wpdb->posts} v ON v.ID = pm.post_id
+            WHERE pm.meta_key = %s
+            AND v.post_status = 'publish'
+            AND v.post_type IN ( 'product', 'product_variation' )",
+            FieldStorage::META_PREFIX . $slug
+        );
+
+        return "SELECT n.product_id,
+                LEAST( COALESCE( n.min_value, n.max_value ), COALESCE( n.max_value, n.min_value ) ) AS low,
+                GREATEST( COALESCE( n.min_value, n.max_value ), COALESCE( n.max_value, n.min_value ) ) AS high
+            FROM ( {$values} ) n
+            WHERE COALESCE( n.min_value, n.max_value ) IS NOT NULL";
+    }
+
+
+
+    /**
+     * SQL reading a number from a serialized array in pm.meta_value, e.g. the "min" of
+     * `a:2:{s:3:"min";d:3.5;s:3:"max";d:6;}`. Floats, integers and numeric strings are read.
+     *
+     * @param string $key Array key.
+     *
+     * @return string Expression, NULL if the key is missing or not a number.
+     */
+    protected function get_serialized_number_sql( string $key ): string {
+        $marker = sprintf( 's:%d:"%s";', strlen( $key ), $key );
+        $token  = "SUBSTRING_INDEX( SUBSTRING_INDEX( pm.meta_value, '{$marker}', -1 ), ';', 1 )";
+        $number = "CASE WHEN LEFT( {$token}, 2 ) = 's:' THEN SUBSTRING_INDEX( SUBSTRING_INDEX( {$token}, '\"', 2 ), '\"', -1 ) ELSE SUBSTRING( {$token}, 3 ) END";
+
+        return "CASE WHEN LOCATE( '{$marker}', pm.meta_value ) > 0 AND ( {$number} ) REGEXP '" . self::NUMBER_REGEXP . "' THEN ( {$number} ) + 0 END";
+    }
+
+
+
+    /**
+     * SQL of the archive's tax/term constraints (product category, product visibility, …),
+     * on the products table aliased `p`.
+     *
+     * @return array{join: string, where: string}
+     */
+    protected function get_archive_tax_sql(): array {
+        if ( null !== $this->archive_tax_sql ) {
+            return $this->archive_tax_sql;
+        }
+
+        if ( null === $this->base_query_vars ) {
+            $this->archive_tax_sql = [
+                'join'  => '',
+                'where' => ' AND 0 = 1',
+            ];
+            return $this->archive_tax_sql;
+        }
+
+        $vars  = $this->base_query_vars;
+        $query = new \WP_Query();
+        $query->parse_tax_query( $vars );
+
+        $this->archive_tax_sql = $query->tax_query->get_sql( 'p', 'ID' );
+        return $this->archive_tax_sql;
+    }
+
+
+
+    /**
+     * SQL selecting the IDs of the products in the archive that meet the given conditions.
+     *
+     * @param string[] $clauses Conditions on p.ID, see get_filter_clauses().
+     *
+     * @return string
+     */
+    protected function get_scope_sql( array $clauses ): string {
+        global $wpdb;
+
+        $tax = $this->get_archive_tax_sql();
+        $sql = "SELECT p.ID FROM {$wpdb->posts} p {$tax['join']}
+            WHERE p.post_type = 'product' AND p.post_status = 'publish' {$tax['where']}";
+
+        foreach ( $clauses as $clause ) {
+            $sql .= " AND {$clause}";
+        }
+
+        return $sql;
+    }
+
+
+
+    /**
+     * Run a facet query, cached until products or terms change.
+     *
+     * @param string $sql Prepared SQL.
+     *
+     * @return array<int, array<string, mixed>> Rows.
+     */
+    protected function get_cached_results( string $sql ): array {
+        global $wpdb;
+
+        $key  = CacheInvalidator::get_filter_cache_key( $wpdb->remove_placeholder_escape( $sql ) );
+        $rows = get_transient( $key );
+
+        if ( ! is_array( $rows ) ) {
+            // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- built from prepared parts, cached in a transient.
+            $rows = (array) $wpdb->get_results( $sql, ARRAY_A );
+            set_transient( $key, $rows, DAY_IN_SECONDS );
+        }
+
+        return $rows;
+    }
+
+
+
+    /**
+     * Number of products per term of a taxonomy, among the products in the archive that
+     * match the other active filters. A product counts for the terms of its variations too.
+     *
+     * @param string $taxonomy Taxonomy (field slug).
+     *
+     * @return array<string, int> Term slug => product count.
+     */
+    protected function count_terms( string $taxonomy ): array {
+        global $wpdb;
+
+        $scope = $this->get_scope_sql( $this->get_filter_clauses( 'p.ID', $taxonomy ) );
+
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $sql = $wpdb->prepare(
+            'SELECT t.slug, COUNT( DISTINCT ' . self::PRODUCT_ID_SQL . " ) AS count
+            FROM {$wpdb->term_relationships} tr
+            INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id
+            INNER JOIN {$wpdb->terms} t ON t.term_id = tt.term_id
+            INNER JOIN {$wpdb->posts} v ON v.ID = tr.object_id
+            WHERE tt.taxonomy = %s
+            AND v.post_status = 'publish'",
+            $taxonomy
+        ) . ' AND ' . self::PRODUCT_ID_SQL . " IN ( {$scope} ) GROUP BY t.slug";
+
+        $counts = [];
+        foreach ( $this->get_cached_results( $sql ) as $row ) {
+            $counts[ $row['slug'] ] = (int) $row['count'];
+        }
+
+        return $counts;
+    }
+
+
+
+    /**
+     * Lowest and highest value of a numeric field in the archive, without the field filters.
+     *
+     * @param string $slug Field slug.
+     *
+     * @return array{low: float, high: float}|null Null if no product in the archive has a value.
+     */
+    protected function get_range_bounds( string $slug ): ?array {
+        $sql = sprintf(
+            'SELECT MIN( r.low ) AS low, MAX( r.high ) AS high FROM ( %1$s ) r WHERE r.product_id IN ( %2$s )',
+            $this->get_range_values_sql( $slug ),
+            $this->get_scope_sql( [] )
+        );
+
+        $row = $this->get_cached_results( $sql )[0] ?? [];
+        if ( ! isset( $row['low'], $row['high'] ) ) {
+            return null;
+        }
+
+        return [
+            'low'  => (float) $row['low'],
+            'high' => (float) $row['high'],
+        ];
+    }
+
+
+
+    /**
+     * Build the facets for the current archive.
+     *
+     * Term facets list the terms that occur among the matching products, plus any selected
+     * terms. Range facets span all values in the unfiltered archive, so the slider does not
+     * shrink while it is being used.
+     *
+     * @return array<int, array> Facets in field order.
+     */
+    public function get_facets(): array {
+        $active = $this->get_active_filters();
+        $units  = FieldTypeRegistry::get_units();
+        $facets = [];
+
+        foreach ( $this->get_filter_fields() as $slug => $field ) {
+            $kind = $this->get_facet_kind( $field );
+
+            if ( 'terms' === $kind ) {
+                $selected = $active['terms'][ $slug ] ?? [];
+                $counts   = $this->count_terms( $slug );
+                $slugs    = array_unique( array_merge( array_keys( $counts ), $selected ) );
+
+                if ( empty( $slugs ) ) {
+                    continue;
+                }
+
+                $terms = get_terms( [
+                    'taxonomy'   => $slug,
+                    'slug'       => $slugs,
+                    'hide_empty' => false,
+                    'orderby'    => 'name',
+                ] );
+                if ( empty( $terms ) || is_wp_error( $terms ) ) {
+                    continue;
+                }
+
+                $options = [];
+                foreach ( $terms as $term ) {
+                    $options[] = [
+                        'value'    => $term->slug,
+                        'label'    => $term->name,
+                        'count'    => $counts[ $term->slug ] ?? 0,
+                        'selected' => in_array( $term->slug, $selected, true ),
+                    ];
+                }
+
+                $facets[] = [
+                    'kind'    => 'terms',
+                    'slug'    => $slug,
+                    'label'   => (string) ( $field['label'] ?? $slug ),
+                    'options' => $options,
+                ];
+                continue;
+            }
+
+            $bounds = $this->get_range_bounds( $slug );
+            if ( null === $bounds || $bounds['low'] === $bounds['high'] ) {
+                continue;
+            }
+
+            $type      = (string) ( $field['type'] ?? '' );
+            $step      = 'integer' === $type ? 1 : $this->get_step( $bounds['high'] - $bounds['low'] );
+            $precision = max( 0, (int) -floor( log10( $step ) ) );
+            $min       = round( floor( $bounds['low'] / $step ) * $step, $precision );
+            $max       = round( ceil( $bounds['high'] / $step ) * $step, $precision );
+            $unit      = (string) ( $field['unit'] ?? '' );
+
+            $facets[] = [
+                'kind'       => 'range',
+                'slug'       => $slug,
+                'label'      => (string) ( $field['label'] ?? $slug ),
+                'unit_label' => '' !== $unit ? (string) ( $units[ $unit ] ?? $unit ) : '',
+                'min'        => $min,
+                'max'        => $max,
+                'step'       => $step,
+                'from'       => max( $min, $active['ranges'][ $slug ]['min'] ?? $min ),
+                'to'         => min( $max, $active['ranges'][ $slug ]['max'] ?? $max ),
+            ];
+        }
+
+        return $facets;
+    }
+
+
+
+    /**
+     * Slider step for a range of values: about a hundredth of the span, rounded to a power of ten.
+     *
+     * @param float $span Difference between the highest and lowest value.
+     *
+     * @return float
+     */
+    protected function get_step( float $span ): float {
+        return (float) pow( 10, floor( log10( $span ) ) - 2 );
+    }
+
+
+
+    /**
+     * Shortcode: [luma_product_fields_filters]
+     *
+     * @return string
+     */
+    public function shortcode(): string {
+        ob_start();
+        $this->render();
+        return (string) ob_get_clean();
+    }
+
+
+
+    /**
+     * Output the filter form for the current archive.
+     *
+     * Works without JavaScript as a plain GET form; the filter script submits it via
+     * AJAX on every change instead.
+     *
+     * @return void
+     */
+    public function render(): void {
+        if ( ! $this->is_product_archive() ) {
+            return;
+        }
+
+        $facets = $this->get_facets();
+        if ( empty( $facets ) ) {
+            return;
+        }
+
+        $params  = array_keys( wp_unslash( $_GET ) ); // phpcs:ignore WordPress.Security.NonceVerification.Recommended
+        $filters = array_filter( $params, static fn( $name ) => 0 === strpos( (string) $name, self::PARAM_PREFIX ) );
+        $action  = remove_query_arg( array_merge( $filters, [ 'paged', 'product-page' ] ), get_pagenum_link( 1, false ) );
+
+        $html  = sprintf( '<form class="lumaprfi-filters" method="get" action="%s">', esc_url( $action ) );
+        $html .= $this->get_hidden_inputs( $action );
+
+        foreach ( $facets as $facet ) {
+            $html .= 'terms' === $facet['kind'] ? $this->get_terms_facet_html( $facet ) : $this->get_range_facet_html( $facet );
+        }
+
+        $html .= '<div class="lumaprfi-filters-actions">';
+        $html .= sprintf( '<button type="submit" class="button lumaprfi-filters-submit">%s</button>', esc_html__( 'Filter', 'luma-product-fields' ) );
+        if ( ! empty( $filters ) ) {
+            $html .= sprintf( '<a class="lumaprfi-filters-clear" href="%1$s">%2$s</a>', esc_url( $action ), esc_html__( 'Clear filters', 'luma-product-fields' ) );
+        }
+        $html .= '</div></form>';
+
+        echo $html; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped while building.
+    }
+
+
+
+    /**
+     * Hidden inputs for the query arguments of the form action, which a GET form would drop.
+     *
+     * @param string $action Form action URL.
+     *
+     * @return string
+     */
+    protected function get_hidden_inputs( string $action ): string {
+        $query = wp_parse_url( $action, PHP_URL_QUERY );
+        if ( ! $query ) {
+            return '';
+        }
+
+        parse_str( $query, $args );
+
+        $html = '';
+        foreach ( $args as $name => $value ) {
+            if ( is_scalar( $value ) ) {
+                $html .= sprintf( '<input type="hidden" name="%1$s" value="%2$s">', esc_attr( $name ), esc_attr( (string) $value ) );
+            }
+        }
+
+        return $html;
+    }
+
+
+
+    /**
+     * Checkbox facet for a taxonomy field.
+     *
+     * @param array $facet Facet from get_facets().
+     *
+     * @return string
+     */
+    protected function get_terms_facet_html( array $facet ): string {
+        $options = '';
+        foreach ( $facet['options'] as $option ) {
+            $options .= sprintf(
+                '<li class="%1$s"><label><input type="checkbox" name="%2$s[]" value="%3$s"%4$s> <span class="lumaprfi-facet-label">%5$s</span> <span class="lumaprfi-facet-count">(%6$d)</span></label></li>',
+                $option['count'] ? 'lumaprfi-facet-option' : 'lumaprfi-facet-option is-empty',
+                esc_attr( self::PARAM_PREFIX . $facet['slug'] ),
+                esc_attr( $option['value'] ),
+                checked( $option['selected'], true, false ),
+                esc_html( $option['label'] ),
+                $option['count']
+            );
+        }
+
+        return sprintf(
+            '<fieldset class="lumaprfi-facet lumaprfi-facet-terms" data-slug="%1$s"><legend class="lumaprfi-facet-title">%2$s</legend><ul class="lumaprfi-facet-options">%3$s</ul></fieldset>',
+            esc_attr( $facet['slug'] ),
+            esc_html( $facet['label'] ),
+            $options
+        );
+    }
+
+
+
+    /**
+     * Range slider facet for a numeric field.
+     *
+     * @param array $facet Facet from get_facets().
+     *
+     * @return string
+     */
+    protected function get_range_facet_html( array $facet ): string {
+        $name = self::PARAM_PREFIX . $facet['slug'];
+        $unit = '' !== $facet['unit_label']
+            ? sprintf( ' <span class="lumaprfi-unit">%s</span>', esc_html( $facet['unit_label'] ) )
+            : '';
+
+        $input = static fn( string $which, float $value, string $label ): string => sprintf(
+            '<input type="range" class="lumaprfi-range-%1$s" name="%2$s_%1$s" min="%3$s" max="%4$s" step="%5$s" value="%6$s" aria-label="%7$s">',
+            $which,
+            esc_attr( $name ),
+            esc_attr( (string) $facet['min'] ),
+            esc_attr( (string) $facet['max'] ),
+            esc_attr( (string) $facet['step'] ),
+            esc_attr( (string) $value ),
+            esc_attr( $label )
+        );
+
+        return sprintf(
+            '<fieldset class="lumaprfi-facet lumaprfi-facet-range" data-slug="%1$s" data-min="%2$s" data-max="%3$s">
+                <legend class="lumaprfi-facet-title">%4$s</legend>
+                <div class="lumaprfi-range-slider">%5$s%6$s</div>
+                <div class="lumaprfi-range-values"><output class="lumaprfi-range-min-value">%7$s</output> – <output class="lumaprfi-range-max-value">%8$s</output>%9$s</div>
+            </fieldset>',
+            esc_attr( $facet['slug'] ),
+            esc_attr( (string) $facet['min'] ),
+            esc_attr( (string) $facet['max'] ),
+            esc_html( $facet['label'] ),
+            $input( 'min', (float) $facet['from'], __( 'Minimum', 'luma-product-fields' ) ),
+            $input( 'max', (float) $facet['to'], __( 'Maximum', 'luma-product-fields' ) ),
+            esc_html( wc_format_localized_decimal( (string) $facet['from'] ) ),
+            esc_html( wc_format_localized_decimal( (string) $facet['to'] ) ),
+            $unit
+        );
+    }
+}
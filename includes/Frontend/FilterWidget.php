@@ -0,0 +1,95 @@
+<?php
+/**
+ * Filter widget
+ *
+ * @package Luma\ProductFields
+ */
+namespace Luma\ProductFields\Frontend;
+
+defined('ABSPATH') || exit;
+
+
+/**
+ * "Product field filters" widget for shop sidebars.
+ *
+ * Outputs the `luma_product_fields_archive_filters` action (see FilterController), and
+ * nothing at all outside product archives or when there is nothing to filter.
+ */
+class FilterWidget extends \WP_Widget {
+
+    public function __construct() {
+        parent::__construct(
+            'luma_product_fields_filters',
+            __( 'Product field filters', 'luma-product-fields' ),
+            [
+                'classname'   => 'lumaprfi-filters-widget',
+                'description' => __( 'Filter shop and archive pages by product field values.', 'luma-product-fields' ),
+            ]
+        );
+    }
+
+
+    /**
+     * Output the widget.
+     *
+     * @param array $args     Sidebar arguments.
+     * @param array $instance Widget settings.
+     *
+     * @return void
+     */
+    public function widget( $args, $instance ): void {
+        ob_start();
+        do_action( 'luma_product_fields_archive_filters' );
+        $filters = (string) ob_get_clean();
+
+        if ( '' === trim( $filters ) ) {
+            return;
+        }
+
+        $title = apply_filters( 'widget_title', $instance['title'] ?? '', $instance, $this->id_base );
+
+        echo $args['before_widget']; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+        if ( '' !== $title ) {
+            echo $args['before_title'] . esc_html( $title ) . $args['after_title']; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+        }
+        echo $filters; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped by FilterController.
+        echo $args['after_widget']; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+    }
+
+
+    /**
+     * Output the widget settings form.
+     *
+     * @param array $instance Widget settings.
+     *
+     * @return string
+     */
+    public function form( $instance ): string {
+        $title = (string) ( $instance['title'] ?? '' );
+
+        printf(
+            '<p><label for="%1$s">%2$s</label><input class="widefat" id="%1$s" name="%3$s" type="text" value="%4$s"></p>',
+            esc_attr( $this->get_field_id( 'title' ) ),
+            esc_html__( 'Title:', 'luma-product-fields' ),
+            esc_attr( $this->get_field_name( 'title' ) ),
+            esc_attr( $title )
+        );
+
+        return '';
+    }
+
+
+    /**
+     * Sanitize the widget settings.
+     *
+     * @param array $new_instance New settings.
+     * @param array $old_instance Previous settings.
+     *
+     * @return array
+     */
+    public function update( $new_instance, $old_instance ): array {
+        return [
+            'title' => sanitize_text_field( (string) ( $new_instance['title'] ?? '' ) ),
+        ];
+    }
+}
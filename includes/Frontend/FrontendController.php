@@ -11,6 +11,8 @@ defined('ABSPATH') || exit;
 use Luma\ProductFields\Taxonomy\ProductGroup;
 use Luma\ProductFields\Taxonomy\TaxonomyManager;
 use Luma\ProductFields\Utils\Helpers;
+use Luma\ProductFields\Utils\FieldConditions;
+use Luma\ProductFields\Meta\FieldLayout;
 use Luma\ProductFields\Registry\FieldTypeRegistry;
 use Luma\ProductFields\Admin\Settings;
 
@@ -52,11 +54,12 @@ class FrontendController {
         add_action('wp_enqueue_scripts', [$this, 'enqueue_script']);
         add_action('wp_ajax_nopriv_luma_product_fields_get_variation_fields_html', [$this, 'ajax_luma_product_fields_get_variation_fields_html']);
         add_action('wp_ajax_luma_product_fields_get_variation_fields_html', [$this, 'ajax_luma_product_fields_get_variation_fields_html']);
+        add_action('wp_ajax_nopriv_luma_product_fields_get_all_variation_fields_html', [$this, 'ajax_luma_product_fields_get_all_variation_fields_html']);
+        add_action('wp_ajax_luma_product_fields_get_all_variation_fields_html', [$this, 'ajax_luma_product_fields_get_all_variation_fields_html']);
         add_filter( 'woocommerce_page_title', [ $this, 'filter_archive_title' ] );
     }
 
     public function remove_product_data(): void {
-        remove_action('woocommerce_single_product_summary', ['WC_Structured_Data', 'generate_product_data'], 60);
         remove_action('woocommerce_single_product_summary', 'woocommerce_template_single_meta', 40);
         remove_action('woocommerce_product_additional_information', 'wc_display_product_attributes', 10);
 
@@ -109,14 +112,42 @@ class FrontendController {
             ['strategy' => 'defer', 'in_footer' => true]
         );
 
+        $fields = $this->get_all_fields_data( $product->get_id() );
+        $group  = Helpers::get_product_group_slug( $product->get_id() ) ?: 'general';
+
         wp_enqueue_script('luma-product-fields-js');
         wp_localize_script('luma-product-fields-js', 'luma_product_fields_data', [
-            'ajax_url' => admin_url('admin-ajax.php'),
-            'nonce'    => wp_create_nonce('luma_product_fields_variation_nonce'),
+            'ajax_url'    => admin_url('admin-ajax.php'),
+            'nonce'       => wp_create_nonce('luma_product_fields_variation_nonce'),
+            'product_id'  => $product->get_id(),
+            'preload'     => $this->should_preload_variations( $product ),
+            'fields'      => (object) $fields,
+            'schema'      => (object) StructuredData::build( $fields, $product->get_id() ),
+            'schema_keys' => StructuredData::get_mapped_keys( $group ),
         ]);
     }
 
 
+    /**
+     * Whether all variation fields of a product are fetched in one request on page load,
+     * instead of one request per selected variation.
+     *
+     * @hook luma_product_fields_preload_variation_fields
+     *       Filters whether variation fields are preloaded for a product.
+     *       @param bool        $preload Whether to preload. Defaults to the plugin setting.
+     *       @param \WC_Product $product The variable product.
+     *
+     * @param \WC_Product $product Variable product.
+     *
+     * @return bool
+     */
+    protected function should_preload_variations( \WC_Product $product ): bool {
+        $preload = 'yes' === get_option( Settings::PREFIX . 'preload_variation_fields', 'no' );
+
+        return (bool) apply_filters( 'luma_product_fields_preload_variation_fields', $preload, $product );
+    }
+
+
     /**
      *
      *
@@ -162,7 +193,7 @@ class FrontendController {
      *
      * @return bool
      */
-    protected function is_on_plugin_taxonomy_archive(): bool
+    public function is_on_plugin_taxonomy_archive(): bool
     {
         if ( ! is_tax() ) {
             return false;
@@ -250,11 +281,15 @@ class FrontendController {
         $show_group = get_option( Settings::PREFIX . 'display_group', 'no' ) === 'yes'; 
         $show_global_unique_id = get_option( Settings::PREFIX . 'display_global_unique_id', 'no' ) === 'yes';        
         
-        foreach ($fields as $field) {
-            if (!empty($field['hide_in_frontend'])) {
-                continue;
+        foreach (FieldLayout::get_sections($fields, $group_slug) as $section) {
+            $section_html = '';
+            foreach ($section['fields'] as $field) {
+                if (!empty($field['hide_in_frontend']) || !FieldConditions::is_visible($field, $product_id)) {
+                    continue;
+                }
+                $section_html .= $field_renderer->render_field($field, $product_id);
             }
-            $output .= $field_renderer->render_field($field, $product_id);            
+            $output .= FieldRenderer::wrap_section($section, $section_html);
         }
 
         // Add stock fields (e.g., weight, dimensions, SKU, tags, group)
@@ -371,12 +406,65 @@ class FrontendController {
         return apply_filters( 'luma_product_fields_display_product_meta', $output, $product);
     }
 
-    
+
+    /**
+     * Get all visible fields of a product or variation as structured data.
+     *
+     * Covers the same product group fields as render_all_fields(), without the
+     * WooCommerce core data (SKU, weight, tags, ...).
+     *
+     * @hook luma_product_fields_frontend_fields_data
+     *       Filters the structured field data sent to the product page script.
+     *       @param array $fields     Field data keyed by slug, see FieldRenderer::get_field_data().
+     *       @param int   $product_id Product or variation ID.
+     *
+     * @param int $product_id Product or variation ID.
+     *
+     * @return array<string, array> Field data keyed by slug. Fields without a value are left out.
+     */
+    public function get_all_fields_data( int $product_id ): array {
+        $field_renderer = new FieldRenderer();
+        $group_slug     = Helpers::get_product_group_slug( $product_id ) ?: 'general';
+        $fields         = [];
+
+        foreach ( Helpers::get_fields_for_group( $group_slug ) as $field ) {
+            if ( ! empty( $field['hide_in_frontend'] ) || ! FieldConditions::is_visible( $field, $product_id ) ) {
+                continue;
+            }
+
+            $data = $field_renderer->get_field_data( $field, $product_id );
+            if ( null !== $data ) {
+                $fields[ $data['slug'] ] = $data;
+            }
+        }
+
+        return apply_filters( 'luma_product_fields_frontend_fields_data', $fields, $product_id );
+    }
+
+
+    /**
+     * Read the requested response format of the variation endpoints.
+     *
+     * 'html' (default) returns rendered HTML, 'data' returns structured field data
+     * (see get_all_fields_data()) with the structured data properties (see
+     * StructuredData::build()) and 'both' returns both.
+     *
+     * @return string
+     */
+    protected function get_requested_format(): string {
+        // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Nonce is checked by the calling handler.
+        $format = isset( $_POST['format'] ) ? sanitize_key( wp_unslash( $_POST['format'] ) ) : 'html';
+
+        return in_array( $format, [ 'html', 'data', 'both' ], true ) ? $format : 'html';
+    }
+
+
     /**
      * AJAX handler: Returns rendered field HTML for a specific variation.
      *
      * This is intended for use on the product page when a customer selects
-     * a variation. It returns fully rendered HTML for all applicable fields.
+     * a variation. It returns fully rendered HTML for all applicable fields,
+     * and/or the field values as data when `format` is 'data' or 'both'.
      *
      * @return void
      */
@@ -397,9 +485,82 @@ class FrontendController {
             wp_send_json_error( [ 'error' => 'Variation not available' ], 404 );
         }
 
-        $html = $this->render_all_fields( $variation_id );
+        $format   = $this->get_requested_format();
+        $response = [];
+
+        if ( 'data' !== $format ) {
+            $response['html'] = $this->render_all_fields( $variation_id );
+        }
+        if ( 'html' !== $format ) {
+            $fields_data        = $this->get_all_fields_data( $variation_id );
+            $response['fields'] = (object) $fields_data;
+            $response['schema'] = (object) StructuredData::build( $fields_data, $variation_id );
+        }
+
+        wp_send_json_success( $response );
+    }
+
+
+    /**
+     * AJAX handler: Returns rendered field HTML for all variations of a product.
+     *
+     * Used to preload the fields of every variation in one request, keyed by variation ID.
+     * Accepts the same `format` as the single variation handler. Only answers when
+     * preloading is enabled for the product (see should_preload_variations()).
+     *
+     * @return void
+     */
+    public function ajax_luma_product_fields_get_all_variation_fields_html(): void {
+
+        check_ajax_referer( 'luma_product_fields_variation_nonce', 'nonce' );
+
+        $product_id = isset( $_POST['product_id'] )
+            ? absint( wp_unslash( $_POST['product_id'] ) )
+            : 0;
+
+        $product = $product_id ? wc_get_product( $product_id ) : null;
+
+        if ( ! $product instanceof \WC_Product || ! $product->is_type( 'variable' ) ) {
+            wp_send_json_error( [ 'error' => 'Invalid product ID' ], 400 );
+        }
+
+        if ( 'publish' !== get_post_status( $product_id ) ) {
+            wp_send_json_error( [ 'error' => 'Product not available' ], 404 );
+        }
+
+        if ( ! $this->should_preload_variations( $product ) ) {
+            wp_send_json_error( [ 'error' => 'Preloading is disabled' ], 403 );
+        }
+
+        $format = $this->get_requested_format();
+        $html   = [];
+        $fields = [];
+        $schema = [];
+
+        foreach ( $product->get_children() as $variation_id ) {
+            if ( 'publish' !== get_post_status( $variation_id ) ) {
+                continue;
+            }
+            if ( 'data' !== $format ) {
+                $html[ $variation_id ] = $this->render_all_fields( (int) $variation_id );
+            }
+            if ( 'html' !== $format ) {
+                $fields_data             = $this->get_all_fields_data( (int) $variation_id );
+                $fields[ $variation_id ] = (object) $fields_data;
+                $schema[ $variation_id ] = (object) StructuredData::build( $fields_data, (int) $variation_id );
+            }
+        }
+
+        $response = [];
+        if ( 'data' !== $format ) {
+            $response['html'] = $html;
+        }
+        if ( 'html' !== $format ) {
+            $response['fields'] = $fields;
+            $response['schema'] = $schema;
+        }
 
-        wp_send_json_success( [ 'html' => $html ] );
+        wp_send_json_success( $response );
     }
 
 
@@ -66,6 +66,9 @@ class Kses {
             'dt' => [ 'class' => true ],
             'dd' => [ 'class' => true ],
 
+            'details' => [ 'class' => true, 'data-section' => true, 'open' => true ],
+            'summary' => [ 'class' => true ],
+
             'span' => [
                 'id'               => true,
                 'style'            => true,
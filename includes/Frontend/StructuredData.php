@@ -0,0 +1,384 @@
+<?php
+/**
+ * Structured data
+ *
+ * @package Luma\ProductFields
+ */
+namespace Luma\ProductFields\Frontend;
+
+defined('ABSPATH') || exit;
+
+use Luma\ProductFields\Registry\FieldTypeRegistry;
+use Luma\ProductFields\Utils\Helpers;
+
+
+/**
+ * Structured data class
+ *
+ * Adds field values to the schema.org Product markup (JSON-LD) of WooCommerce. Each field
+ * can be mapped to a Product property in the Field Editor (`schema_property` in the field
+ * definition):
+ *
+ * - Text properties (material, color, pattern, size) get the plain text value; multiple
+ *   terms are joined with commas.
+ * - Quantity properties (weight, width, height, depth) get a QuantitativeValue with the
+ *   number, or minValue / maxValue for ranges, and the UN/CEFACT unitCode of the field unit.
+ * - additionalProperty gets a PropertyValue per field, identified by the field slug
+ *   (propertyID), with value or minValue / maxValue.
+ *
+ * Values follow the same rules as the specification list: hidden fields and fields hidden
+ * by their visibility rules are left out. On variable products, js/luma-product-fields.js
+ * puts the markup of the selected variation into the JSON-LD of the page.
+ *
+ * @hook luma_product_fields_schema_properties
+ *      Filters the Product properties fields can be mapped to.
+ *      @param array $properties Property name => {label, value}; value is 'text', 'quantity' or 'property'.
+ *
+ * @hook luma_product_fields_schema_unit_codes
+ *      Filters the UN/CEFACT codes of the field units.
+ *      @param array $codes Unit => code.
+ *
+ * @hook luma_product_fields_structured_data
+ *      Filters the properties added to the Product markup of a product or variation.
+ *      @param array $properties Property name => value.
+ *      @param int   $product_id Product or variation ID.
+ *
+ * @since 1.2.0
+ */
+class StructuredData {
+
+    /**
+     * Property that holds a PropertyValue per field.
+     */
+    public const ADDITIONAL_PROPERTY = 'additionalProperty';
+
+
+    /**
+     * Frontend controller, used for the field data of each product.
+     *
+     * @var FrontendController
+     */
+    protected FrontendController $frontend;
+
+
+
+    /**
+     * @param FrontendController $frontend Frontend controller instance.
+     */
+    public function __construct( FrontendController $frontend ) {
+        $this->frontend = $frontend;
+    }
+
+
+
+    /**
+     * Register hooks.
+     *
+     * @return void
+     */
+    public function register(): void {
+        add_filter( 'woocommerce_structured_data_product', [ $this, 'filter_product_markup' ], 10, 2 );
+    }
+
+
+
+    /**
+     * Product properties that fields can be mapped to.
+     *
+     * @return array<string, array{label: string, value: string}> Property name => label and kind of value.
+     */
+    public static function get_properties(): array {
+        $properties = [
+            'material'                => [ 'label' => __( 'Material (material)', 'luma-product-fields' ), 'value' => 'text' ],
+            'color'                   => [ 'label' => __( 'Color (color)', 'luma-product-fields' ), 'value' => 'text' ],
+            'pattern'                 => [ 'label' => __( 'Pattern (pattern)', 'luma-product-fields' ), 'value' => 'text' ],
+            'size'                    => [ 'label' => __( 'Size (size)', 'luma-product-fields' ), 'value' => 'text' ],
+            'weight'                  => [ 'label' => __( 'Weight (weight)', 'luma-product-fields' ), 'value' => 'quantity' ],
+            'width'                   => [ 'label' => __( 'Width (width)', 'luma-product-fields' ), 'value' => 'quantity' ],
+            'height'                  => [ 'label' => __( 'Height (height)', 'luma-product-fields' ), 'value' => 'quantity' ],
+            'depth'                   => [ 'label' => __( 'Depth (depth)', 'luma-product-fields' ), 'value' => 'quantity' ],
+            self::ADDITIONAL_PROPERTY => [ 'label' => __( 'Other property (additionalProperty)', 'luma-product-fields' ), 'value' => 'property' ],
+        ];
+
+        return (array) apply_filters( 'luma_product_fields_schema_properties', $properties );
+    }
+
+
+
+    /**
+     * UN/CEFACT common codes of the field units, used as unitCode.
+     *
+     * @return array<string, string>
+     */
+    public static function get_unit_codes(): array {
+        $codes = [
+            'cm'    => 'CMT',
+            'mm'    => 'MMT',
+            'm'     => 'MTR',
+            'g'     => 'GRM',
+            'kg'    => 'KGM',
+            '"'     => 'INH',
+            'ft.'   => 'FOT',
+            'pcs'   => 'H87',
+            'years' => 'ANN',
+            '%'     => 'P1',
+        ];
+
+        return (array) apply_filters( 'luma_product_fields_schema_unit_codes', $codes );
+    }
+
+
+
+    /**
+     * Sanitize a mapped property, e.g. from the Field Editor.
+     *
+     * @param mixed $property Property name.
+     *
+     * @return string The property, or '' when it is not one of get_properties().
+     */
+    public static function sanitize_property( $property ): string {
+        $property = is_scalar( $property ) ? (string) $property : '';
+
+        return array_key_exists( $property, self::get_properties() ) ? $property : '';
+    }
+
+
+
+    /**
+     * Add the mapped field values to the Product markup of WooCommerce.
+     *
+     * @param array       $markup  Product markup.
+     * @param \WC_Product $product The product.
+     *
+     * @return array
+     */
+    public function filter_product_markup( $markup, $product ): array {
+        $markup = is_array( $markup ) ? $markup : [];
+
+        if ( ! $product instanceof \WC_Product ) {
+            return $markup;
+        }
+
+        return self::merge( $markup, $this->get_markup( $product->get_id() ) );
+    }
+
+
+
+    /**
+     * The properties of a product or variation.
+     *
+     * @param int $product_id Product or variation ID.
+     *
+     * @return array<string, mixed> Property name => value.
+     */
+    public function get_markup( int $product_id ): array {
+        return self::build( $this->frontend->get_all_fields_data( $product_id ), $product_id );
+    }
+
+
+
+    /**
+     * Build the properties from field data (see FrontendController::get_all_fields_data()).
+     *
+     * @param array<string, array> $fields_data Field data keyed by slug.
+     * @param int                  $product_id  Product or variation ID.
+     *
+     * @return array<string, mixed> Property name => value. additionalProperty is a list.
+     */
+    public static function build( array $fields_data, int $product_id ): array {
+        $properties = self::get_properties();
+        $markup     = [];
+
+        foreach ( $fields_data as $slug => $data ) {
+            $field    = Helpers::get_field_definition_by_slug( (string) $slug );
+            $property = (string) ( $field['schema_property'] ?? '' );
+
+            if ( ! $field || ! isset( $properties[ $property ] ) ) {
+                continue;
+            }
+
+            $numeric = FieldTypeRegistry::field_type_is_numeric( (string) ( $field['type'] ?? '' ) );
+
+            switch ( $properties[ $property ]['value'] ) {
+                case 'quantity':
+                    // Weight, width etc. need a number or range field
+                    $value = $numeric ? self::get_quantity( $data, 'QuantitativeValue' ) : null;
+                    break;
+
+                case 'property':
+                    $value = ( $numeric ? self::get_quantity( $data, 'PropertyValue' ) : null )
+                        ?? [
+                            '@type' => 'PropertyValue',
+                            'value' => self::get_text( $data ),
+                        ];
+                    $value = [ 'propertyID' => (string) $slug, 'name' => (string) $data['label'] ] + $value;
+                    break;
+
+                default:
+                    $value = self::get_text( $data );
+            }
+
+            if ( null === $value || '' === $value ) {
+                continue;
+            }
+
+            if ( self::ADDITIONAL_PROPERTY === $property ) {
+                $markup[ $property ][] = $value;
+            } elseif ( ! isset( $markup[ $property ] ) ) {
+                // The first field mapped to a property wins
+                $markup[ $property ] = $value;
+            }
+        }
+
+        return (array) apply_filters( 'luma_product_fields_structured_data', $markup, $product_id );
+    }
+
+
+
+    /**
+     * Merge properties into Product markup.
+     *
+     * additionalProperty values are added to the ones already there, other properties
+     * replace existing values.
+     *
+     * @param array $markup     Product markup.
+     * @param array $properties Properties, see build().
+     *
+     * @return array
+     */
+    public static function merge( array $markup, array $properties ): array {
+        foreach ( $properties as $property => $value ) {
+            if ( self::ADDITIONAL_PROPERTY === $property ) {
+                $existing            = isset( $markup[ $property ] ) ? (array) $markup[ $property ] : [];
+                $markup[ $property ] = array_merge( array_values( $existing ), (array) $value );
+            } else {
+                $markup[ $property ] = $value;
+            }
+        }
+
+        return $markup;
+    }
+
+
+
+    /**
+     * The properties and field slugs the fields of a product group are mapped to.
+     *
+     * Used by the product page script to remove the parent values before adding those of
+     * the selected variation.
+     *
+     * @param string $group Product group slug.
+     *
+     * @return array{properties: string[], slugs: string[]} `slugs` are the propertyIDs of additionalProperty fields.
+     */
+    public static function get_mapped_keys( string $group ): array {
+        $properties = [];
+        $slugs      = [];
+
+        foreach ( Helpers::get_fields_for_group( $group ) as $field ) {
+            $property = self::sanitize_property( $field['schema_property'] ?? '' );
+
+            if ( '' === $property ) {
+                continue;
+            }
+
+            $properties[] = $property;
+
+            if ( self::ADDITIONAL_PROPERTY === $property ) {
+                $slugs[] = (string) $field['slug'];
+            }
+        }
+
+        return [
+            'properties' => array_values( array_unique( $properties ) ),
+            'slugs'      => $slugs,
+        ];
+    }
+
+
+
+    /**
+     * Plain text of a field value: term names, or the rendered text.
+     *
+     * @param array $data Field data.
+     *
+     * @return string
+     */
+    protected static function get_text( array $data ): string {
+        if ( ! empty( $data['terms'] ) ) {
+            return implode( ', ', wp_list_pluck( $data['terms'], 'name' ) );
+        }
+
+        return (string) ( $data['text'] ?? '' );
+    }
+
+
+
+    /**
+     * A numeric field value as QuantitativeValue or PropertyValue.
+     *
+     * @param array  $data Field data.
+     * @param string $type '@type' of the value.
+     *
+     * @return array|null Null when the value is not a number or range.
+     */
+    protected static function get_quantity( array $data, string $type ): ?array {
+        $value    = $data['value'] ?? null;
+        $quantity = [ '@type' => $type ];
+
+        if ( is_array( $value ) && ( isset( $value['min'] ) || isset( $value['max'] ) ) ) {
+            $min = self::to_number( $value['min'] ?? null );
+            $max = self::to_number( $value['max'] ?? null );
+
+            if ( null === $min && null === $max ) {
+                return null;
+            }
+
+            if ( null !== $min ) {
+                $quantity['minValue'] = $min;
+            }
+            if ( null !== $max ) {
+                $quantity['maxValue'] = $max;
+            }
+        } else {
+            $number = self::to_number( $value );
+
+            if ( null === $number ) {
+                return null;
+            }
+
+            $quantity['value'] = $number;
+        }
+
+        $unit  = (string) ( $data['unit'] ?? '' );
+        $codes = self::get_unit_codes();
+
+        if ( isset( $codes[ $unit ] ) ) {
+            $quantity['unitCode'] = $codes[ $unit ];
+        }
+        if ( '' !== (string) ( $data['unit_label'] ?? '' ) ) {
+            $quantity['unitText'] = (string) $data['unit_label'];
+        }
+
+        return $quantity;
+    }
+
+
+
+    /**
+     * A stored number as int or float.
+     *
+     * @param mixed $value Stored value.
+     *
+     * @return int|float|null Null when it is not a number.
+     */
+    protected static function to_number( $value ) {
+        if ( ! is_scalar( $value ) ) {
+            return null;
+        }
+
+        $value = str_replace( ',', '.', trim( (string) $value ) );
+
+        return is_numeric( $value ) ? 0 + $value : null;
+    }
+}
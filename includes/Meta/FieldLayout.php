@@ -0,0 +1,227 @@
+<?php
+/**
+ * Field Layout class
+ *
+ * @package Luma\ProductFields
+ */
+namespace Luma\ProductFields\Meta;
+
+defined('ABSPATH') || exit;
+
+/**
+* Field Layout class
+*
+* Stores the field order and the sections (e.g. "Dimensions", "Materials") per product
+* group, as arranged on the Product fields screen. Used by Helpers::get_all_fields() to
+* order the fields of a group, and by the renderers to split them into sections.
+*
+* Stored per group slug ('general' for products without a group) as a list of sections.
+* The first section has no id and label: it holds the fields shown before any section.
+*
+* @hook luma_product_fields_field_sections
+*      Filters the sections of a product group before they are rendered.
+*      @param array  $sections Sections, each with id, label, collapsed and fields (field definitions).
+*      @param string $group    Product group slug.
+*/
+class FieldLayout {
+
+    const OPTION_KEY = 'luma_product_fields_field_layout';
+
+    /**
+     * Get the stored layout of a product group.
+     *
+     * @param string $group Product group slug.
+     * @return array<int, array{id: string, label: string, collapsed: bool, fields: string[]}>
+     */
+    public static function get( string $group ): array {
+        $layouts = get_option( self::OPTION_KEY, [] );
+        $layout  = is_array( $layouts ) && isset( $layouts[ $group ] ) && is_array( $layouts[ $group ] )
+            ? $layouts[ $group ]
+            : [];
+
+        return self::sanitize_sections( $layout );
+    }
+
+
+    /**
+     * Save the layout of a product group.
+     *
+     * @param string $group    Product group slug.
+     * @param array  $sections Sections in display order, see get().
+     * @return array The sanitized sections that were saved.
+     */
+    public static function save( string $group, array $sections ): array {
+        $layouts = get_option( self::OPTION_KEY, [] );
+        $layouts = is_array( $layouts ) ? $layouts : [];
+
+        $layouts[ $group ] = self::sanitize_sections( $sections );
+        update_option( self::OPTION_KEY, $layouts );
+
+        return $layouts[ $group ];
+    }
+
+
+    /**
+     * Remove a field from all layouts, e.g. when the field is deleted.
+     *
+     * @param string $slug Field slug.
+     * @return void
+     */
+    public static function remove_field( string $slug ): void {
+        $layouts = get_option( self::OPTION_KEY, [] );
+        if ( ! is_array( $layouts ) || empty( $layouts ) ) {
+            return;
+        }
+
+        foreach ( $layouts as $group => $sections ) {
+            foreach ( (array) $sections as $i => $section ) {
+                $layouts[ $group ][ $i ]['fields'] = array_values(
+                    array_diff( (array) ( $section['fields'] ?? [] ), [ $slug ] )
+                );
+            }
+        }
+
+        update_option( self::OPTION_KEY, $layouts );
+    }
+
+
+    /**
+     * Sort field definitions by the stored layout of a group.
+     *
+     * Fields that are not in the layout yet (e.g. new fields) keep their relative order
+     * and are placed at the end of the first section.
+     *
+     * @param array<int, array<string,mixed>> $fields Field definitions.
+     * @param string                          $group  Product group slug.
+     * @return array<int, array<string,mixed>>
+     */
+    public static function sort_fields( array $fields, string $group ): array {
+        $sections = self::get( $group );
+        if ( empty( $sections ) ) {
+            return $fields;
+        }
+
+        $positions = [];
+        foreach ( $sections as $s => $section ) {
+            foreach ( $section['fields'] as $f => $slug ) {
+                $positions[ $slug ] = [ $s, $f ];
+            }
+        }
+
+        // Unknown fields go after the listed fields of the first section
+        $first_count = count( $sections[0]['fields'] );
+        $index       = 0;
+        $keyed       = [];
+        foreach ( $fields as $field ) {
+            $keyed[] = [
+                'field'    => $field,
+                'position' => $positions[ $field['slug'] ?? '' ] ?? [ 0, $first_count + $index ],
+            ];
+            $index++;
+        }
+
+        usort( $keyed, static fn( $a, $b ) => $a['position'] <=> $b['position'] );
+
+        return array_column( $keyed, 'field' );
+    }
+
+
+    /**
+     * Split the (sorted) field definitions of a group into its sections.
+     *
+     * Sections without fields are left out. Without a stored layout, all fields are in
+     * one section without label.
+     *
+     * @param array<int, array<string,mixed>> $fields Field definitions, as returned by Helpers::get_fields_for_group().
+     * @param string                          $group  Product group slug.
+     * @return array<int, array{id: string, label: string, collapsed: bool, fields: array<int, array<string,mixed>>}>
+     */
+    public static function get_sections( array $fields, string $group ): array {
+        $sections   = self::get( $group );
+        $section_of = [];
+
+        if ( empty( $sections ) ) {
+            $sections = [ [ 'id' => '', 'label' => '', 'collapsed' => false, 'fields' => [] ] ];
+        }
+
+        foreach ( $sections as $i => $section ) {
+            foreach ( $section['fields'] as $slug ) {
+                $section_of[ $slug ] = $i;
+            }
+            $sections[ $i ]['fields'] = [];
+        }
+
+        foreach ( $fields as $field ) {
+            $sections[ $section_of[ $field['slug'] ?? '' ] ?? 0 ]['fields'][] = $field;
+        }
+
+        $sections = array_values( array_filter( $sections, static fn( $section ) => ! empty( $section['fields'] ) ) );
+
+        /**
+         * Filters the sections of a product group before they are rendered.
+         *
+         * @hook luma_product_fields_field_sections
+         *
+         * @param array  $sections Sections, each with id, label, collapsed and fields (field definitions).
+         * @param string $group    Product group slug.
+         */
+        return (array) apply_filters( 'luma_product_fields_field_sections', $sections, $group );
+    }
+
+
+    /**
+     * Normalize stored or submitted sections.
+     *
+     * Ensures a first section without id/label, unique section ids, and that each field
+     * is listed only once.
+     *
+     * @param array $sections Raw sections.
+     * @return array<int, array{id: string, label: string, collapsed: bool, fields: string[]}>
+     */
+    protected static function sanitize_sections( array $sections ): array {
+        $clean = [];
+        $seen  = [];
+        $ids   = [];
+
+        foreach ( array_values( $sections ) as $i => $section ) {
+            if ( ! is_array( $section ) ) {
+                continue;
+            }
+
+            $label = 0 === $i ? '' : sanitize_text_field( (string) ( $section['label'] ?? '' ) );
+            $id    = '';
+
+            if ( 0 !== $i ) {
+                $id   = sanitize_key( (string) ( $section['id'] ?? '' ) ) ?: sanitize_title( $label );
+                $id   = $id ?: 'section';
+                $base = $id;
+                for ( $n = 2; isset( $ids[ $id ] ); $n++ ) {
+                    $id = $base . '-' . $n;
+                }
+                $ids[ $id ] = true;
+            }
+
+            $fields = [];
+            foreach ( (array) ( $section['fields'] ?? [] ) as $slug ) {
+                $slug = sanitize_key( (string) $slug );
+                if ( '' !== $slug && ! isset( $seen[ $slug ] ) ) {
+                    $seen[ $slug ] = true;
+                    $fields[]      = $slug;
+                }
+            }
+
+            $clean[] = [
+                'id'        => $id,
+                'label'     => $label,
+                'collapsed' => 0 !== $i && ! empty( $section['collapsed'] ) && 'false' !== $section['collapsed'],
+                'fields'    => $fields,
+            ];
+        }
+
+        if ( ! empty( $clean ) && '' !== $clean[0]['id'] ) {
+            array_unshift( $clean, [ 'id' => '', 'label' => '', 'collapsed' => false, 'fields' => [] ] );
+        }
+
+        return $clean;
+    }
+}
@@ -12,6 +12,7 @@ use WP_Term;
 use WP_Error;
 use Luma\ProductFields\Registry\FieldTypeRegistry;
 use Luma\ProductFields\Product\FieldStorage;
+use Luma\ProductFields\Utils\Helpers;
 
 
 defined('ABSPATH') || exit;
@@ -20,12 +21,8 @@ defined('ABSPATH') || exit;
  * Handles migration of legacy post meta fields to the this system.
  *
  * Performs transformations, unit parsing, variation inheritance, skip/overwrite
- * control, and dry-run diagnostics. Intended for single-field migrations driven
- * by the admin UI.
- *
- * @todo Refactor product lookup and meta reads.
- *       Implement direct SQL queries with chunked iteration to improve
- *       performance on large catalogs.
+ * control, and dry-run diagnostics. Driven batch by batch by the migration page
+ * (run_batch()); run() migrates everything in one request.
  *
  * @hook luma_product_fields_unit_aliases
  *      Filters the default unit alias map.
@@ -34,6 +31,18 @@ defined('ABSPATH') || exit;
  */
 class LegacyMetaMigrator
 {
+
+    /**
+     * Products per batch when run() migrates everything in one request.
+     */
+    public const BATCH_SIZE = 300;
+
+
+    /**
+     * Maximum number of distinct legacy values sample_values() checks.
+     */
+    public const SAMPLE_SCAN_LIMIT = 5000;
+
     
     /**
      * Run the migration process for selected fields and meta mappings.
@@ -46,13 +55,18 @@ class LegacyMetaMigrator
      * Otherwise, the transformed value is passed to `FieldStorage::save_field()` unless in dry-run mode.
      *
      * The result array contains a per-product, per-field summary including status, original value,
-     * and optionally the new value or reason for skipping.
+     * and optionally the new value or reason for skipping. Skipped rows have a `reason_code`:
+     * 'invalid' (no valid data) or 'existing' (existing value kept).
      *
      * @param array $mapping An array where each key is a field slug, and each value is an array with:
      *                       - 'meta_key'   (string)  => Legacy meta key to read from.
      *                       - 'field'      (array)   => Field definition array.
      *                       - 'number_index' (int)   => Optional. Positional index of number to extract.
      *                       - 'match_unit'   (bool)  => Optional. Try unit-based number extraction.
+     *                       - 'include_variations' (bool) => Optional. Also migrate variations.
+     *                       - 'skip_existing'      (bool) => Optional. Keep values that are already set.
+     *                       - 'unit_aliases'   (string[]) => Optional. Extra unit suffixes for 'match_unit'.
+     *                       - 'regex'          (string)   => Optional. Extraction rule, see apply_extraction_rule().
      *
      * @param bool  $dry_run If true, performs a dry-run (transforms values without saving).
      *
@@ -61,6 +75,7 @@ class LegacyMetaMigrator
      *     original: mixed,
      *     new?: mixed,
      *     reason?: string,
+     *     reason_code?: string,
      *     created?: array<string, bool>,
      *     saved?: bool
      * }>> Summary of migration results, keyed by product ID and field slug.
@@ -97,150 +112,451 @@ class LegacyMetaMigrator
      *     ],
      *   ]
      */
-public function run(array $mapping, bool $dry_run = true): array
-{
-    $summary = [];
+    public function run(array $mapping, bool $dry_run = true): array
+    {
+        $summary  = [];
+        $after_id = 0;
+
+        do {
+            $batch    = $this->run_batch($mapping, $after_id, self::BATCH_SIZE, $dry_run);
+            $summary  = $summary + $batch['summary'];
+            $after_id = $batch['last_id'];
+        } while (!$batch['done']);
+
+        return $summary;
+    }
+
+
+    /**
+     * Migrate one batch of products, for the JS-driven runner on the migration page.
+     *
+     * Products that have any of the mapped meta keys are processed in ID order, starting
+     * after `$after_id`; pass the returned `last_id` to get the next batch. When a run ID is
+     * given (and not in dry-run), the previous field value of every migrated product is
+     * recorded in MigrationRuns, so the run can be rolled back.
+     *
+     * @param array  $mapping  Mapping as for run().
+     * @param int    $after_id Process products with a higher ID than this.
+     * @param int    $limit    Maximum number of products.
+     * @param bool   $dry_run  Transform values without saving.
+     * @param string $run_id   MigrationRuns run to record the previous values in.
+     *
+     * @return array{summary: array<int, array<string, array>>, last_id: int, processed: int, done: bool}
+     */
+    public function run_batch(array $mapping, int $after_id, int $limit, bool $dry_run = true, string $run_id = ''): array
+    {
+        $product_ids = $this->get_product_ids($mapping, $after_id, $limit);
+        $summary     = [];
+
+        foreach ($product_ids as $product_id) {
+            foreach ($mapping as $slug => $config) {
+                $result = $this->migrate_value((int) $product_id, (string) $slug, $config, $dry_run, $run_id);
+                if (null !== $result) {
+                    $summary[(int) $product_id][$slug] = $result;
+                }
+            }
+        }
+
+        return [
+            'summary'   => $summary,
+            'last_id'   => $product_ids ? (int) end($product_ids) : $after_id,
+            'processed' => count($product_ids),
+            'done'      => count($product_ids) < $limit,
+        ];
+    }
+
+
+    /**
+     * Count the products (and variations, where included) a mapping applies to.
+     *
+     * @param array $mapping Mapping as for run().
+     * @return int
+     */
+    public function count_products(array $mapping): int
+    {
+        global $wpdb;
+
+        [$where, $args] = $this->get_product_query_parts($mapping);
+        if ('' === $where) {
+            return 0;
+        }
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        return (int) $wpdb->get_var($wpdb->prepare("SELECT COUNT(DISTINCT p.ID) FROM {$wpdb->posts} p INNER JOIN {$wpdb->postmeta} pm ON pm.post_id = p.ID WHERE {$where}", $args));
+    }
+
+
+    /**
+     * Get the next product IDs that have any of the mapped meta keys.
+     *
+     * @param array $mapping  Mapping as for run().
+     * @param int   $after_id Only IDs higher than this.
+     * @param int   $limit    Maximum number of IDs.
+     * @return int[]
+     */
+    protected function get_product_ids(array $mapping, int $after_id, int $limit): array
+    {
+        global $wpdb;
+
+        [$where, $args] = $this->get_product_query_parts($mapping);
+        if ('' === $where) {
+            return [];
+        }
+
+        $args[] = $after_id;
+        $args[] = max(1, $limit);
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $ids = $wpdb->get_col($wpdb->prepare("SELECT DISTINCT p.ID FROM {$wpdb->posts} p INNER JOIN {$wpdb->postmeta} pm ON pm.post_id = p.ID WHERE {$where} AND p.ID > %d ORDER BY p.ID ASC LIMIT %d", $args));
+
+        return array_map('intval', (array) $ids);
+    }
+
+
+    /**
+     * WHERE clause and arguments selecting the products of a mapping.
+     *
+     * Variations are only included when a mapped field includes them.
+     *
+     * @param array $mapping Mapping as for run().
+     * @return array{0: string, 1: array} Empty clause when nothing is mapped.
+     */
+    protected function get_product_query_parts(array $mapping): array
+    {
+        $meta_keys  = array_values(array_unique(array_filter(array_column($mapping, 'meta_key'))));
+        $post_types = ['product'];
+
+        if (empty($meta_keys)) {
+            return ['', []];
+        }
+
+        if (in_array(true, array_map(static fn($config) => !empty($config['include_variations']), $mapping), true)) {
+            $post_types[] = 'product_variation';
+        }
 
-    foreach ($mapping as $slug => $config) {
+        $where = sprintf(
+            "pm.meta_key IN (%s) AND p.post_type IN (%s) AND p.post_status IN ('publish', 'private', 'draft')",
+            implode(', ', array_fill(0, count($meta_keys), '%s')),
+            implode(', ', array_fill(0, count($post_types), '%s'))
+        );
+
+        return [$where, array_merge($meta_keys, $post_types)];
+    }
+
+
+    /**
+     * Migrate the legacy value of one field of one product.
+     *
+     * @param int    $product_id Product or variation ID.
+     * @param string $slug       Field slug.
+     * @param array  $config     Mapping of the field, see run().
+     * @param bool   $dry_run    Transform without saving.
+     * @param string $run_id     MigrationRuns run to record the previous value in, or ''.
+     *
+     * @return array|null Summary row, see run(). Null when the product has no legacy value.
+     */
+    protected function migrate_value(int $product_id, string $slug, array $config, bool $dry_run, string $run_id): ?array
+    {
         $old_key    = $config['meta_key'];
         $field      = $config['field'];
         $index      = isset($config['number_index']) ? (int) $config['number_index'] : 0;
         $match_unit = !empty($config['match_unit']);
 
-        $types = ['simple', 'variable', 'grouped', 'external', 'bundle', 'composite'];
+        if (empty($config['include_variations']) && 'product_variation' === get_post_type($product_id)) {
+            return null;
+        }
 
-        if (!empty($config['include_variations'])) {
-            $types[] = 'variation';
+        $old_value = get_post_meta($product_id, $old_key, true);
+        if ($old_value === '') {
+            return null;
         }
 
-        global $wpdb;
+        $extracted = $this->apply_extraction_rule($old_value, $config);
+        if ($extracted === null) {
+            return [
+                'status'      => 'skipped',
+                'reason'      => __('No match for the extraction rule', 'luma-product-fields'),
+                'reason_code' => 'invalid',
+                'original'    => $old_value,
+            ];
+        }
 
-        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
-        $product_ids = $wpdb->get_col(
-            $wpdb->prepare(
-                "
-                SELECT post_id
-                FROM {$wpdb->postmeta} pm
-                INNER JOIN {$wpdb->posts} p ON pm.post_id = p.ID
-                WHERE pm.meta_key = %s
-                  AND p.post_type IN ('product', 'product_variation')
-                  AND p.post_status IN ('publish', 'private', 'draft')
-                ",
-                $old_key
-            )
-        );
+        $field_type  = FieldTypeRegistry::get($field['type']);
+        $previous    = Helpers::get_editable_field_value($product_id, $field['slug']);
+        $transformed = null;
+        $extra       = [];
 
-        $chunks = array_chunk( $product_ids, 300 );
+        if (!empty($field_type['migrate_cb']) && is_callable($field_type['migrate_cb'])) {
+            $result = $this->call_migrate_cb($field_type['migrate_cb'], $product_id, $extracted, $config, $dry_run);
 
-        foreach ( $chunks as $chunk ) {
-            foreach ( $chunk as $product_id ) {
-                
-                $old_value = get_post_meta($product_id, $old_key, true);
-                if ($old_value === '') {
-                    continue;
-                }
+            if (is_array($result)) {
+                if (!empty($result['saved'])) {
+                    $this->record_previous($run_id, $dry_run, $product_id, $field['slug'], $previous);
 
-                $field_type = FieldTypeRegistry::get($field['type']);
-                $transformed = null;
-                $extra = [];
-
-                if (!empty($field_type['migrate_cb']) && is_callable($field_type['migrate_cb'])) {
-                    $result = call_user_func($field_type['migrate_cb'], [
-                        'product_id' => $product_id,
-                        'field'      => $field,
-                        'value'      => $old_value,
-                        'dry_run'    => $dry_run,
-                        'meta_key'   => $old_key, // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key	
-                    ]);
-
-                    if (is_array($result)) {
-                        if (!empty($result['saved'])) {
-
-                            if (!isset($summary[$product_id][$slug])) {
-                                $summary[$product_id][$slug] = [];
-                            }
-
-                            $summary[$product_id][$slug]['status']   = $dry_run ? 'dry-run (external save)' : 'migrated (external save)';
-                            $summary[$product_id][$slug]['original'] = $old_value;
-                            $summary[$product_id][$slug]['new']      = $result['value'] ?? null;
-
-                            $merged = $result;
-                            unset($merged['saved'], $merged['value']);
-
-                            $summary[$product_id][$slug] = array_merge(
-                                $summary[$product_id][$slug],
-                                $merged
-                            );
-
-                            continue;
-                        }
-
-                        $transformed = $result['value'] ?? null;
-                        $extra = $result;
-                        unset($extra['value'], $extra['saved']);
-                    } else {
-                        $transformed = $result;
-                    }
-                } else {
-                    $transformed = $this->transform_value($old_value, $field, $index, $match_unit);
+                    $merged = $result;
+                    unset($merged['saved'], $merged['value']);
+
+                    return array_merge(
+                        [
+                            'status'   => $dry_run ? 'dry-run (external save)' : 'migrated (external save)',
+                            'original' => $old_value,
+                            'new'      => $result['value'] ?? null,
+                        ],
+                        $merged
+                    );
                 }
 
-                if ($transformed === null) {
+                $transformed = $result['value'] ?? null;
+                $extra = $result;
+                unset($extra['value'], $extra['saved']);
+            } else {
+                $transformed = $result;
+            }
+        } else {
+            $transformed = $this->transform_value($extracted, $field, $index, $match_unit, (array) ($config['unit_aliases'] ?? []));
+        }
 
-                    if (!isset($summary[$product_id][$slug])) {
-                        $summary[$product_id][$slug] = [];
-                    }
+        if ($transformed === null) {
+            return [
+                'status'      => 'skipped',
+                'reason'      => __('No valid data', 'luma-product-fields'),
+                'reason_code' => 'invalid',
+                'original'    => $old_value,
+            ];
+        }
 
-                    $summary[$product_id][$slug]['status']   = 'skipped';
-                    $summary[$product_id][$slug]['reason']   = 'No valid data';
-                    $summary[$product_id][$slug]['original'] = $old_value;
+        $current_value = Helpers::get_formatted_field_value($product_id, $field, false);
 
-                    continue;
-                }
+        if (!empty($config['skip_existing']) && $current_value !== null && $current_value !== '') {
+            return [
+                'existing'    => $current_value,
+                'status'      => 'skipped',
+                'reason'      => __('Existing value present', 'luma-product-fields'),
+                'reason_code' => 'existing',
+                'original'    => $old_value,
+                'new'         => $current_value,
+            ];
+        }
 
-                $current_value = \Luma\ProductFields\Utils\Helpers::get_formatted_field_value(
-                    $product_id,
-                    $field,
-                    false
-                );
+        if (!$dry_run) {
+            FieldStorage::save_field($product_id, $field['slug'], $transformed);
+            $this->record_previous($run_id, $dry_run, $product_id, $field['slug'], $previous);
+        }
 
-                if (!isset($summary[$product_id][$slug])) {
-                    $summary[$product_id][$slug] = [];
-                }
+        return array_merge(
+            [
+                'existing' => $current_value,
+                'status'   => $dry_run ? 'dry-run' : 'migrated',
+                'original' => $old_value,
+                'new'      => $transformed,
+            ],
+            $extra
+        );
+    }
 
-                $summary[$product_id][$slug]['existing'] = $current_value;
 
-                $skip_existing = !empty($config['skip_existing']);
-                if ($skip_existing && $current_value !== null && $current_value !== '') {
+    /**
+     * Record the value a field had before it was migrated, for rollback.
+     *
+     * @param string $run_id     MigrationRuns run, or '' when not recorded.
+     * @param bool   $dry_run    Nothing is recorded in dry-run.
+     * @param int    $product_id Product or variation ID.
+     * @param string $slug       Field slug.
+     * @param mixed  $previous   Value before the migration, see Helpers::get_editable_field_value().
+     * @return void
+     */
+    protected function record_previous(string $run_id, bool $dry_run, int $product_id, string $slug, $previous): void
+    {
+        if ($dry_run || '' === $run_id) {
+            return;
+        }
 
-                    $summary[$product_id][$slug]['status']   = 'skipped';
-                    $summary[$product_id][$slug]['reason']   = __('Existing value present', 'luma-product-fields');
-                    $summary[$product_id][$slug]['original'] = $old_value;
-                    $summary[$product_id][$slug]['new']      = $current_value;
+        MigrationRuns::record($run_id, $product_id, $slug, $previous, Helpers::get_editable_field_value($product_id, $slug));
+    }
 
-                    continue;
-                }
 
-                if (!$dry_run) {
-                    FieldStorage::save_field($product_id, $field['slug'], $transformed);
-                }
+    /**
+     * Call the `migrate_cb` of a field type.
+     *
+     * @param callable $callback   Callback from the FieldTypeRegistry.
+     * @param int      $product_id Product or variation ID.
+     * @param mixed    $value      Legacy value, after the extraction rule.
+     * @param array    $config     Mapping of the field, see run().
+     * @param bool     $dry_run    Transform without saving.
+     * @return mixed Callback result: a value, or an array with 'value' and optionally 'saved'.
+     */
+    protected function call_migrate_cb(callable $callback, int $product_id, $value, array $config, bool $dry_run)
+    {
+        return call_user_func($callback, [
+            'product_id' => $product_id,
+            'field'      => $config['field'],
+            'value'      => $value,
+            'dry_run'    => $dry_run,
+            'meta_key'   => $config['meta_key'], // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key
+        ]);
+    }
 
-                $summary[$product_id][$slug]['status']   = $dry_run ? 'dry-run' : 'migrated';
-                $summary[$product_id][$slug]['original'] = $old_value;
-                $summary[$product_id][$slug]['new']      = $transformed;
 
-                if (!empty($extra)) {
-                    $summary[$product_id][$slug] = array_merge(
-                        $summary[$product_id][$slug],
-                        $extra
-                    );
+    /**
+     * Check how the distinct legacy values of one mapped field would be transformed.
+     *
+     * Used by the mapper on the migration page. Values are grouped and checked once each,
+     * most common first; nothing is saved. Fields with a `migrate_cb` get it called in
+     * dry-run mode with the first product that has the value.
+     *
+     * @param array $config Mapping of one field, see run().
+     * @param int   $limit  Maximum number of samples and of failures returned.
+     *
+     * @return array{
+     *     succeed: int,
+     *     fail: int,
+     *     distinct: int,
+     *     truncated: bool,
+     *     samples: array<int, array{raw: mixed, value: mixed, products: int, product_id: int}>,
+     *     failures: array<int, array{raw: mixed, reason: string, products: int, product_id: int}>
+     * } `succeed` and `fail` count products; `truncated` is set when more than
+     *   SAMPLE_SCAN_LIMIT distinct values exist and only the most common were checked.
+     */
+    public function sample_values(array $config, int $limit = 20): array
+    {
+        global $wpdb;
+
+        $post_types = !empty($config['include_variations']) ? ['product', 'product_variation'] : ['product'];
+        $args       = array_merge([$config['meta_key']], $post_types, [self::SAMPLE_SCAN_LIMIT]);
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching,WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT pm.meta_value AS value, COUNT(DISTINCT p.ID) AS products, MIN(p.ID) AS product_id
+            FROM {$wpdb->posts} p
+            INNER JOIN {$wpdb->postmeta} pm ON pm.post_id = p.ID
+            WHERE pm.meta_key = %s AND pm.meta_value <> ''
+            AND p.post_type IN (" . implode(', ', array_fill(0, count($post_types), '%s')) . ")
+            AND p.post_status IN ('publish', 'private', 'draft')
+            GROUP BY pm.meta_value
+            ORDER BY products DESC
+            LIMIT %d",
+            $args
+        ));
+
+        $result = [
+            'succeed'   => 0,
+            'fail'      => 0,
+            'distinct'  => count((array) $rows),
+            'truncated' => count((array) $rows) >= self::SAMPLE_SCAN_LIMIT,
+            'samples'   => [],
+            'failures'  => [],
+        ];
+
+        foreach ((array) $rows as $row) {
+            $raw      = maybe_unserialize($row->value);
+            $products = (int) $row->products;
+            $parsed   = $this->preview_value($raw, $config, (int) $row->product_id);
+
+            if ($parsed['ok']) {
+                $result['succeed'] += $products;
+                if (count($result['samples']) < $limit) {
+                    $result['samples'][] = ['raw' => $raw, 'value' => $parsed['value'], 'products' => $products, 'product_id' => (int) $row->product_id];
+                }
+            } else {
+                $result['fail'] += $products;
+                if (count($result['failures']) < $limit) {
+                    $result['failures'][] = ['raw' => $raw, 'reason' => $parsed['reason'], 'products' => $products, 'product_id' => (int) $row->product_id];
                 }
             }
         }
+
+        return $result;
     }
 
-    return $summary;
-}
+
+    /**
+     * Transform a legacy value as the migration would, without saving anything.
+     *
+     * @param mixed $value      Legacy value.
+     * @param array $config     Mapping of the field, see run().
+     * @param int   $product_id Product the value belongs to, passed to a `migrate_cb`.
+     * @return array{ok: bool, value: mixed, reason: string}
+     */
+    public function preview_value($value, array $config, int $product_id = 0): array
+    {
+        $field     = $config['field'];
+        $extracted = $this->apply_extraction_rule($value, $config);
+
+        if ($extracted === null) {
+            return ['ok' => false, 'value' => null, 'reason' => __('No match for the extraction rule', 'luma-product-fields')];
+        }
+
+        $field_type = FieldTypeRegistry::get($field['type']);
+
+        if (!empty($field_type['migrate_cb']) && is_callable($field_type['migrate_cb'])) {
+            $result      = $this->call_migrate_cb($field_type['migrate_cb'], $product_id, $extracted, $config, true);
+            $transformed = is_array($result) ? ($result['value'] ?? null) : $result;
+        } else {
+            $transformed = $this->transform_value(
+                $extracted,
+                $field,
+                isset($config['number_index']) ? (int) $config['number_index'] : 0,
+                !empty($config['match_unit']),
+                (array) ($config['unit_aliases'] ?? [])
+            );
+        }
+
+        if ($transformed === null) {
+            return ['ok' => false, 'value' => null, 'reason' => __('No valid data', 'luma-product-fields')];
+        }
+
+        return ['ok' => true, 'value' => $transformed, 'reason' => ''];
+    }
+
+
+    /**
+     * Apply the extraction rule of a mapping to a legacy value.
+     *
+     * The rule is a regular expression without delimiters, matched case-insensitively. The
+     * first capture group (or the whole match, without groups) replaces the value before it
+     * is transformed; e.g. `weight:\s*([\d.,]+\s*g)` turns "Color: red, weight: 50 g"
+     * into "50 g". Array values and mappings without a rule are returned unchanged.
+     *
+     * @param mixed $value  Legacy value.
+     * @param array $config Mapping of the field, see run().
+     * @return mixed|null The extracted value, or null when the rule does not match.
+     */
+    protected function apply_extraction_rule($value, array $config)
+    {
+        $regex = self::compile_regex((string) ($config['regex'] ?? ''));
+
+        if ($regex === null || !is_scalar($value)) {
+            return $value;
+        }
+
+        if (!preg_match($regex, (string) $value, $match)) {
+            return null;
+        }
+
+        $extracted = trim($match[1] ?? $match[0]);
+
+        return $extracted !== '' ? $extracted : null;
+    }
+
+
+    /**
+     * Turn an extraction rule into a PCRE pattern.
+     *
+     * @param string $rule Regular expression without delimiters.
+     * @return string|null The pattern, or null when the rule is empty or invalid.
+     */
+    public static function compile_regex(string $rule): ?string
+    {
+        $rule = trim($rule);
+        if ($rule === '') {
+            return null;
+        }
+
+        $regex = '~' . str_replace('~', '\\~', $rule) . '~iu';
+
+        // phpcs:ignore WordPress.PHP.NoSilencedErrors.Discouraged -- An invalid rule is reported to the user instead.
+        return @preg_match($regex, '') === false ? null : $regex;
+    }
 
 
 
@@ -260,9 +576,10 @@ public function run(array $mapping, bool $dry_run = true): array
      * @param int    $index       The positional index of the number to extract (default 0).
      *                            Use -1 to extract the last number.
      * @param bool   $match_unit  Whether to try extracting a number based on unit suffix.
+     * @param string[] $unit_aliases Extra unit suffixes to match, besides the aliases of the field unit.
      * @return mixed|null         The transformed value, or null if invalid or not found.
      */
-    protected function transform_value($value, array $field, int $index = 0, bool $match_unit = false)
+    protected function transform_value($value, array $field, int $index = 0, bool $match_unit = false, array $unit_aliases = [])
     {
         if (is_array($value) && $field['type'] !== 'minmax') {
             $value = reset($value);
@@ -273,8 +590,8 @@ public function run(array $mapping, bool $dry_run = true): array
         }
 
         // Try matching number based on unit suffix
-        if ($match_unit && !empty($field['unit']) && in_array($field['type'], ['number', 'integer'], true)) {
-            $unit_value = $this->extract_number_with_unit((string) $value, $field['unit']);
+        if ($match_unit && (!empty($field['unit']) || $unit_aliases) && in_array($field['type'], ['number', 'integer'], true)) {
+            $unit_value = $this->extract_number_with_unit((string) $value, (string) ($field['unit'] ?? ''), $unit_aliases);
             if ($unit_value !== null) {
                 return match ($field['type']) {
                     'integer' => (int) $unit_value,
@@ -299,7 +616,8 @@ public function run(array $mapping, bool $dry_run = true): array
      *
      * This method scans the legacy string and tries to locate a number followed
      * by a unit alias (e.g., "50 g", "210 meter"). Unit aliases are defined by
-     * `get_unit_aliases()` and may include localized and plural variations.
+     * `get_unit_aliases()` and may include localized and plural variations; aliases added
+     * on the migration page are tried first.
      *
      * The match is case-insensitive and ignores trailing punctuation (like "g.").
      * Returns the first matching number for any of the defined aliases.
@@ -310,15 +628,20 @@ public function run(array $mapping, bool $dry_run = true): array
      *
      * @param string $value The legacy input string to extract from.
      * @param string $unit  The normalized unit key (e.g., "g", "meter") as defined in get_units().
+     * @param string[] $extra_aliases Additional aliases to match.
      * @return float|null   The numeric value found with matching unit, or null if not found.
      */
-    protected function extract_number_with_unit(string $value, string $unit): ?float
+    protected function extract_number_with_unit(string $value, string $unit, array $extra_aliases = []): ?float
     {
-        if (empty($unit)) {
+        $aliases = array_filter(array_map('strval', $extra_aliases), 'strlen');
+        if (!empty($unit)) {
+            $aliases = array_merge($aliases, self::get_unit_aliases()[$unit] ?? [$unit]);
+        }
+
+        if (empty($aliases)) {
             return null;
         }
 
-        $aliases = self::get_unit_aliases()[$unit] ?? [$unit];
         $normalized = str_replace(',', '.', $value);
 
         foreach ($aliases as $alias) {
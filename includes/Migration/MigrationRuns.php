@@ -0,0 +1,282 @@
+<?php
+/**
+ * Migration runs class
+ *
+ * @package Luma\ProductFields
+ */
+
+namespace Luma\ProductFields\Migration;
+
+use Luma\ProductFields\Product\FieldStorage;
+use Luma\ProductFields\Utils\Helpers;
+
+defined('ABSPATH') || exit;
+
+/**
+ * Records migration runs so they can be rolled back.
+ *
+ * A run (one click on "Migrate" on the migration page) is stored in an option with its
+ * fields, counts and status. For every product it changed, the field values before and
+ * after the migration are stored in post meta of that product, under a key per run.
+ * Rolling back restores the previous values batch by batch and removes that meta.
+ *
+ * Values edited after the migration are left alone on rollback: a field is only restored
+ * while it still has the migrated value.
+ */
+class MigrationRuns
+{
+
+    /**
+     * Option holding the runs, keyed by run ID.
+     */
+    public const OPTION_KEY = 'luma_product_fields_migration_runs';
+
+
+    /**
+     * Post meta key prefix of the recorded values; the run ID is appended.
+     */
+    public const META_PREFIX = '_luma_product_fields_migration_';
+
+
+    /**
+     * Start a run.
+     *
+     * @param array<string, string> $fields Mapped fields: field slug => legacy meta key.
+     * @return array The run.
+     */
+    public static function start(array $fields): array
+    {
+        $id = strtolower(gmdate('YmdHis') . wp_generate_password(4, false, false));
+
+        $run = [
+            'id'       => $id,
+            'fields'   => $fields,
+            'started'  => current_time('mysql'),
+            'finished' => '',
+            'user'     => get_current_user_id(),
+            'status'   => 'running',
+            'products' => 0,
+            'counts'   => [ 'migrated' => 0, 'skipped' => 0, 'failed' => 0 ],
+        ];
+
+        $runs        = self::get_all();
+        $runs[ $id ] = $run;
+        self::save($runs);
+
+        return $run;
+    }
+
+
+    /**
+     * All runs, newest first.
+     *
+     * @return array<string, array>
+     */
+    public static function get_all(): array
+    {
+        $runs = get_option(self::OPTION_KEY, []);
+        $runs = is_array($runs) ? $runs : [];
+
+        uasort($runs, static fn($a, $b) => strcmp((string) ($b['started'] ?? ''), (string) ($a['started'] ?? '')));
+
+        return $runs;
+    }
+
+
+    /**
+     * A single run.
+     *
+     * @param string $id Run ID.
+     * @return array|null
+     */
+    public static function get(string $id): ?array
+    {
+        return self::get_all()[ $id ] ?? null;
+    }
+
+
+    /**
+     * Add the results of a batch to a run.
+     *
+     * @param string             $id       Run ID.
+     * @param array<string, int> $counts   Counts to add: migrated, skipped, failed.
+     * @param int                $products Number of products changed in the batch.
+     * @return void
+     */
+    public static function add_counts(string $id, array $counts, int $products): void
+    {
+        self::update($id, static function (array $run) use ($counts, $products): array {
+            foreach ($counts as $key => $count) {
+                $run['counts'][ $key ] = (int) ($run['counts'][ $key ] ?? 0) + (int) $count;
+            }
+            $run['products'] = (int) $run['products'] + $products;
+
+            return $run;
+        });
+    }
+
+
+    /**
+     * Set the status of a run: 'running', 'completed' or 'rolled-back'.
+     *
+     * @param string $id     Run ID.
+     * @param string $status New status.
+     * @return void
+     */
+    public static function set_status(string $id, string $status): void
+    {
+        self::update($id, static function (array $run) use ($status): array {
+            $run['status']   = $status;
+            $run['finished'] = 'running' === $status ? '' : current_time('mysql');
+
+            return $run;
+        });
+    }
+
+
+    /**
+     * Record the value of a field before and after it was migrated.
+     *
+     * Only the first recording per product and field is kept, so rollback restores the value
+     * from before the run.
+     *
+     * @param string $id         Run ID.
+     * @param int    $product_id Product or variation ID.
+     * @param string $slug       Field slug.
+     * @param mixed  $previous   Value before, see Helpers::get_editable_field_value().
+     * @param mixed  $migrated   Value after.
+     * @return void
+     */
+    public static function record(string $id, int $product_id, string $slug, $previous, $migrated): void
+    {
+        $key      = self::meta_key($id);
+        $recorded = get_post_meta($product_id, $key, true);
+        $recorded = is_array($recorded) ? $recorded : [];
+
+        if (isset($recorded[ $slug ])) {
+            return;
+        }
+
+        $recorded[ $slug ] = [
+            'previous' => $previous,
+            'migrated' => $migrated,
+        ];
+
+        update_post_meta($product_id, $key, $recorded);
+    }
+
+
+    /**
+     * Number of products with recorded values that are not rolled back yet.
+     *
+     * @param string $id Run ID.
+     * @return int
+     */
+    public static function count_recorded(string $id): int
+    {
+        global $wpdb;
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+        return (int) $wpdb->get_var(
+            $wpdb->prepare("SELECT COUNT(*) FROM {$wpdb->postmeta} WHERE meta_key = %s", self::meta_key($id))
+        );
+    }
+
+
+    /**
+     * Roll back the next batch of products of a run.
+     *
+     * @param string $id    Run ID.
+     * @param int    $limit Maximum number of products.
+     * @return array{restored: int, changed: array<int, array{product_id: int, field: string}>, remaining: int, done: bool}
+     *         `changed` lists fields left alone because they were edited after the migration.
+     */
+    public static function rollback_batch(string $id, int $limit): array
+    {
+        global $wpdb;
+
+        $key = self::meta_key($id);
+
+        // phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery,WordPress.DB.DirectDatabaseQuery.NoCaching
+        $product_ids = $wpdb->get_col(
+            $wpdb->prepare("SELECT post_id FROM {$wpdb->postmeta} WHERE meta_key = %s ORDER BY post_id ASC LIMIT %d", $key, max(1, $limit))
+        );
+
+        $restored = 0;
+        $changed  = [];
+
+        foreach (array_map('intval', (array) $product_ids) as $product_id) {
+            $recorded = get_post_meta($product_id, $key, true);
+
+            foreach (is_array($recorded) ? $recorded : [] as $slug => $values) {
+                $current = Helpers::get_editable_field_value($product_id, (string) $slug);
+
+                if (wp_json_encode($current) !== wp_json_encode($values['migrated'] ?? null)) {
+                    $changed[] = [ 'product_id' => $product_id, 'field' => (string) $slug ];
+                    continue;
+                }
+
+                FieldStorage::save_field($product_id, (string) $slug, $values['previous'] ?? '');
+            }
+
+            delete_post_meta($product_id, $key);
+            $restored++;
+        }
+
+        $remaining = self::count_recorded($id);
+
+        if (0 === $remaining) {
+            self::set_status($id, 'rolled-back');
+        }
+
+        return [
+            'restored'  => $restored,
+            'changed'   => $changed,
+            'remaining' => $remaining,
+            'done'      => 0 === $remaining,
+        ];
+    }
+
+
+    /**
+     * Post meta key of the values recorded for a run.
+     *
+     * @param string $id Run ID.
+     * @return string
+     */
+    protected static function meta_key(string $id): string
+    {
+        return self::META_PREFIX . sanitize_key($id);
+    }
+
+
+    /**
+     * Change a stored run.
+     *
+     * @param string   $id       Run ID.
+     * @param callable $callback Receives the run and returns the changed run.
+     * @return void
+     */
+    protected static function update(string $id, callable $callback): void
+    {
+        $runs = self::get_all();
+        if (!isset($runs[ $id ])) {
+            return;
+        }
+
+        $runs[ $id ] = $callback($runs[ $id ]);
+        self::save($runs);
+    }
+
+
+    /**
+     * Store the runs. Not autoloaded: only the migration page needs them.
+     *
+     * @param array<string, array> $runs Runs keyed by ID.
+     * @return void
+     */
+    protected static function save(array $runs): void
+    {
+        update_option(self::OPTION_KEY, $runs, false);
+    }
+}
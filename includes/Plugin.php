@@ -13,6 +13,9 @@ use Luma\ProductFields\Admin\Admin;
 use Luma\ProductFields\Admin\FieldEditor;
 use Luma\ProductFields\Admin\FieldOptionsOverview;
 use Luma\ProductFields\Admin\ListView;
+use Luma\ProductFields\Admin\FieldValuesImportExport;
+use Luma\ProductFields\Admin\SchemaImportExport;
+use Luma\ProductFields\Admin\QuickEdit;
 use Luma\ProductFields\Admin\Ajax;
 use Luma\ProductFields\Admin\Settings;
 use Luma\ProductFields\Admin\Kses;
@@ -23,6 +26,9 @@ use Luma\ProductFields\Admin\Onboarding;
 use Luma\ProductFields\Frontend\FrontendController;
 use Luma\ProductFields\Frontend\Kses as FrontendKses;
 use Luma\ProductFields\Frontend\TaxonomyArchiveController;
+use Luma\ProductFields\Frontend\CompareController;
+use Luma\ProductFields\Frontend\StructuredData;
+use Luma\ProductFields\Frontend\FilterController;
 
 defined('ABSPATH') || exit;
 
@@ -68,6 +74,35 @@ class Plugin {
             CacheInvalidator::invalidate_product_meta_cache( $product_id );
         } );
 
+        add_action( 'save_post_product', [ CacheInvalidator::class, 'invalidate_filter_caches' ] );
+        add_action( 'save_post_product_variation', [ CacheInvalidator::class, 'invalidate_filter_caches' ] );
+        foreach ( [ 'delete_post', 'set_object_terms' ] as $post_hook ) {
+            add_action( $post_hook, function ( $object_id ) {
+                if ( in_array( get_post_type( $object_id ), [ 'product', 'product_variation' ], true ) ) {
+                    CacheInvalidator::invalidate_filter_caches();
+                }
+            } );
+        }
+        foreach ( [ 'edited_term', 'delete_term' ] as $term_hook ) {
+            add_action( $term_hook, function ( $term_id, $tt_id, $taxonomy ) {
+                if ( is_object_in_taxonomy( 'product', $taxonomy ) ) {
+                    CacheInvalidator::invalidate_filter_caches();
+                }
+            }, 10, 3 );
+        }
+        foreach ( [ 'created_term', 'edited_term', 'delete_term' ] as $term_hook ) {
+            add_action( $term_hook, function ( $term_id, $tt_id, $taxonomy ) {
+                CacheInvalidator::invalidate_term_names( (string) $taxonomy );
+            }, 10, 3 );
+        }
+        foreach ( [ 'added_post_meta', 'updated_post_meta', 'deleted_post_meta' ] as $meta_hook ) {
+            add_action( $meta_hook, function ( $meta_id, $object_id, $meta_key ) {
+                if ( str_starts_with( (string) $meta_key, Product\FieldStorage::META_PREFIX ) ) {
+                    CacheInvalidator::invalidate_filter_caches();
+                }
+            }, 10, 3 );
+        }
+
         add_action( 'init', function () {
             if ( is_admin() ) {
                 ( new Admin() )->initialize_hooks();
@@ -75,6 +110,9 @@ class Plugin {
                 new FieldEditor();
                 new FieldOptionsOverview();
                 new ListView();
+                new FieldValuesImportExport();
+                new SchemaImportExport();
+                new QuickEdit();
                 new Ajax();
                 MigrationPage::register();
                 new TaxonomyManagerInlineEdit();
@@ -84,8 +122,19 @@ class Plugin {
             }
         });
 
+        // Also on admin screens, for the Widgets screen and the Customizer
+        add_action( 'widgets_init', function () {
+            if ( FilterController::is_enabled() ) {
+                register_widget( Frontend\FilterWidget::class );
+            }
+        } );
+
         if ( ! is_admin() || ( defined( 'DOING_AJAX' ) && DOING_AJAX ) ) {
-            ( new Frontend\FrontendController() )->initialize_hooks();
+            $frontend = new Frontend\FrontendController();
+            $frontend->initialize_hooks();
+            ( new CompareController( $frontend ) )->register();
+            ( new StructuredData( $frontend ) )->register();
+            ( new FilterController() )->register();
             ( new TaxonomyArchiveController() )->register();
             ( new FrontendKses() )->register();
         }
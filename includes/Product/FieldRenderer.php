@@ -17,11 +17,21 @@ use Luma\ProductFields\Admin\Admin;
 use Luma\ProductFields\Utils\Helpers;
 use Luma\ProductFields\Taxonomy\ProductGroup;
 use Luma\ProductFields\Product\FieldStorage;
+use Luma\ProductFields\Meta\FieldLayout;
+use Luma\ProductFields\Utils\FieldConditions;
 use Luma\ProductFields\Registry\FieldTypeRegistry;
 
 defined( 'ABSPATH' ) || exit;
 class FieldRenderer {
 
+    /**
+     * Value and terms to render instead of those of a product, see render_preview_field().
+     *
+     * @var array{value: mixed, terms: \WP_Term[]}|null
+     */
+    protected $preview = null;
+
+
     /**
      * Add custom WooCommerce product data tab.
      *
@@ -92,8 +102,12 @@ class FieldRenderer {
         $output = '';
 
         if ( ! empty( $fields ) ) {
-            foreach ( $fields as $field ) {
-                $output .= $this->render_field_by_type( $field, $post_id );            
+            foreach ( FieldLayout::get_sections( $fields, $slug ) as $section ) {
+                $html = '';
+                foreach ( $section['fields'] as $field ) {
+                    $html .= $this->render_field_by_type( $field, $post_id );
+                }
+                $output .= $this->wrap_section( $section, $html );
             }
             return $output;
         }
@@ -106,6 +120,31 @@ class FieldRenderer {
         return $output;
     }
 
+    /**
+     * Wrap the rendered fields of a section in a collapsible block.
+     *
+     * Fields outside any section (the first section, without id) are returned as they are.
+     *
+     * @param array  $section Section from FieldLayout::get_sections().
+     * @param string $html    Rendered fields of the section.
+     *
+     * @return string
+     */
+    protected function wrap_section( array $section, string $html ): string {
+        if ( '' === $section['id'] ) {
+            return $html;
+        }
+
+        return sprintf(
+            '<details class="lumaprfi-field-section" data-section="%1$s"%2$s><summary>%3$s</summary>%4$s</details>',
+            esc_attr( $section['id'] ),
+            $section['collapsed'] ? '' : ' open',
+            esc_html( $section['label'] ),
+            $html
+        );
+    }
+
+
     /**
      * Render a single form field for a given slug and product ID.
      *
@@ -152,6 +191,67 @@ class FieldRenderer {
     }
 
 
+    /**
+     * Render the control of a field with a sample value instead of a product's value.
+     *
+     * Used by the live preview of the field editor, for fields that may not be saved yet.
+     *
+     * @param array     $field Field definition.
+     * @param mixed     $value Value in the shape the field type stores it.
+     * @param \WP_Term[] $terms Terms to offer for taxonomy fields, including those in $value.
+     *
+     * @return string Rendered HTML.
+     */
+    public function render_preview_field( array $field, $value, array $terms = [] ): string {
+        $this->preview = [
+            'value' => $value,
+            'terms' => $terms,
+        ];
+
+        try {
+            return $this->render_field_by_type( $field, 0 );
+        } finally {
+            $this->preview = null;
+        }
+    }
+
+
+    /**
+     * Value of a field for a product, or the preview value.
+     *
+     * @param array $field   Field definition.
+     * @param int   $post_id Product ID.
+     *
+     * @return mixed
+     */
+    protected function get_field_value( array $field, int $post_id ) {
+        return null !== $this->preview ? $this->preview['value'] : Helpers::get_field_value( $post_id, $field['slug'] );
+    }
+
+
+    /**
+     * All terms of a taxonomy field, or the preview terms.
+     *
+     * @param array $field Field definition.
+     *
+     * @return \WP_Term[]
+     */
+    protected function get_field_terms( array $field ): array {
+        if ( null !== $this->preview ) {
+            return $this->preview['terms'];
+        }
+
+        $terms = get_terms(
+            [
+                'taxonomy'   => $field['slug'],
+                'hide_empty' => false,
+            ]
+        );
+
+        return is_wp_error( $terms ) ? [] : $terms;
+    }
+
+
     /**
      * Render a product field based on its type.
      *
@@ -166,15 +266,19 @@ class FieldRenderer {
         if ( FieldTypeRegistry::is_core_type( $type ) ) {
             $method = "render_{$type}_field";
 
-            return method_exists( $this, $method )
+            $html = method_exists( $this, $method )
                 ? $this->$method( $field, $post_id )
                 : $this->render_text_field( $field, $post_id );
+
+            return $this->wrap_field_control( $field, $html );
         }
 
         $cb = FieldTypeRegistry::get_callback( $type, 'render_admin_product_cb' );
 
         if ( is_callable( $cb ) ) {
-            return (string) call_user_func( $cb, sanitize_key( $field['slug'] ), $post_id, $field );
+            $html = (string) call_user_func( $cb, sanitize_key( $field['slug'] ), $post_id, $field );
+
+            return $this->wrap_field_control( $field, $html );
         }
 
         $msg = __FUNCTION__ . ' ' . __( 'Unsupported field type: ', 'luma-product-fields' );
@@ -183,6 +287,32 @@ class FieldRenderer {
     }
 
 
+    /**
+     * Wrap a rendered field control with the data used by the JS validation layer, and
+     * the visibility rules evaluated by js/admin/field-conditions.js.
+     *
+     * @param array  $field Field definition.
+     * @param string $html  Rendered control.
+     *
+     * @return string
+     */
+    protected function wrap_field_control( array $field, string $html ): string {
+        $conditions = FieldConditions::has_conditions( $field )
+            ? sprintf( ' data-field-conditions="%s"', esc_attr( (string) wp_json_encode( $field['conditions'] ) ) )
+            : '';
+
+        return sprintf(
+            '<div class="lumaprfi-field" data-field-slug="%s" data-field-type="%s" data-field-unit="%s" data-field-required="%s"%s>%s</div>',
+            esc_attr( $field['slug'] ),
+            esc_attr( $field['type'] ?? 'text' ),
+            esc_attr( $field['unit'] ?? '' ),
+            empty( $field['required'] ) ? '0' : '1',
+            $conditions,
+            $html
+        );
+    }
+
+
     /**
      * Render a text field.
      *
@@ -192,7 +322,7 @@ class FieldRenderer {
      * @return string
      */
     protected function render_text_field( array $field, int $post_id ): string {
-        $value       = Helpers::get_field_value( $post_id, $field['slug'] );
+        $value       = $this->get_field_value( $field, $post_id );
         $unit_html   = empty( $field['unit'] ) ? '' : Helpers::get_formatted_unit_html( $field['unit'] );
         $label       = $field['label'] ?? '';
         $description = $field['description'] ?? '';
@@ -225,7 +355,7 @@ class FieldRenderer {
      * @return string HTML markup for the field.
      */
     protected function render_number_field( array $field, int $post_id ): string {
-        $value       = Helpers::get_field_value( $post_id, $field['slug'] );
+        $value       = $this->get_field_value( $field, $post_id );
         $unit_html   = empty( $field['unit'] ) ? '' : Helpers::get_formatted_unit_html( $field['unit'] );
         $description = $field['description'] ?? '';
         $tip_html    = $description ? wc_help_tip( $description ) : '';
@@ -261,7 +391,7 @@ class FieldRenderer {
      * @return string
      */
     protected function render_integer_field( array $field, int $post_id ): string {
-        $value       = Helpers::get_field_value( $post_id, $field['slug'] );
+        $value       = $this->get_field_value( $field, $post_id );
         $unit_html   = empty( $field['unit'] ) ? '' : Helpers::get_formatted_unit_html( $field['unit'] );
         $description = $field['description'] ?? '';
         $tip_html    = $description ? wc_help_tip( $description ) : '';
@@ -297,7 +427,7 @@ class FieldRenderer {
      * @return string
      */
     protected function render_minmax_field( array $field, int $post_id ): string {
-        $value       = Helpers::get_field_value( $post_id, $field['slug'] );
+        $value       = $this->get_field_value( $field, $post_id );
         $min         = $value['min'] ?? '';
         $max         = $value['max'] ?? '';
         $description = $field['description'] ?? '';
@@ -346,20 +476,11 @@ class FieldRenderer {
      * @return string
      */
     protected function render_single_field( array $field, int $post_id ): string {
-        $value       = Helpers::get_field_value( $post_id, $field['slug'] );
-        $terms       = get_terms(
-            [
-                'taxonomy'   => $field['slug'],
-                'hide_empty' => false,
-            ]
-        );
+        $value       = $this->get_field_value( $field, $post_id );
+        $terms       = $this->get_field_terms( $field );
         $description = $field['description'] ?? '';
         $tip_html    = $description ? wc_help_tip( $description ) : '';
 
-        if ( is_wp_error( $terms ) ) {
-            $terms = [];
-        }
-
         $options = array_map(
             static function ( $term ) use ( $value ) {
                 return sprintf(
@@ -409,20 +530,11 @@ class FieldRenderer {
      * @return string
      */
     protected function render_multiple_field( array $field, int $post_id ): string {
-        $values      = (array) Helpers::get_field_value( $post_id, $field['slug'] );
-        $terms       = get_terms(
-            [
-                'taxonomy'   => $field['slug'],
-                'hide_empty' => false,
-            ]
-        );
+        $values      = (array) $this->get_field_value( $field, $post_id );
+        $terms       = $this->get_field_terms( $field );
         $description = $field['description'] ?? '';
         $tip_html    = $description ? wc_help_tip( $description ) : '';
 
-        if ( is_wp_error( $terms ) ) {
-            $terms = [];
-        }
-
         $options = array_map(
             static function ( $term ) use ( $values ) {
                 return sprintf(
@@ -455,13 +567,15 @@ class FieldRenderer {
      */
     protected function render_autocomplete_field( array $field, int $post_id ): string {
         $slug         = $field['slug'];
-        $selected     = wp_get_post_terms(
-            $post_id,
-            $slug,
-            [
-                'fields' => 'all',
-            ]
-        );
+        $selected     = null !== $this->preview
+            ? array_values( array_filter( $this->preview['terms'], fn( $term ) => in_array( $term->slug, (array) $this->preview['value'], true ) ) )
+            : wp_get_post_terms(
+                $post_id,
+                $slug,
+                [
+                    'fields' => 'all',
+                ]
+            );
         $description  = $field['description'] ?? '';
         $tip_html     = $description ? wc_help_tip( $description ) : '';
         $options_html = '';
@@ -258,6 +258,9 @@ class FieldStorage {
 
 	/**
 	 * Save autocomplete taxonomy terms.
+	 *
+	 * Values are term slugs or names; unknown names are created as new terms. The terms are
+	 * saved in the given order, which autocomplete taxonomies keep (registered with `sort`).
 	 */
 	protected static function save_autocomplete_value( int $product_id, array $field, $value ): bool {
 		$term_slugs = [];
@@ -278,7 +281,7 @@ class FieldStorage {
 			}
 		}
 
-		return wp_set_object_terms( $product_id, $term_slugs, $field['slug'] ) !== false;
+		return wp_set_object_terms( $product_id, array_values( array_unique( $term_slugs ) ), $field['slug'] ) !== false;
 	}
 	
 	
@@ -56,7 +56,6 @@ class ProductGroup {
         add_action( 'woocommerce_product_bulk_edit_save', [ $this, 'handle_bulk_edit_save' ], 10, 1 );
         add_action( 'woocommerce_product_quick_edit_end', [ $this, 'render_quick_edit_field' ] );
         add_action( 'woocommerce_product_quick_edit_save', [ $this, 'handle_quick_edit_save' ], 10, 1 );
-        add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_quick_edit_assets' ] );
     }
 
 
@@ -517,46 +516,6 @@ class ProductGroup {
     }
 
 
-    /**
-     * Enqueue Quick Edit helper script for the product list screen.
-     *
-     * @param string $hook_suffix Current admin page hook.
-     * @return void
-     */
-    public function enqueue_quick_edit_assets( string $hook_suffix ): void {
-
-        // Only needed on the product list table (Quick Edit for products).
-        if ( 'edit.php' !== $hook_suffix ) {
-            return;
-        }
-
-        $screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
-        if ( ! $screen || 'edit-product' !== $screen->id ) {
-            return;
-        }
-
-        wp_register_script(
-            'luma-product-fields-quickedit',
-            LUMA_PRODUCT_FIELDS_PLUGIN_URL . '/js/admin/quickedit.js',
-            [ 'jquery', 'inline-edit-post' ],
-            LUMA_PRODUCT_FIELDS_PLUGIN_VER,
-            true
-        );
-
-        wp_localize_script(
-            'luma-product-fields-quickedit',
-            'lumaProductFieldsQuickEdit',
-            [
-                'columnSelector' => 'td.column-taxonomy-' . self::$tax_name,
-                'selectSelector' => 'select.' . LUMA_PRODUCT_FIELDS_PREFIX . '-pg-quick-single',
-                'debug'          => defined( 'WP_DEBUG' ) && WP_DEBUG,
-            ]
-        );
-
-        wp_enqueue_script( 'luma-product-fields-quickedit' );
-    }
-
-
     /**
     * Get all product groups.
     *
@@ -169,6 +169,12 @@ class TaxonomyManager
                 ] : false,
             ];
 
+            // Keep autocomplete terms in the order they were picked (see FieldStorage::save_autocomplete_value())
+            if (($field['type'] ?? '') === 'autocomplete') {
+                $args['sort'] = true;
+                $args['args'] = [ 'orderby' => 'term_order' ];
+            }
+
             register_taxonomy($slug, 'product', $args);
 
             if ($show_links) {
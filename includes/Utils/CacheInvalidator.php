@@ -16,10 +16,22 @@ defined( 'ABSPATH' ) || exit;
  * This class is responsible for deleting transients used to cache the
  * rendered frontend product meta fields. It provides both per-product
  * and global invalidation methods, suitable for use in save hooks or
- * manual tools.
+ * manual tools. It also invalidates the archive filter caches and the term
+ * names used to suggest similar terms.
  */
 class CacheInvalidator {
 
+	/**
+	 * Option holding the generation of the archive filter caches, part of their transient keys.
+	 */
+	protected const FILTER_CACHE_VERSION = 'luma_product_fields_filter_cache_version';
+
+	/**
+	 * Prefix of the transients holding the normalized term names of a taxonomy.
+	 */
+	public const TERM_NAMES_PREFIX = 'luma_product_fields_term_names_';
+
+
 	/**
 	 * Deletes the frontend product meta transient for a specific product.
 	 *
@@ -61,4 +73,37 @@ class CacheInvalidator {
 			delete_transient( $key );
 		}
 	}
+
+
+	/**
+	 * Transient key for a cached archive filter query (term counts, range bounds).
+	 *
+	 * @param string $query SQL of the cached query.
+	 *
+	 * @return string
+	 */
+	public static function get_filter_cache_key( string $query ) : string {
+		return 'luma_product_fields_filter_' . md5( get_option( self::FILTER_CACHE_VERSION, '' ) . $query );
+	}
+
+
+	/**
+	 * Invalidates all archive filter caches.
+	 *
+	 * The cached queries span the whole catalog, so any product change affects them. Rather
+	 * than deleting the transients, this moves their keys on; the old ones expire by themselves.
+	 */
+	public static function invalidate_filter_caches() : void {
+		update_option( self::FILTER_CACHE_VERSION, uniqid( '', true ) );
+	}
+
+
+	/**
+	 * Deletes the cached normalized term names of a taxonomy, used to suggest similar terms.
+	 *
+	 * @param string $taxonomy Taxonomy.
+	 */
+	public static function invalidate_term_names( string $taxonomy ) : void {
+		delete_transient( self::TERM_NAMES_PREFIX . $taxonomy );
+	}
 }
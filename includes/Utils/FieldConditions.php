@@ -0,0 +1,368 @@
+<?php
+/**
+ * Field Conditions class
+ *
+ * @package Luma\ProductFields
+ *
+ */
+
+namespace Luma\ProductFields\Utils;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Conditional visibility of fields.
+ *
+ * A field can have rules set in the field editor, e.g. show "Heel height" only when
+ * "Shoe type" equals "Heels". They are stored in the field definition:
+ *
+ *     'conditions' => [
+ *         'match' => 'all' | 'any',
+ *         'rules' => [
+ *             [ 'field' => 'shoe-type', 'operator' => 'equals',   'value' => 'heels' ],
+ *             [ 'field' => 'material',  'operator' => 'contains', 'value' => 'leather' ],
+ *             [ 'field' => 'width',     'operator' => 'between',  'min' => '10', 'max' => '20' ],
+ *         ],
+ *     ]
+ *
+ * - equals:   the value (or one of the terms) equals the rule value. Terms match by slug or name.
+ * - contains: the value (or one of the terms) contains the rule value.
+ * - between:  the number lies within min and max (either may be empty); a range overlaps them.
+ *
+ * Text is compared case-insensitively. A rule on a field that is empty, not in the product's
+ * group, or hidden by its own rules does not match. The same rules are evaluated in the
+ * browser by js/admin/field-conditions.js.
+ *
+ * @hook luma_product_fields_field_is_visible
+ *      Filters whether a field is shown for a product after its rules are evaluated.
+ *      @param bool  $visible Whether the rules match.
+ *      @param array $field   Field definition.
+ *      @param int   $post_id Product or variation ID.
+ */
+class FieldConditions {
+
+    /**
+     * Supported operators.
+     */
+    public const OPERATORS = [ 'equals', 'contains', 'between' ];
+
+
+    /**
+     * Operator labels for the rules builder.
+     *
+     * @return array<string, string>
+     */
+    public static function get_operator_labels(): array {
+        return [
+            'equals'   => __( 'equals', 'luma-product-fields' ),
+            'contains' => __( 'contains', 'luma-product-fields' ),
+            'between'  => __( 'is between', 'luma-product-fields' ),
+        ];
+    }
+
+
+    /**
+     * Whether a field definition has visibility rules.
+     *
+     * @param array $field Field definition.
+     * @return bool
+     */
+    public static function has_conditions( array $field ): bool {
+        return ! empty( $field['conditions']['rules'] ) && is_array( $field['conditions']['rules'] );
+    }
+
+
+    /**
+     * Sanitize submitted rules.
+     *
+     * Rules without a field, on the field itself or with an unknown operator are dropped.
+     *
+     * @param mixed  $raw      Submitted conditions (match + rules).
+     * @param string $own_slug Slug of the field the rules belong to.
+     * @return array{match: string, rules: array<int, array<string, string>>}|array Empty array without rules.
+     */
+    public static function sanitize( $raw, string $own_slug = '' ): array {
+        if ( ! is_array( $raw ) || empty( $raw['rules'] ) || ! is_array( $raw['rules'] ) ) {
+            return [];
+        }
+
+        $rules = [];
+        foreach ( $raw['rules'] as $rule ) {
+            if ( ! is_array( $rule ) ) {
+                continue;
+            }
+
+            $field    = sanitize_key( (string) ( $rule['field'] ?? '' ) );
+            $operator = sanitize_key( (string) ( $rule['operator'] ?? '' ) );
+
+            if ( '' === $field || $field === $own_slug || ! in_array( $operator, self::OPERATORS, true ) ) {
+                continue;
+            }
+
+            if ( 'between' === $operator ) {
+                $min = self::to_number( $rule['min'] ?? '' );
+                $max = self::to_number( $rule['max'] ?? '' );
+                if ( null === $min && null === $max ) {
+                    continue;
+                }
+                $rules[] = [
+                    'field'    => $field,
+                    'operator' => $operator,
+                    'min'      => null === $min ? '' : (string) $min,
+                    'max'      => null === $max ? '' : (string) $max,
+                ];
+                continue;
+            }
+
+            $value = sanitize_text_field( (string) ( $rule['value'] ?? '' ) );
+            if ( '' === $value ) {
+                continue;
+            }
+            $rules[] = [
+                'field'    => $field,
+                'operator' => $operator,
+                'value'    => $value,
+            ];
+        }
+
+        if ( empty( $rules ) ) {
+            return [];
+        }
+
+        return [
+            'match' => ( 'any' === ( $raw['match'] ?? '' ) ) ? 'any' : 'all',
+            'rules' => $rules,
+        ];
+    }
+
+
+    /**
+     * Whether a field is shown for a product, according to its rules.
+     *
+     * @param array $field   Field definition.
+     * @param int   $post_id Product or variation ID.
+     * @return bool True when the field has no rules or they match.
+     */
+    public static function is_visible( array $field, int $post_id ): bool {
+        /**
+         * Filters whether a field is shown for a product after its rules are evaluated.
+         *
+         * @hook luma_product_fields_field_is_visible
+         *
+         * @param bool  $visible Whether the rules match.
+         * @param array $field   Field definition.
+         * @param int   $post_id Product or variation ID.
+         */
+        return (bool) apply_filters( 'luma_product_fields_field_is_visible', self::evaluate( $field, $post_id, [] ), $field, $post_id );
+    }
+
+
+    /**
+     * A short description of the rules, e.g. for messages.
+     *
+     * @param array $field Field definition.
+     * @return string E.g. "Shoe type equals heels".
+     */
+    public static function describe( array $field ): string {
+        if ( ! self::has_conditions( $field ) ) {
+            return '';
+        }
+
+        $labels = self::get_operator_labels();
+        $parts  = [];
+
+        foreach ( $field['conditions']['rules'] as $rule ) {
+            $source = Helpers::get_field_definition_by_slug( $rule['field'] );
+            $name   = $source['label'] ?? $rule['field'];
+
+            $value = 'between' === $rule['operator']
+                ? trim( ( $rule['min'] ?? '' ) . ' – ' . ( $rule['max'] ?? '' ), ' –' )
+                : ( $rule['value'] ?? '' );
+
+            $parts[] = sprintf( '%1$s %2$s %3$s', $name, $labels[ $rule['operator'] ] ?? $rule['operator'], $value );
+        }
+
+        return implode(
+            'any' === ( $field['conditions']['match'] ?? 'all' ) ? ' ' . __( 'or', 'luma-product-fields' ) . ' ' : ' ' . __( 'and', 'luma-product-fields' ) . ' ',
+            $parts
+        );
+    }
+
+
+    /**
+     * Evaluate the rules of a field, following rules of the fields they depend on.
+     *
+     * @param array    $field   Field definition.
+     * @param int      $post_id Product or variation ID.
+     * @param string[] $stack   Slugs being evaluated, to stop at circular rules.
+     * @return bool
+     */
+    protected static function evaluate( array $field, int $post_id, array $stack ): bool {
+        if ( ! self::has_conditions( $field ) ) {
+            return true;
+        }
+
+        // Circular rules never match.
+        if ( in_array( $field['slug'] ?? '', $stack, true ) ) {
+            return false;
+        }
+
+        $stack[]   = $field['slug'] ?? '';
+        $match_any = 'any' === ( $field['conditions']['match'] ?? 'all' );
+
+        foreach ( $field['conditions']['rules'] as $rule ) {
+            $matches = self::rule_matches( (array) $rule, $post_id, $stack );
+
+            if ( $match_any && $matches ) {
+                return true;
+            }
+            if ( ! $match_any && ! $matches ) {
+                return false;
+            }
+        }
+
+        return ! $match_any;
+    }
+
+
+    /**
+     * Whether a single rule matches the product's value of the rule's field.
+     *
+     * @param array    $rule    Rule.
+     * @param int      $post_id Product or variation ID.
+     * @param string[] $stack   Slugs being evaluated.
+     * @return bool
+     */
+    protected static function rule_matches( array $rule, int $post_id, array $stack ): bool {
+        $slug   = (string) ( $rule['field'] ?? '' );
+        $source = Helpers::get_field_definition_by_slug( $slug );
+
+        if ( ! $source ) {
+            return false;
+        }
+
+        // Only fields the product actually has, and that are shown themselves.
+        $group_slugs = array_column( Helpers::get_fields_for_group( Helpers::get_product_group_slug( $post_id ) ), 'slug' );
+        if ( ! in_array( $slug, $group_slugs, true ) || ! self::evaluate( $source, $post_id, $stack ) ) {
+            return false;
+        }
+
+        $value = Helpers::get_field_value( $post_id, $slug );
+        if ( Helpers::is_truly_empty( $value ) ) {
+            return false;
+        }
+
+        if ( 'between' === ( $rule['operator'] ?? '' ) ) {
+            return self::between( $value, self::to_number( $rule['min'] ?? '' ), self::to_number( $rule['max'] ?? '' ) );
+        }
+
+        $needle = self::fold( (string) ( $rule['value'] ?? '' ) );
+        foreach ( self::get_comparable_values( $source, $value ) as $candidate ) {
+            $candidate = self::fold( $candidate );
+
+            if ( 'equals' === $rule['operator'] ) {
+                if ( $candidate === $needle || self::numbers_equal( $candidate, $needle ) ) {
+                    return true;
+                }
+            } elseif ( '' !== $needle && false !== strpos( $candidate, $needle ) ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+
+    /**
+     * The strings a rule value is compared with: the value itself, or term slugs and names.
+     *
+     * @param array $field Field definition.
+     * @param mixed $value Field value.
+     * @return string[]
+     */
+    protected static function get_comparable_values( array $field, $value ): array {
+        if ( Helpers::is_taxonomy_field( $field['slug'] ) ) {
+            $slugs = array_map( 'strval', (array) $value );
+            $terms = get_terms(
+                [
+                    'taxonomy'   => $field['slug'],
+                    'slug'       => $slugs,
+                    'hide_empty' => false,
+                    'fields'     => 'names',
+                ]
+            );
+
+            return array_merge( $slugs, is_wp_error( $terms ) ? [] : array_map( 'strval', $terms ) );
+        }
+
+        if ( is_array( $value ) ) {
+            return array_map( 'strval', array_filter( $value, 'is_scalar' ) );
+        }
+
+        return [ (string) $value ];
+    }
+
+
+    /**
+     * Whether a number, or a min/max range, lies within (overlaps) the given bounds.
+     *
+     * @param mixed      $value Field value.
+     * @param float|null $min   Lower bound, null for none.
+     * @param float|null $max   Upper bound, null for none.
+     * @return bool
+     */
+    protected static function between( $value, ?float $min, ?float $max ): bool {
+        if ( is_array( $value ) && ( array_key_exists( 'min', $value ) || array_key_exists( 'max', $value ) ) ) {
+            $low  = self::to_number( $value['min'] ?? '' );
+            $high = self::to_number( $value['max'] ?? '' );
+            $low  = $low ?? $high;
+            $high = $high ?? $low;
+        } else {
+            $low  = is_scalar( $value ) ? self::to_number( $value ) : null;
+            $high = $low;
+        }
+
+        if ( null === $low ) {
+            return false;
+        }
+
+        return ( null === $min || $high >= $min ) && ( null === $max || $low <= $max );
+    }
+
+
+    /**
+     * Parse a number, accepting comma as decimal separator.
+     *
+     * @param mixed $value Value.
+     * @return float|null
+     */
+    protected static function to_number( $value ): ?float {
+        $value = str_replace( ',', '.', trim( (string) $value ) );
+        return is_numeric( $value ) ? (float) $value : null;
+    }
+
+
+    /**
+     * Whether two strings are the same number, e.g. "5" and "5.0".
+     *
+     * @param string $a First value.
+     * @param string $b Second value.
+     * @return bool
+     */
+    protected static function numbers_equal( string $a, string $b ): bool {
+        $a = self::to_number( $a );
+        $b = self::to_number( $b );
+        return null !== $a && null !== $b && abs( $a - $b ) < 0.000001;
+    }
+
+
+    /**
+     * Lowercase and trim text for comparison.
+     *
+     * @param string $text Text.
+     * @return string
+     */
+    protected static function fold( string $text ): string {
+        return trim( function_exists( 'mb_strtolower' ) ? mb_strtolower( $text ) : strtolower( $text ) );
+    }
+}
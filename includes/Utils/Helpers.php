@@ -14,6 +14,7 @@ use Luma\ProductFields\Registry\FieldTypeRegistry;
 use Luma\ProductFields\Taxonomy\ProductGroup;
 use Luma\ProductFields\Taxonomy\TaxonomyManager;
 use Luma\ProductFields\Meta\MetaManager;
+use Luma\ProductFields\Meta\FieldLayout;
 use Luma\ProductFields\Frontend\FieldRenderer;
 use Luma\ProductFields\Product\FieldStorage;
 
@@ -158,6 +159,11 @@ class Helpers {
 
         $fields = array_values( $fields );
 
+        // Order arranged on the Product fields screen.
+        if ( null !== $group ) {
+            $fields = FieldLayout::sort_fields( $fields, (string) $group );
+        }
+
         /**
          * Filter the list of field definitions after merging and group filtering.
          *
@@ -236,6 +242,70 @@ class Helpers {
     }
 
 
+    /**
+     * Retrieve a field value in the shape the inline editor posts it.
+     *
+     * Unlike get_field_value(), variations do not fall back to the parent value, and empty
+     * values are normalized ('' for scalars, [] for multi-value fields, min/max pair for ranges).
+     * Used to record the previous value of an inline save so it can be restored.
+     *
+     * @param int    $post_id The product or variation ID.
+     * @param string $slug    The field slug.
+     *
+     * @return mixed
+     */
+    public static function get_editable_field_value(int $post_id, string $slug) {
+        $field_definition = self::get_field_definition_by_slug($slug);
+        if ( ! $field_definition ) {
+            return self::get_field_value($post_id, $slug) ?? '';
+        }
+
+        $type       = $field_definition['type'] ?? 'text';
+        $definition = FieldTypeRegistry::get($type) ?? [];
+        $is_range   = ( ( $definition['validation'] ?? '' ) === 'range' ) || $type === 'minmax';
+        $is_multi   = FieldTypeRegistry::supports($type, 'multiple_values');
+
+        if (self::is_taxonomy_field($slug)) {
+            $terms = wp_get_post_terms($post_id, $slug);
+            $slugs = is_wp_error($terms) ? [] : wp_list_pluck($terms, 'slug');
+
+            return $is_multi ? array_values($slugs) : (string) ($slugs[0] ?? '');
+        }
+
+        $raw = get_post_meta($post_id, FieldStorage::META_PREFIX . $slug, true);
+
+        if ($is_range) {
+            $raw = is_array($raw) ? $raw : [];
+            return [
+                'min' => (string) ($raw['min'] ?? ''),
+                'max' => (string) ($raw['max'] ?? ''),
+            ];
+        }
+
+        if ($is_multi) {
+            return self::is_truly_empty($raw) ? [] : array_values((array) $raw);
+        }
+
+        return self::is_truly_empty($raw) ? '' : $raw;
+    }
+
+
+    /**
+     * Revision token for the stored value of a field.
+     *
+     * Changes whenever the value returned by get_editable_field_value() changes. The inline
+     * editor sends it back on save so stale writes can be rejected.
+     *
+     * @param int    $post_id The product or variation ID.
+     * @param string $slug    The field slug.
+     *
+     * @return string
+     */
+    public static function get_field_value_revision(int $post_id, string $slug): string {
+        return md5( (string) wp_json_encode( self::get_editable_field_value($post_id, $slug) ) );
+    }
+
+
 
 
     /**
@@ -443,6 +513,36 @@ class Helpers {
     }
 
 
+    /**
+     * True if a value from get_editable_field_value() holds nothing, including a min/max
+     * range where both parts are blank.
+     *
+     * @param mixed $value Editable field value.
+     * @return bool
+     */
+    public static function is_empty_field_value( $value ): bool
+    {
+        if ( is_array( $value ) && [] !== $value && [] === array_diff( array_keys( $value ), [ 'min', 'max' ] ) ) {
+            return self::is_truly_empty( $value['min'] ?? '' ) && self::is_truly_empty( $value['max'] ?? '' );
+        }
+        return self::is_truly_empty( $value );
+    }
+
+
+    /**
+     * Normalize a term name for duplicate checks: lowercase, without accents,
+     * punctuation or whitespace. "Cotton ", "cotton" and "Cötton" all become "cotton".
+     *
+     * @param string $name Term name.
+     * @return string
+     */
+    public static function normalize_term_name( string $name ): string
+    {
+        $name = strtolower( remove_accents( wp_specialchars_decode( $name ) ) );
+        return (string) preg_replace( '/[^a-z0-9]+/', '', $name );
+    }
+
+
 
 
     
@@ -1,5 +1,360 @@
+// Normalize a term name the way Helpers::normalize_term_name() does, for duplicate checks
+function normalizeTermName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '');
+}
+
+
+/**
+ * Shared client cache for autocomplete_search, per taxonomy.
+ *
+ * All autocomplete fields on a page share it, so reopening the floating editor or several
+ * fields for the same taxonomy do not fetch the same terms again. A search is answered
+ * without a request when:
+ *
+ * - the taxonomy was preloaded (autocomplete_preload, for taxonomies with few terms), or
+ * - the same search was made before, or
+ * - an earlier search contained in this one returned a complete (not truncated) list, which
+ *   is then narrowed down. Near-duplicates are then looked up among all terms seen so far.
+ *
+ * Server searches wait 250 ms for typing to stop; a newer search for the taxonomy aborts
+ * a pending one, and identical pending searches share one request.
+ */
+window.lumaProductFieldsTermCache = (function ($) {
+    const SEARCH_LIMIT = 20; // Same as autocomplete_search
+    const DELAY = 250;
+    const taxonomies = {};
+    let preloading = null;
+
+    function fold(text) {
+        return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+    }
+
+    function entry(taxonomy) {
+        if (!taxonomies[taxonomy]) {
+            taxonomies[taxonomy] = { all: null, known: {}, queries: {}, pending: null };
+        }
+        return taxonomies[taxonomy];
+    }
+
+    function remember(taxonomy, terms) {
+        const cache = entry(taxonomy);
+        (terms || []).forEach(function (term) {
+            cache.known[term.slug] = term;
+        });
+    }
+
+    function levenshtein(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (v, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Client version of Ajax::find_similar_terms()
+    function findSimilar(terms, search, exclude) {
+        const needle = normalizeTermName(search);
+        if (needle.length < 2) {
+            return [];
+        }
+        const maxDistance = needle.length >= 6 ? 2 : 1;
+
+        return terms
+            .filter(term => exclude.indexOf(term.slug) === -1)
+            .map(term => ({ term: term, distance: levenshtein(needle, normalizeTermName(term.name)) }))
+            .filter(match => match.distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 5)
+            .map(match => match.term);
+    }
+
+    function byUsage(a, b) {
+        return (b.count || 0) - (a.count || 0) || String(a.name).localeCompare(String(b.name));
+    }
+
+    // Answer a search from what is already known, or return null
+    function lookup(taxonomy, search) {
+        const cache = entry(taxonomy);
+        const needle = fold(search);
+        const matches = terms => terms.filter(term => fold(term.name).indexOf(needle) !== -1);
+        let results = null;
+
+        if (cache.all) {
+            results = matches(cache.all).sort(byUsage).slice(0, SEARCH_LIMIT);
+        } else if (cache.queries[needle]) {
+            return cache.queries[needle];
+        } else {
+            Object.keys(cache.queries).some(function (key) {
+                const earlier = cache.queries[key];
+                if (needle.indexOf(key) !== -1 && earlier.results.length < SEARCH_LIMIT) {
+                    results = matches(earlier.results);
+                    return true;
+                }
+                return false;
+            });
+        }
+
+        if (results === null) {
+            return null;
+        }
+
+        const known = cache.all || Object.keys(cache.known).map(slug => cache.known[slug]);
+        return {
+            results: results,
+            similar: findSimilar(known, search, results.map(term => term.slug))
+        };
+    }
+
+    /**
+     * Search the terms of a taxonomy, like autocomplete_search.
+     *
+     * @param {string} taxonomy
+     * @param {string} search
+     * @return {Promise} jQuery promise resolving with the autocomplete_search response,
+     *                   with an abort() method.
+     */
+    function search(taxonomy, search) {
+        const cache = entry(taxonomy);
+        const needle = fold(search);
+        const deferred = $.Deferred();
+        const promise = deferred.promise();
+        let aborted = false;
+
+        promise.abort = function () {
+            if (aborted || deferred.state() !== 'pending') {
+                return;
+            }
+            aborted = true;
+            deferred.reject({ statusText: 'abort' });
+
+            const pending = cache.pending;
+            if (pending && pending.needle === needle && --pending.waiting <= 0) {
+                clearTimeout(pending.timer);
+                if (pending.xhr) {
+                    pending.xhr.abort();
+                }
+                cache.pending = null;
+            }
+        };
+
+        const cached = lookup(taxonomy, search);
+        if (cached) {
+            deferred.resolve({ success: true, data: cached });
+            return promise;
+        }
+
+        // Same search already on its way: wait for it
+        if (cache.pending && cache.pending.needle === needle) {
+            cache.pending.waiting++;
+            cache.pending.deferred.then(deferred.resolve, deferred.reject);
+            return promise;
+        }
+
+        // Anything else pending for this taxonomy is stale now
+        if (cache.pending) {
+            clearTimeout(cache.pending.timer);
+            if (cache.pending.xhr) {
+                cache.pending.xhr.abort();
+            }
+            cache.pending.deferred.reject({ statusText: 'abort' });
+        }
+
+        const pending = { needle: needle, waiting: 1, deferred: $.Deferred(), xhr: null, timer: null };
+        cache.pending = pending;
+        pending.deferred.then(deferred.resolve, deferred.reject);
+
+        pending.timer = setTimeout(function () {
+            pending.xhr = $.ajax({
+                type: 'POST',
+                url: luma_product_fields_admin_ajaxdata.ajaxurl,
+                dataType: 'json',
+                data: {
+                    action: luma_product_fields_admin_ajaxdata.action,
+                    nonce: luma_product_fields_admin_ajaxdata.nonce,
+                    luma_product_fields_action: 'autocomplete_search',
+                    taxonomy: taxonomy,
+                    term: search
+                }
+            }).done(function (response) {
+                if (response && response.success && response.data) {
+                    cache.queries[needle] = response.data;
+                    remember(taxonomy, response.data.results);
+                    remember(taxonomy, response.data.similar);
+                }
+                pending.deferred.resolve(response);
+            }).fail(function (xhr) {
+                pending.deferred.reject(xhr);
+            }).always(function () {
+                if (cache.pending === pending) {
+                    cache.pending = null;
+                }
+            });
+        }, DELAY);
+
+        return promise;
+    }
+
+    /**
+     * Load all terms of the given taxonomies that are small enough, in one request.
+     *
+     * @param {string[]} list Taxonomies.
+     */
+    function preload(list) {
+        if (!luma_product_fields_admin_ajaxdata.autocomplete_preload || preloading) {
+            return;
+        }
+
+        const missing = list.filter(taxonomy => taxonomy && !taxonomies[taxonomy]);
+        if (!missing.length) {
+            return;
+        }
+        missing.forEach(entry);
+
+        preloading = $.ajax({
+            type: 'POST',
+            url: luma_product_fields_admin_ajaxdata.ajaxurl,
+            dataType: 'json',
+            data: {
+                action: luma_product_fields_admin_ajaxdata.action,
+                nonce: luma_product_fields_admin_ajaxdata.nonce,
+                luma_product_fields_action: 'autocomplete_preload',
+                taxonomies: missing
+            }
+        }).done(function (response) {
+            if (!response || !response.success) {
+                forget(missing);
+                return;
+            }
+            $.each(response.data.taxonomies || {}, function (taxonomy, terms) {
+                if (Array.isArray(terms)) {
+                    entry(taxonomy).all = terms;
+                    remember(taxonomy, terms);
+                }
+            });
+        }).fail(function () {
+            forget(missing);
+        }).always(function () {
+            preloading = null;
+        });
+    }
+
+    // A failed preload is tried again by the next editor that asks for it
+    function forget(list) {
+        list.forEach(function (taxonomy) {
+            delete taxonomies[taxonomy];
+        });
+    }
+
+    /**
+     * Add a saved term (as returned by inline_save_field), so a term that was just created
+     * is found, and not offered for creation, again.
+     *
+     * @param {string} taxonomy
+     * @param {{id: number, slug: string, name: string, count: number}} term
+     */
+    function addTerm(taxonomy, term) {
+        const cache = taxonomies[taxonomy];
+        if (!cache || !term || !term.slug) {
+            return;
+        }
+
+        if (cache.all) {
+            cache.all = cache.all.filter(known => known.slug !== term.slug).concat([term]);
+        }
+        remember(taxonomy, [term]);
+        cache.queries = {};
+    }
+
+    // Saved values may have created terms or changed counts: search again next time
+    $(document).on('lumaprfi:field-saved', function (e, data) {
+        if (taxonomies[data.fieldSlug]) {
+            taxonomies[data.fieldSlug].queries = {};
+        }
+    });
+
+    return {
+        search: search,
+        preload: preload,
+        addTerm: addTerm
+    };
+})(jQuery);
+
+
+// Select2 data id of a rendered selection choice (<li>), across Select2 versions
+function autocompleteChoiceId($select, li) {
+    const data = jQuery(li).data('data');
+    if (data && typeof data.id !== 'undefined') {
+        return String(data.id);
+    }
+    const text = jQuery.trim(jQuery(li).attr('title') || jQuery(li).text().replace(/^×/, ''));
+    const $option = $select.find('option').filter(function () {
+        return jQuery.trim(jQuery(this).text()) === text;
+    }).first();
+    return $option.length ? String($option.val()) : null;
+}
+
+
+/**
+ * Let the selected values of an autocomplete field be reordered by dragging.
+ *
+ * Select2 shows (and submits) the selection in <option> order, so the options are moved
+ * to match: newly picked values go to the end, dragged values to their new position.
+ */
+function initAutocompleteSorting($select) {
+    const $rendered = $select.next('.select2-container').find('.select2-selection__rendered');
+
+    $select.off('select2:select.lumaprfi').on('select2:select.lumaprfi', function (e) {
+        const $option = $select.find('option').filter(function () {
+            return String(this.value) === String(e.params.data.id);
+        });
+        $option.detach().appendTo($select);
+        $select.trigger('change.select2');
+    });
+
+    if (!$rendered.length || typeof $rendered.sortable !== 'function') {
+        return;
+    }
+
+    $rendered.sortable({
+        items: 'li.select2-selection__choice',
+        tolerance: 'pointer',
+        containment: 'parent',
+        update: function () {
+            $rendered.children('li.select2-selection__choice').each(function () {
+                const id = autocompleteChoiceId($select, this);
+                if (id === null) {
+                    return;
+                }
+                $select.find('option').filter(function () {
+                    return String(this.value) === id;
+                }).detach().appendTo($select);
+            });
+            $select.trigger('change');
+        }
+    });
+}
+
+
 // Reusable function to initialize all .luma-product-fields-autocomplete-select fields
 function initAutocompleteSelectFields() {
+    const strings = luma_product_fields_admin_ajaxdata;
+
+    function format(template, value) {
+        return String(template || '').replace(/%[sd]/, value);
+    }
+
     jQuery('.luma-product-fields-autocomplete-select').each(function () {
         const $select = jQuery(this);
         const taxonomy = $select.data('taxonomy');
@@ -11,38 +366,98 @@ function initAutocompleteSelectFields() {
 
         const select2Options = {
             ajax: {
-                type: 'POST',
-                url: luma_product_fields_admin_ajaxdata.ajaxurl,
-                dataType: 'json',
-                delay: 250,
+                // Debounced by the term cache, so cached answers are instant
+                delay: 0,
                 data: function (params) {
                     return {
-                        action: luma_product_fields_admin_ajaxdata.action,
-                        nonce: luma_product_fields_admin_ajaxdata.nonce,
-                        luma_product_fields_action: 'autocomplete_search',
                         taxonomy: taxonomy,
                         term: params.term || ''
                     };
                 },
+                // Searches go through the shared term cache, with a notice when one fails
+                transport: function (params, success, failure) {
+                    const request = window.lumaProductFieldsTermCache.search(params.data.taxonomy, params.data.term);
+                    request.done(success);
+                    request.fail(function (xhr) {
+                        if (xhr && xhr.statusText === 'abort') {
+                            return;
+                        }
+                        window.lumaProductFieldsNotices.error(xhr);
+                        failure();
+                    });
+                    return request;
+                },
                 processResults: function (response, params) {
-                    let results = response.data.results.map(item => ({
+                    if (!response || !response.success) {
+                        window.lumaProductFieldsNotices.error(response);
+                        return { results: [] };
+                    }
+
+                    const toItem = item => ({
                         id: item.slug,
-                        text: item.name
-                    }));
+                        text: item.name,
+                        count: item.count
+                    });
+
+                    const term = jQuery.trim(params.term || '');
+                    const needle = normalizeTermName(term);
+                    const matches = (response.data.results || []).map(toItem);
+                    const similar = (response.data.similar || []).map(toItem);
+
+                    // "Cotton " or "cötton" when "Cotton" exists: offer the existing term only
+                    const existing = matches.concat(similar).filter(item => normalizeTermName(item.text) === needle);
+
+                    let results = matches.concat(similar.filter(item => existing.indexOf(item) !== -1));
+
+                    // Allow creating new term after min length, marked as such
+                    if (term.length >= 2 && !existing.length) {
+                        const near = similar.concat(matches.filter(item => {
+                            const name = normalizeTermName(item.text);
+                            return name.indexOf(needle) === 0 && name.length - needle.length <= 2;
+                        }));
 
-                    // Allow creating new term after min length
-                    if (params.term && params.term.length >= 2) {
                         results.push({
-                            id: params.term,
-                            text: params.term,
-                            newTag: true
+                            id: term,
+                            text: term,
+                            newTag: true,
+                            similar: near.map(item => item.text)
                         });
+
+                        // Let the near-duplicates be picked directly, below the warning
+                        results = results.concat(similar);
                     }
 
                     return { results };
                 }
 
             },
+            templateResult: function (item) {
+                if (item.loading || !item.id) {
+                    return item.text;
+                }
+
+                if (item.newTag) {
+                    const $create = jQuery('<span class="lumaprfi-ac-create"></span>')
+                        .text(format(strings.autocomplete_create || 'Create "%s"', item.text));
+                    if (item.similar && item.similar.length) {
+                        $create.append(jQuery('<span class="lumaprfi-ac-similar"></span>')
+                            .text(format(strings.autocomplete_similar || 'Similar: %s', item.similar.join(', '))));
+                    }
+                    return $create;
+                }
+
+                const $result = jQuery('<span class="lumaprfi-ac-term"></span>').text(item.text);
+                if (typeof item.count !== 'undefined') {
+                    const count = parseInt(item.count, 10) || 0;
+                    const template = count === 1 ? strings.autocomplete_count_one : strings.autocomplete_count_many;
+                    $result.append(jQuery('<span class="lumaprfi-ac-count"></span>')
+                        .text(format(template || '%d', count)));
+                }
+                return $result;
+            },
+            templateSelection: function (item) {
+                return item.text;
+            },
             language: {
                 inputTooShort: function (args) {
                     const remaining = args.minimum - args.input.length;
@@ -64,7 +479,14 @@ function initAutocompleteSelectFields() {
         };
 
         $select.select2(select2Options);
+        initAutocompleteSorting($select);
     });
+
+    window.lumaProductFieldsTermCache.preload(
+        jQuery('.luma-product-fields-autocomplete-select').map(function () {
+            return jQuery(this).data('taxonomy');
+        }).get()
+    );
 }
 
 
@@ -190,8 +612,20 @@ jQuery(function($) {
         const productGroup = $(this).find(":selected").val();
         const $fieldsContainer  = $('#luma-product-fields-product-group-fields');
         const preservedValues = captureFieldValues($fieldsContainer);    
+        const previousHtml = $fieldsContainer.html();
+        const $groupSelect = $(this);
         $fieldsContainer.html(luma_product_fields_admin_ajaxdata.spinner);
 
+        // Put the previous fields back, so nothing typed so far is lost
+        function restorePrevious(response) {
+            $fieldsContainer.html(previousHtml);
+            restoreFieldValues($fieldsContainer, preservedValues);
+            initAutocompleteSelectFields();
+            window.lumaProductFieldsNotices.error(response, {
+                retry: () => $groupSelect.trigger('change')
+            });
+        }
+
         const data = {
             action: luma_product_fields_admin_ajaxdata.action,
             nonce: luma_product_fields_admin_ajaxdata.nonce,
@@ -201,11 +635,17 @@ jQuery(function($) {
         };
 
         $.post(luma_product_fields_admin_ajaxdata.ajaxurl, data, function (response) {
+            if (!response || !response.success) {
+                restorePrevious(response);
+                return;
+            }
+
             $fieldsContainer.html(response.data.html);
 
             restoreFieldValues($fieldsContainer, preservedValues);
             initAutocompleteSelectFields();
-        });
+            $(document).trigger('lumaprfi:fields-loaded', [$fieldsContainer]);
+        }).fail(restorePrevious);
     });
 
 
@@ -249,8 +689,8 @@ jQuery(function($) {
 
       if ($btn.data('loaded') === 1) {
         const $rows = $(selector);
-        const isVisible = $rows.first().is(':visible');
-        $rows.toggle();
+        const isVisible = $btn.attr('aria-expanded') === 'true';
+        $rows.toggle(!isVisible);
         // arrow + aria
         $icon.toggleClass('dashicons-arrow-right dashicons-arrow-down');
         $btn.attr('aria-expanded', String(!isVisible));
@@ -271,14 +711,15 @@ jQuery(function($) {
       $.post(luma_product_fields_admin_ajaxdata.ajaxurl, data, function (response) {
         if (response.success) {
           $(response.data).insertAfter($btn.closest('tr'));
+          $(document).trigger('lumaprfi:rows-added', [productId]);
           $btn.data('loaded', 1).attr('aria-expanded', 'true');
           $icon.removeClass('dashicons-update').addClass('dashicons-arrow-down');
         } else {
-          alert(response.data?.error || 'Failed to load variations.');
+          window.lumaProductFieldsNotices.error(response, { retry: () => $btn.trigger('click') });
           $icon.removeClass('dashicons-update').addClass('dashicons-arrow-right');
         }
-      }).fail(function () {
-        alert('AJAX request failed.');
+      }).fail(function (xhr) {
+        window.lumaProductFieldsNotices.error(xhr, { retry: () => $btn.trigger('click') });
         $icon.removeClass('dashicons-update').addClass('dashicons-arrow-right');
       }).always(function () {
         $btn.prop('disabled', false);
@@ -289,19 +730,281 @@ jQuery(function($) {
 
     // Inline editing for ListViewTable
     let currentEditor = null;
+    let currentEditorCell = null;
+    let currentEditorOptions = {};
+    let editorRequest = 0;
+    let $activeCell = $();
 
     function closeEditor() {
+        editorRequest++;
+        $(window).off('scroll.lpfInline resize.lpfInline');
         if (currentEditor) {
             currentEditor.remove();
-            $('#lumaprfi-editor-overlay').hide();
             currentEditor = null;
-            $('.lumaprfi-editable').removeClass('luma-product-fields-editing');
-            $('.lumaprfi-editable').closest('tr').removeClass('luma-product-fields-row-editing');
+            currentEditorCell = null;
         }
+        currentEditorOptions = {};
+        $('#lumaprfi-editor-overlay').hide();
+        $('.lumaprfi-editable').removeClass('luma-product-fields-editing');
+        $('.lumaprfi-editable').closest('tr').removeClass('luma-product-fields-row-editing');
     }
 
-    $(document).on('click', '.lumaprfi-editable', function () {
-        const $cell = $(this);
+
+    // Flash the save glow on a cell
+    function showSaveGlow($cell) {
+        $cell.removeClass('lumaprfi-save-glow lumaprfi-save-glow-reset').addClass('lumaprfi-save-glow');
+        setTimeout(() => $cell.addClass('lumaprfi-save-glow-reset'), 1000);
+        setTimeout(() => $cell.removeClass('lumaprfi-save-glow lumaprfi-save-glow-reset'), 3000);
+    }
+
+
+    // Build the inline_save_field payload from the editor form
+    function buildInlineSavePayload(form, productId, fieldSlug) {
+        const formData = new FormData(form);
+        const postData = {
+            action: luma_product_fields_admin_ajaxdata.action,
+            luma_product_fields_action: 'inline_save_field',
+            product_id: productId,
+            field_slug: fieldSlug,
+            nonce: luma_product_fields_admin_ajaxdata.nonce
+        };
+
+        const valueKey = `luma-product-fields-${fieldSlug}`;
+        let value = null;
+
+        for (const [key, rawValue] of formData.entries()) {
+            const trimmed = (typeof rawValue === 'string') ? rawValue.trim() : rawValue;
+
+            if (key === valueKey) {
+                value = trimmed;
+                postData[key] = trimmed;
+            } else if (key === `${valueKey}[]`) {
+                if (!Array.isArray(value)) value = [];
+                if (trimmed !== '') value.push(trimmed);
+            } else if (key.startsWith(`${valueKey}[`)) {
+                const m = key.match(/^luma-product-fields-[^[]+\[([^\]]+)\]$/);
+                if (m) {
+                    if (value === null || typeof value !== 'object' || Array.isArray(value)) value = {};
+                    value[m[1]] = trimmed;
+                }
+            } else {
+                postData[key] = trimmed;
+            }
+        }
+
+        if (value === null && formData.has(valueKey)) {
+            const fallbackValue = formData.get(valueKey);
+            value = (typeof fallbackValue === 'string') ? fallbackValue.trim() : fallbackValue;
+        }
+
+        postData.value = normalizeInlineValue(value);
+
+        return postData;
+    }
+
+
+    // The list view cell for a product/field, if it is on the current page
+    function findFieldCell(productId, fieldSlug) {
+        return $(document.getElementById('lumaprfi-' + productId + '-' + fieldSlug));
+    }
+
+
+    /**
+     * Queue an inline_save_field payload (see save-queue.js).
+     *
+     * Once saved, the cell is refreshed and `lumaprfi:field-saved` is triggered on document
+     * with the previous and new value; context.source tells listeners where the save came
+     * from ('editor', 'history', …), revision and previousRevision identify the new and
+     * previous value for later conflict checks (see saveFieldValue()). The promise is notified with 'queued' when the save
+     * has to wait for a retry, and rejects with the normalized error (notices.js) when it
+     * is refused.
+     */
+    function postInlineSave(postData, context) {
+        const $cell = findFieldCell(postData.product_id, postData.field_slug);
+
+        return window.lumaProductFieldsSaveQueue.add(postData, $.extend({
+            source: 'editor',
+            previousText: $.trim($cell.text())
+        }, context));
+    }
+
+
+    $(document).on('lumaprfi:queue-saved', function (e, entry, res) {
+        const $cell = findFieldCell(entry.data.product_id, entry.data.field_slug);
+
+        if ($cell.length) {
+            $cell.html(res.data.html).attr('data-revision', res.data.revision || '');
+            showSaveGlow($cell);
+        }
+
+        // Terms created by the save are now known to the autocomplete
+        (res.data.terms || []).forEach(function (term) {
+            window.lumaProductFieldsTermCache.addTerm(entry.data.field_slug, term);
+        });
+
+        $(document).trigger('lumaprfi:field-saved', [{
+            productId: entry.data.product_id,
+            fieldSlug: entry.data.field_slug,
+            previous: res.data.previous,
+            previousRevision: res.data.previous_revision,
+            value: res.data.value,
+            revision: res.data.revision,
+            previousText: entry.context.previousText,
+            valueText: $.trim($('<div>').html(res.data.html).text()),
+            source: entry.context.source || 'editor'
+        }]);
+    });
+
+    $(document).on('lumaprfi:queue-failed', function (e, entry, error) {
+        // Stale write: let the conflict dialog (listview-conflicts.js) resolve it
+        if (error.code === 'conflict') {
+            $(document).trigger('lumaprfi:save-conflict', [entry, error.data]);
+            return;
+        }
+
+        const $cell = findFieldCell(entry.data.product_id, entry.data.field_slug);
+
+        // Editor still open for this cell: show the server message next to the control
+        if (currentEditor && currentEditorCell && currentEditorCell.is($cell) && window.lumaProductFieldsValidation) {
+            window.lumaProductFieldsValidation.showErrors(currentEditor.find('.lumaprfi-field').first(), [error.message]);
+            return;
+        }
+
+        $cell.removeClass('lumaprfi-save-fail lumaprfi-save-glow-reset').addClass('lumaprfi-save-fail');
+        setTimeout(() => $cell.addClass('lumaprfi-save-glow-reset'), 1000);
+        setTimeout(() => $cell.removeClass('lumaprfi-save-fail lumaprfi-save-glow-reset'), 3000);
+
+        window.lumaProductFieldsNotices.error(error, {
+            retry: () => postInlineSave(entry.data, entry.context)
+        });
+    });
+
+    // Mark cells with edits that are not on the server yet
+    $(document).on('lumaprfi:queue-changed', function (e, pending) {
+        $('.lumaprfi-cell-unsynced').removeClass('lumaprfi-cell-unsynced');
+        pending.forEach(function (entry) {
+            findFieldCell(entry.data.product_id, entry.data.field_slug).addClass('lumaprfi-cell-unsynced');
+        });
+    });
+
+
+    /**
+     * Save a value for a product/field outside the editor (undo, redo, …).
+     * Pass context.revision to have the server reject the write if the value changed since.
+     */
+    function saveFieldValue(productId, fieldSlug, value, context) {
+        const postData = {
+            action: luma_product_fields_admin_ajaxdata.action,
+            luma_product_fields_action: 'inline_save_field',
+            product_id: productId,
+            field_slug: fieldSlug,
+            nonce: luma_product_fields_admin_ajaxdata.nonce,
+            value: normalizeInlineValue(value)
+        };
+
+        if (context && context.revision) {
+            postData.revision = context.revision;
+        }
+
+        return postInlineSave(postData, context);
+    }
+
+
+    // jQuery drops empty arrays from POST data, send '' so the field is cleared
+    function normalizeInlineValue(value) {
+        if (value === null || value === undefined || (Array.isArray(value) && !value.length)) {
+            return '';
+        }
+        return value;
+    }
+
+
+    // Client-side validation (field-validation.js) before anything is sent
+    function editorIsValid($editor) {
+        return !window.lumaProductFieldsValidation || window.lumaProductFieldsValidation.validateContainer($editor);
+    }
+
+
+    // Save the open editor. Resolves once saved or queued, rejects (editor stays open) when refused.
+    function saveEditor() {
+        const deferred = $.Deferred();
+
+        if (!currentEditor || !currentEditorCell) {
+            return deferred.reject().promise();
+        }
+
+        const $editor = currentEditor;
+        const $cell = currentEditorCell;
+        const $btn = $editor.find('.lumaprfi-edit-save');
+
+        if ($btn.prop('disabled') || !editorIsValid($editor)) {
+            return deferred.reject().promise();
+        }
+        $btn.prop('disabled', true);
+
+        const postData = buildInlineSavePayload(
+            $editor.find('form')[0],
+            $cell.data('product-id'),
+            $cell.data('field-slug')
+        );
+
+        // Value and revision the editor was loaded with, for conflict detection
+        const loaded = $editor.data('lumaprfi-loaded') || {};
+        if (loaded.revision) {
+            postData.revision = loaded.revision;
+        }
+
+        // Close once saved, or once the edit is safely queued for a retry
+        function done(res) {
+            if (currentEditor === $editor) {
+                closeEditor();
+            }
+            deferred.resolve(res);
+        }
+
+        postInlineSave(postData, { source: 'editor', base: loaded.value })
+            .done(done)
+            .progress(function (state) {
+                if (state === 'queued') {
+                    done(null);
+                }
+            })
+            .fail(function (error) {
+                // A conflict is handed over to the conflict dialog
+                if (error.code === 'conflict') {
+                    if (currentEditor === $editor) {
+                        closeEditor();
+                    }
+                    deferred.reject(error);
+                    return;
+                }
+                $btn.prop('disabled', false);
+                deferred.reject(error);
+            });
+
+        return deferred.promise();
+    }
+
+
+    // Submit the open editor: a custom onSubmit (e.g. bulk fill) or a regular save
+    function submitEditor() {
+        if (currentEditor && typeof currentEditorOptions.onSubmit === 'function') {
+            if (!editorIsValid(currentEditor)) {
+                return $.Deferred().reject().promise();
+            }
+            return currentEditorOptions.onSubmit(currentEditor, currentEditorCell);
+        }
+        return saveEditor();
+    }
+
+
+    /**
+     * Open the floating editor for a cell.
+     *
+     * options.title    replaces the editor heading.
+     * options.onSubmit called with ($editor, $cell) instead of saving the cell.
+     */
+    function openEditor($cell, options) {
         const productId = $cell.data('product-id');
         const fieldSlug = $cell.data('field-slug');
 
@@ -311,6 +1014,10 @@ jQuery(function($) {
         }
 
         closeEditor();
+        setActiveCell($cell);
+
+        const requestId = editorRequest;
+
         $('#lumaprfi-editor-overlay')
             .show()
             .off('click')
@@ -319,6 +1026,7 @@ jQuery(function($) {
             });
     
         $cell.closest('tr').addClass('luma-product-fields-row-editing');
+        $cell.addClass('luma-product-fields-editing');
 
         $.post(luma_product_fields_admin_ajaxdata.ajaxurl, {
             action: luma_product_fields_admin_ajaxdata.action,
@@ -327,6 +1035,11 @@ jQuery(function($) {
             product_id: productId,
             field_slug: fieldSlug
         }, function (response) {
+            // Editor was closed, or another cell opened, while loading
+            if (requestId !== editorRequest) {
+                return;
+            }
+
             if (response.success) {
                 // Create and append editor
                 const $editor = $('<div class="lumaprfi-floating-editor">').html(response.data.html);
@@ -385,122 +1098,64 @@ jQuery(function($) {
                 // First position immediately
                 positionEditor();
 
-                // Reposition while open (scroll/resize)
-                function bindReposition() {
-                    $(window).on('scroll.lpfInline resize.lpfInline', positionEditor);
-                }
-                function unbindReposition() {
-                    $(window).off('scroll.lpfInline resize.lpfInline');
-                }
-
-                bindReposition();
+                // Reposition while open (scroll/resize), unbound in closeEditor()
+                $(window).on('scroll.lpfInline resize.lpfInline', positionEditor);
 
-                $cell.addClass('luma-product-fields-editing');
                 currentEditor = $editor;
+                currentEditorCell = $cell;
+                currentEditorOptions = options || {};
 
-                // Reinit select2 if needed
-                initAutocompleteSelectFields();
-
-                // Focus the first sensible control (your helper from earlier)
-                focusFirstEditorField($editor);
+                $editor.data('lumaprfi-loaded', {
+                    value: response.data.value,
+                    revision: response.data.revision
+                });
 
-                // Clean up bindings when closing
-                function teardownEditor() {
-                    unbindReposition();
-                    $editor.remove();
-                    currentEditor = null;
-                    $('.lumaprfi-editable').removeClass('luma-product-fields-editing');
-                    $('.lumaprfi-editable').closest('tr').removeClass('luma-product-fields-row-editing');
+                if (currentEditorOptions.title) {
+                    $editor.find('h4').first().text(currentEditorOptions.title);
                 }
 
-
-                $cell.addClass('luma-product-fields-editing');
-                currentEditor = $editor;
-            
                 // Reinit select2 if needed and set focus to current field
+                initAutocompleteSelectFields();
+                focusFirstEditorField($editor);
+
                 setTimeout(() => {
+                    if (currentEditor !== $editor) {
+                        return;
+                    }
                     initAutocompleteSelectFields();
                     focusFirstEditorField($editor);
-                    console.log( 'reinitiated');
                 }, 50);
                             
 
                 // ✅ SAVE 
                 $editor.find('.lumaprfi-edit-save').on('click', function (e) {
                     e.preventDefault();
-                    e.stopPropagation();                    
-                    const $btn = $(this);
-                    $btn.prop('disabled', true);
-                    const form = $editor.find('form')[0];
-                    const formData = new FormData(form);
-                    const postData = {
-                        action: luma_product_fields_admin_ajaxdata.action,
-                        luma_product_fields_action: 'inline_save_field',
-                        product_id: productId,
-                        field_slug: fieldSlug,
-                        nonce: luma_product_fields_admin_ajaxdata.nonce
-                    };
-
-                    const valueKey = `luma-product-fields-${fieldSlug}`;
-                    let value = null;
-
-                    for (const [key, rawValue] of formData.entries()) {
-                        const trimmed = (typeof rawValue === 'string') ? rawValue.trim() : rawValue;
-
-                        if (key === valueKey) {
-                            value = trimmed;
-                            postData[key] = trimmed;
-                        } else if (key === `${valueKey}[]`) {
-                            if (!Array.isArray(value)) value = [];
-                            if (trimmed !== '') value.push(trimmed);
-                        } else if (key.startsWith(`${valueKey}[`)) {
-                            const m = key.match(/^luma-product-fields-[^[]+\[([^\]]+)\]$/);
-                            if (m) {
-                                if (value === null || typeof value !== 'object' || Array.isArray(value)) value = {};
-                                value[m[1]] = trimmed;
-                            }
-                        } else {
-                            postData[key] = trimmed;
-                        }
-                    }
-
-                    if (value === null && formData.has(valueKey)) {
-                        const fallbackValue = formData.get(valueKey);
-                        value = (typeof fallbackValue === 'string') ? fallbackValue.trim() : fallbackValue;
-                    }
-
-                    postData.value = (value === null) ? '' : value;
-
-                    $.post(luma_product_fields_admin_ajaxdata.ajaxurl, postData, function (res) {
-                        if (res.success) {
-                            $cell.html(res.data.html).removeClass('luma-product-fields-editing');
-                            $('.lumaprfi-editable').closest('tr').removeClass('luma-product-fields-row-editing');
-                            closeEditor();
-                            $cell.removeClass('lumaprfi-save-glow lumaprfi-save-glow-reset').addClass('lumaprfi-save-glow');
-                            setTimeout(() => $cell.addClass('lumaprfi-save-glow-reset'), 1000);
-                            setTimeout(() => $cell.removeClass('lumaprfi-save-glow lumaprfi-save-glow-reset'), 3000);
-                        } else {
-                            alert(res.data || 'Failed to save.');
-                            $btn.prop('disabled', false);
-                        }
-                    });
+                    e.stopPropagation();
+                    submitEditor();
                 });
 
                 // Cancel
                 $editor.find('.lumaprfi-edit-cancel').on('click', function (e) {
                     e.preventDefault();
                     e.stopPropagation();
-                    const $btn = $(this);
-                    $btn.prop('disabled', true)
-                    $('.lumaprfi-editable').closest('tr').removeClass('luma-product-fields-row-editing');
-                    $cell.removeClass('luma-product-fields-editing');
+                    $(this).prop('disabled', true);
                     closeEditor();
                 });
 
             } else {
-                alert(response.data || 'Could not load field.');
+                closeEditor();
+                window.lumaProductFieldsNotices.error(response, { retry: () => openEditor($cell, options) });
+            }
+        }).fail(function (xhr) {
+            if (requestId === editorRequest) {
+                closeEditor();
+                window.lumaProductFieldsNotices.error(xhr, { retry: () => openEditor($cell, options) });
             }
         });
+    }
+
+    $(document).on('click', '.lumaprfi-editable', function () {
+        openEditor($(this));
     });
 
     // Close editor on outside click
@@ -509,13 +1164,13 @@ jQuery(function($) {
         const isInsideEditor =
             $target.closest('.lumaprfi-floating-editor').length > 0 ||
             $target.closest('.lumaprfi-editable').length > 0 ||
+            $target.closest('.lumaprfi-bulk-fill').length > 0 ||
+            $target.closest('#lumaprfi-next-empty').length > 0 ||
             $target.closest('.select2-container').length > 0 ||
             $target.closest('.select2-dropdown').length > 0 ||
             $target.closest('.select2-selection__choice__remove').length > 0;
 
         if (!isInsideEditor) {
-            $('.lumaprfi-editable').closest('tr').removeClass('luma-product-fields-row-editing');
-            $('.lumaprfi-editable').removeClass('luma-product-fields-editing');
             closeEditor();
         }
     });
@@ -526,6 +1181,161 @@ jQuery(function($) {
             closeEditor();
         }
     });
+
+
+
+    // Spreadsheet-style keyboard navigation for ListViewTable
+    const $gridTable = $('#luma-product-fields-fields-overview table.wp-list-table');
+
+    function setActiveCell($cell) {
+        $('.lumaprfi-cell-active').removeClass('lumaprfi-cell-active');
+        $activeCell = ($cell && $cell.length) ? $cell.first().addClass('lumaprfi-cell-active') : $();
+
+        if ($activeCell.length && typeof $activeCell[0].scrollIntoView === 'function') {
+            $activeCell[0].scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        }
+    }
+
+    // Editable cells in visible rows, in document order (includes expanded variation rows)
+    function getGridCells() {
+        return $gridTable.find('tbody tr:visible .lumaprfi-editable:visible');
+    }
+
+    /**
+     * Find the cell next to $cell.
+     * 'up'/'down' keep the column and skip rows without an editable cell for it,
+     * 'left'/'right' stay within the row, 'prev'/'next' wrap across rows.
+     */
+    function findAdjacentCell($cell, direction) {
+        if (!$cell || !$cell.length) {
+            return $();
+        }
+
+        if (direction === 'prev' || direction === 'next') {
+            const $cells = getGridCells();
+            const index = $cells.index($cell) + (direction === 'next' ? 1 : -1);
+            return (index >= 0 && index < $cells.length) ? $cells.eq(index) : $();
+        }
+
+        if (direction === 'left' || direction === 'right') {
+            const $cells = $cell.closest('tr').find('.lumaprfi-editable:visible');
+            const index = $cells.index($cell) + (direction === 'right' ? 1 : -1);
+            return (index >= 0 && index < $cells.length) ? $cells.eq(index) : $();
+        }
+
+        const fieldSlug = $cell.data('field-slug');
+        const $rows = $gridTable.find('tbody tr:visible');
+        const step = (direction === 'down') ? 1 : -1;
+
+        for (let i = $rows.index($cell.closest('tr')) + step; i >= 0 && i < $rows.length; i += step) {
+            const $match = $rows.eq(i).find('.lumaprfi-editable').filter(function () {
+                return $(this).data('field-slug') === fieldSlug;
+            });
+            if ($match.length) {
+                return $match.first();
+            }
+        }
+
+        return $();
+    }
+
+    const gridKeyDirections = {
+        ArrowUp: 'up',
+        ArrowDown: 'down',
+        ArrowLeft: 'left',
+        ArrowRight: 'right'
+    };
+
+    // Navigate between cells while no editor is open
+    $(document).on('keydown', function (e) {
+        if (currentEditor || !$activeCell.length || !$.contains(document, $activeCell[0])) {
+            return;
+        }
+        if ($('body').hasClass('lumaprfi-modal-open')) {
+            return;
+        }
+        if ($(e.target).is('input, textarea, select, button, [contenteditable]')) {
+            return;
+        }
+        if (e.altKey || e.ctrlKey || e.metaKey) {
+            return;
+        }
+
+        if (e.key === 'Enter' || e.key === 'F2') {
+            e.preventDefault();
+            openEditor($activeCell);
+            return;
+        }
+
+        let direction = gridKeyDirections[e.key];
+        if (e.key === 'Tab') {
+            direction = e.shiftKey ? 'prev' : 'next';
+        }
+        if (!direction) {
+            return;
+        }
+
+        const $next = findAdjacentCell($activeCell, direction);
+
+        // Let Tab leave the grid from the first/last cell
+        if (!$next.length && e.key === 'Tab') {
+            setActiveCell($());
+            return;
+        }
+
+        e.preventDefault();
+        if ($next.length) {
+            setActiveCell($next);
+        }
+    });
+
+    // Enter saves and moves down, Ctrl/Cmd+Enter saves and moves right.
+    // Capture phase, so an open Select2 dropdown still gets Enter to pick a result.
+    document.addEventListener('keydown', function (e) {
+        if (!currentEditor || e.key !== 'Enter' || e.shiftKey || e.altKey) {
+            return;
+        }
+
+        const $target = $(e.target);
+        if (!$target.closest('.lumaprfi-floating-editor').length || $target.is('textarea, button')) {
+            return;
+        }
+        if ($('.select2-container--open').length) {
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (typeof currentEditorOptions.onSubmit === 'function') {
+            submitEditor();
+            return;
+        }
+
+        const direction = (e.ctrlKey || e.metaKey) ? 'right' : 'down';
+
+        saveEditor().done(function () {
+            const $next = findAdjacentCell($activeCell, direction);
+            if ($next.length) {
+                openEditor($next);
+            }
+        });
+    }, true);
+
+    // Shared with the list view modules (bulk fill etc.)
+    window.lumaProductFieldsInlineEditor = {
+        open: openEditor,
+        close: closeEditor,
+        save: saveEditor,
+        submit: submitEditor,
+        saveValue: saveFieldValue,
+        findCell: findFieldCell,
+        buildPayload: buildInlineSavePayload,
+        showSaveGlow: showSaveGlow,
+        isOpen: () => !!currentEditor,
+        activeCell: () => $activeCell,
+        gridCells: getGridCells
+    };
 });
 
 
@@ -558,12 +1368,12 @@ jQuery(document).on('click', 'a.lumaprfi-toggle-featured', function (e) {
                 .removeClass('is-busy');
         } else {
             $icon.removeClass('is-busy');
-            alert((resp && resp.data && resp.data.message) ? resp.data.message : 'Error');
+            window.lumaProductFieldsNotices.error(resp);
         }
     })
     .fail(function (xhr) {
         $icon.removeClass('is-busy');
-        alert('Request failed: ' + (xhr && xhr.status ? xhr.status : ''));
+        window.lumaProductFieldsNotices.error(xhr, { retry: function () { $a.trigger('click'); } });
     });
 });
 
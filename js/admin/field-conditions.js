@@ -0,0 +1,175 @@
+/**
+ * Conditional field visibility in the product data panel (see FieldConditions).
+ *
+ * Fields with rules carry them in `data-field-conditions` on their .lumaprfi-field wrapper.
+ * Whenever a value in #luma-product-fields-product-group-fields changes, every field with
+ * rules is shown or hidden, using the values currently entered in the panel. Sections
+ * whose fields are all hidden are hidden too. Hidden fields keep their values and are not
+ * validated.
+ *
+ * The rules are evaluated as on the server: equals / contains compare text
+ * case-insensitively (terms by slug or name), between checks a number or range overlap.
+ * A rule on a field that is not in the panel, empty or hidden itself does not match.
+ */
+(function ($) {
+    'use strict';
+
+    const CONTAINER = '#luma-product-fields-product-group-fields';
+    const HIDDEN_CLASS = 'lumaprfi-hidden-by-rules';
+
+    function fold(text) {
+        return String(text === undefined || text === null ? '' : text).trim().toLowerCase();
+    }
+
+    function toNumber(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim().replace(',', '.');
+        return text !== '' && isFinite(text) ? parseFloat(text) : null;
+    }
+
+    function readValue($wrapper) {
+        const validation = window.lumaProductFieldsValidation;
+        return validation ? validation.readValue($wrapper) : $wrapper.find('input, select, textarea').first().val();
+    }
+
+    function isEmpty(value) {
+        if (Array.isArray(value)) {
+            return value.length === 0;
+        }
+        if (value && typeof value === 'object') {
+            return toNumber(value.min) === null && toNumber(value.max) === null;
+        }
+        return fold(value) === '';
+    }
+
+    // The strings a rule value is compared with: values, plus the names of selected terms
+    function comparableValues($wrapper, value) {
+        const values = (Array.isArray(value) ? value : [value]).map(String);
+
+        $wrapper.find('option:selected').each(function () {
+            if (this.value !== '') {
+                values.push($(this).text());
+            }
+        });
+        $wrapper.find(':checkbox:checked').each(function () {
+            values.push($(this).parent().text());
+        });
+
+        return values;
+    }
+
+    function between(value, min, max) {
+        let low;
+        let high;
+
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            low = toNumber(value.min);
+            high = toNumber(value.max);
+            low = low === null ? high : low;
+            high = high === null ? low : high;
+        } else {
+            low = high = toNumber(value);
+        }
+
+        if (low === null) {
+            return false;
+        }
+        return (min === null || high >= min) && (max === null || low <= max);
+    }
+
+    function ruleMatches(rule, fields, stack) {
+        const $source = fields[rule.field];
+        if (!$source || !isVisible($source, fields, stack)) {
+            return false;
+        }
+
+        const value = readValue($source);
+        if (isEmpty(value)) {
+            return false;
+        }
+
+        if (rule.operator === 'between') {
+            return between(value, toNumber(rule.min), toNumber(rule.max));
+        }
+
+        const needle = fold(rule.value);
+        return comparableValues($source, value).some(function (candidate) {
+            candidate = fold(candidate);
+
+            if (rule.operator === 'equals') {
+                const a = toNumber(candidate);
+                const b = toNumber(needle);
+                return candidate === needle || (a !== null && b !== null && Math.abs(a - b) < 0.000001);
+            }
+            return needle !== '' && candidate.indexOf(needle) !== -1;
+        });
+    }
+
+    /**
+     * Whether a field's rules match the values in the panel.
+     *
+     * @param {jQuery}   $wrapper .lumaprfi-field wrapper.
+     * @param {Object}   fields   Wrappers in the panel, keyed by field slug.
+     * @param {string[]} stack    Slugs being evaluated, to stop at circular rules.
+     * @return {boolean}
+     */
+    function isVisible($wrapper, fields, stack) {
+        const conditions = $wrapper.data('field-conditions');
+        const slug = String($wrapper.data('field-slug'));
+
+        if (!conditions || !Array.isArray(conditions.rules) || !conditions.rules.length) {
+            return true;
+        }
+        if ((stack || []).indexOf(slug) !== -1) {
+            return false;
+        }
+
+        const next = (stack || []).concat([slug]);
+        const matches = (rule) => ruleMatches(rule, fields, next);
+
+        return conditions.match === 'any' ? conditions.rules.some(matches) : conditions.rules.every(matches);
+    }
+
+    /**
+     * Show or hide every field with rules in the container.
+     *
+     * @param {jQuery} [$root] Defaults to the product data panel.
+     */
+    function apply($root) {
+        $root = $root && $root.length ? $root : $(CONTAINER);
+
+        const fields = {};
+        $root.find('.lumaprfi-field').each(function () {
+            fields[String($(this).data('field-slug'))] = $(this);
+        });
+
+        $.each(fields, function (slug, $wrapper) {
+            if ($wrapper.is('[data-field-conditions]')) {
+                const visible = isVisible($wrapper, fields, []);
+                $wrapper.toggleClass(HIDDEN_CLASS, !visible).prop('hidden', !visible);
+            }
+        });
+
+        $root.find('.lumaprfi-field-section').each(function () {
+            const $section = $(this);
+            $section.prop('hidden', !$section.find('.lumaprfi-field').not('.' + HIDDEN_CLASS).length);
+        });
+    }
+
+    $(document).on('change input', CONTAINER + ' :input', function () {
+        apply($(this).closest(CONTAINER));
+    });
+
+    // After the fields of another product group were loaded
+    $(document).on('lumaprfi:fields-loaded', function (e, $container) {
+        apply($container);
+    });
+
+    $(function () {
+        apply();
+    });
+
+    window.lumaProductFieldsConditions = {
+        apply: apply,
+        isVisible: isVisible
+    };
+})(jQuery);
@@ -0,0 +1,63 @@
+/**
+ * Visibility rules builder in the field editor (see FieldConditions).
+ *
+ * Adds rows from the row template and removes them, shows min/max for "is between" and
+ * the value input otherwise, and suggests the terms of taxonomy fields as values.
+ */
+(function ($) {
+    'use strict';
+
+    function updateRule($rule) {
+        const $option = $rule.find('.lumaprfi-condition-field option:selected');
+        const between = $rule.find('.lumaprfi-condition-operator').val() === 'between';
+        const isTaxonomy = String($option.data('taxonomy')) === '1';
+
+        $rule.find('.lumaprfi-condition-value').prop('hidden', between)
+            .attr('list', isTaxonomy ? 'lumaprfi-condition-terms-' + $option.val() : null);
+        $rule.find('.lumaprfi-condition-range').prop('hidden', !between);
+
+        // Terms cannot be between numbers
+        $rule.find('.lumaprfi-condition-operator option[value="between"]').prop('disabled', isTaxonomy);
+        if (isTaxonomy && between) {
+            $rule.find('.lumaprfi-condition-operator').val('equals');
+            updateRule($rule);
+        }
+    }
+
+    function updateMatch($builder) {
+        $builder.find('.lumaprfi-conditions-match').prop('hidden', $builder.find('.lumaprfi-condition-rule').length < 2);
+    }
+
+    $(function () {
+        const $builder = $('.lumaprfi-conditions');
+        if (!$builder.length) {
+            return;
+        }
+
+        // Indexes only need to be unique, not consecutive
+        let next = $builder.find('.lumaprfi-condition-rule').length;
+
+        $builder.find('.lumaprfi-condition-rule').each(function () {
+            updateRule($(this));
+        });
+        updateMatch($builder);
+
+        $builder.on('click', '.lumaprfi-condition-add', function () {
+            const html = $builder.find('.lumaprfi-condition-template').html().replace(/__i__/g, String(next++));
+            const $rule = $(html).appendTo($builder.find('.lumaprfi-condition-rules'));
+
+            updateRule($rule);
+            updateMatch($builder);
+            $rule.find('.lumaprfi-condition-field').trigger('focus');
+        });
+
+        $builder.on('click', '.lumaprfi-condition-remove', function () {
+            $(this).closest('.lumaprfi-condition-rule').remove();
+            updateMatch($builder);
+        });
+
+        $builder.on('change', '.lumaprfi-condition-field, .lumaprfi-condition-operator', function () {
+            updateRule($(this).closest('.lumaprfi-condition-rule'));
+        });
+    });
+})(jQuery);
@@ -0,0 +1,199 @@
+/**
+ * Live preview in the field editor.
+ *
+ * Shows how the field being edited looks on the product edit screen (the input control)
+ * and on the storefront (label, tooltip, sample value, unit and taxonomy links), and
+ * updates on every change in the editor. Both are rendered on the server by the plugin's
+ * own renderers, through the render_field_preview endpoint; this script only sends the
+ * settings in the form and inserts the returned markup.
+ *
+ * The sample value is typed into the preview pane; when editing a taxonomy field its most
+ * used terms are the default. Custom field types are previewed as text.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_field_preview || {};
+    const strings = cfg.strings || {};
+    const types = cfg.types || {};
+    const ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
+    const EDITOR_ID = 'luma_product_fields_fields_frontend_desc';
+
+    let $form;
+    let $pane;
+    let timer = null;
+    let xhr = null;
+
+    function supports(type, feature) {
+        return !!types[type] && (types[type].supports || []).indexOf(feature) !== -1;
+    }
+
+    function isTaxonomy(type) {
+        return !!types[type] && types[type].storage === 'taxonomy';
+    }
+
+    function isCore(type) {
+        return !types[type] || !!types[type].core;
+    }
+
+    function checked(name) {
+        return $form.find('input[name="' + name + '"]').is(':checked');
+    }
+
+    // The frontend tooltip, from the visual or the text editor, whichever is active
+    function frontendDesc() {
+        const editor = window.tinymce && window.tinymce.get(EDITOR_ID);
+        if (editor && !editor.isHidden()) {
+            return editor.getContent();
+        }
+        return $('#' + EDITOR_ID).val() || '';
+    }
+
+    function readField() {
+        const type = $('#luma_product_fields_fields_type_selector').val() || 'text';
+
+        return {
+            slug: $form.find('input[name="lrpf_original_slug"]').val() || '',
+            type: type,
+            label: $.trim($form.find('input[name="lrpf_label"]').val()),
+            description: $.trim($form.find('textarea[name="lrpf_description"]').val()),
+            frontend_desc: $.trim(frontendDesc()),
+            unit: supports(type, 'unit') ? $form.find('select[name="lrpf_unit"]').val() : '',
+            show_links: supports(type, 'link') && checked('lrpf_show_links'),
+            hide_in_frontend: checked('lrpf_hide_in_frontend')
+        };
+    }
+
+    function sampleHint(type) {
+        if (isTaxonomy(type)) {
+            return strings.hint_terms;
+        }
+        if (type === 'minmax') {
+            return strings.hint_range;
+        }
+        if (type === 'number' || type === 'integer') {
+            return strings.hint_number;
+        }
+        return strings.hint_text;
+    }
+
+    function defaultSample(type) {
+        if (isTaxonomy(type)) {
+            const terms = cfg.sample_terms || [];
+            return terms.length ? terms.join(', ') : strings.sample_terms;
+        }
+        switch (type) {
+            case 'number':
+                return '12.5';
+            case 'integer':
+                return '12';
+            case 'minmax':
+                return '3.5-6';
+            default:
+                return strings.sample_text;
+        }
+    }
+
+    function request(field, sample) {
+        if (xhr) {
+            xhr.abort();
+        }
+
+        xhr = $.post(ajaxdata.ajaxurl, {
+            action: ajaxdata.action,
+            nonce: ajaxdata.nonce,
+            luma_product_fields_action: 'render_field_preview',
+            field: {
+                slug: field.slug,
+                type: field.type,
+                label: field.label,
+                description: field.description,
+                frontend_desc: field.frontend_desc,
+                unit: field.unit,
+                show_links: field.show_links ? 1 : 0
+            },
+            sample: sample
+        });
+
+        return xhr;
+    }
+
+    function show(field, data) {
+        const notes = [];
+
+        // The previewed control sits inside the editor form, but is never saved with it
+        $pane.find('.lumaprfi-field-preview-admin').html(data.admin || '').find('[name]').removeAttr('name');
+        $pane.find('.lumaprfi-field-preview-frontend')
+            .html(data.frontend || '')
+            .toggleClass('is-hidden', field.hide_in_frontend);
+
+        if (!isCore(field.type)) {
+            notes.push(strings.custom_type);
+        }
+        if (field.hide_in_frontend) {
+            notes.push(strings.hidden);
+        } else if (!data.frontend) {
+            notes.push(strings.empty);
+        } else if (field.show_links) {
+            notes.push(strings.links);
+        }
+        $pane.find('.lumaprfi-field-preview-note').text(notes.join(' '));
+
+        // WooCommerce help tips and a static Select2, like on the product edit screen
+        $(document.body).trigger('init_tooltips');
+        if ($.fn.select2) {
+            $pane.find('.luma-product-fields-autocomplete-select').select2({ tags: true });
+        }
+    }
+
+    function render() {
+        const field = readField();
+        const $sample = $('#lumaprfi-field-preview-sample');
+
+        // A new type needs a sample in its own format
+        if ($sample.data('type') !== field.type) {
+            $sample.data('type', field.type)
+                .attr('placeholder', sampleHint(field.type))
+                .val(defaultSample(field.type));
+        }
+
+        request(field, $sample.val()).done(function (response) {
+            if (response && response.success) {
+                show(field, response.data || {});
+            }
+        }).fail(function (failed, status) {
+            if (status !== 'abort') {
+                window.lumaProductFieldsNotices.error(failed);
+            }
+        });
+    }
+
+    function schedule() {
+        clearTimeout(timer);
+        timer = setTimeout(render, 150);
+    }
+
+    $(function () {
+        $form = $('.lumaprfi-field-editor');
+        $pane = $form.find('.lumaprfi-field-preview');
+        if (!$pane.length) {
+            return;
+        }
+
+        // Settings and the sample value, but not the previewed controls themselves
+        $form.on('input change', ':input', function () {
+            if (this.id === 'lumaprfi-field-preview-sample' || !$(this).closest('.lumaprfi-field-preview').length) {
+                schedule();
+            }
+        });
+
+        // The visual editor lives in an iframe, so its changes do not bubble to the form
+        $(document).on('tinymce-editor-init', function (event, editor) {
+            if (editor.id === EDITOR_ID) {
+                editor.on('input change keyup SetContent', schedule);
+            }
+        });
+
+        render();
+    });
+})(jQuery);
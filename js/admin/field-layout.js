@@ -0,0 +1,169 @@
+/**
+ * Field order and sections per product group, on the Product fields screen.
+ *
+ * Fields are dragged between and within sections, sections are dragged by their handle.
+ * The first block holds the fields shown before any section and cannot be moved or
+ * removed; removing a section moves its fields there. "Save order" sends the layout to
+ * the save_field_layout endpoint (FieldLayout::save()).
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_field_layout || {};
+    const strings = cfg.strings || {};
+    const ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
+    const notices = window.lumaProductFieldsNotices;
+
+    let $layout = $();
+    let dirty = false;
+
+    function markDirty() {
+        dirty = true;
+        $layout.closest('.lumaprfi-field-layout-wrap').addClass('has-changes');
+    }
+
+    function initSortables() {
+        $layout.find('.lumaprfi-layout-fields').sortable({
+            connectWith: '#lumaprfi-field-layout .lumaprfi-layout-fields',
+            placeholder: 'lumaprfi-layout-placeholder',
+            tolerance: 'pointer',
+            update: markDirty
+        });
+
+        $layout.sortable({
+            items: '> .lumaprfi-layout-section:not(.is-unsectioned)',
+            handle: '.lumaprfi-layout-section-handle',
+            axis: 'y',
+            update: markDirty
+        });
+    }
+
+    function addSection() {
+        const $section = $('<div class="lumaprfi-layout-section" data-id=""></div>')
+            .append($('<div class="lumaprfi-layout-section-header"></div>').append(
+                '<span class="dashicons dashicons-move lumaprfi-layout-section-handle" aria-hidden="true"></span>',
+                $('<input type="text" class="lumaprfi-layout-section-label" />')
+                    .attr({ placeholder: strings.section_name, 'aria-label': strings.section_name })
+                    .val(strings.new_section),
+                $('<label></label>').append('<input type="checkbox" class="lumaprfi-layout-section-collapsed" /> ', document.createTextNode(strings.collapsed)),
+                $('<button type="button" class="button-link lumaprfi-layout-remove-section"></button>').text(strings.remove_section)
+            ))
+            .append($('<ul class="lumaprfi-layout-fields"></ul>').attr('data-empty', strings.empty_section));
+
+        $layout.append($section);
+        $layout.sortable('destroy');
+        $layout.find('.lumaprfi-layout-fields').sortable('destroy');
+        initSortables();
+
+        $section.find('.lumaprfi-layout-section-label').trigger('focus').trigger('select');
+        markDirty();
+    }
+
+    // Move a field up or down with the keyboard, as an alternative to dragging
+    function moveField($item, direction) {
+        if (direction < 0) {
+            const $prev = $item.prev('li');
+            if ($prev.length) {
+                $item.insertBefore($prev);
+            } else {
+                $item.closest('.lumaprfi-layout-section').prev('.lumaprfi-layout-section').find('.lumaprfi-layout-fields').append($item);
+            }
+        } else {
+            const $next = $item.next('li');
+            if ($next.length) {
+                $item.insertAfter($next);
+            } else {
+                $item.closest('.lumaprfi-layout-section').next('.lumaprfi-layout-section').find('.lumaprfi-layout-fields').prepend($item);
+            }
+        }
+        $item.trigger('focus');
+        markDirty();
+    }
+
+    function collect() {
+        return $layout.children('.lumaprfi-layout-section').map(function () {
+            const $section = $(this);
+            return {
+                id: String($section.data('id') || ''),
+                label: $.trim($section.find('.lumaprfi-layout-section-label').val() || ''),
+                collapsed: $section.find('.lumaprfi-layout-section-collapsed').is(':checked'),
+                fields: $section.find('.lumaprfi-layout-fields > li').map(function () {
+                    return String($(this).data('slug'));
+                }).get()
+            };
+        }).get();
+    }
+
+    function save() {
+        const $wrap = $layout.closest('.lumaprfi-field-layout-wrap');
+        const $button = $wrap.find('.lumaprfi-layout-save').prop('disabled', true);
+        const $spinner = $wrap.find('.spinner').addClass('is-active');
+
+        $.post(ajaxdata.ajaxurl, {
+            action: ajaxdata.action,
+            nonce: ajaxdata.nonce,
+            luma_product_fields_action: 'save_field_layout',
+            product_group: $layout.data('group'),
+            sections: JSON.stringify(collect())
+        }).done(function (response) {
+            if (!response || !response.success) {
+                notices.error(response, { retry: save });
+                return;
+            }
+
+            // New sections get their id from the server
+            const saved = response.data.sections || [];
+            $layout.children('.lumaprfi-layout-section').each(function (i) {
+                if (saved[i]) {
+                    $(this).attr('data-id', saved[i].id).data('id', saved[i].id);
+                }
+            });
+
+            dirty = false;
+            $wrap.removeClass('has-changes');
+            notices.success(response.data.message);
+        }).fail(function (xhr) {
+            notices.error(xhr, { retry: save });
+        }).always(function () {
+            $button.prop('disabled', false);
+            $spinner.removeClass('is-active');
+        });
+    }
+
+    $(function () {
+        $layout = $('#lumaprfi-field-layout');
+        if (!$layout.length) {
+            return;
+        }
+
+        $layout.find('.lumaprfi-layout-fields').attr('data-empty', strings.empty_section);
+        initSortables();
+
+        const $wrap = $layout.closest('.lumaprfi-field-layout-wrap');
+
+        $wrap.on('click', '.lumaprfi-layout-add-section', addSection);
+        $wrap.on('click', '.lumaprfi-layout-save', save);
+
+        $layout.on('click', '.lumaprfi-layout-remove-section', function () {
+            const $section = $(this).closest('.lumaprfi-layout-section');
+            $layout.find('.is-unsectioned .lumaprfi-layout-fields').append($section.find('.lumaprfi-layout-fields > li'));
+            $section.remove();
+            markDirty();
+        });
+
+        $layout.on('input change', '.lumaprfi-layout-section-label, .lumaprfi-layout-section-collapsed', markDirty);
+
+        $layout.on('keydown', '.lumaprfi-layout-fields > li', function (e) {
+            if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+                e.preventDefault();
+                moveField($(this), e.key === 'ArrowUp' ? -1 : 1);
+            }
+        });
+
+        $(window).on('beforeunload', function () {
+            if (dirty) {
+                return strings.unsaved;
+            }
+        });
+    });
+})(jQuery);
@@ -0,0 +1,271 @@
+/**
+ * Client-side validation for product field controls.
+ *
+ * Each control rendered by Product\FieldRenderer is wrapped in a `.lumaprfi-field`
+ * element carrying the field slug, type, unit and required flag. Validators are keyed
+ * by field type (see FieldTypeRegistry). Errors are shown next to the control, in the
+ * floating list view editor as well as in the product edit metabox.
+ *
+ * Extending (wp.hooks):
+ *
+ *   // Validator for a custom field type. Return an array of error messages.
+ *   wp.hooks.addFilter( 'luma_product_fields.validators', 'my-plugin', function ( validators ) {
+ *       validators.ean = function ( value, context ) {
+ *           return /^\d{13}$/.test( value ) ? [] : [ 'Enter a 13 digit EAN.' ];
+ *       };
+ *       return validators;
+ *   } );
+ *
+ *   // Adjust the errors for any field.
+ *   wp.hooks.addFilter( 'luma_product_fields.validate_field', 'my-plugin', function ( errors, context ) {
+ *       return errors;
+ *   } );
+ *
+ * The server still validates on save; this layer only catches mistakes early.
+ */
+(function ($) {
+    'use strict';
+
+    const NUMBER_PATTERN = /^-?\d+([.,]\d+)?$/;
+    const INTEGER_PATTERN = /^-?\d+$/;
+
+    function strings() {
+        return (window.luma_product_fields_admin_ajaxdata || {}).validation || {};
+    }
+
+    function format(template, value) {
+        return String(template || '').replace('%s', value);
+    }
+
+    function isEmpty(value) {
+        if (Array.isArray(value)) {
+            return value.length === 0;
+        }
+        if (value !== null && typeof value === 'object') {
+            return Object.keys(value).every(key => isEmpty(value[key]));
+        }
+        return value === undefined || value === null || String(value).trim() === '';
+    }
+
+    // "12 kg" in a kg field: the number is fine, the unit is not wanted
+    function unitError(value, context) {
+        if (!context.unit) {
+            return null;
+        }
+        const stripped = String(value).trim().replace(new RegExp('\\s*' + context.unit.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '$', 'i'), '');
+        return (stripped !== String(value).trim() && NUMBER_PATTERN.test(stripped))
+            ? format(strings().unit_suffix, context.unit)
+            : null;
+    }
+
+    function checkNumber(value, context, pattern, message) {
+        value = String(value).trim();
+        if (value === '' || pattern.test(value)) {
+            return [];
+        }
+        return [unitError(value, context) || message];
+    }
+
+    function toNumber(value) {
+        return parseFloat(String(value).replace(',', '.'));
+    }
+
+    // Core validators, keyed by FieldTypeRegistry type. Required is checked before these run.
+    const coreValidators = {
+        text: function () {
+            return [];
+        },
+        number: function (value, context) {
+            return checkNumber(value, context, NUMBER_PATTERN, strings().number);
+        },
+        integer: function (value, context) {
+            return checkNumber(value, context, INTEGER_PATTERN, strings().integer);
+        },
+        minmax: function (value, context) {
+            const min = String(value.min || '').trim();
+            const max = String(value.max || '').trim();
+            const errors = []
+                .concat(checkNumber(min, context, NUMBER_PATTERN, strings().number))
+                .concat(checkNumber(max, context, NUMBER_PATTERN, strings().number));
+
+            if (!errors.length && min !== '' && max !== '' && toNumber(min) > toNumber(max)) {
+                errors.push(strings().min_max);
+            }
+            return errors.filter((error, index) => errors.indexOf(error) === index);
+        },
+        single: function () {
+            return [];
+        },
+        multiple: function () {
+            return [];
+        },
+        autocomplete: function () {
+            return [];
+        }
+    };
+
+    function getValidators() {
+        const validators = $.extend({}, coreValidators);
+        return (window.wp && wp.hooks)
+            ? wp.hooks.applyFilters('luma_product_fields.validators', validators)
+            : validators;
+    }
+
+    // Read the value of a wrapped control in the shape inline_save_field expects
+    function readValue($wrapper) {
+        const $inputs = $wrapper.find('input, select, textarea').not('[type=hidden], [type=button], [type=submit]');
+        const $min = $inputs.filter('[name$="[min]"]');
+        const $max = $inputs.filter('[name$="[max]"]');
+
+        if ($min.length || $max.length) {
+            return { min: $min.val() || '', max: $max.val() || '' };
+        }
+
+        const $checkboxes = $inputs.filter(':checkbox');
+        if ($checkboxes.length) {
+            return $checkboxes.filter(':checked').map(function () {
+                return $(this).val();
+            }).get();
+        }
+
+        const $select = $inputs.filter('select[multiple]');
+        if ($select.length) {
+            return $select.val() || [];
+        }
+
+        return $inputs.first().val() || '';
+    }
+
+    function getContext($wrapper) {
+        return {
+            slug: String($wrapper.data('field-slug') || ''),
+            type: String($wrapper.data('field-type') || 'text'),
+            unit: String($wrapper.data('field-unit') || ''),
+            required: String($wrapper.data('field-required')) === '1',
+            value: readValue($wrapper),
+            $wrapper: $wrapper
+        };
+    }
+
+    /**
+     * Validate a value outside a rendered control (e.g. pasted data).
+     *
+     * @param {*}      value   Value in the shape inline_save_field expects.
+     * @param {Object} context slug, type, unit and required. $wrapper is optional.
+     * @return {string[]} Error messages, empty when valid.
+     */
+    function validateValue(value, context) {
+        return runValidators($.extend({ slug: '', type: 'text', unit: '', required: false, $wrapper: $() }, context, { value: value }));
+    }
+
+    /**
+     * Validate one `.lumaprfi-field` wrapper.
+     *
+     * @return {string[]} Error messages, empty when valid.
+     */
+    function validateField($wrapper) {
+        return runValidators(getContext($wrapper));
+    }
+
+    function runValidators(context) {
+        let errors = [];
+
+        if (isEmpty(context.value)) {
+            if (context.required) {
+                errors.push(strings().required);
+            }
+        } else {
+            const validator = getValidators()[context.type];
+            if (typeof validator === 'function') {
+                errors = errors.concat(validator(context.value, context) || []);
+            }
+        }
+
+        if (window.wp && wp.hooks) {
+            errors = wp.hooks.applyFilters('luma_product_fields.validate_field', errors, context);
+        }
+
+        return (errors || []).filter(Boolean);
+    }
+
+    function clearErrors($wrapper) {
+        $wrapper.removeClass('lumaprfi-has-error');
+        $wrapper.find('.lumaprfi-field-error').remove();
+        $wrapper.find('[aria-invalid]').removeAttr('aria-invalid');
+    }
+
+    function showErrors($wrapper, errors) {
+        clearErrors($wrapper);
+        if (!errors.length) {
+            return;
+        }
+
+        $wrapper.addClass('lumaprfi-has-error');
+        $wrapper.find('input, select, textarea').not('[type=hidden]').attr('aria-invalid', 'true');
+
+        const $message = $('<span class="lumaprfi-field-error" role="alert">').text(errors.join(' '));
+        const $row = $wrapper.find('.form-field, .form-row').first();
+        $message.appendTo($row.length ? $row : $wrapper);
+    }
+
+    /**
+     * Validate every wrapped control inside $root and show the errors.
+     * Fields hidden by their visibility rules are skipped.
+     *
+     * @return {boolean} True when all fields are valid.
+     */
+    function validateContainer($root) {
+        let valid = true;
+        let $firstInvalid = $();
+
+        $root.find('.lumaprfi-field').not('.lumaprfi-hidden-by-rules').each(function () {
+            const $wrapper = $(this);
+            const errors = validateField($wrapper);
+            showErrors($wrapper, errors);
+
+            if (errors.length && valid) {
+                valid = false;
+                $firstInvalid = $wrapper;
+            }
+        });
+
+        if ($firstInvalid.length) {
+            $firstInvalid.find('input, select, textarea').not('[type=hidden]').first().trigger('focus');
+        }
+
+        return valid;
+    }
+
+    // Re-check a field as soon as it is changed, so errors disappear once fixed
+    $(document).on('change input', '.lumaprfi-field input, .lumaprfi-field select, .lumaprfi-field textarea', function () {
+        const $wrapper = $(this).closest('.lumaprfi-field');
+        if ($wrapper.hasClass('lumaprfi-has-error')) {
+            showErrors($wrapper, validateField($wrapper));
+        }
+    });
+
+    // Product edit screen: block saving while the product fields panel has errors
+    $(document).on('submit', 'form#post', function (e) {
+        const $panel = $('#luma_product_fields_product_data');
+        if (!$panel.length || validateContainer($panel)) {
+            return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        // Show our product data tab and undo the publish box spinner
+        $('.product_data_tabs a[href="#luma_product_fields_product_data"]').first().trigger('click');
+        $('#publishing-action .spinner, #save-action .spinner').removeClass('is-active');
+        $('#publish, #save-post').removeClass('disabled');
+    });
+
+    window.lumaProductFieldsValidation = {
+        validateField: validateField,
+        validateValue: validateValue,
+        validateContainer: validateContainer,
+        showErrors: showErrors,
+        clearErrors: clearErrors,
+        readValue: readValue
+    };
+})(jQuery);
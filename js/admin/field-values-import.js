@@ -0,0 +1,880 @@
+/**
+ * Import of field values from CSV or JSON (see FieldValuesImportExport).
+ *
+ * The file is read and parsed in the browser: CSV (comma, semicolon or tab separated, as
+ * written by the export or a spreadsheet) or JSON (the export format, or a list of objects).
+ * Every column is mapped to Product ID, SKU, a field, or the min / max of a range field,
+ * guessed from the header and adjustable in the mapping table.
+ *
+ * Before anything is saved, the products are looked up by ID and SKU (import_match_products)
+ * and the term values of taxonomy fields by slug and name (resolve_terms). The preview shows
+ * what happens to every value; the valid ones are then sent in chunks to import_field_values.
+ * A failed chunk pauses the import, which can be retried from that chunk.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_import || {};
+    const strings = cfg.strings || {};
+    const ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
+    const BATCH_SIZE = parseInt(cfg.batch_size, 10) || 25;
+    const MATCH_LIMIT = parseInt(cfg.match_limit, 10) || 500;
+    const RESOLVE_CHUNK = 100;
+    const PREVIEW_ROWS = 100;
+    const SAMPLE_ROWS = 3;
+    const RANGE_PATTERN = /^(-?\d+(?:[.,]\d+)?)\s*(?:-|–|—|to)\s*(-?\d+(?:[.,]\d+)?)$/i;
+    const ID_HEADERS = ['id', 'product_id', 'product id', 'post_id'];
+
+    const $root = $('#lumaprfi-import-export');
+
+    // field slug => { imported value => term slug | null }
+    let termCache = {};
+
+    // The loaded file: { headers: string[], rows: string[][] }
+    let data = null;
+
+    // Target per column: '', '__id', '__sku', 'slug', 'slug:min' or 'slug:max'
+    let mapping = [];
+
+    // { ids: { id: product|null }, skus: { sku: product|null } }, see ajax_match_products()
+    let products = { ids: {}, skus: {} };
+
+    // Rows checked by the last preview
+    let plan = [];
+
+    // Increased by every new check, so answers to older checks are ignored
+    let checkRequest = 0;
+
+    function format(template, ...args) {
+        let i = 0;
+        return String(template || '')
+            .replace(/%(\d+)\$[sd]/g, (m, n) => args[parseInt(n, 10) - 1])
+            .replace(/%[sd]/g, () => args[i++]);
+    }
+
+    function fold(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+    }
+
+    function escapeRegExp(text) {
+        return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    function post(request) {
+        return $.post(ajaxdata.ajaxurl, $.extend({
+            action: ajaxdata.action,
+            nonce: ajaxdata.nonce
+        }, request)).then(function (response) {
+            if (!response || !response.success) {
+                return $.Deferred().reject(response).promise();
+            }
+            return response.data;
+        });
+    }
+
+    function group() {
+        return String($('#lumaprfi-import-group').val() || 'general');
+    }
+
+    function fields() {
+        return (cfg.fields || {})[group()] || [];
+    }
+
+    function findField(slug) {
+        return fields().find(field => field.slug === slug) || null;
+    }
+
+    /**
+     * Parse CSV. Handles quoted cells with separators, newlines and "" escapes. The separator
+     * (comma, semicolon or tab) is the one found most often in the first line.
+     *
+     * @return {string[][]}
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        text = String(text).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+
+        const firstLine = text.split('\n', 1)[0];
+        const separator = [',', ';', '\t'].reduce(function (best, candidate) {
+            return firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best;
+        }, ',');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Blank lines. The export escapes cells a spreadsheet would run as a formula with a
+        // leading quote (see FieldValuesImportExport::escape_csv_cell()): strip it again.
+        return rows
+            .filter(cells => cells.some(value => value.trim() !== ''))
+            .map(cells => cells.map(value => value.replace(/^'(?=[=+\-@\t\r])/, '')));
+    }
+
+    // One flat object per product: ranges become key:min / key:max, lists are joined with " | "
+    function flatten(item) {
+        const flat = {};
+
+        function add(key, value) {
+            if (value === null || value === undefined) {
+                flat[key] = '';
+            } else if (Array.isArray(value)) {
+                flat[key] = value.join(' | ');
+            } else if (typeof value === 'object') {
+                Object.keys(value).forEach(part => add(key + ':' + part, value[part]));
+            } else {
+                flat[key] = String(value);
+            }
+        }
+
+        Object.keys(item || {}).forEach(function (key) {
+            // The export keeps the field values apart from the product data
+            if (key === 'values' && item.values && typeof item.values === 'object' && !Array.isArray(item.values)) {
+                Object.keys(item.values).forEach(slug => add(slug, item.values[slug]));
+            } else {
+                add(key, item[key]);
+            }
+        });
+
+        return flat;
+    }
+
+    /**
+     * Parse JSON: the export ({format, products}) or a list of product objects.
+     *
+     * @return {{headers: string[], rows: string[][]}|null}
+     */
+    function parseJson(text) {
+        let json;
+        try {
+            json = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+        } catch (e) {
+            return null;
+        }
+
+        const items = Array.isArray(json) ? json : (json && Array.isArray(json.products) ? json.products : null);
+        if (!items) {
+            return null;
+        }
+
+        const flat = items.filter(item => item && typeof item === 'object').map(flatten);
+        const headers = [];
+        flat.forEach(function (item) {
+            Object.keys(item).forEach(function (key) {
+                if (!headers.includes(key)) {
+                    headers.push(key);
+                }
+            });
+        });
+
+        return {
+            headers: headers,
+            rows: flat.map(item => headers.map(key => (key in item ? item[key] : '')))
+        };
+    }
+
+    function parseFile(name, text) {
+        if (/\.json$/i.test(name) || /^\s*[[{]/.test(text.replace(/^\uFEFF/, ''))) {
+            return parseJson(text);
+        }
+
+        const rows = parseCsv(text);
+        return rows.length ? { headers: rows[0], rows: rows.slice(1) } : { headers: [], rows: [] };
+    }
+
+    // Target of a column, from its header
+    function guessTarget(header) {
+        const text = fold(header);
+
+        if (ID_HEADERS.includes(text)) {
+            return '__id';
+        }
+        if (text === 'sku') {
+            return '__sku';
+        }
+
+        const match = text.match(/^(.+):(min|max|unit)$/);
+        if (match) {
+            const field = findField(match[1]);
+            return field && field.range && match[2] !== 'unit' ? field.slug + ':' + match[2] : '';
+        }
+
+        const field = fields().find(candidate => candidate.slug === text || fold(candidate.label) === text);
+        return field ? field.slug : '';
+    }
+
+    // Columns of every row that feed the product lookup
+    function columnOf(target) {
+        return mapping.indexOf(target);
+    }
+
+    function cellText(row, index) {
+        return index === -1 ? '' : $.trim(row[index] || '');
+    }
+
+    /**
+     * The product an import row belongs to: by ID if that column has a value, else by SKU.
+     *
+     * @return {{product: ?Object, error: string}}
+     */
+    function rowProduct(row) {
+        const id = parseInt(cellText(row, columnOf('__id')), 10);
+        const sku = cellText(row, columnOf('__sku'));
+        let product = null;
+
+        if (id > 0) {
+            product = products.ids[id] || null;
+        } else if (sku !== '') {
+            product = products.skus[sku] || null;
+        }
+
+        let error = '';
+        if (!product) {
+            error = strings.product_not_found;
+        } else if (!product.in_group) {
+            error = strings.not_in_group;
+        } else if (!product.editable) {
+            error = strings.not_editable;
+        }
+
+        return { product: product, error: error };
+    }
+
+    function splitList(raw) {
+        const separator = raw.includes('|') ? /\s*\|\s*/ : /\s*[;,]\s*/;
+        return raw.split(separator).map(item => item.trim()).filter(Boolean);
+    }
+
+    function stripUnit(raw, unit) {
+        return unit ? raw.replace(new RegExp('\\s*' + escapeRegExp(unit) + '$', 'i'), '') : raw;
+    }
+
+    function termItems(raw, field) {
+        if (raw === '') {
+            return [];
+        }
+        return field.multiple ? splitList(raw) : [raw];
+    }
+
+    // The imported values of a row per field: a string, or { min, max } for split range columns
+    function rowValues(row) {
+        const values = {};
+
+        mapping.forEach(function (target, index) {
+            if (target === '' || target.startsWith('__')) {
+                return;
+            }
+
+            const parts = target.split(':');
+            const raw = cellText(row, index);
+
+            if (parts[1]) {
+                values[parts[0]] = $.extend({ min: '', max: '' }, values[parts[0]]);
+                values[parts[0]][parts[1]] = raw;
+            } else {
+                values[parts[0]] = raw;
+            }
+        });
+
+        return values;
+    }
+
+    function isEmpty(raw) {
+        return typeof raw === 'object' ? raw.min === '' && raw.max === '' : raw === '';
+    }
+
+    /**
+     * Turn an imported value into the value import_field_values expects.
+     *
+     * @return {{value: *, errors: string[], created: string[]}}
+     */
+    function convert(raw, field, createTerms) {
+        const result = { value: raw, errors: [], created: [] };
+
+        if (field.taxonomy) {
+            const terms = termCache[field.slug] || {};
+
+            result.value = termItems(raw, field).map(function (item) {
+                if (terms[item]) {
+                    return terms[item];
+                }
+                if (createTerms) {
+                    result.created.push(item);
+                } else {
+                    result.errors.push(format(strings.unknown_term, item));
+                }
+                return item;
+            });
+
+            if (!field.multiple) {
+                result.value = result.value[0] || '';
+            }
+            return result;
+        }
+
+        if (field.range) {
+            if (typeof raw === 'object') {
+                result.value = { min: stripUnit(raw.min, field.unit), max: stripUnit(raw.max, field.unit) };
+            } else {
+                const stripped = stripUnit(raw, field.unit);
+                const range = stripped.match(RANGE_PATTERN);
+
+                if (range) {
+                    result.value = { min: range[1], max: range[2] };
+                } else if (stripped === '') {
+                    result.value = { min: '', max: '' };
+                } else if (/^-?\d+(?:[.,]\d+)?$/.test(stripped)) {
+                    result.value = { min: stripped, max: stripped };
+                } else {
+                    result.errors.push(strings.invalid_range);
+                    return result;
+                }
+            }
+        } else if (typeof raw === 'object') {
+            // A min / max column mapped to a field without a range
+            result.value = raw.min !== '' ? raw.min : raw.max;
+        }
+
+        if (field.type === 'number' || field.type === 'integer') {
+            result.value = stripUnit(String(result.value), field.unit);
+        }
+
+        const validation = window.lumaProductFieldsValidation;
+        if (validation) {
+            result.errors = validation.validateValue(result.value, { slug: field.slug, type: field.type, unit: field.unit });
+        }
+
+        return result;
+    }
+
+    /**
+     * Work out what happens to every row and value.
+     *
+     * Value statuses: ok, created (new terms), error, skip (empty cell) and missing (the
+     * product was not found, or the field is not enabled for its variations).
+     */
+    function buildPlan() {
+        const createTerms = $('#lumaprfi-import-create-terms').is(':checked');
+        const clearEmpty = $('#lumaprfi-import-clear-empty').is(':checked');
+
+        return data.rows.map(function (row, index) {
+            const match = rowProduct(row);
+            const values = rowValues(row);
+
+            return {
+                // Line in the file, counting the CSV header row
+                line: index + 2,
+                product: match.product,
+                error: match.error,
+                cells: Object.keys(values).map(function (slug) {
+                    const field = findField(slug);
+                    const raw = values[slug];
+                    const cell = {
+                        slug: slug,
+                        label: field ? field.label : slug,
+                        raw: typeof raw === 'object' ? [raw.min, raw.max].filter(Boolean).join(' – ') : raw,
+                        status: 'ok',
+                        messages: []
+                    };
+
+                    if (match.error) {
+                        cell.status = 'missing';
+                        cell.messages.push(match.error);
+                        return cell;
+                    }
+
+                    const notForVariation = match.product.variation && !field.variation;
+
+                    // The export leaves these cells empty on variation rows: nothing to do
+                    if (isEmpty(raw) && (!clearEmpty || notForVariation)) {
+                        cell.status = 'skip';
+                        return cell;
+                    }
+
+                    if (notForVariation) {
+                        cell.status = 'missing';
+                        cell.messages.push(strings.not_for_variation);
+                        return cell;
+                    }
+
+                    const converted = convert(raw, field, createTerms);
+                    cell.value = converted.value;
+
+                    if (converted.errors.length) {
+                        cell.status = 'error';
+                        cell.messages = converted.errors;
+                    } else if (converted.created.length) {
+                        cell.status = 'created';
+                        cell.messages.push(format(strings.new_terms, converted.created.join(', ')));
+                    }
+
+                    return cell;
+                })
+            };
+        });
+    }
+
+    function isSaveable(cell) {
+        return cell.status === 'ok' || cell.status === 'created';
+    }
+
+    function hasProblems(row) {
+        return row.error !== '' || row.cells.some(cell => cell.status === 'error' || cell.status === 'missing');
+    }
+
+    // Look up the products of all rows, in chunks of MATCH_LIMIT IDs and SKUs
+    function matchProducts() {
+        const ids = [];
+        const skus = [];
+        const idColumn = columnOf('__id');
+        const skuColumn = columnOf('__sku');
+
+        data.rows.forEach(function (row) {
+            const id = parseInt(cellText(row, idColumn), 10);
+            const sku = cellText(row, skuColumn);
+
+            if (id > 0) {
+                if (!ids.includes(id)) {
+                    ids.push(id);
+                }
+            } else if (sku !== '' && !skus.includes(sku)) {
+                skus.push(sku);
+            }
+        });
+
+        const found = { ids: {}, skus: {} };
+        const requests = [];
+
+        for (let i = 0; i < Math.max(ids.length, skus.length); i += MATCH_LIMIT) {
+            requests.push(
+                post({
+                    luma_product_fields_action: 'import_match_products',
+                    product_group: group(),
+                    ids: ids.slice(i, i + MATCH_LIMIT),
+                    skus: skus.slice(i, i + MATCH_LIMIT)
+                }).then(function (result) {
+                    $.extend(found.ids, result.ids);
+                    $.extend(found.skus, result.skus);
+                })
+            );
+        }
+
+        return $.when.apply($, requests).then(() => found);
+    }
+
+    // Ask the server which imported values are existing terms, for the mapped taxonomy fields
+    function resolveTerms() {
+        const requests = [];
+
+        fields().filter(field => field.taxonomy).forEach(function (field) {
+            const index = columnOf(field.slug);
+            if (index === -1) {
+                return;
+            }
+
+            const cache = termCache[field.slug] = termCache[field.slug] || {};
+            const values = [];
+
+            data.rows.forEach(function (row) {
+                termItems(cellText(row, index), field).forEach(function (item) {
+                    if (!(item in cache) && !values.includes(item)) {
+                        values.push(item);
+                    }
+                });
+            });
+
+            for (let i = 0; i < values.length; i += RESOLVE_CHUNK) {
+                const chunk = values.slice(i, i + RESOLVE_CHUNK);
+                requests.push(
+                    post({
+                        luma_product_fields_action: 'resolve_terms',
+                        field_slug: field.slug,
+                        values: chunk
+                    }).then(function (result) {
+                        chunk.forEach(item => (cache[item] = result.matches[item] || null));
+                    })
+                );
+            }
+        });
+
+        return $.when.apply($, requests);
+    }
+
+    function renderMapping() {
+        const $table = $('<table class="widefat striped lumaprfi-import-mapping-table">');
+
+        $table.append($('<thead>').append($('<tr>').append(
+            $('<th>').text(strings.column),
+            $('<th>').text(strings.sample),
+            $('<th>').text(strings.import_as)
+        )));
+
+        const $body = $('<tbody>').appendTo($table);
+
+        data.headers.forEach(function (header, index) {
+            const $select = $('<select class="lumaprfi-import-map">')
+                .attr({ 'data-index': index, 'aria-label': header })
+                .append(
+                    $('<option value="">').text(strings.skip_column),
+                    $('<option value="__id">').text(strings.product_id),
+                    $('<option value="__sku">').text(strings.sku)
+                );
+
+            fields().forEach(function (field) {
+                if (field.range) {
+                    $('<option>').val(field.slug).text(format(strings.field_range, field.label)).appendTo($select);
+                    $('<option>').val(field.slug + ':min').text(format(strings.field_min, field.label)).appendTo($select);
+                    $('<option>').val(field.slug + ':max').text(format(strings.field_max, field.label)).appendTo($select);
+                } else {
+                    $('<option>').val(field.slug).text(field.label).appendTo($select);
+                }
+            });
+
+            const samples = data.rows
+                .map(row => $.trim(row[index] || ''))
+                .filter(Boolean)
+                .slice(0, SAMPLE_ROWS);
+
+            $body.append($('<tr>').append(
+                $('<th scope="row">').text(header),
+                $('<td class="lumaprfi-import-samples">').text(samples.join(', ') || '—'),
+                $('<td>').append($select.val(mapping[index] || ''))
+            ));
+        });
+
+        $root.find('.lumaprfi-import-mapping').prop('hidden', false).empty().append($table);
+    }
+
+    function renderPreview() {
+        const $preview = $root.find('.lumaprfi-import-preview').prop('hidden', false).empty();
+        const problemsOnly = $preview.data('problems-only') === true;
+
+        plan = buildPlan();
+
+        const counts = { ok: 0, created: 0, error: 0, skip: 0, missing: 0 };
+        let productsToUpdate = 0;
+        let rowsWithProblems = 0;
+
+        plan.forEach(function (row) {
+            row.cells.forEach(cell => counts[cell.status]++);
+            if (row.cells.some(isSaveable)) {
+                productsToUpdate++;
+            }
+            if (hasProblems(row)) {
+                rowsWithProblems++;
+            }
+        });
+
+        const slugs = plan.length ? plan[0].cells.map(cell => cell.slug) : [];
+        const $table = $('<table class="widefat striped lumaprfi-paste-preview">');
+        const $head = $('<tr>').append($('<th>').text(strings.line), $('<th>').text(strings.product));
+
+        slugs.forEach(function (slug) {
+            const field = findField(slug);
+            $head.append($('<th>').text(field ? field.label : slug));
+        });
+        $table.append($('<thead>').append($head));
+
+        const $body = $('<tbody>').appendTo($table);
+        const shown = plan.filter(row => !problemsOnly || hasProblems(row)).slice(0, PREVIEW_ROWS);
+
+        shown.forEach(function (row) {
+            const $product = $('<td>').text(row.product ? row.product.name : '—');
+            if (row.error) {
+                $product.addClass('lumaprfi-paste-error').attr('title', row.error);
+            }
+
+            const $row = $('<tr>').append($('<th scope="row">').text(row.line), $product);
+
+            row.cells.forEach(function (cell) {
+                $('<td>')
+                    .addClass('lumaprfi-paste-' + cell.status)
+                    .attr('title', cell.messages.join(' '))
+                    .text(cell.raw === '' ? '—' : cell.raw)
+                    .appendTo($row);
+            });
+
+            $body.append($row);
+        });
+
+        const saveable = counts.ok + counts.created;
+        let summary = format(strings.summary, productsToUpdate, rowsWithProblems, saveable, counts.error, counts.skip);
+
+        if (plan.filter(row => !problemsOnly || hasProblems(row)).length > PREVIEW_ROWS) {
+            summary += ' ' + format(strings.preview_limited, PREVIEW_ROWS);
+        }
+
+        const $filter = $('<label class="lumaprfi-import-problems-only">').append(
+            $('<input type="checkbox">').prop('checked', problemsOnly),
+            ' ',
+            document.createTextNode(strings.problems_only)
+        );
+
+        const $start = $('<button type="button" class="button button-primary lumaprfi-import-start">')
+            .text(format(strings.import, productsToUpdate))
+            .prop('disabled', !productsToUpdate);
+
+        $preview.append(
+            $('<p class="lumaprfi-import-summary">').text(summary),
+            $filter,
+            $('<div class="lumaprfi-paste-table">').append($table),
+            $('<p class="lumaprfi-import-actions">').append($start)
+        );
+    }
+
+    function showMessage(text) {
+        $root.find('.lumaprfi-import-preview').prop('hidden', false).empty()
+            .append($('<p class="lumaprfi-import-summary">').text(text));
+    }
+
+    // Check products and terms for the current mapping, then show the preview
+    function refresh() {
+        const request = ++checkRequest;
+
+        $root.find('.lumaprfi-import-runner').prop('hidden', true);
+
+        if (!data.rows.length) {
+            showMessage(strings.empty_file);
+            return;
+        }
+        if (columnOf('__id') === -1 && columnOf('__sku') === -1) {
+            showMessage(strings.no_product_column);
+            return;
+        }
+        if (!mapping.some(target => target !== '' && !target.startsWith('__'))) {
+            showMessage(strings.no_field_column);
+            return;
+        }
+
+        showMessage(strings.checking);
+        $root.find('.lumaprfi-import-preview').append(ajaxdata.spinner || '');
+
+        $.when(matchProducts(), resolveTerms())
+            .done(function (found) {
+                if (request === checkRequest) {
+                    products = found;
+                    renderPreview();
+                }
+            })
+            .fail(function (response) {
+                if (request === checkRequest) {
+                    showMessage('');
+                    window.lumaProductFieldsNotices.error(response, { retry: refresh });
+                }
+            });
+    }
+
+    function load() {
+        const file = $('#lumaprfi-import-file').prop('files')[0];
+
+        data = null;
+        $root.find('.lumaprfi-import-mapping, .lumaprfi-import-preview, .lumaprfi-import-runner').prop('hidden', true);
+
+        if (!file) {
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = function () {
+            data = parseFile(file.name, String(reader.result || ''));
+
+            if (!data) {
+                window.lumaProductFieldsNotices.error(strings.invalid_json);
+                return;
+            }
+
+            mapping = data.headers.map(guessTarget);
+            renderMapping();
+            refresh();
+        };
+
+        reader.onerror = function () {
+            window.lumaProductFieldsNotices.error(strings.read_failed);
+        };
+
+        reader.readAsText(file);
+    }
+
+    function renderResults(job) {
+        const $results = $root.find('.lumaprfi-import-results').empty();
+        const failed = job.errors;
+
+        if (job.done) {
+            $results.append($('<p>').text(format(strings.done, job.saved, failed.length)));
+            if (cfg.overview_url) {
+                $results.append($('<p>').append($('<a>').attr('href', cfg.overview_url).text(strings.open_overview)));
+            }
+        }
+
+        if (!failed.length) {
+            return;
+        }
+
+        const $table = $('<table class="widefat striped lumaprfi-import-failures">').append(
+            $('<thead>').append($('<tr>').append(
+                $('<th>').text(strings.line),
+                $('<th>').text(strings.product),
+                $('<th>').text(strings.field),
+                $('<th>').text(strings.message)
+            ))
+        );
+        const $body = $('<tbody>').appendTo($table);
+
+        failed.forEach(function (error) {
+            const field = findField(error.field);
+            $body.append($('<tr>').append(
+                $('<td>').text(error.line),
+                $('<td>').text(error.product),
+                $('<td>').text(field ? field.label : error.field || '—'),
+                $('<td>').text(error.message)
+            ));
+        });
+
+        $results.append($('<p>').text(strings.failed_heading), $table);
+    }
+
+    function updateProgress(job) {
+        const done = Math.min(job.next, job.rows.length);
+
+        $root.find('.lumaprfi-import-progress').attr({ max: job.rows.length, value: done });
+        $root.find('.lumaprfi-import-progress-text').text(
+            job.done ? '' : format(strings.progress, done, job.rows.length)
+        );
+    }
+
+    function nextBatch(job) {
+        const batch = job.rows.slice(job.next, job.next + BATCH_SIZE);
+
+        if (!batch.length) {
+            job.done = true;
+            // New terms may have been created
+            termCache = {};
+            updateProgress(job);
+            renderResults(job);
+            $('#lumaprfi-import-file, #lumaprfi-import-group').prop('disabled', false);
+            return;
+        }
+
+        post({
+            luma_product_fields_action: 'import_field_values',
+            product_group: job.group,
+            create_terms: job.createTerms ? 1 : 0,
+            rows: JSON.stringify(batch.map(row => ({ line: row.line, product_id: row.product_id, values: row.values })))
+        }).done(function (result) {
+            (result.results || []).forEach(function (row) {
+                const planned = batch.find(candidate => candidate.line === row.line);
+
+                job.saved += row.saved;
+                row.errors.forEach(function (error) {
+                    job.errors.push({
+                        line: row.line,
+                        product: planned ? planned.name : row.product_id,
+                        field: error.field,
+                        message: error.message
+                    });
+                });
+            });
+
+            job.next += batch.length;
+            updateProgress(job);
+            renderResults(job);
+            nextBatch(job);
+        }).fail(function (response) {
+            $root.find('.lumaprfi-import-progress-text').text(strings.paused);
+            window.lumaProductFieldsNotices.error(response, { retry: () => nextBatch(job) });
+        });
+    }
+
+    function start() {
+        const rows = plan
+            .filter(row => !row.error && row.cells.some(isSaveable))
+            .map(function (row) {
+                const values = {};
+                row.cells.filter(isSaveable).forEach(cell => (values[cell.slug] = cell.value));
+
+                return { line: row.line, product_id: row.product.id, name: row.product.name, values: values };
+            });
+
+        const job = {
+            group: group(),
+            createTerms: $('#lumaprfi-import-create-terms').is(':checked'),
+            rows: rows,
+            next: 0,
+            saved: 0,
+            errors: [],
+            done: false
+        };
+
+        // The file and group stay as they are until the import is finished
+        checkRequest++;
+        $('#lumaprfi-import-file, #lumaprfi-import-group').prop('disabled', true);
+        $root.find('.lumaprfi-import-mapping, .lumaprfi-import-preview').prop('hidden', true);
+        $root.find('.lumaprfi-import-runner').prop('hidden', false);
+        $root.find('.lumaprfi-import-results').empty();
+
+        updateProgress(job);
+        nextBatch(job);
+    }
+
+    $root.on('change', '#lumaprfi-import-file', load);
+
+    $root.on('change', '#lumaprfi-import-group', function () {
+        if (!data) {
+            return;
+        }
+        mapping = data.headers.map(guessTarget);
+        renderMapping();
+        refresh();
+    });
+
+    $root.on('change', '.lumaprfi-import-map', function () {
+        mapping[parseInt($(this).data('index'), 10)] = String($(this).val() || '');
+        refresh();
+    });
+
+    $root.on('change', '#lumaprfi-import-create-terms, #lumaprfi-import-clear-empty', function () {
+        // Only while the preview is shown
+        if ($root.find('.lumaprfi-import-start').length) {
+            renderPreview();
+        }
+    });
+
+    $root.on('change', '.lumaprfi-import-problems-only input', function () {
+        $root.find('.lumaprfi-import-preview').data('problems-only', this.checked);
+        renderPreview();
+    });
+
+    $root.on('click', '.lumaprfi-import-start', start);
+})(jQuery);
@@ -0,0 +1,197 @@
+/**
+ * Bulk fill / copy-down for the product fields overview (ListViewTable).
+ *
+ * Select rows with the checkboxes, pick a field and click "Fill selected rows".
+ * The regular inline editor opens on the first selected row, prefilled with its
+ * value, so applying it unchanged copies that value down to the other rows.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_listview || {};
+    const strings = cfg.strings || {};
+    const ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
+    const notices = window.lumaProductFieldsNotices;
+
+    function format(template, ...args) {
+        let i = 0;
+        return String(template || '')
+            .replace(/%(\d+)\$[sd]/g, (m, n) => args[parseInt(n, 10) - 1])
+            .replace(/%[sd]/g, () => args[i++]);
+    }
+
+    function rowName($row) {
+        return $.trim($row.find('td.column-name').text());
+    }
+
+    // Selected, visible rows that have an editable cell for the field
+    function collectTargets(fieldSlug) {
+        const targets = [];
+        const skipped = [];
+
+        $('#luma-product-fields-fields-overview tbody tr:visible').each(function () {
+            const $row = $(this);
+            if (!$row.find('.lumaprfi-row-select').is(':checked')) {
+                return;
+            }
+
+            const $cell = $row.find('.lumaprfi-editable').filter(function () {
+                return $(this).data('field-slug') === fieldSlug;
+            }).first();
+
+            if ($cell.length) {
+                targets.push({ id: $cell.data('product-id'), name: rowName($row), $cell: $cell });
+            } else {
+                skipped.push({ name: rowName($row), error: strings.skipped });
+            }
+        });
+
+        return { targets, skipped };
+    }
+
+    function setProgress(text) {
+        $('.lumaprfi-bulk-fill-progress').text(text || '');
+    }
+
+    function showSummary(failures) {
+        $('#lumaprfi-bulk-fill-summary').remove();
+
+        if (!failures.length) {
+            return;
+        }
+
+        const $list = $('<ul>');
+        failures.forEach(function (failure) {
+            $('<li>').text(failure.name + ': ' + failure.error).appendTo($list);
+        });
+
+        $('<div id="lumaprfi-bulk-fill-summary" class="notice notice-error inline">')
+            .append($('<p>').text(strings.failed_heading))
+            .append($list)
+            .insertAfter('#luma-product-fields-fields-overview .tablenav.top');
+    }
+
+    function markFailed($cell) {
+        $cell.removeClass('lumaprfi-save-fail lumaprfi-save-glow-reset').addClass('lumaprfi-save-fail');
+        setTimeout(() => $cell.addClass('lumaprfi-save-glow-reset'), 1000);
+        setTimeout(() => $cell.removeClass('lumaprfi-save-fail lumaprfi-save-glow-reset'), 3000);
+    }
+
+    function saveBatch(fieldSlug, value, batch) {
+        return $.post(ajaxdata.ajaxurl, {
+            action: ajaxdata.action,
+            nonce: ajaxdata.nonce,
+            luma_product_fields_action: 'bulk_save_field',
+            field_slug: fieldSlug,
+            product_ids: batch.map(target => target.id),
+            value: value
+        });
+    }
+
+    function runBulkFill(fieldSlug, value, targets, skipped) {
+        const batchSize = Math.max(1, parseInt(cfg.bulk_batch_size, 10) || 10);
+        const failures = skipped.slice();
+        const $button = $('#lumaprfi-bulk-fill-open').prop('disabled', true);
+        let done = 0;
+        let saved = 0;
+
+        $('#lumaprfi-bulk-fill-summary').remove();
+        targets.forEach(target => target.$cell.addClass('lumaprfi-cell-pending'));
+
+        function next() {
+            if (done >= targets.length) {
+                setProgress(format(strings.done, saved, failures.length));
+                showSummary(failures);
+                $button.prop('disabled', false);
+                return;
+            }
+
+            const batch = targets.slice(done, done + batchSize);
+            setProgress(format(strings.progress, done, targets.length));
+
+            saveBatch(fieldSlug, value, batch).done(function (response) {
+                const results = (response && response.success && response.data.results) || {};
+                const batchError = (response && response.success)
+                    ? strings.request_failed
+                    : notices.normalize(response, strings.request_failed).message;
+
+                batch.forEach(function (target) {
+                    const result = results[target.id];
+                    target.$cell.removeClass('lumaprfi-cell-pending');
+
+                    if (result && result.success) {
+                        const previousText = $.trim(target.$cell.text());
+                        target.$cell.html(result.html).attr('data-revision', result.revision || '');
+                        window.lumaProductFieldsInlineEditor.showSaveGlow(target.$cell);
+                        saved++;
+
+                        $(document).trigger('lumaprfi:field-saved', [{
+                            productId: target.id,
+                            fieldSlug: fieldSlug,
+                            previous: result.previous,
+                            previousRevision: result.previous_revision,
+                            value: result.value,
+                            revision: result.revision,
+                            previousText: previousText,
+                            valueText: $.trim(target.$cell.text()),
+                            source: 'bulk'
+                        }]);
+                    } else {
+                        markFailed(target.$cell);
+                        failures.push({ name: target.name, error: (result && result.error) || batchError });
+                    }
+                });
+            }).fail(function (xhr) {
+                const batchError = notices.normalize(xhr, strings.request_failed).message;
+
+                batch.forEach(function (target) {
+                    target.$cell.removeClass('lumaprfi-cell-pending');
+                    markFailed(target.$cell);
+                    failures.push({ name: target.name, error: batchError });
+                });
+            }).always(function () {
+                done += batch.length;
+                next();
+            });
+        }
+
+        next();
+    }
+
+    $(document).on('click', '#lumaprfi-bulk-fill-open', function (e) {
+        e.preventDefault();
+
+        const $select = $('#lumaprfi-bulk-fill-field');
+        const fieldSlug = $select.val();
+
+        if (!fieldSlug) {
+            notices.show({ type: 'warning', message: strings.choose_field });
+            return;
+        }
+
+        const { targets, skipped } = collectTargets(fieldSlug);
+
+        if (!targets.length) {
+            notices.show({ type: 'warning', message: strings.no_rows });
+            return;
+        }
+
+        const label = $select.find(':selected').text();
+
+        window.lumaProductFieldsInlineEditor.open(targets[0].$cell, {
+            title: format(strings.fill_title, label, targets.length),
+            onSubmit: function ($editor) {
+                const payload = window.lumaProductFieldsInlineEditor.buildPayload(
+                    $editor.find('form')[0],
+                    targets[0].id,
+                    fieldSlug
+                );
+
+                window.lumaProductFieldsInlineEditor.close();
+                runBulkFill(fieldSlug, payload.value, targets, skipped);
+
+                return $.Deferred().resolve().promise();
+            }
+        });
+    });
+})(jQuery);
@@ -0,0 +1,554 @@
+/**
+ * Column chooser, quick filters and saved views for the product fields overview (ListViewTable).
+ *
+ * Columns can be hidden and reordered by drag and drop, and the name column can be pinned
+ * while scrolling sideways. Quick filters (empty, not empty, contains, numeric range) are
+ * applied by ListViewTable before paging: a change reloads the page with the active filters
+ * in the query string. Variation rows, loaded later, are filtered here on the same cell
+ * text. The current layout is kept per product group in localStorage; named views are saved
+ * per user through the save_list_view endpoint.
+ */
+(function ($) {
+    'use strict';
+
+    const STORAGE_KEY = 'luma_product_fields_listview_layout';
+    const FIXED_COLUMNS = ['cb', 'name'];
+    const EMPTY_VALUES = ['', '—', '-', '--'];
+
+    const cfg = window.luma_product_fields_listview || {};
+    const strings = cfg.strings || {};
+    const ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
+
+    let $table = $();
+    let $panel = $();
+    let group = '';
+    let views = {};
+    let currentView = '';
+    let state = emptyState();
+    let filtersArg = '';
+    // Active filters the page was rendered with, as in the query string ('' for none)
+    let appliedFilters = '';
+
+    function emptyState() {
+        return { columns: [], hidden: [], pinned: false, filters: {} };
+    }
+
+    function format(template, ...args) {
+        let i = 0;
+        return String(template || '')
+            .replace(/%(\d+)\$[sd]/g, (m, n) => args[parseInt(n, 10) - 1])
+            .replace(/%[sd]/g, () => args[i++]);
+    }
+
+    function loadStored() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+            return (stored && typeof stored === 'object') ? stored : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function persist() {
+        const stored = loadStored();
+        stored[group] = { state: state, view: currentView };
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+        } catch (e) {
+            // Storage full or disabled, the layout only lasts for this page view
+        }
+    }
+
+    // Column key of a header or body cell: "cb", "name", "lpftbl_<slug>", …
+    function cellKey(cell) {
+        const $cell = $(cell);
+        if ($cell.hasClass('check-column') || $cell.hasClass('column-cb')) {
+            return 'cb';
+        }
+        const match = String(cell.className || '').match(/(?:^|\s)column-([a-z0-9_-]+)/i);
+        return match ? match[1] : '';
+    }
+
+    // Columns as rendered by the server, in server order
+    function getColumns() {
+        return $table.find('thead tr').first().children('th, td').map(function () {
+            const key = cellKey(this);
+            if (!key || FIXED_COLUMNS.includes(key)) {
+                return null;
+            }
+
+            const $header = $(this);
+            const label = $.trim($header.find('a span').first().text() || $header.text());
+            const numeric = $table.find('tbody td.column-' + key).filter(function () {
+                return $(this).is('.lumaprfi-is-numeric') || $(this).find('.lumaprfi-is-numeric').length > 0;
+            }).length > 0;
+
+            return { key: key, label: label, numeric: numeric };
+        }).get();
+    }
+
+    // Saved order first (dropping columns that no longer exist), then any new columns
+    function orderedKeys() {
+        const available = getColumns().map(column => column.key);
+        return state.columns
+            .filter(key => available.includes(key))
+            .concat(available.filter(key => !state.columns.includes(key)));
+    }
+
+    function applyLayout() {
+        const order = FIXED_COLUMNS.concat(orderedKeys());
+
+        $table.find('tr').each(function () {
+            const $row = $(this);
+            const $cells = $row.children('th, td');
+
+            // "No items found" and similar single cell rows span the whole table
+            if ($cells.length === 1 && $cells.attr('colspan')) {
+                return;
+            }
+
+            const byKey = {};
+            $cells.each(function () {
+                byKey[cellKey(this)] = this;
+            });
+
+            order.forEach(function (key) {
+                if (byKey[key]) {
+                    $row.append(byKey[key]);
+                }
+            });
+
+            $cells.each(function () {
+                $(this).toggleClass('lumaprfi-col-hidden', state.hidden.includes(cellKey(this)));
+            });
+        });
+
+        $table.toggleClass('lumaprfi-pin-name', !!state.pinned);
+        $table.css('--lumaprfi-pin-offset', ($table.find('thead .check-column').outerWidth() || 0) + 'px');
+    }
+
+    function isEmptyText(text) {
+        return EMPTY_VALUES.includes($.trim(text));
+    }
+
+    function fold(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    function toNumber(value) {
+        return (value === '' || value === undefined || value === null) ? null : parseFloat(String(value).replace(',', '.'));
+    }
+
+    function matchesFilter($row, key, filter) {
+        const $cell = $row.children('.column-' + key);
+        if (!$cell.length) {
+            return false;
+        }
+
+        // Variation rows show "--" for fields that are not enabled for variations
+        const text = $.trim($cell.text());
+        if (!$cell.find('.lumaprfi-editable').length && text === '--') {
+            return false;
+        }
+
+        switch (filter.mode) {
+            case 'empty':
+                return isEmptyText(text);
+            case 'not_empty':
+                return !isEmptyText(text);
+            case 'contains':
+                return fold(text).includes(fold(filter.value || ''));
+            case 'range': {
+                const min = toNumber(filter.min);
+                const max = toNumber(filter.max);
+                // The numbers in the cell span [low, high], so a min–max value matches when it overlaps
+                const numbers = (text.match(/-?\d+(?:[.,]\d+)?/g) || []).map(toNumber);
+                if (!numbers.length) {
+                    return false;
+                }
+                return (min === null || Math.max.apply(null, numbers) >= min)
+                    && (max === null || Math.min.apply(null, numbers) <= max);
+            }
+            default:
+                return true;
+        }
+    }
+
+    function activeFilters() {
+        const filters = {};
+        Object.keys(state.filters).forEach(function (key) {
+            const filter = state.filters[key];
+            // Filters of columns the group no longer has are ignored, here and on the server
+            if (!filter || !filter.mode || !$table.find('thead .column-' + key).length) {
+                return;
+            }
+            if (filter.mode === 'contains' && !filter.value) {
+                return;
+            }
+            if (filter.mode === 'range' && filter.min === '' && filter.max === '') {
+                return;
+            }
+            filters[key] = filter;
+        });
+        return filters;
+    }
+
+    function applyFilters() {
+        const filters = activeFilters();
+        const keys = Object.keys(filters);
+        const $rows = $table.find('tbody tr').not('.no-items');
+
+        $rows.each(function () {
+            const $row = $(this);
+            $row.toggleClass('lumaprfi-row-filtered', !keys.every(key => matchesFilter($row, key, filters[key])));
+        });
+
+        $table.find('thead th, tfoot th').each(function () {
+            $(this).toggleClass('lumaprfi-col-filtered', keys.includes(cellKey(this)));
+        });
+
+        const $views = $('.lumaprfi-views');
+        $('.lumaprfi-filter-status').text(appliedFilters
+            ? format(strings.filter_status, $views.data('filtered-total'), $views.data('total'))
+            : '');
+    }
+
+    function filtersQuery() {
+        const filters = activeFilters();
+        return Object.keys(filters).length ? JSON.stringify(filters) : '';
+    }
+
+    // Reload the table when the active filters differ from the ones it was rendered with
+    function reloadFilters(replace) {
+        const query = filtersQuery();
+        if (query === appliedFilters) {
+            return;
+        }
+
+        const url = new URL(window.location.href);
+        if (query) {
+            url.searchParams.set(filtersArg, query);
+        } else {
+            url.searchParams.delete(filtersArg);
+        }
+        url.searchParams.delete('paged');
+
+        if (replace) {
+            window.location.replace(url.toString());
+        } else {
+            window.location.assign(url.toString());
+        }
+    }
+
+    function apply() {
+        applyLayout();
+        applyFilters();
+        persist();
+        reloadFilters();
+    }
+
+    function filterControls(column) {
+        const filter = state.filters[column.key] || {};
+        const $controls = $('<span class="lumaprfi-column-filter">');
+
+        const $mode = $('<select class="lumaprfi-filter-mode">')
+            .attr('aria-label', format(strings.filter_label, column.label))
+            .append($('<option value="">').text(strings.filter_none))
+            .append($('<option value="empty">').text(strings.filter_empty))
+            .append($('<option value="not_empty">').text(strings.filter_not_empty))
+            .append($('<option value="contains">').text(strings.filter_contains));
+
+        if (column.numeric || filter.mode === 'range') {
+            $mode.append($('<option value="range">').text(strings.filter_range));
+        }
+
+        $mode.val(filter.mode || '').appendTo($controls);
+
+        $('<input type="search" class="lumaprfi-filter-value">')
+            .attr('aria-label', strings.filter_contains)
+            .val(filter.value || '')
+            .toggle(filter.mode === 'contains')
+            .appendTo($controls);
+
+        ['min', 'max'].forEach(function (part) {
+            $('<input type="text" inputmode="decimal">')
+                .addClass('lumaprfi-filter-' + part)
+                .attr({ placeholder: strings['filter_' + part], 'aria-label': strings['filter_' + part] })
+                .val(filter[part] || '')
+                .toggle(filter.mode === 'range')
+                .appendTo($controls);
+        });
+
+        return $controls;
+    }
+
+    function renderPanel() {
+        const columns = getColumns();
+        const byKey = {};
+        columns.forEach(column => (byKey[column.key] = column));
+
+        const $list = $panel.find('.lumaprfi-columns-list').empty();
+
+        orderedKeys().forEach(function (key) {
+            const column = byKey[key];
+            const $item = $('<li class="lumaprfi-column-item">').attr('data-key', key);
+
+            $('<span class="dashicons dashicons-menu lumaprfi-column-handle">')
+                .attr('title', strings.columns_drag)
+                .appendTo($item);
+
+            $('<label class="lumaprfi-column-visible">')
+                .append($('<input type="checkbox">').prop('checked', !state.hidden.includes(key)))
+                .append(' ')
+                .append(document.createTextNode(column.label))
+                .appendTo($item);
+
+            filterControls(column).appendTo($item);
+            $item.appendTo($list);
+        });
+
+        $panel.find('.lumaprfi-columns-pin input').prop('checked', !!state.pinned);
+        $panel.find('.lumaprfi-view-name').val(currentView);
+        $panel.find('.lumaprfi-view-delete').prop('disabled', !currentView);
+    }
+
+    function getPanel() {
+        let $existing = $('#lumaprfi-columns-panel');
+        if ($existing.length) {
+            return $existing;
+        }
+
+        $existing = $(
+            '<div id="lumaprfi-columns-panel" class="lumaprfi-columns-panel" hidden>' +
+                '<div class="lumaprfi-columns-header">' +
+                    '<strong class="lumaprfi-columns-title"></strong>' +
+                    '<label class="lumaprfi-columns-pin"><input type="checkbox"> <span></span></label>' +
+                    '<button type="button" class="button-link lumaprfi-columns-reset"></button>' +
+                '</div>' +
+                '<ul class="lumaprfi-columns-list"></ul>' +
+                '<div class="lumaprfi-columns-footer">' +
+                    '<input type="text" class="lumaprfi-view-name">' +
+                    '<button type="button" class="button button-primary lumaprfi-view-save"></button>' +
+                    '<button type="button" class="button lumaprfi-view-delete"></button>' +
+                '</div>' +
+            '</div>'
+        );
+        $existing.find('.lumaprfi-columns-title').text(strings.columns_title);
+        $existing.find('.lumaprfi-columns-pin span').text(strings.columns_pin);
+        $existing.find('.lumaprfi-columns-reset').text(strings.columns_reset);
+        $existing.find('.lumaprfi-view-name').attr({ placeholder: strings.view_name, 'aria-label': strings.view_name });
+        $existing.find('.lumaprfi-view-save').text(strings.view_save);
+        $existing.find('.lumaprfi-view-delete').text(strings.view_delete);
+
+        $existing.find('.lumaprfi-columns-list').sortable({
+            handle: '.lumaprfi-column-handle',
+            axis: 'y',
+            update: function () {
+                state.columns = $(this).children().map(function () {
+                    return $(this).attr('data-key');
+                }).get();
+                apply();
+            }
+        });
+
+        return $existing.insertAfter('#luma-product-fields-fields-overview .tablenav.top');
+    }
+
+    function readFilter($item) {
+        return {
+            mode: $item.find('.lumaprfi-filter-mode').val() || '',
+            value: $.trim($item.find('.lumaprfi-filter-value').val() || ''),
+            min: $.trim($item.find('.lumaprfi-filter-min').val() || ''),
+            max: $.trim($item.find('.lumaprfi-filter-max').val() || '')
+        };
+    }
+
+    function renderViews() {
+        const $select = $('#lumaprfi-view-select');
+        $select.find('option').not(':first').remove();
+
+        Object.keys(views).forEach(function (name) {
+            $('<option>').val(name).text(name).appendTo($select);
+        });
+
+        $select.val(views[currentView] ? currentView : '');
+    }
+
+    function request(action, data) {
+        return $.post(ajaxdata.ajaxurl, $.extend({
+            action: ajaxdata.action,
+            nonce: ajaxdata.nonce,
+            luma_product_fields_action: action,
+            product_group: group
+        }, data));
+    }
+
+    function handleViewsResponse(xhr, onSuccess) {
+        xhr.done(function (response) {
+            if (response && response.success) {
+                views = response.data.views || {};
+                onSuccess();
+                renderViews();
+                renderPanel();
+                persist();
+            } else {
+                window.lumaProductFieldsNotices.error(response);
+            }
+        }).fail(function (failed) {
+            window.lumaProductFieldsNotices.error(failed);
+        });
+    }
+
+    function saveView() {
+        const name = $.trim($panel.find('.lumaprfi-view-name').val() || '');
+        if (!name) {
+            window.lumaProductFieldsNotices.show({ type: 'warning', message: strings.view_name_missing });
+            $panel.find('.lumaprfi-view-name').trigger('focus');
+            return;
+        }
+
+        state.columns = orderedKeys();
+        handleViewsResponse(
+            request('save_list_view', { name: name, view: JSON.stringify(state) }),
+            function () {
+                currentView = name;
+                window.lumaProductFieldsNotices.success(format(strings.view_saved, name));
+            }
+        );
+    }
+
+    function deleteView() {
+        if (!currentView || !window.confirm(format(strings.view_delete_confirm, currentView))) {
+            return;
+        }
+
+        handleViewsResponse(request('delete_list_view', { name: currentView }), function () {
+            currentView = '';
+        });
+    }
+
+    function useView(name) {
+        currentView = views[name] ? name : '';
+        if (currentView) {
+            state = $.extend(emptyState(), JSON.parse(JSON.stringify(views[currentView])));
+            // PHP encodes an empty filter map as []
+            if (Array.isArray(state.filters)) {
+                state.filters = {};
+            }
+        }
+        renderPanel();
+        apply();
+    }
+
+    $(document).on('click', '#lumaprfi-columns-toggle', function () {
+        const open = $panel.prop('hidden');
+        $panel.prop('hidden', !open);
+        $(this).attr('aria-expanded', String(open));
+    });
+
+    $(document).on('change', '#lumaprfi-view-select', function () {
+        useView($(this).val());
+    });
+
+    $(document).on('change', '.lumaprfi-column-visible input', function () {
+        const key = $(this).closest('.lumaprfi-column-item').attr('data-key');
+        state.hidden = state.hidden.filter(hidden => hidden !== key);
+        if (!this.checked) {
+            state.hidden.push(key);
+        }
+        apply();
+    });
+
+    $(document).on('change input', '.lumaprfi-column-filter select, .lumaprfi-column-filter input', function (e) {
+        const $item = $(this).closest('.lumaprfi-column-item');
+        const filter = readFilter($item);
+
+        $item.find('.lumaprfi-filter-value').toggle(filter.mode === 'contains');
+        $item.find('.lumaprfi-filter-min, .lumaprfi-filter-max').toggle(filter.mode === 'range');
+
+        if (filter.mode) {
+            state.filters[$item.attr('data-key')] = filter;
+        } else {
+            delete state.filters[$item.attr('data-key')];
+        }
+        persist();
+
+        // Typed values are applied once committed, not on every keystroke
+        if (e.type === 'change') {
+            reloadFilters();
+        }
+    });
+
+    $(document).on('change', '.lumaprfi-columns-pin input', function () {
+        state.pinned = this.checked;
+        apply();
+    });
+
+    $(document).on('click', '.lumaprfi-columns-reset', function () {
+        state = emptyState();
+        currentView = '';
+        renderViews();
+        renderPanel();
+        apply();
+    });
+
+    $(document).on('click', '.lumaprfi-view-save', saveView);
+    $(document).on('click', '.lumaprfi-view-delete', deleteView);
+
+    $(document).on('keydown', '.lumaprfi-view-name', function (e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            saveView();
+        }
+    });
+
+    // Variation rows are loaded later: give them the same layout and filters
+    $(document).on('lumaprfi:rows-added', function () {
+        if ($table.length) {
+            applyLayout();
+            applyFilters();
+        }
+    });
+
+    $(function () {
+        const $views = $('.lumaprfi-views');
+        $table = $('#luma-product-fields-fields-overview table.wp-list-table');
+
+        if (!$views.length || !$table.length) {
+            return;
+        }
+
+        group = String($views.data('product-group') || '');
+        views = $views.data('views') || {};
+        filtersArg = String($views.data('filters-arg') || '');
+
+        // Horizontal scrolling container, needed for the pinned name column
+        $table.wrap('<div class="lumaprfi-table-scroll"></div>');
+
+        const stored = loadStored()[group];
+        if (stored && stored.state) {
+            state = $.extend(emptyState(), stored.state);
+            currentView = stored.view || '';
+        }
+
+        // Filters in the URL win over the stored ones: they are what the table shows
+        const requested = new URLSearchParams(window.location.search).get(filtersArg);
+        if (requested) {
+            try {
+                const filters = JSON.parse(requested);
+                state.filters = (filters && typeof filters === 'object' && !Array.isArray(filters)) ? filters : {};
+            } catch (e) {
+                state.filters = {};
+            }
+            appliedFilters = filtersQuery();
+        }
+
+        $panel = getPanel();
+        renderViews();
+        renderPanel();
+        applyLayout();
+        applyFilters();
+        persist();
+        reloadFilters(true);
+    });
+})(jQuery);
@@ -0,0 +1,119 @@
+/**
+ * Completeness and "next empty cell" for the product fields overview (ListViewTable).
+ *
+ * Empty editable cells carry `lumaprfi-is-empty` and each row shows how many of its
+ * fields are filled. Both are kept up to date after inline saves. Press N (or the
+ * "Next empty cell" button) to open the editor on the next empty cell after the active
+ * one; Alt+N in the editor saves and moves on to the next empty cell.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_listview || {};
+    const strings = cfg.strings || {};
+
+    function editor() {
+        return window.lumaProductFieldsInlineEditor;
+    }
+
+    function isEmptyValue(value) {
+        if (Array.isArray(value)) {
+            return value.length === 0;
+        }
+        if (value !== null && typeof value === 'object') {
+            return String(value.min || '') === '' && String(value.max || '') === '';
+        }
+        return value === undefined || value === null || String(value) === '';
+    }
+
+    function format(template, ...args) {
+        let i = 0;
+        return String(template || '')
+            .replace(/%(\d+)\$[sd]/g, (m, n) => args[parseInt(n, 10) - 1])
+            .replace(/%[sd]/g, () => args[i++]);
+    }
+
+    // Recount a row from its cells, the same way ListViewTable::get_completeness() does
+    function updateRow($row) {
+        const $completeness = $row.find('.lumaprfi-completeness');
+        const $cells = $row.find('.lumaprfi-editable');
+        if (!$completeness.length) {
+            return;
+        }
+
+        const total = $cells.length;
+        const filled = $cells.not('.lumaprfi-is-empty').length;
+        const percent = total ? Math.floor(filled / total * 100) : 100;
+
+        $completeness
+            .toggleClass('is-complete', percent === 100)
+            .attr('title', format(strings.completeness_title, filled, total));
+        $completeness.find('.lumaprfi-completeness-bar > span').css('width', percent + '%');
+        $completeness.find('.lumaprfi-completeness-value').text(percent + '%');
+    }
+
+    /**
+     * Open the editor on the next empty cell after the active one, wrapping around
+     * to the top of the page.
+     *
+     * @return {boolean} False when there are no empty cells left on this page.
+     */
+    function openNextEmpty() {
+        const $cells = editor().gridCells();
+        const $active = editor().activeCell();
+        const start = $active.length ? $cells.index($active) + 1 : 0;
+
+        for (let i = 0; i < $cells.length; i++) {
+            const $cell = $cells.eq((start + i) % $cells.length);
+            if ($cell.hasClass('lumaprfi-is-empty') && !$cell.is($active)) {
+                editor().open($cell);
+                return true;
+            }
+        }
+
+        window.lumaProductFieldsNotices.show({ type: 'success', message: strings.no_empty_cells });
+        return false;
+    }
+
+    $(document).on('lumaprfi:field-saved', function (e, data) {
+        const $cell = editor().findCell(data.productId, data.fieldSlug);
+        if (!$cell.length) {
+            return;
+        }
+        $cell.toggleClass('lumaprfi-is-empty', isEmptyValue(data.value));
+        updateRow($cell.closest('tr'));
+    });
+
+    $(document).on('click', '#lumaprfi-next-empty', function (e) {
+        e.preventDefault();
+        openNextEmpty();
+    });
+
+    $(document).on('keydown', function (e) {
+        if (e.code !== 'KeyN' || e.ctrlKey || e.metaKey || e.shiftKey) {
+            return;
+        }
+        if ($('body').hasClass('lumaprfi-modal-open')) {
+            return;
+        }
+
+        // Alt+N inside the editor: save, then go to the next empty cell
+        if (editor().isOpen()) {
+            if (e.altKey && $(e.target).closest('.lumaprfi-floating-editor').length && !$('.select2-container--open').length) {
+                e.preventDefault();
+                editor().submit().done(openNextEmpty);
+            }
+            return;
+        }
+
+        if (e.altKey || $(e.target).is('input, textarea, select, [contenteditable]')) {
+            return;
+        }
+        if (!$('#luma-product-fields-fields-overview table.wp-list-table').length) {
+            return;
+        }
+
+        e.preventDefault();
+        openNextEmpty();
+    });
+})(jQuery);
@@ -0,0 +1,246 @@
+/**
+ * Conflict dialog for inline edits in the product fields overview (ListViewTable).
+ *
+ * inline_save_field rejects a save when the value changed on the server after the
+ * editor loaded it. This dialog shows theirs vs. yours and lets the user keep their
+ * value, take the saved one, or merge the two for multi-value and min/max fields.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_listview || {};
+    const strings = cfg.strings || {};
+
+    const waiting = [];
+    let $dialog = null;
+
+    function isRange(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function toList(value) {
+        if (Array.isArray(value)) {
+            return value.map(String);
+        }
+        return (value === null || value === undefined || value === '') ? [] : [String(value)];
+    }
+
+    function formatValue(value, labels) {
+        if (isRange(value)) {
+            const min = value.min || '';
+            const max = value.max || '';
+            return (min === '' && max === '') ? '—' : (min + ' – ' + max);
+        }
+
+        const list = toList(value).map(item => labels[item] || item);
+        return list.length ? list.join(', ') : '—';
+    }
+
+    /**
+     * Three-way merge of multi-value fields: start from theirs, add what you added,
+     * drop what you removed (relative to the value your editor loaded).
+     */
+    function mergeList(base, mine, theirs) {
+        const baseList = toList(base);
+        const mineList = toList(mine);
+        const added = mineList.filter(item => !baseList.includes(item));
+        const removed = baseList.filter(item => !mineList.includes(item));
+
+        return toList(theirs)
+            .concat(added)
+            .filter((item, index, list) => list.indexOf(item) === index && !removed.includes(item));
+    }
+
+    // Per part: your value where you changed it, otherwise theirs
+    function mergeRange(base, mine, theirs) {
+        base = isRange(base) ? base : {};
+        theirs = isRange(theirs) ? theirs : {};
+
+        const merged = {};
+        ['min', 'max'].forEach(function (part) {
+            merged[part] = (String(mine[part] || '') !== String(base[part] || ''))
+                ? (mine[part] || '')
+                : (theirs[part] || '');
+        });
+        return merged;
+    }
+
+    function describe(entry) {
+        const $cell = window.lumaProductFieldsInlineEditor.findCell(entry.data.product_id, entry.data.field_slug);
+        const product = $.trim($cell.closest('tr').find('td.column-name').text()) || ('#' + entry.data.product_id);
+        const $header = $('#lpftbl_' + entry.data.field_slug);
+        const field = $header.length ? $.trim($header.find('span').first().text() || $header.text()) : entry.data.field_slug;
+
+        return product + ' — ' + field;
+    }
+
+    function buildMerge(entry, conflict) {
+        const mine = entry.data.value;
+        const base = entry.context.base;
+        const labels = conflict.labels || {};
+        const $merge = $('<fieldset class="lumaprfi-conflict-merge">')
+            .append($('<legend>').text(strings.conflict_merge_heading));
+
+        if (isRange(mine)) {
+            const merged = mergeRange(base, mine, conflict.theirs);
+
+            ['min', 'max'].forEach(function (part) {
+                const theirs = isRange(conflict.theirs) ? (conflict.theirs[part] || '') : '';
+                const $row = $('<p>').append($('<strong>').text(strings['conflict_' + part] + ': '));
+
+                [['theirs', theirs], ['mine', mine[part] || '']].forEach(function (option) {
+                    $('<label>')
+                        .append($('<input type="radio">')
+                            .attr('name', 'lumaprfi-merge-' + part)
+                            .val(option[1])
+                            .prop('checked', merged[part] === option[1]))
+                        .append(' ' + (option[1] === '' ? '—' : option[1]) + ' ')
+                        .append($('<em>').text('(' + strings['conflict_' + option[0]] + ')'))
+                        .appendTo($row)
+                        .after(' ');
+                });
+
+                $merge.append($row);
+            });
+
+            return $merge;
+        }
+
+        const merged = mergeList(base, mine, conflict.theirs);
+        const all = toList(conflict.theirs).concat(toList(mine))
+            .filter((item, index, list) => list.indexOf(item) === index);
+
+        all.forEach(function (item) {
+            $('<label class="lumaprfi-conflict-term">')
+                .append($('<input type="checkbox">').val(item).prop('checked', merged.includes(item)))
+                .append(' ')
+                .append(document.createTextNode(labels[item] || item))
+                .appendTo($merge);
+        });
+
+        return $merge;
+    }
+
+    function readMerge(entry) {
+        if (isRange(entry.data.value)) {
+            return {
+                min: $dialog.find('input[name="lumaprfi-merge-min"]:checked').val() || '',
+                max: $dialog.find('input[name="lumaprfi-merge-max"]:checked').val() || ''
+            };
+        }
+
+        return $dialog.find('.lumaprfi-conflict-term input:checked').map(function () {
+            return $(this).val();
+        }).get();
+    }
+
+    function close() {
+        if ($dialog) {
+            $dialog.remove();
+            $dialog = null;
+        }
+        $('body').removeClass('lumaprfi-modal-open');
+        showNext();
+    }
+
+    function save(entry, conflict, value) {
+        window.lumaProductFieldsInlineEditor.saveValue(
+            entry.data.product_id,
+            entry.data.field_slug,
+            value,
+            {
+                source: 'conflict',
+                revision: conflict.revision,
+                base: conflict.theirs
+            }
+        );
+        close();
+    }
+
+    function takeTheirs(entry, conflict) {
+        const $cell = window.lumaProductFieldsInlineEditor.findCell(entry.data.product_id, entry.data.field_slug);
+        if ($cell.length) {
+            $cell.html(conflict.theirs_html).attr('data-revision', conflict.revision || '');
+            window.lumaProductFieldsInlineEditor.showSaveGlow($cell);
+        }
+        close();
+    }
+
+    function show(entry, conflict) {
+        const labels = conflict.labels || {};
+        const mine = entry.data.value;
+        const mergeable = Array.isArray(mine) || Array.isArray(conflict.theirs) || isRange(mine);
+
+        $('body').addClass('lumaprfi-modal-open');
+
+        $dialog = $('<div class="lumaprfi-conflict-backdrop">').append(
+            $('<div class="lumaprfi-conflict-dialog" role="dialog" aria-modal="true" aria-labelledby="lumaprfi-conflict-title">')
+                .append($('<h2 id="lumaprfi-conflict-title">').text(strings.conflict_title))
+                .append($('<p class="lumaprfi-conflict-what">').text(describe(entry)))
+                .append($('<p>').text(conflict.error || ''))
+                .append(
+                    $('<table class="widefat lumaprfi-conflict-values">').append(
+                        $('<tr>')
+                            .append($('<th>').text(strings.conflict_theirs))
+                            .append($('<td>').text(formatValue(conflict.theirs, labels))),
+                        $('<tr>')
+                            .append($('<th>').text(strings.conflict_mine))
+                            .append($('<td>').text(formatValue(mine, labels)))
+                    )
+                )
+        );
+
+        const $inner = $dialog.find('.lumaprfi-conflict-dialog');
+
+        if (mergeable) {
+            $inner.append(buildMerge(entry, conflict));
+        }
+
+        const $buttons = $('<p class="lumaprfi-conflict-buttons">').appendTo($inner);
+
+        $('<button type="button" class="button">')
+            .text(strings.conflict_take_theirs)
+            .on('click', () => takeTheirs(entry, conflict))
+            .appendTo($buttons);
+
+        $('<button type="button" class="button">')
+            .text(strings.conflict_keep_mine)
+            .on('click', () => save(entry, conflict, mine))
+            .appendTo($buttons);
+
+        if (mergeable) {
+            $('<button type="button" class="button button-primary">')
+                .text(strings.conflict_save_merge)
+                .on('click', () => save(entry, conflict, readMerge(entry)))
+                .appendTo($buttons);
+        }
+
+        // Escape or a backdrop click counts as "take theirs": nothing is overwritten
+        $dialog.on('click', function (e) {
+            if (e.target === this) {
+                takeTheirs(entry, conflict);
+            }
+        }).on('keydown', function (e) {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                takeTheirs(entry, conflict);
+            }
+        });
+
+        $dialog.appendTo('body');
+        $buttons.find('button').last().trigger('focus');
+    }
+
+    function showNext() {
+        if ($dialog || !waiting.length) {
+            return;
+        }
+        const next = waiting.shift();
+        show(next.entry, next.conflict);
+    }
+
+    $(document).on('lumaprfi:save-conflict', function (e, entry, conflict) {
+        waiting.push({ entry: entry, conflict: conflict });
+        showNext();
+    });
+})(jQuery);
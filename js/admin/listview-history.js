@@ -0,0 +1,297 @@
+/**
+ * Undo/redo history for inline edits in the product fields overview (ListViewTable).
+ *
+ * Every save reported through `lumaprfi:field-saved` is recorded with its previous and
+ * new value. Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) step through the history, and the panel
+ * lists recent changes with a revert button per entry. Kept in sessionStorage so the
+ * history survives reloads within the browser session.
+ *
+ * Undo, redo and revert send the revision the value is expected to have on the server, so
+ * a change someone else made in the meantime is not overwritten but goes to the conflict
+ * dialog (listview-conflicts.js).
+ */
+(function ($) {
+    'use strict';
+
+    const STORAGE_KEY = 'luma_product_fields_inline_history';
+    const MAX_ENTRIES = 50;
+
+    const cfg = window.luma_product_fields_listview || {};
+    const strings = cfg.strings || {};
+
+    // entries: oldest first. position: number of entries currently applied, the rest can be redone.
+    let state = load();
+    let busy = false;
+
+    function load() {
+        try {
+            const stored = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY) || 'null');
+            if (stored && Array.isArray(stored.entries)) {
+                stored.position = Math.min(Math.max(parseInt(stored.position, 10) || 0, 0), stored.entries.length);
+                return stored;
+            }
+        } catch (e) {
+            // Storage unavailable or corrupt, start fresh
+        }
+        return { entries: [], position: 0, open: false };
+    }
+
+    function persist() {
+        try {
+            window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+        } catch (e) {
+            // Quota exceeded or storage disabled, history stays in memory only
+        }
+    }
+
+    function fieldLabel(fieldSlug) {
+        const $option = $('#lumaprfi-bulk-fill-field option').filter(function () {
+            return $(this).val() === fieldSlug;
+        });
+        return $option.length ? $option.text() : fieldSlug;
+    }
+
+    function productName(productId, fieldSlug) {
+        const $cell = window.lumaProductFieldsInlineEditor.findCell(productId, fieldSlug);
+        const name = $.trim($cell.closest('tr').find('td.column-name').text());
+        return name || ('#' + productId);
+    }
+
+    function record(data) {
+        state.entries = state.entries.slice(0, state.position);
+        state.entries.push({
+            time: Date.now(),
+            productId: data.productId,
+            fieldSlug: data.fieldSlug,
+            productName: productName(data.productId, data.fieldSlug),
+            fieldLabel: fieldLabel(data.fieldSlug),
+            previous: data.previous,
+            previousRevision: data.previousRevision,
+            value: data.value,
+            revision: data.revision,
+            previousText: data.previousText,
+            valueText: data.valueText
+        });
+
+        if (state.entries.length > MAX_ENTRIES) {
+            state.entries = state.entries.slice(-MAX_ENTRIES);
+        }
+        state.position = state.entries.length;
+
+        persist();
+        render();
+    }
+
+    // Save a value from the history without recording it as a new change. base and
+    // revision are the value it is expected to replace. An edit waiting in the save queue
+    // (save-queue.js) no longer blocks the history, the queue keeps the edits in order.
+    function apply(entry, value, base, revision) {
+        const request = window.lumaProductFieldsInlineEditor
+            .saveValue(entry.productId, entry.fieldSlug, value, { source: 'history', base: base, revision: revision });
+
+        busy = request;
+        return request
+            .progress(function (progress) {
+                if (progress === 'queued' && busy === request) {
+                    busy = false;
+                }
+            })
+            .always(function () {
+                if (busy === request) {
+                    busy = false;
+                }
+            });
+    }
+
+    // Move the position by delta once the save is done or queued, so a reload before the
+    // queue is flushed keeps the right position. Moved back if the queued save fails.
+    function step(entry, value, base, revision, delta) {
+        const from = state.position;
+        let moved = false;
+
+        function move() {
+            if (moved) {
+                return;
+            }
+            moved = true;
+            state.position = from + delta;
+            persist();
+            render();
+        }
+
+        apply(entry, value, base, revision)
+            .progress(function (progress) {
+                if (progress === 'queued') {
+                    move();
+                }
+            })
+            .done(move)
+            .fail(function () {
+                if (moved && state.position === from + delta && state.entries.indexOf(entry) !== -1) {
+                    state.position = from;
+                    persist();
+                    render();
+                }
+            });
+    }
+
+    function undo() {
+        if (busy || state.position === 0) {
+            return;
+        }
+        const entry = state.entries[state.position - 1];
+        step(entry, entry.previous, entry.value, entry.revision, -1);
+    }
+
+    function redo() {
+        if (busy || state.position >= state.entries.length) {
+            return;
+        }
+        const entry = state.entries[state.position];
+        step(entry, entry.value, entry.previous, entry.previousRevision, 1);
+    }
+
+    // Revert a single entry. Recorded as a new change, so it can be undone in turn.
+    function revert(index) {
+        const entry = state.entries[index];
+        if (busy || !entry) {
+            return;
+        }
+        busy = true;
+        window.lumaProductFieldsInlineEditor
+            .saveValue(entry.productId, entry.fieldSlug, entry.previous, { source: 'revert', base: entry.value, revision: entry.revision })
+            .always(function () {
+                busy = false;
+            });
+    }
+
+    function getPanel() {
+        let $panel = $('#lumaprfi-history-panel');
+        if ($panel.length) {
+            return $panel;
+        }
+
+        $panel = $(
+            '<div id="lumaprfi-history-panel" class="lumaprfi-history-panel">' +
+                '<div class="lumaprfi-history-header">' +
+                    '<strong class="lumaprfi-history-title"></strong>' +
+                    '<button type="button" class="button button-small lumaprfi-history-undo"></button>' +
+                    '<button type="button" class="button button-small lumaprfi-history-redo"></button>' +
+                    '<button type="button" class="button-link lumaprfi-history-clear"></button>' +
+                '</div>' +
+                '<ol class="lumaprfi-history-list"></ol>' +
+            '</div>'
+        );
+        $panel.find('.lumaprfi-history-title').text(strings.history_title);
+        $panel.find('.lumaprfi-history-undo').text(strings.history_undo);
+        $panel.find('.lumaprfi-history-redo').text(strings.history_redo);
+        $panel.find('.lumaprfi-history-clear').text(strings.history_clear);
+
+        return $panel.insertAfter('#luma-product-fields-fields-overview .tablenav.top');
+    }
+
+    function displayValue(text) {
+        return (text === undefined || text === null || text === '') ? '—' : text;
+    }
+
+    function render() {
+        $('#lumaprfi-history-toggle .lumaprfi-history-count').text(state.position);
+
+        const $panel = getPanel().toggle(!!state.open);
+        $panel.find('.lumaprfi-history-undo').prop('disabled', state.position === 0);
+        $panel.find('.lumaprfi-history-redo').prop('disabled', state.position >= state.entries.length);
+
+        const $list = $panel.find('.lumaprfi-history-list').empty();
+
+        if (!state.entries.length) {
+            $('<li class="lumaprfi-history-empty">').text(strings.history_empty).appendTo($list);
+            return;
+        }
+
+        // Newest first
+        for (let i = state.entries.length - 1; i >= 0; i--) {
+            const entry = state.entries[i];
+            const undone = i >= state.position;
+            const $item = $('<li>').toggleClass('is-undone', undone);
+
+            $('<span class="lumaprfi-history-what">')
+                .text(entry.productName + ' — ' + entry.fieldLabel + ': ')
+                .appendTo($item);
+            $('<del>').text(displayValue(entry.previousText)).appendTo($item);
+            $item.append(' → ');
+            $('<ins>').text(displayValue(entry.valueText)).appendTo($item);
+            $('<time class="lumaprfi-history-time">')
+                .text(new Date(entry.time).toLocaleTimeString())
+                .appendTo($item);
+
+            if (!undone) {
+                $('<button type="button" class="button-link lumaprfi-history-revert">')
+                    .text(strings.history_revert)
+                    .attr('data-index', i)
+                    .appendTo($item);
+            }
+
+            $item.appendTo($list);
+        }
+    }
+
+    $(document).on('lumaprfi:field-saved', function (e, data) {
+        if (data && data.source !== 'history') {
+            record(data);
+        }
+    });
+
+    $(document).on('click', '#lumaprfi-history-toggle', function (e) {
+        e.preventDefault();
+        state.open = !state.open;
+        persist();
+        render();
+    });
+
+    $(document).on('click', '.lumaprfi-history-undo', undo);
+    $(document).on('click', '.lumaprfi-history-redo', redo);
+
+    $(document).on('click', '.lumaprfi-history-clear', function () {
+        state.entries = [];
+        state.position = 0;
+        persist();
+        render();
+    });
+
+    $(document).on('click', '.lumaprfi-history-revert', function () {
+        revert(parseInt($(this).attr('data-index'), 10));
+    });
+
+    // Ctrl+Z undo, Ctrl+Shift+Z / Ctrl+Y redo. Native undo wins inside form controls and the editor.
+    $(document).on('keydown', function (e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) {
+            return;
+        }
+
+        const key = String(e.key || '').toLowerCase();
+        if (key !== 'z' && key !== 'y') {
+            return;
+        }
+
+        if ($(e.target).is('input, textarea, select, [contenteditable]') || $('.lumaprfi-floating-editor').length) {
+            return;
+        }
+        if ($('body').hasClass('lumaprfi-modal-open')) {
+            return;
+        }
+
+        e.preventDefault();
+
+        if (key === 'y' || e.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+    });
+
+    $(function () {
+        if ($('#luma-product-fields-fields-overview .tablenav.top').length) {
+            render();
+        }
+    });
+})(jQuery);
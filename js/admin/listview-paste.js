@@ -0,0 +1,640 @@
+/**
+ * Paste spreadsheet data (TSV from Excel / Google Sheets) into the product fields overview.
+ *
+ * Click a cell, then paste: the clipboard is parsed as tab separated rows and mapped onto
+ * the table starting at that cell, by column order or by matching a header row to the
+ * column labels. A preview validates every cell for its field type before anything is
+ * saved. Valid cells are then saved in batches through bulk_save_cells, each with the
+ * revision of the value shown, so a value changed by someone else in the meantime goes
+ * to the conflict dialog instead of being overwritten. Autocomplete values that are not
+ * an existing term are created on save, like new tags picked in the autocomplete editor.
+ */
+(function ($) {
+    'use strict';
+
+    const LIST_SEPARATOR = /\s*[;,|]\s*/;
+    const RANGE_PATTERN = /^(-?\d+(?:[.,]\d+)?)\s*(?:-|–|—|to)\s*(-?\d+(?:[.,]\d+)?)$/i;
+    const TERM_TYPES = ['single', 'multiple', 'autocomplete'];
+    const RESOLVE_CHUNK = 100;
+
+    const cfg = window.luma_product_fields_listview || {};
+    const strings = cfg.strings || {};
+    const ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
+
+    // field slug => { pasted value => term slug | null }
+    const termCache = {};
+    let $dialog = null;
+
+    function editor() {
+        return window.lumaProductFieldsInlineEditor;
+    }
+
+    function format(template, ...args) {
+        let i = 0;
+        return String(template || '')
+            .replace(/%(\d+)\$[sd]/g, (m, n) => args[parseInt(n, 10) - 1])
+            .replace(/%[sd]/g, () => args[i++]);
+    }
+
+    function fold(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+    }
+
+    function escapeRegExp(text) {
+        return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Parse tab separated text. Handles quoted cells with tabs, newlines and "" escapes,
+     * which spreadsheets produce for multi-line cells.
+     *
+     * @return {string[][]}
+     */
+    function parseTsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+
+        text = String(text).replace(/\r\n?/g, '\n');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === '\t') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n') {
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        // Spreadsheets end the copied range with a newline
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    }
+
+    // Field columns in their current (visible) order, see listview-columns.js
+    function getColumns() {
+        const $table = $('#luma-product-fields-fields-overview table.wp-list-table');
+
+        return $table.find('thead tr').first().children('th:visible').map(function () {
+            const match = String(this.className || '').match(/(?:^|\s)column-lpftbl_([a-z0-9_-]+)/i);
+            if (!match) {
+                return null;
+            }
+
+            const slug = match[1];
+            const $cell = $table.find('.lumaprfi-editable').filter(function () {
+                return $(this).data('field-slug') === slug;
+            }).first();
+            if (!$cell.length) {
+                return null;
+            }
+
+            const $header = $(this);
+            return {
+                slug: slug,
+                label: $.trim($header.find('a span').first().text() || $header.text()),
+                type: String($cell.data('field-type') || 'text'),
+                unit: String($cell.data('field-unit') || '')
+            };
+        }).get();
+    }
+
+    // Visible rows with editable cells, from the anchor row down
+    function getTargetRows($anchor) {
+        const $rows = $anchor.closest('tbody').children('tr:visible').filter(function () {
+            return $(this).find('.lumaprfi-editable').length > 0;
+        });
+        return $rows.slice(Math.max(0, $rows.index($anchor.closest('tr')))).get().map(row => $(row));
+    }
+
+    function guessHeader(firstRow, columns) {
+        return firstRow.some(function (text) {
+            return text !== '' && columns.some(column => fold(column.label) === fold(text) || column.slug === fold(text));
+        });
+    }
+
+    function defaultMapping(state) {
+        const width = Math.max(...state.rows.map(row => row.length));
+        const mapping = [];
+
+        if (state.hasHeader) {
+            for (let i = 0; i < width; i++) {
+                const text = fold(state.rows[0][i] || '');
+                const column = state.columns.find(candidate => fold(candidate.label) === text || candidate.slug === text);
+                mapping.push(column ? column.slug : '');
+            }
+            return mapping;
+        }
+
+        const start = Math.max(0, state.columns.findIndex(column => column.slug === state.anchorSlug));
+        for (let i = 0; i < width; i++) {
+            const column = state.columns[start + i];
+            mapping.push(column ? column.slug : '');
+        }
+        return mapping;
+    }
+
+    function splitList(raw) {
+        return raw.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+    }
+
+    function stripUnit(raw, unit) {
+        return unit ? raw.replace(new RegExp('\\s*' + escapeRegExp(unit) + '$', 'i'), '') : raw;
+    }
+
+    function validate(value, column) {
+        const validation = window.lumaProductFieldsValidation;
+        return validation ? validation.validateValue(value, { slug: column.slug, type: column.type, unit: column.unit }) : [];
+    }
+
+    /**
+     * Turn a pasted string into the value inline_save_field expects for the column.
+     *
+     * @return {{value: *, errors: string[], created: string[]}}
+     */
+    function convert(raw, column) {
+        const result = { value: raw, errors: [], created: [] };
+        const terms = termCache[column.slug] || {};
+
+        switch (column.type) {
+            case 'number':
+            case 'integer':
+                result.value = stripUnit(raw, column.unit);
+                break;
+
+            case 'minmax': {
+                const stripped = stripUnit(raw, column.unit);
+                const range = stripped.match(RANGE_PATTERN);
+                if (range) {
+                    result.value = { min: range[1], max: range[2] };
+                } else if (stripped === '') {
+                    result.value = { min: '', max: '' };
+                } else if (/^-?\d+(?:[.,]\d+)?$/.test(stripped)) {
+                    result.value = { min: stripped, max: stripped };
+                } else {
+                    result.errors.push(strings.paste_invalid_range);
+                    return result;
+                }
+                break;
+            }
+
+            case 'single':
+            case 'multiple':
+            case 'autocomplete': {
+                const items = column.type === 'single' ? (raw === '' ? [] : [raw]) : splitList(raw);
+                result.value = items.map(function (item) {
+                    if (terms[item]) {
+                        return terms[item];
+                    }
+                    if (column.type === 'autocomplete') {
+                        result.created.push(item);
+                    } else {
+                        result.errors.push(format(strings.paste_unknown_term, item));
+                    }
+                    return item;
+                });
+                if (column.type === 'single') {
+                    result.value = result.value[0] || '';
+                }
+                break;
+            }
+        }
+
+        result.errors = result.errors.concat(validate(result.value, column));
+        return result;
+    }
+
+    // Ask the server which pasted values are existing terms, for the mapped taxonomy columns
+    function resolveTerms(state) {
+        const requests = [];
+
+        state.mapping.forEach(function (slug, index) {
+            const column = state.columns.find(candidate => candidate.slug === slug);
+            if (!column || !TERM_TYPES.includes(column.type)) {
+                return;
+            }
+
+            const cache = termCache[slug] = termCache[slug] || {};
+            const values = [];
+
+            dataRows(state).forEach(function (row) {
+                const raw = $.trim(row[index] || '');
+                const items = column.type === 'single' ? [raw] : splitList(raw);
+                items.forEach(function (item) {
+                    if (item !== '' && !(item in cache) && !values.includes(item)) {
+                        values.push(item);
+                    }
+                });
+            });
+
+            for (let i = 0; i < values.length; i += RESOLVE_CHUNK) {
+                const chunk = values.slice(i, i + RESOLVE_CHUNK);
+                requests.push(
+                    $.post(ajaxdata.ajaxurl, {
+                        action: ajaxdata.action,
+                        nonce: ajaxdata.nonce,
+                        luma_product_fields_action: 'resolve_terms',
+                        field_slug: slug,
+                        values: chunk
+                    }).then(function (response) {
+                        if (!response || !response.success) {
+                            return $.Deferred().reject(response).promise();
+                        }
+                        chunk.forEach(item => (cache[item] = response.data.matches[item] || null));
+                    })
+                );
+            }
+        });
+
+        return $.when.apply($, requests);
+    }
+
+    function dataRows(state) {
+        return state.hasHeader ? state.rows.slice(1) : state.rows;
+    }
+
+    /**
+     * Work out what happens to every pasted cell.
+     *
+     * Statuses: ok, created (new autocomplete term), error, skip (empty cell), missing (the
+     * row has no such field). Rows below the last row on this page are left out.
+     */
+    function buildPlan(state) {
+        const targetRows = getTargetRows(state.$anchor);
+
+        return dataRows(state).slice(0, targetRows.length).map(function (row, rowIndex) {
+            const $row = targetRows[rowIndex];
+
+            return {
+                name: $.trim($row.find('td.column-name').text()),
+                cells: state.mapping.map(function (slug, index) {
+                    const raw = $.trim(row[index] || '');
+                    const column = state.columns.find(candidate => candidate.slug === slug);
+
+                    if (!column) {
+                        return null;
+                    }
+
+                    const plan = { raw: raw, column: column, status: 'ok', messages: [] };
+                    const $cell = $row.find('.lumaprfi-editable').filter(function () {
+                        return $(this).data('field-slug') === slug;
+                    }).first();
+
+                    if (!$cell.length) {
+                        plan.status = 'missing';
+                        plan.messages.push(strings.paste_not_editable);
+                        return plan;
+                    }
+
+                    plan.productId = $cell.data('product-id');
+
+                    if (raw === '' && !state.clearEmpty) {
+                        plan.status = 'skip';
+                        return plan;
+                    }
+
+                    const converted = convert(raw, column);
+                    plan.value = converted.value;
+
+                    if (converted.errors.length) {
+                        plan.status = 'error';
+                        plan.messages = converted.errors;
+                    } else if (converted.created.length) {
+                        plan.status = 'created';
+                        plan.messages.push(format(strings.paste_new_terms, converted.created.join(', ')));
+                    }
+
+                    return plan;
+                })
+            };
+        });
+    }
+
+    function close() {
+        if ($dialog) {
+            $dialog.remove();
+            $dialog = null;
+        }
+        $('body').removeClass('lumaprfi-modal-open');
+    }
+
+    function renderPreview(state) {
+        const plan = buildPlan(state);
+        const counts = { ok: 0, created: 0, error: 0, skip: 0, missing: 0 };
+        const $table = $('<table class="widefat striped lumaprfi-paste-preview">');
+        const $head = $('<tr>').append($('<th>').text(strings.paste_product));
+
+        state.mapping.forEach(function (slug, index) {
+            const $select = $('<select class="lumaprfi-paste-map">')
+                .attr({ 'data-index': index, 'aria-label': format(strings.paste_column, index + 1) })
+                .append($('<option value="">').text(strings.paste_skip_column));
+
+            state.columns.forEach(function (column) {
+                $('<option>').val(column.slug).text(column.label).appendTo($select);
+            });
+
+            $head.append($('<th>').append($select.val(slug)));
+        });
+        $table.append($('<thead>').append($head));
+
+        const $body = $('<tbody>').appendTo($table);
+        plan.forEach(function (row) {
+            const $row = $('<tr>').append($('<th scope="row">').text(row.name || '—'));
+
+            row.cells.forEach(function (cell) {
+                const $cell = $('<td>').appendTo($row);
+                // Unmapped column
+                if (!cell) {
+                    $cell.addClass('lumaprfi-paste-unmapped');
+                    return;
+                }
+                counts[cell.status]++;
+                $cell
+                    .addClass('lumaprfi-paste-' + cell.status)
+                    .attr('title', cell.messages.join(' '))
+                    .text(cell.raw === '' ? '—' : cell.raw);
+            });
+
+            $body.append($row);
+        });
+
+        const saveable = counts.ok + counts.created;
+        const extraRows = dataRows(state).length - plan.length;
+        let summary = format(strings.paste_summary, saveable, counts.error, counts.missing, counts.skip);
+
+        if (extraRows > 0) {
+            summary += ' ' + format(strings.paste_extra_rows, extraRows);
+        }
+
+        $dialog.find('.lumaprfi-paste-table').empty().append($table);
+        $dialog.find('.lumaprfi-paste-summary').text(summary);
+        $dialog.find('.lumaprfi-paste-commit')
+            .prop('disabled', !saveable)
+            .text(format(strings.paste_commit, saveable))
+            .off('click')
+            .on('click', () => commit(plan));
+    }
+
+    function refresh(state) {
+        $dialog.find('.lumaprfi-paste-commit').prop('disabled', true);
+        $dialog.find('.lumaprfi-paste-summary').text(strings.paste_checking);
+
+        resolveTerms(state)
+            .done(function () {
+                if ($dialog) {
+                    renderPreview(state);
+                }
+            })
+            .fail(function (response) {
+                window.lumaProductFieldsNotices.error(response, { retry: () => refresh(state) });
+                if ($dialog) {
+                    renderPreview(state);
+                }
+            });
+    }
+
+    function commit(plan) {
+        const cells = [];
+        plan.forEach(function (row) {
+            row.cells.forEach(function (cell) {
+                if (cell && (cell.status === 'ok' || cell.status === 'created')) {
+                    cells.push(cell);
+                }
+            });
+        });
+
+        close();
+
+        const batchSize = Math.max(1, parseInt(cfg.paste_batch_size, 10) || 50);
+        let done = 0;
+        let saved = 0;
+        let failed = 0;
+        const errors = [];
+
+        cells.forEach(function (cell) {
+            cell.$target = editor().findCell(cell.productId, cell.column.slug).addClass('lumaprfi-cell-pending');
+        });
+
+        function next() {
+            if (done >= cells.length) {
+                // The distinct reasons cells failed, the first few are enough
+                window.lumaProductFieldsNotices.show({
+                    type: failed ? 'warning' : 'success',
+                    message: [format(strings.paste_done, saved, failed)].concat(errors.slice(0, 3)).join(' ')
+                });
+                return;
+            }
+
+            const batch = cells.slice(done, done + batchSize);
+
+            saveBatch(batch).done(function (response) {
+                if (!response || !response.success) {
+                    window.lumaProductFieldsNotices.error(response);
+                }
+                const results = (response && response.success && response.data.results) || [];
+
+                batch.forEach(function (cell, index) {
+                    const result = results[index];
+
+                    if (applyResult(cell, result)) {
+                        saved++;
+                        return;
+                    }
+                    failed++;
+                    if (result && result.error && result.code !== 'conflict' && !errors.includes(result.error)) {
+                        errors.push(result.error);
+                    }
+                });
+            }).fail(function (xhr) {
+                window.lumaProductFieldsNotices.error(xhr);
+                batch.forEach(function (cell) {
+                    applyResult(cell, null);
+                    failed++;
+                });
+            }).always(function () {
+                done += batch.length;
+                next();
+            });
+        }
+
+        next();
+    }
+
+    // jQuery drops empty arrays from POST data, send '' so the field is cleared
+    function postValue(value) {
+        return (value === null || value === undefined || (Array.isArray(value) && !value.length)) ? '' : value;
+    }
+
+    // Each cell is sent with the revision of the value shown when pasting
+    function saveBatch(batch) {
+        return $.post(ajaxdata.ajaxurl, {
+            action: ajaxdata.action,
+            nonce: ajaxdata.nonce,
+            luma_product_fields_action: 'bulk_save_cells',
+            cells: batch.map(cell => ({
+                product_id: cell.productId,
+                field_slug: cell.column.slug,
+                value: postValue(cell.value),
+                revision: cell.$target.attr('data-revision') || ''
+            }))
+        });
+    }
+
+    // Update the cell from its bulk_save_cells result. Returns whether it was saved.
+    function applyResult(cell, result) {
+        const $cell = cell.$target.removeClass('lumaprfi-cell-pending');
+
+        if (result && result.success) {
+            const previousText = $.trim($cell.text());
+            $cell.html(result.html).attr('data-revision', result.revision || '');
+            editor().showSaveGlow($cell);
+
+            (result.terms || []).forEach(function (term) {
+                window.lumaProductFieldsTermCache.addTerm(cell.column.slug, term);
+            });
+
+            $(document).trigger('lumaprfi:field-saved', [{
+                productId: cell.productId,
+                fieldSlug: cell.column.slug,
+                previous: result.previous,
+                previousRevision: result.previous_revision,
+                value: result.value,
+                revision: result.revision,
+                previousText: previousText,
+                valueText: $.trim($cell.text()),
+                source: 'paste'
+            }]);
+            return true;
+        }
+
+        // Changed by someone else since the page loaded: let the conflict dialog resolve it
+        if (result && result.code === 'conflict') {
+            $(document).trigger('lumaprfi:save-conflict', [{
+                data: { product_id: cell.productId, field_slug: cell.column.slug, value: cell.value },
+                context: { source: 'paste', base: null }
+            }, result.conflict]);
+            return false;
+        }
+
+        $cell.removeClass('lumaprfi-save-fail lumaprfi-save-glow-reset').addClass('lumaprfi-save-fail');
+        setTimeout(() => $cell.addClass('lumaprfi-save-glow-reset'), 1000);
+        setTimeout(() => $cell.removeClass('lumaprfi-save-fail lumaprfi-save-glow-reset'), 3000);
+        return false;
+    }
+
+    function open($anchor, text) {
+        const rows = parseTsv(text);
+        const columns = getColumns();
+
+        if (!rows.length || !columns.length) {
+            return;
+        }
+
+        const state = {
+            $anchor: $anchor,
+            anchorSlug: $anchor.data('field-slug'),
+            rows: rows,
+            columns: columns,
+            hasHeader: rows.length > 1 && guessHeader(rows[0], columns),
+            clearEmpty: false,
+            mapping: []
+        };
+        state.mapping = defaultMapping(state);
+
+        $('body').addClass('lumaprfi-modal-open');
+
+        $dialog = $(
+            '<div class="lumaprfi-conflict-backdrop lumaprfi-paste-backdrop">' +
+                '<div class="lumaprfi-conflict-dialog lumaprfi-paste-dialog" role="dialog" aria-modal="true" aria-labelledby="lumaprfi-paste-title">' +
+                    '<h2 id="lumaprfi-paste-title"></h2>' +
+                    '<p class="lumaprfi-paste-options">' +
+                        '<label><input type="checkbox" class="lumaprfi-paste-header"> <span></span></label> ' +
+                        '<label><input type="checkbox" class="lumaprfi-paste-clear"> <span></span></label>' +
+                    '</p>' +
+                    '<div class="lumaprfi-paste-table"></div>' +
+                    '<p class="lumaprfi-paste-summary" aria-live="polite"></p>' +
+                    '<p class="lumaprfi-conflict-buttons">' +
+                        '<button type="button" class="button lumaprfi-paste-cancel"></button>' +
+                        '<button type="button" class="button button-primary lumaprfi-paste-commit"></button>' +
+                    '</p>' +
+                '</div>' +
+            '</div>'
+        );
+
+        $dialog.find('h2').text(format(strings.paste_title, rows.length));
+        $dialog.find('.lumaprfi-paste-header').prop('checked', state.hasHeader).next().text(strings.paste_has_header);
+        $dialog.find('.lumaprfi-paste-clear').next().text(strings.paste_clear_empty);
+        $dialog.find('.lumaprfi-paste-cancel').text(strings.paste_cancel).on('click', close);
+
+        $dialog.on('change', '.lumaprfi-paste-header', function () {
+            state.hasHeader = this.checked;
+            state.mapping = defaultMapping(state);
+            refresh(state);
+        });
+
+        $dialog.on('change', '.lumaprfi-paste-clear', function () {
+            state.clearEmpty = this.checked;
+            renderPreview(state);
+        });
+
+        $dialog.on('change', '.lumaprfi-paste-map', function () {
+            state.mapping[parseInt($(this).attr('data-index'), 10)] = $(this).val();
+            refresh(state);
+        });
+
+        $dialog.on('keydown', function (e) {
+            if (e.key === 'Escape') {
+                e.stopPropagation();
+                close();
+            }
+        });
+
+        $dialog.appendTo('body');
+        $dialog.find('.lumaprfi-paste-cancel').trigger('focus');
+        refresh(state);
+    }
+
+    // Paste with a selected cell and no editor open
+    $(document).on('paste', function (e) {
+        if (!editor() || editor().isOpen() || $dialog || $('body').hasClass('lumaprfi-modal-open')) {
+            return;
+        }
+        if ($(e.target).is('input, textarea, select, [contenteditable]')) {
+            return;
+        }
+
+        const $anchor = editor().activeCell();
+        const clipboard = e.originalEvent && e.originalEvent.clipboardData;
+        const text = clipboard ? clipboard.getData('text/plain') : '';
+
+        if (!$anchor.length || !$.contains(document, $anchor[0]) || !text) {
+            return;
+        }
+
+        e.preventDefault();
+        open($anchor, text);
+    });
+})(jQuery);
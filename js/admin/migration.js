@@ -0,0 +1,543 @@
+/**
+ * Legacy meta migration page (see MigrationPage).
+ *
+ * Picking a legacy meta key for a field (or changing its options, unit aliases or
+ * extraction rule) loads a sample from the migration_sample endpoint: how many products
+ * would migrate or fail, and the most common values with their parsed result or reason.
+ *
+ * The mapping in #lumaprfi-migration-form is sent batch by batch to the migration_batch
+ * endpoint, first as a preview (dry run) and, once that preview was run for the current
+ * mapping, as the real migration. Each batch answers with the ID to continue after and a
+ * log row per product and field, which fill the progress bar, the per-field counters and
+ * the log. A migration can be paused between batches and resumed later.
+ *
+ * Every migration is recorded as a run; its row in the runs table is updated after each
+ * batch and "Roll back" restores the previous values through migration_rollback.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_migration || {};
+    const strings = cfg.strings || {};
+    const statuses = cfg.statuses || {};
+    const ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
+    const MAX_LOG_ROWS = parseInt(cfg.max_log_rows, 10) || 1000;
+
+    // Log row classes, as used by the summary table styles
+    const STATUS_CLASSES = {
+        migrated: 'lumaprfi-status-migrated',
+        'dry-run': 'lumaprfi-status-dry-run',
+        external: 'lumaprfi-status-external',
+        existing: 'lumaprfi-status-skipped-exists',
+        failed: 'lumaprfi-status-skipped',
+        changed: 'lumaprfi-status-skipped-exists'
+    };
+
+    // The running (or paused) preview, migration or rollback
+    let job = null;
+
+    // Mapping the last finished preview ran with; the migration may only run with that one
+    let previewed = null;
+
+    function format(text) {
+        const args = Array.prototype.slice.call(arguments, 1);
+        let next = 0;
+
+        return String(text || '').replace(/%(?:(\d+)\$)?d/g, function (match, position) {
+            const value = position ? args[position - 1] : args[next++];
+            return String(value === undefined ? '' : value);
+        });
+    }
+
+    function post(data) {
+        return $.post(ajaxdata.ajaxurl, $.extend({
+            action: ajaxdata.action,
+            nonce: ajaxdata.nonce
+        }, data));
+    }
+
+    /**
+     * The mapping of one field row, as expected by MigrationPage::read_mapping().
+     *
+     * @param {jQuery} $row tr.lumaprfi-migration-field
+     * @return {Object|null} Null when no meta key is selected.
+     */
+    function readRow($row) {
+        const metaKey = String($row.find('.lumaprfi-migration-meta-key').val() || '');
+
+        if (metaKey === '') {
+            return null;
+        }
+
+        return {
+            field: String($row.data('field')),
+            label: $row.find('td').first().find('strong').text().trim(),
+            meta_key: metaKey,
+            number_index: parseInt($row.find('[data-option="number_index"]').val(), 10) || 0,
+            match_unit: $row.find('[data-option="match_unit"]').is(':checked'),
+            include_variations: $row.find('[data-option="include_variations"]').is(':checked'),
+            unit_aliases: String($row.find('[data-option="unit_aliases"]').val() || '').trim(),
+            regex: String($row.find('[data-option="regex"]').val() || '').trim()
+        };
+    }
+
+    function readMapping() {
+        return $('#lumaprfi-migration-form .lumaprfi-migration-field').map(function () {
+            return readRow($(this));
+        }).get();
+    }
+
+    function mappingKey(mapping, skipExisting) {
+        return JSON.stringify({ mapping: mapping, skip: skipExisting });
+    }
+
+    function currentKey() {
+        return mappingKey(readMapping(), $('#lumaprfi-migration-skip-existing').is(':checked'));
+    }
+
+    function updateButtons() {
+        const $form = $('#lumaprfi-migration-form');
+        const running = !!job && !job.paused;
+
+        $form.find('.lumaprfi-migration-preview').prop('disabled', running);
+        $form.find('.lumaprfi-migration-start').prop('disabled', running || previewed === null || previewed !== currentKey());
+        $form.find('.lumaprfi-migration-pause')
+            .prop('hidden', !job || job.kind === 'rollback')
+            .prop('disabled', false)
+            .text(job && job.paused ? strings.resume : strings.pause);
+        $form.find('.spinner').toggleClass('is-active', running);
+        $('.lumaprfi-migration-rollback').prop('disabled', running);
+    }
+
+    function resetRunner(title) {
+        const $runner = $('.lumaprfi-migration-runner').prop('hidden', false);
+
+        $runner.find('.lumaprfi-migration-title').text(title);
+        $runner.find('.lumaprfi-migration-progress').attr('value', 0).removeAttr('data-done');
+        $runner.find('.lumaprfi-migration-progress-text').text('');
+        $runner.find('.lumaprfi-migration-counters tbody').empty();
+        $runner.find('.lumaprfi-migration-log tbody').empty();
+        $runner.find('.lumaprfi-migration-log-truncated').remove();
+    }
+
+    function updateProgress(done, total, text) {
+        const $runner = $('.lumaprfi-migration-runner');
+        const percent = total > 0 ? Math.min(100, Math.round(done / total * 100)) : 100;
+
+        $runner.find('.lumaprfi-migration-progress').attr('value', percent);
+        $runner.find('.lumaprfi-migration-progress-text').text(text);
+    }
+
+    function renderCounters() {
+        const $tbody = $('.lumaprfi-migration-counters tbody').empty();
+
+        job.mapping.forEach(function (config) {
+            const counts = job.counts[config.field];
+
+            $('<tr>')
+                .append($('<td>').text(config.label || config.field))
+                .append($('<td>').text(counts.ok))
+                .append($('<td>').text(counts.existing))
+                .append($('<td>').text(counts.failed))
+                .appendTo($tbody);
+        });
+    }
+
+    function productCell(row) {
+        const $cell = $('<td>');
+        const text = '#' + row.product_id + (row.product ? ' ' + row.product : '');
+
+        if (row.edit_url) {
+            $('<a target="_blank" rel="noopener">').attr('href', row.edit_url).text(text).appendTo($cell);
+        } else {
+            $cell.text(text);
+        }
+        return $cell;
+    }
+
+    function appendLogRows(rows) {
+        const $table = $('.lumaprfi-migration-log');
+        const $tbody = $table.find('tbody');
+
+        rows.forEach(function (row) {
+            $('<tr>')
+                .addClass(STATUS_CLASSES[row.status] || '')
+                .toggleClass('lumaprfi-migration-failure', row.status === 'failed' || row.status === 'changed')
+                .append(productCell(row))
+                .append($('<td>').text(row.label || row.field))
+                .append($('<td>').text(statuses[row.status] || row.status))
+                .append($('<td>').text(row.original || ''))
+                .append($('<td>').text(row.new || ''))
+                .append($('<td>').text(row.reason || ''))
+                .appendTo($tbody);
+        });
+
+        // Keep the page responsive on large catalogs: drop the oldest rows
+        const $rows = $tbody.children();
+        if ($rows.length > MAX_LOG_ROWS) {
+            $rows.slice(0, $rows.length - MAX_LOG_ROWS).remove();
+
+            if (!$table.siblings('.lumaprfi-migration-log-truncated').length) {
+                $('<p class="description lumaprfi-migration-log-truncated">').text(strings.log_truncated).insertBefore($table);
+            }
+        }
+    }
+
+    function updateRunRow(html) {
+        if (!html) {
+            return;
+        }
+
+        const $row = $(html);
+        const $wrap = $('.lumaprfi-migration-runs-wrap').prop('hidden', false);
+        const $existing = $wrap.find('tr[data-run="' + $row.data('run') + '"]');
+
+        if ($existing.length) {
+            $existing.replaceWith($row);
+        } else {
+            $wrap.find('.lumaprfi-migration-runs tbody').prepend($row);
+        }
+    }
+
+    function finish() {
+        if (job.kind === 'preview') {
+            previewed = job.key;
+        }
+
+        $('.lumaprfi-migration-progress').attr('data-done', '1');
+        $('.lumaprfi-migration-progress-text').text(
+            format(strings.progress, job.processed, job.total) + ' ' + strings.done
+        );
+
+        job = null;
+        updateButtons();
+    }
+
+    function fail(response) {
+        job.paused = true;
+        updateButtons();
+        $('.lumaprfi-migration-progress-text').append(' ' + strings.paused);
+
+        window.lumaProductFieldsNotices.error(response, { retry: resume });
+    }
+
+    function nextBatch() {
+        if (job.paused) {
+            $('.lumaprfi-migration-progress-text').append(' ' + strings.paused);
+            updateButtons();
+            return;
+        }
+
+        post({
+            luma_product_fields_action: 'migration_batch',
+            mapping: JSON.stringify(job.mapping),
+            skip_existing: job.skipExisting ? 1 : 0,
+            dry_run: job.kind === 'preview' ? 1 : 0,
+            after_id: job.afterId,
+            run_id: job.runId
+        }).done(function (response) {
+            if (!response || !response.success) {
+                fail(response);
+                return;
+            }
+
+            const data = response.data;
+            if (data.total !== null && data.total !== undefined) {
+                job.total = parseInt(data.total, 10) || 0;
+            }
+            job.runId = data.run_id || job.runId;
+            job.afterId = data.last_id;
+            job.processed = Math.min(job.total, job.processed + (parseInt(data.processed, 10) || 0));
+
+            (data.rows || []).forEach(function (row) {
+                const counts = job.counts[row.field];
+                if (!counts) {
+                    return;
+                }
+                if (row.status === 'existing') {
+                    counts.existing++;
+                } else if (row.status === 'failed') {
+                    counts.failed++;
+                } else {
+                    counts.ok++;
+                }
+            });
+
+            renderCounters();
+            appendLogRows(data.rows || []);
+            updateRunRow(data.run_row);
+            updateButtons();
+            updateProgress(job.processed, job.total, format(strings.progress, job.processed, job.total));
+
+            if (data.done) {
+                finish();
+            } else {
+                nextBatch();
+            }
+        }).fail(fail);
+    }
+
+    function sampleTable(title, items, failures) {
+        const $table = $('<table class="widefat fixed luma-product-fields-summary-table lumaprfi-migration-samples">');
+        const $head = $('<tr>')
+            .append($('<th>').text(strings.raw))
+            .append($('<th>').text(failures ? strings.reason : strings.parsed))
+            .append($('<th class="lumaprfi-migration-sample-count">').text(strings.products));
+
+        $table.append($('<thead>').append($head));
+
+        const $tbody = $('<tbody>').appendTo($table);
+        items.forEach(function (item) {
+            const $raw = $('<td>');
+            if (item.edit_url) {
+                $('<a target="_blank" rel="noopener">').attr('href', item.edit_url).text(item.raw).appendTo($raw);
+            } else {
+                $raw.text(item.raw);
+            }
+
+            $('<tr>')
+                .addClass(failures ? STATUS_CLASSES.failed : STATUS_CLASSES['dry-run'])
+                .append($raw)
+                .append($('<td>').text(failures ? '\u2715 ' + item.reason : item.parsed))
+                .append($('<td class="lumaprfi-migration-sample-count">').text(item.products))
+                .appendTo($tbody);
+        });
+
+        return $('<div class="lumaprfi-migration-sample-part">').append($('<h4>').text(title)).append($table);
+    }
+
+    function renderSample($cell, data) {
+        const $counts = $('<p class="lumaprfi-migration-sample-counts">')
+            .append($('<span class="luma-product-fields-count lumaprfi-count-green">').text(data.succeed))
+            .append(document.createTextNode(strings.would_succeed + ' '))
+            .append($('<span class="luma-product-fields-count lumaprfi-count-gray">').text(data.fail))
+            .append(document.createTextNode(strings.would_fail));
+
+        $cell.empty().append($counts);
+
+        if (!data.samples.length && !data.failures.length) {
+            $cell.append($('<p class="description">').text(strings.no_values));
+            return;
+        }
+        if (data.truncated) {
+            $cell.append($('<p class="description">').text(format(strings.sample_truncated, data.distinct)));
+        }
+
+        const $parts = $('<div class="lumaprfi-migration-sample-parts">').appendTo($cell);
+        if (data.failures.length) {
+            $parts.append(sampleTable(strings.failures, data.failures, true));
+        }
+        if (data.samples.length) {
+            $parts.append(sampleTable(strings.samples, data.samples, false));
+        }
+    }
+
+    /**
+     * Show how the values of the selected meta key would be transformed for a field row.
+     *
+     * @param {jQuery} $row tr.lumaprfi-migration-field
+     */
+    function loadSample($row) {
+        const config = readRow($row);
+        const $sampleRow = $row.next('.lumaprfi-migration-sample');
+        const $cell = $sampleRow.children('td');
+        const request = ($sampleRow.data('request') || 0) + 1;
+
+        $sampleRow.data('request', request);
+
+        if (!config) {
+            $sampleRow.prop('hidden', true);
+            $cell.empty();
+            return;
+        }
+
+        $sampleRow.prop('hidden', false);
+        $cell.html(ajaxdata.spinner || '');
+
+        post({
+            luma_product_fields_action: 'migration_sample',
+            mapping: JSON.stringify([config])
+        }).done(function (response) {
+            // A newer request for this row is on its way
+            if ($sampleRow.data('request') !== request) {
+                return;
+            }
+            if (!response || !response.success) {
+                $cell.empty();
+                window.lumaProductFieldsNotices.error(response, { retry: () => loadSample($row) });
+                return;
+            }
+            renderSample($cell, response.data);
+        }).fail(function (xhr) {
+            if ($sampleRow.data('request') !== request) {
+                return;
+            }
+            $cell.empty();
+            window.lumaProductFieldsNotices.error(xhr, { retry: () => loadSample($row) });
+        });
+    }
+
+    /**
+     * Start a preview or migration of the mapping in the form.
+     *
+     * @param {string} kind 'preview' or 'migrate'.
+     */
+    function start(kind) {
+        const mapping = readMapping();
+        const skipExisting = $('#lumaprfi-migration-skip-existing').is(':checked');
+
+        if (!mapping.length) {
+            window.lumaProductFieldsNotices.error(strings.no_mapping);
+            return;
+        }
+        if (kind === 'migrate' && !window.confirm(strings.confirm_migrate)) {
+            return;
+        }
+
+        job = {
+            kind: kind,
+            key: mappingKey(mapping, skipExisting),
+            mapping: mapping,
+            skipExisting: skipExisting,
+            afterId: 0,
+            runId: '',
+            total: 0,
+            processed: 0,
+            paused: false,
+            counts: {}
+        };
+        mapping.forEach(function (config) {
+            job.counts[config.field] = { ok: 0, existing: 0, failed: 0 };
+        });
+
+        resetRunner(kind === 'preview' ? strings.preview_title : strings.migrate_title);
+        renderCounters();
+        updateButtons();
+        nextBatch();
+    }
+
+    function resume() {
+        if (!job || !job.paused) {
+            return;
+        }
+
+        job.paused = false;
+        updateButtons();
+
+        if (job.kind === 'rollback') {
+            nextRollback();
+        } else {
+            nextBatch();
+        }
+    }
+
+    function nextRollback() {
+        post({
+            luma_product_fields_action: 'migration_rollback',
+            run_id: job.runId
+        }).done(function (response) {
+            if (!response || !response.success) {
+                fail(response);
+                return;
+            }
+
+            const data = response.data;
+            job.processed += parseInt(data.restored, 10) || 0;
+            job.total = job.processed + (parseInt(data.remaining, 10) || 0);
+
+            appendLogRows((data.changed || []).map(function (item) {
+                return $.extend({}, item, { status: 'changed', reason: strings.changed_after });
+            }));
+            updateProgress(job.processed, job.total, format(strings.rolled_back, job.processed));
+
+            const $row = $('.lumaprfi-migration-runs tr[data-run="' + job.runId + '"]');
+            $row.find('.lumaprfi-run-status').text(data.status || '');
+
+            if (data.done) {
+                $row.find('.lumaprfi-migration-rollback').remove();
+                $('.lumaprfi-migration-progress-text').append(' ' + strings.done);
+                job = null;
+                updateButtons();
+            } else {
+                nextRollback();
+            }
+        }).fail(fail);
+    }
+
+    /**
+     * Roll back a recorded run.
+     *
+     * @param {string} runId Run ID.
+     */
+    function rollback(runId) {
+        if (!window.confirm(strings.confirm_rollback)) {
+            return;
+        }
+
+        job = {
+            kind: 'rollback',
+            runId: runId,
+            total: 0,
+            processed: 0,
+            paused: false
+        };
+
+        resetRunner(strings.rollback_title);
+        updateButtons();
+        nextRollback();
+    }
+
+    $(document).on('click', '.lumaprfi-migration-preview', function () {
+        start('preview');
+    });
+
+    $(document).on('click', '.lumaprfi-migration-start', function () {
+        start('migrate');
+    });
+
+    $(document).on('click', '.lumaprfi-migration-pause', function () {
+        if (!job) {
+            return;
+        }
+        if (job.paused) {
+            resume();
+            return;
+        }
+
+        // The running batch finishes first
+        job.paused = true;
+        $(this).prop('disabled', true);
+    });
+
+    $(document).on('click', '.lumaprfi-migration-rollback', function () {
+        if (!job || job.paused) {
+            rollback(String($(this).data('run')));
+        }
+    });
+
+    // A changed mapping needs a new preview before it can be migrated
+    $(document).on('change', '#lumaprfi-migration-form :input', function () {
+        if (!job || job.paused) {
+            updateButtons();
+        }
+    });
+
+    // The mapper: refresh the samples of a row when its meta key or options change
+    $(document).on('change', '.lumaprfi-migration-field select, .lumaprfi-migration-field :checkbox', function () {
+        loadSample($(this).closest('.lumaprfi-migration-field'));
+    });
+
+    $(document).on('input', '.lumaprfi-migration-field input[type="text"]', function () {
+        const $row = $(this).closest('.lumaprfi-migration-field');
+
+        clearTimeout($row.data('sample-timer'));
+        $row.data('sample-timer', setTimeout(function () {
+            loadSample($row);
+            updateButtons();
+        }, 500));
+    });
+
+    $(document).on('change', '.lumaprfi-migration-failures-only', function () {
+        $('.lumaprfi-migration-log').toggleClass('lumaprfi-failures-only', this.checked);
+    });
+})(jQuery);
@@ -0,0 +1,225 @@
+/**
+ * Admin notices and toasts for AJAX responses.
+ *
+ * Admin AJAX errors are sent by NotificationManager::ajax_error() as
+ * `{ code, message, error, retry, notices }`. normalize() turns that, older payloads
+ * (a plain string, `data.error`, `data.message`) and failed requests into one shape:
+ *
+ *   { message, code, retry, data, notices }
+ *
+ * show() renders a WordPress style dismissible notice in a fixed corner of the screen.
+ * Errors stay until dismissed; other types fade out. Pass a `retry` callback to add a
+ * "Retry" button.
+ *
+ *   const notices = window.lumaProductFieldsNotices;
+ *   $.post( url, data ).done( function ( res ) {
+ *       if ( ! res.success ) {
+ *           notices.error( res, { retry: send } );
+ *       }
+ *   } ).fail( function ( xhr ) {
+ *       notices.error( xhr, { retry: send } );
+ *   } );
+ */
+(function ($) {
+    'use strict';
+
+    const AUTO_DISMISS = 6000;
+
+    function strings() {
+        return (window.luma_product_fields_admin_ajaxdata || {}).notices || {};
+    }
+
+    function isXhr(value) {
+        return !!value && typeof value === 'object' && 'readyState' in value && 'status' in value;
+    }
+
+    function fromXhr(xhr, fallback) {
+        let json = xhr.responseJSON;
+        if (!json && xhr.responseText) {
+            try {
+                json = JSON.parse(xhr.responseText);
+            } catch (e) {
+                json = null;
+            }
+        }
+
+        // A JSON error body (e.g. a 403 from the AJAX router) says more than the status
+        if (json && typeof json === 'object' && json.success === false) {
+            return normalize(json, fallback);
+        }
+
+        if (xhr.statusText === 'abort') {
+            return { message: '', code: 'abort', retry: false, data: null, notices: [] };
+        }
+
+        // check_ajax_referer() answers "-1" when the nonce expired
+        if (xhr.status === 403 || xhr.responseText === '-1' || xhr.responseText === '0') {
+            return { message: strings().session_expired, code: 'session_expired', retry: true, data: null, notices: [] };
+        }
+
+        if (xhr.status === 0) {
+            return { message: strings().offline, code: 'offline', retry: true, data: null, notices: [] };
+        }
+
+        return {
+            message: String(strings().request_failed || '%s').replace('%s', xhr.status),
+            code: 'http_' + xhr.status,
+            retry: true,
+            data: null,
+            notices: []
+        };
+    }
+
+    /**
+     * Normalize an AJAX response, a failed jqXHR or a plain message.
+     *
+     * @param {*}      response Response body, jqXHR, string or a normalized error.
+     * @param {string} fallback Message used when the response does not carry one.
+     * @return {{message: string, code: string, retry: boolean, data: *, notices: Array}}
+     */
+    function normalize(response, fallback) {
+        fallback = fallback || strings().unknown_error || 'Something went wrong.';
+
+        if (isXhr(response)) {
+            return fromXhr(response, fallback);
+        }
+
+        // Already normalized
+        if (response && typeof response === 'object' && 'message' in response && 'notices' in response && 'retry' in response && !('success' in response)) {
+            return response;
+        }
+
+        if (typeof response === 'string') {
+            return { message: response || fallback, code: 'error', retry: false, data: null, notices: [] };
+        }
+
+        const data = (response && typeof response === 'object' && 'success' in response) ? response.data : response;
+
+        if (typeof data === 'string' && data !== '') {
+            return { message: data, code: 'error', retry: false, data: data, notices: [] };
+        }
+
+        if (data && typeof data === 'object') {
+            return {
+                message: String(data.message || data.error || fallback),
+                code: String(data.code || 'error'),
+                retry: !!data.retry,
+                data: data,
+                notices: Array.isArray(data.notices) ? data.notices : []
+            };
+        }
+
+        return { message: fallback, code: 'error', retry: false, data: data === undefined ? null : data, notices: [] };
+    }
+
+    function getContainer() {
+        let $container = $('#lumaprfi-notices');
+        if (!$container.length) {
+            $container = $('<div id="lumaprfi-notices" class="lumaprfi-notices" aria-live="polite">').appendTo('body');
+        }
+        return $container;
+    }
+
+    function dismiss($notice) {
+        clearTimeout($notice.data('lumaprfi-timer'));
+        $notice.fadeTo(150, 0, function () {
+            $notice.slideUp(150, function () {
+                $notice.remove();
+            });
+        });
+    }
+
+    /**
+     * Show a notice.
+     *
+     * @param {Object}   options
+     * @param {string}   options.message
+     * @param {string}   [options.type='info']     error, warning, success or info.
+     * @param {Function} [options.retry]           Adds a "Retry" button calling this.
+     * @param {number}   [options.timeout]         Milliseconds before it fades out, 0 to keep it.
+     * @return {jQuery} The notice element (empty when there was nothing to show).
+     */
+    function show(options) {
+        options = $.extend({ type: 'info', message: '', retry: null }, options);
+
+        if (!options.message) {
+            return $();
+        }
+
+        const timeout = (options.timeout !== undefined)
+            ? options.timeout
+            : (options.type === 'error' ? 0 : AUTO_DISMISS);
+
+        // The same message again (e.g. a failing batch) replaces the earlier notice
+        const $container = getContainer();
+        $container.children().filter(function () {
+            return $(this).data('lumaprfi-message') === options.type + ':' + options.message;
+        }).remove();
+
+        const $notice = $('<div class="notice is-dismissible lumaprfi-toast">')
+            .addClass('notice-' + options.type)
+            .attr('role', options.type === 'error' ? 'alert' : 'status')
+            .data('lumaprfi-message', options.type + ':' + options.message)
+            .append($('<p>').text(options.message));
+
+        if (typeof options.retry === 'function') {
+            $('<button type="button" class="button button-small lumaprfi-toast-retry">')
+                .text(strings().retry || 'Retry')
+                .on('click', function () {
+                    dismiss($notice);
+                    options.retry();
+                })
+                .appendTo($notice.find('p'));
+        }
+
+        $('<button type="button" class="notice-dismiss">')
+            .append($('<span class="screen-reader-text">').text(strings().dismiss || 'Dismiss this notice.'))
+            .on('click', () => dismiss($notice))
+            .appendTo($notice);
+
+        if (timeout > 0) {
+            $notice.data('lumaprfi-timer', setTimeout(() => dismiss($notice), timeout));
+            $notice.on('mouseenter focusin', () => clearTimeout($notice.data('lumaprfi-timer')));
+        }
+
+        return $notice.appendTo($container);
+    }
+
+    /**
+     * Show an error for a response, jqXHR or message, plus any notices the server sent along.
+     *
+     * A retry button is only offered when the request may succeed when sent again.
+     *
+     * @param {*}      response Anything normalize() accepts.
+     * @param {Object} [options] show() options, plus `fallback` for the message.
+     * @return {Object} The normalized error.
+     */
+    function error(response, options) {
+        options = options || {};
+        const normalized = normalize(response, options.fallback);
+
+        normalized.notices.forEach(function (notice) {
+            show({ type: notice.type, message: $('<div>').html(notice.message).text() });
+        });
+
+        show($.extend({}, options, {
+            type: 'error',
+            message: normalized.message,
+            retry: normalized.retry ? options.retry : null
+        }));
+
+        return normalized;
+    }
+
+    function success(message, options) {
+        return show($.extend({}, options, { type: 'success', message: message }));
+    }
+
+    window.lumaProductFieldsNotices = {
+        normalize: normalize,
+        show: show,
+        error: error,
+        success: success,
+        dismiss: dismiss
+    };
+})(jQuery);
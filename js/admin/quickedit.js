@@ -1,17 +1,170 @@
+/**
+ * Quick Edit and Bulk Edit of product fields in the Products list (see QuickEdit).
+ *
+ * Quick Edit: the product group and field values of a row are read from its hidden
+ * .lumaprfi-inline-data element. The controls of the group are loaded once per group
+ * (quick_edit_fields endpoint), filled with the row values and validated before saving.
+ * Picking another group loads its fields, keeping what was entered in shared fields.
+ *
+ * Bulk Edit: rows of field + action (set, add terms, clear) + value.
+ */
 (function ($) {
 	'use strict';
 
 	var cfg = window.lumaProductFieldsQuickEdit || {};
+	var ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
 	var DEBUG = !!cfg.debug;
 
+	// Field controls per product group: promise of { html, fields }
+	var groupFields = {};
+
 	function log() {
 		if (DEBUG && window.console && console.log) {
 			console.log.apply(console, arguments);
 		}
 	}
 
-	function norm(s) {
-		return $.trim(String(s)).replace(/\s+/g, ' ').toLowerCase();
+	function readRowData(postId) {
+		var $data = $('#post-' + postId).find('.lumaprfi-inline-data');
+
+		return {
+			group: String($data.data('product-group') || 'general'),
+			groupId: String($data.data('product-group-id') || ''),
+			values: $data.data('values') || {},
+			terms: $data.data('terms') || {}
+		};
+	}
+
+	function loadGroupFields(group) {
+		if (!groupFields[group]) {
+			groupFields[group] = $.post(ajaxdata.ajaxurl, {
+				action: ajaxdata.action,
+				nonce: ajaxdata.nonce,
+				luma_product_fields_action: 'quick_edit_fields',
+				product_group: group
+			}).then(function (response) {
+				if (!response || !response.success) {
+					return $.Deferred().reject(response);
+				}
+				return response.data;
+			});
+
+			groupFields[group].fail(function () {
+				delete groupFields[group];
+			});
+		}
+
+		return groupFields[group];
+	}
+
+	// Values as posted by the controls, keyed by field slug (see Helpers::get_editable_field_value())
+	function fillValues($container, values, terms) {
+		$container.find('.lumaprfi-field').each(function () {
+			var $wrapper = $(this);
+			var slug = String($wrapper.data('field-slug'));
+
+			if (!Object.prototype.hasOwnProperty.call(values, slug) || values[slug] === null) {
+				return;
+			}
+
+			var value = values[slug];
+			var names = terms[slug] || {};
+
+			if (typeof value === 'object' && !Array.isArray(value)) {
+				$wrapper.find('input[name$="[min]"]').val(value.min);
+				$wrapper.find('input[name$="[max]"]').val(value.max);
+				return;
+			}
+
+			var list = (Array.isArray(value) ? value : [value]).map(String);
+
+			var $checkboxes = $wrapper.find(':checkbox');
+			if ($checkboxes.length) {
+				$checkboxes.each(function () {
+					this.checked = list.indexOf(this.value) !== -1;
+				});
+				return;
+			}
+
+			var $select = $wrapper.find('select');
+			if ($select.length) {
+				// Autocomplete selects only have options for the selected terms
+				list.forEach(function (term) {
+					var exists = $select.find('option').filter(function () {
+						return this.value === term;
+					}).length;
+
+					if (term !== '' && !exists) {
+						$select.append(new Option(names[term] || term, term));
+					}
+				});
+				$select.val($select.prop('multiple') ? list : list[0]);
+				return;
+			}
+
+			$wrapper.find('input, textarea').not('[type=hidden]').first().val(list[0]);
+		});
+	}
+
+	// What was entered so far, in the shape fillValues() takes
+	function captureValues($container) {
+		var captured = { values: {}, terms: {} };
+		var validation = window.lumaProductFieldsValidation;
+
+		if (!validation) {
+			return captured;
+		}
+
+		$container.find('.lumaprfi-field').each(function () {
+			var $wrapper = $(this);
+			var slug = String($wrapper.data('field-slug'));
+
+			captured.values[slug] = validation.readValue($wrapper);
+			captured.terms[slug] = {};
+			$wrapper.find('option:selected').each(function () {
+				captured.terms[slug][this.value] = $(this).text();
+			});
+		});
+
+		return captured;
+	}
+
+	function showFields($quick, group, values, terms) {
+		var $container = $quick.find('.lumaprfi-quick-edit-fields');
+		if (!$container.length) {
+			return;
+		}
+
+		$container.data('group', group).html(ajaxdata.spinner || '');
+
+		loadGroupFields(group).done(function (data) {
+			// Another group was picked meanwhile
+			if ($container.data('group') !== group) {
+				return;
+			}
+
+			$container.html(data.html);
+			(data.fields || []).forEach(function (slug) {
+				$('<input type="hidden" name="lumaprfi_quick_fields[]" />').val(slug).appendTo($container);
+			});
+
+			fillValues($container, values, terms);
+
+			if (typeof window.initAutocompleteSelectFields === 'function') {
+				window.initAutocompleteSelectFields();
+			}
+		}).fail(function (response) {
+			if ($container.data('group') !== group) {
+				return;
+			}
+
+			$container.empty();
+			window.lumaProductFieldsNotices.error(response, {
+				retry: function () {
+					showFields($quick, group, values, terms);
+				}
+			});
+		});
 	}
 
 	function attachPatch() {
@@ -25,62 +178,125 @@
 		}
 
 		var coreEdit = inlineEditPost.edit;
+		var coreSave = inlineEditPost.save;
 
 		inlineEditPost.edit = function (id) {
 			coreEdit.apply(this, arguments);
 
 			var postId = (typeof id === 'object') ? parseInt(this.getId(id), 10) : parseInt(id, 10);
 			if (!postId) {
-				log('[LPF PG] no postId');
+				log('[LPF QE] no postId');
 				return;
 			}
 
-			var $row = $('#post-' + postId);
 			var $quick = $('#edit-' + postId);
-
-			var columnSelector = cfg.columnSelector || '';
-			var selectSelector = cfg.selectSelector || '';
-
-			if (!$row.length || !$quick.length || !columnSelector || !selectSelector) {
-				log('[LPF PG] missing row/quick/selector');
-				return;
-			}
-
-			var $select = $quick.find(selectSelector);
-			if (!$select.length) {
-				log('[LPF PG] missing select');
+			if (!$quick.length) {
+				log('[LPF QE] missing quick edit row');
 				return;
 			}
 
-			var label = $.trim($row.find(columnSelector).text());
-			log('[LPF PG] label:', label);
+			var row = readRowData(postId);
+			$quick.data('lumaprfi-row', row);
 
-			$select.val('');
-			if (!label) {
-				return;
-			}
+			var $select = cfg.selectSelector ? $quick.find(cfg.selectSelector) : $();
+			$select.val(row.groupId);
+			log('[LPF QE] group:', row.group, row.groupId);
 
-			var target = norm(label);
-			var matched = false;
+			showFields($quick, row.group, row.values, row.terms);
+		};
 
-			$select.find('option').each(function () {
-				if (norm($(this).text()) === target) {
-					$select.val($(this).val());
-					matched = true;
-					log('[LPF PG] matched option value:', $(this).val());
-					return false; // break
-				}
-			});
+		// Keep Quick Edit open while a field value is invalid
+		inlineEditPost.save = function (id) {
+			var postId = (typeof id === 'object') ? parseInt(this.getId(id), 10) : parseInt(id, 10);
+			var $container = $('#edit-' + postId).find('.lumaprfi-quick-edit-fields');
+			var validation = window.lumaProductFieldsValidation;
 
-			if (!matched) {
-				log('[LPF PG] no option matched for:', label);
+			if ($container.length && validation && !validation.validateContainer($container)) {
+				return false;
 			}
+
+			return coreSave.apply(this, arguments);
 		};
 
 		inlineEditPost.edit.__luma_product_fields_pg_patched = true;
-		log('[LPF PG] Quick Edit patched');
+		log('[LPF QE] Quick Edit patched');
 	}
 
+	// Picking another group in Quick Edit loads its fields
+	$(document).on('change', '.inline-edit-row ' + (cfg.selectSelector || 'select.luma_product_fields-pg-quick-single'), function () {
+		var $quick = $(this).closest('.inline-edit-row');
+		var row = $quick.data('lumaprfi-row') || { group: 'general', values: {}, terms: {} };
+		var value = String($(this).val() || '');
+		var group = row.group;
+
+		if (value === '__clear__') {
+			group = 'general';
+		} else if (value !== '') {
+			group = (cfg.groups || {})[value] || 'general';
+		}
+
+		var entered = captureValues($quick.find('.lumaprfi-quick-edit-fields'));
+
+		showFields(
+			$quick,
+			group,
+			$.extend({}, row.values, entered.values),
+			$.extend({}, row.terms, entered.terms)
+		);
+	});
+
+	// Bulk Edit: show the inputs that fit the field and action
+	function updateBulkRule($rule) {
+		var $option = $rule.find('.lumaprfi-bulk-field option:selected');
+		var $action = $rule.find('.lumaprfi-bulk-action');
+		var isRange = String($option.data('type')) === 'minmax';
+		var canAppend = String($option.data('taxonomy')) === '1' && String($option.data('multiple')) === '1';
+
+		$action.find('option[value="append"]').prop('disabled', !canAppend);
+		if (!canAppend && $action.val() === 'append') {
+			$action.val('set');
+		}
+
+		var clear = $action.val() === 'clear';
+		$rule.find('.lumaprfi-bulk-value').prop('hidden', clear || isRange);
+		$rule.find('.lumaprfi-bulk-range').prop('hidden', clear || !isRange);
+	}
+
+	$(document).on('change', '.lumaprfi-bulk-field, .lumaprfi-bulk-action', function () {
+		updateBulkRule($(this).closest('.lumaprfi-bulk-rule'));
+	});
+
+	$(document).on('click', '.lumaprfi-bulk-add', function () {
+		var $bulk = $(this).closest('.lumaprfi-bulk-edit');
+		var next = $bulk.data('next') || $bulk.find('.lumaprfi-bulk-rule').length;
+		var html = $bulk.find('.lumaprfi-bulk-template').html().replace(/__i__/g, String(next));
+		var $rule = $(html).appendTo($bulk.find('.lumaprfi-bulk-rules'));
+
+		// Indexes only need to be unique, not consecutive
+		$bulk.data('next', next + 1);
+		updateBulkRule($rule);
+		$rule.find('.lumaprfi-bulk-field').trigger('focus');
+	});
+
+	$(document).on('click', '.lumaprfi-bulk-remove', function () {
+		var $rule = $(this).closest('.lumaprfi-bulk-rule');
+
+		// Keep one row, emptied
+		if ($rule.siblings('.lumaprfi-bulk-rule').length) {
+			$rule.remove();
+			return;
+		}
+		$rule.find('select').prop('selectedIndex', 0);
+		$rule.find('input').val('');
+		updateBulkRule($rule);
+	});
+
+	$(function () {
+		$('.lumaprfi-bulk-rule').each(function () {
+			updateBulkRule($(this));
+		});
+	});
+
 	// Wait until inlineEditPost is available, then attach once.
 	var tries = 0;
 	var maxTries = 200; // ~5s at 25ms
@@ -90,7 +306,7 @@
 			attachPatch();
 		} else if (++tries >= maxTries) {
 			clearInterval(timer);
-			log('[LPF PG] inlineEditPost not found after waiting');
+			log('[LPF QE] inlineEditPost not found after waiting');
 		}
 	}, 25);
 
@@ -0,0 +1,401 @@
+/**
+ * Persistent save queue for inline edits.
+ *
+ * Payloads are stored in localStorage before they are sent, so an edit survives a
+ * dropped connection, an expired nonce or a closed tab. Failed requests are retried
+ * with backoff, and when the connection comes back or the heartbeat hands out a fresh
+ * nonce. Server-side rejections (success: false) are final and are not retried.
+ *
+ * All admin tabs share the queue. Only the tab holding the lease (LOCK_KEY) sends, so
+ * an edit is never posted twice; the result is passed on to the tab that queued the
+ * edit through RESULT_KEY. A lease left behind by a closed tab expires after LEASE_TIME.
+ *
+ * Events triggered on document:
+ *  - lumaprfi:queue-saved   (entry, response)
+ *  - lumaprfi:queue-failed  (entry, error)   error as normalized by notices.js
+ *  - lumaprfi:queue-changed (pendingEntries)
+ */
+(function ($) {
+    'use strict';
+
+    const STORAGE_KEY = 'luma_product_fields_save_queue';
+    const LOCK_KEY = 'luma_product_fields_save_queue_lock';
+    const RESULT_KEY = 'luma_product_fields_save_queue_result';
+    const BASE_DELAY = 2000;
+    const MAX_DELAY = 60000;
+    const LEASE_TIME = 30000;
+    // Shorter than the lease, so a request never outlives it
+    const REQUEST_TIMEOUT = 25000;
+    const LOCK_WAIT = 5000;
+
+    const TAB_ID = Date.now() + '-' + Math.random().toString(36).slice(2, 8);
+
+    // Localized on the admin script, which prints after this one: read lazily
+    function ajaxdata() {
+        return window.luma_product_fields_admin_ajaxdata || {};
+    }
+
+    function strings() {
+        return ajaxdata().queue || {};
+    }
+
+    let storageAvailable = true;
+    let entries = load();
+    let deferreds = {};
+    let sending = null;
+    let attempts = 0;
+    let retryTimer = null;
+    let needsNonce = false;
+
+    function load() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (e) {
+            storageAvailable = false;
+            return [];
+        }
+    }
+
+    // The queue as other tabs may have changed it, before changing it here
+    function refresh() {
+        if (storageAvailable) {
+            entries = load();
+        }
+        return entries;
+    }
+
+    function persist() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (e) {
+            // Storage full or disabled, the queue still works for this page view
+            storageAvailable = false;
+        }
+        $(document).trigger('lumaprfi:queue-changed', [entries.slice()]);
+        renderBadge();
+    }
+
+    function readLock() {
+        try {
+            return JSON.parse(window.localStorage.getItem(LOCK_KEY) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function lockedByOtherTab() {
+        const lock = readLock();
+        return !!(lock && lock.tab !== TAB_ID && lock.expires > Date.now());
+    }
+
+    // Take or renew the lease. Without storage there are no other tabs to share with.
+    function acquireLock() {
+        if (!storageAvailable) {
+            return true;
+        }
+        if (lockedByOtherTab()) {
+            return false;
+        }
+        try {
+            window.localStorage.setItem(LOCK_KEY, JSON.stringify({ tab: TAB_ID, expires: Date.now() + LEASE_TIME }));
+        } catch (e) {
+            return true;
+        }
+        // Another tab may have written its lease at the same moment: the last write wins
+        const lock = readLock();
+        return !!(lock && lock.tab === TAB_ID);
+    }
+
+    function releaseLock() {
+        const lock = readLock();
+        if (lock && lock.tab === TAB_ID) {
+            try {
+                window.localStorage.removeItem(LOCK_KEY);
+            } catch (e) {
+                // Expires by itself
+            }
+        }
+    }
+
+    function key(postData) {
+        return postData.product_id + ':' + postData.field_slug;
+    }
+
+    /**
+     * Queue an inline_save_field payload and start sending.
+     *
+     * The returned promise resolves with the response once saved, is notified with
+     * 'queued' when the first attempt fails and the edit waits for a retry, and
+     * rejects with the normalized server error when the save is refused, or with
+     * { code: 'superseded' } when a newer edit of the same product/field replaces it.
+     */
+    function add(postData, context) {
+        const entry = {
+            id: Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+            tab: TAB_ID,
+            key: key(postData),
+            data: $.extend({}, postData),
+            context: context || {}
+        };
+
+        refresh();
+
+        // Latest edit of the same product/field wins (the request in flight, here or in
+        // the tab holding the lease, is left alone)
+        const inFlight = sending ? sending.id : (lockedByOtherTab() && entries.length ? entries[0].id : null);
+        entries = entries.filter(function (existing) {
+            if (existing.key !== entry.key || existing.id === inFlight) {
+                return true;
+            }
+            if (deferreds[existing.id]) {
+                deferreds[existing.id].reject({ code: 'superseded', message: '' });
+                delete deferreds[existing.id];
+            }
+            return false;
+        });
+        entries.push(entry);
+
+        const deferred = $.Deferred();
+        deferreds[entry.id] = deferred;
+
+        persist();
+        flush();
+
+        return deferred.promise();
+    }
+
+    function scheduleRetry() {
+        clearTimeout(retryTimer);
+        const delay = Math.min(MAX_DELAY, BASE_DELAY * Math.pow(2, Math.max(0, attempts - 1)));
+        retryTimer = setTimeout(flush, delay);
+    }
+
+    function requestNonce() {
+        needsNonce = true;
+        if (window.wp && wp.heartbeat && typeof wp.heartbeat.connectNow === 'function') {
+            wp.heartbeat.connectNow();
+        }
+    }
+
+    // Remove only the sent entry: other tabs may have queued edits in the meantime
+    function finish(entry) {
+        entries = refresh().filter(existing => existing.id !== entry.id);
+        persist();
+    }
+
+    // Resolve the promise and trigger the events in the tab that queued the entry
+    function settle(entry, success, payload) {
+        const deferred = deferreds[entry.id];
+        delete deferreds[entry.id];
+
+        if (success) {
+            $(document).trigger('lumaprfi:queue-saved', [entry, payload]);
+            if (deferred) {
+                deferred.resolve(payload);
+            }
+        } else {
+            $(document).trigger('lumaprfi:queue-failed', [entry, payload]);
+            if (deferred) {
+                deferred.reject(payload);
+            }
+        }
+    }
+
+    function report(entry, success, payload) {
+        // Entries queued before the tab ID was stored have no owner to report to
+        if (!entry.tab || entry.tab === TAB_ID) {
+            settle(entry, success, payload);
+            return;
+        }
+        try {
+            window.localStorage.setItem(RESULT_KEY, JSON.stringify({ entry: entry, success: success, payload: payload }));
+        } catch (e) {
+            // The owner tab keeps showing the edit as pending until it is reloaded
+        }
+    }
+
+    // Network error or a nonce/auth failure: keep the entry and retry later
+    function postpone(entry, xhr) {
+        attempts++;
+
+        if (xhr && (xhr.status === 403 || xhr.responseText === '-1' || xhr.responseText === '0')) {
+            requestNonce();
+        }
+
+        if (deferreds[entry.id]) {
+            deferreds[entry.id].notify('queued');
+        }
+
+        // Let another tab, possibly with a fresher nonce, try in the meantime
+        releaseLock();
+        scheduleRetry();
+    }
+
+    // Send entries one at a time, oldest first, from the tab holding the lease
+    function flush() {
+        clearTimeout(retryTimer);
+
+        if (sending || !refresh().length) {
+            if (!sending) {
+                releaseLock();
+            }
+            return;
+        }
+
+        if (!acquireLock()) {
+            // Mark own edits as waiting, and take over if the other tab goes away
+            entries.forEach(function (entry) {
+                if (deferreds[entry.id]) {
+                    deferreds[entry.id].notify('queued');
+                }
+            });
+            retryTimer = setTimeout(flush, LOCK_WAIT);
+            return;
+        }
+
+        const entry = entries[0];
+        const data = $.extend({}, entry.data, {
+            action: ajaxdata().action,
+            nonce: ajaxdata().nonce
+        });
+
+        sending = entry;
+
+        $.ajax({
+            url: ajaxdata().ajaxurl,
+            type: 'POST',
+            data: data,
+            timeout: REQUEST_TIMEOUT
+        }).done(function (res, status, xhr) {
+            sending = null;
+
+            if (!res || typeof res !== 'object') {
+                postpone(entry, xhr);
+                return;
+            }
+
+            attempts = 0;
+            finish(entry);
+
+            if (res.success) {
+                report(entry, true, res);
+            } else {
+                report(entry, false, window.lumaProductFieldsNotices.normalize(res, strings().failed));
+            }
+
+            flush();
+        }).fail(function (xhr) {
+            sending = null;
+            postpone(entry, xhr);
+        });
+    }
+
+    function renderBadge() {
+        let $badge = $('#lumaprfi-sync-badge');
+
+        if (!entries.length) {
+            $badge.remove();
+            return;
+        }
+
+        if (!$badge.length) {
+            $badge = $('<button type="button" id="lumaprfi-sync-badge" class="lumaprfi-sync-badge">')
+                .attr('title', strings().retry_now || '')
+                .appendTo('body');
+        }
+
+        const template = entries.length === 1 ? strings().unsynced_one : strings().unsynced_many;
+        $badge.text(String(template || '%d').replace('%d', entries.length));
+    }
+
+    $(document).on('click', '#lumaprfi-sync-badge', function () {
+        attempts = 0;
+        flush();
+    });
+
+    // Ask the heartbeat for a fresh nonce after a nonce failure
+    $(document).on('heartbeat-send', function (e, data) {
+        if (needsNonce) {
+            data.luma_product_fields_refresh_nonce = 1;
+        }
+    });
+
+    $(document).on('heartbeat-tick', function (e, data) {
+        if (data && data.luma_product_fields_nonce) {
+            ajaxdata().nonce = data.luma_product_fields_nonce;
+            needsNonce = false;
+            attempts = 0;
+            flush();
+        }
+    });
+
+    $(window).on('online', function () {
+        attempts = 0;
+        flush();
+    });
+
+    // Try once more and warn before leaving while edits are unsynced. They stay in
+    // localStorage either way and are sent on the next admin page load.
+    $(window).on('beforeunload', function (e) {
+        if (!refresh().length) {
+            return;
+        }
+        flush();
+
+        const event = e.originalEvent || e;
+        const message = strings().leave_warning || '';
+        event.preventDefault();
+        event.returnValue = message;
+        return message;
+    });
+
+    // A request cut off by leaving the page is not retried by this tab: leave the lease
+    // to expire. Otherwise hand it over right away.
+    $(window).on('pagehide', function () {
+        if (!sending) {
+            releaseLock();
+        }
+    });
+
+    // Other tabs share the same queue
+    $(window).on('storage', function (e) {
+        const event = e.originalEvent;
+
+        if (!event) {
+            return;
+        }
+
+        if (event.key === STORAGE_KEY) {
+            entries = load();
+            $(document).trigger('lumaprfi:queue-changed', [entries.slice()]);
+            renderBadge();
+        } else if (event.key === LOCK_KEY && !event.newValue && entries.length) {
+            flush();
+        } else if (event.key === RESULT_KEY && event.newValue) {
+            let result = null;
+            try {
+                result = JSON.parse(event.newValue);
+            } catch (err) {
+                return;
+            }
+            if (result && result.entry && result.entry.tab === TAB_ID) {
+                settle(result.entry, !!result.success, result.payload);
+            }
+        }
+    });
+
+    window.lumaProductFieldsSaveQueue = {
+        add: add,
+        flush: flush,
+        pending: function () {
+            return refresh().slice();
+        }
+    };
+
+    $(function () {
+        renderBadge();
+        $(document).trigger('lumaprfi:queue-changed', [entries.slice()]);
+        flush();
+    });
+})(jQuery);
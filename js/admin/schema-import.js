@@ -0,0 +1,418 @@
+/**
+ * Import of a field configuration export (see SchemaImportExport).
+ *
+ * The chosen file is compared with the configuration of this site (luma_product_fields_schema.current):
+ * product groups, fields (with their options) and the field order per group are listed as
+ * added, changed or removed, with what changes. Fields that cannot be imported (unknown type,
+ * or a type with another storage) are listed but cannot be picked.
+ *
+ * The picked changes are sent to schema_import with the file. Its answer holds the new
+ * configuration of this site, so the list is compared again and shows what is left.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_schema || {};
+    const strings = cfg.strings || {};
+    const types = cfg.types || {};
+    const ajaxdata = window.luma_product_fields_admin_ajaxdata || {};
+
+    // Field keys compared between the file and this site; extension keys are left out
+    const FIELD_KEYS = ['label', 'description', 'frontend_desc', 'type', 'unit', 'groups', 'hide_in_frontend', 'variation', 'show_links', 'required', 'conditions', 'schema_property'];
+    const BOOLEAN_KEYS = ['hide_in_frontend', 'variation', 'show_links', 'required'];
+    const MAX_VALUE_LENGTH = 80;
+
+    const $root = $('#lumaprfi-schema');
+
+    let current = cfg.current || {};
+
+    // The loaded file: { text, schema }
+    let file = null;
+
+    function format(template, ...args) {
+        let i = 0;
+        return String(template || '')
+            .replace(/%(\d+)\$[sd]/g, (m, n) => args[parseInt(n, 10) - 1])
+            .replace(/%[sd]/g, () => args[i++]);
+    }
+
+    function bySlug(items) {
+        const map = {};
+        (Array.isArray(items) ? items : []).forEach(function (item) {
+            if (item && item.slug) {
+                map[item.slug] = item;
+            }
+        });
+        return map;
+    }
+
+    function storageOf(type) {
+        return types[type] ? types[type].storage : null;
+    }
+
+    // A field value in a comparable form
+    function normalize(key, value) {
+        if (BOOLEAN_KEYS.includes(key)) {
+            return !!value;
+        }
+        if (key === 'groups') {
+            return (Array.isArray(value) ? value : []).map(String).sort();
+        }
+        if (key === 'conditions') {
+            return value && Array.isArray(value.rules) && value.rules.length ? value : '';
+        }
+        return value === null || value === undefined ? '' : String(value);
+    }
+
+    function same(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    function display(key, value) {
+        if (typeof value === 'boolean') {
+            return value ? strings.yes : strings.no;
+        }
+        if (Array.isArray(value)) {
+            return value.length ? value.join(', ') : strings.empty;
+        }
+
+        let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        if (text === '') {
+            return strings.empty;
+        }
+        if (text.length > MAX_VALUE_LENGTH) {
+            text = text.slice(0, MAX_VALUE_LENGTH - 1) + '…';
+        }
+        return text;
+    }
+
+    function keyLabel(key) {
+        return (strings.keys || {})[key] || key;
+    }
+
+    /**
+     * Options of a taxonomy field that are added, renamed, or only on this site.
+     *
+     * @return {string[]} Detail lines, empty when the options match.
+     */
+    function diffOptions(fileOptions, siteOptions) {
+        if (!Array.isArray(fileOptions)) {
+            return [];
+        }
+
+        const site = bySlug(siteOptions);
+        const inFile = bySlug(fileOptions);
+        const added = [];
+        const renamed = [];
+
+        fileOptions.forEach(function (option) {
+            const existing = site[option.slug];
+            if (!existing) {
+                added.push(option.name);
+            } else if (existing.name !== option.name || (existing.description || '') !== (option.description || '')) {
+                renamed.push(existing.name === option.name ? option.name : existing.name + ' → ' + option.name);
+            }
+        });
+
+        const missing = Object.keys(site).filter(slug => !inFile[slug]).map(slug => site[slug].name);
+        const lines = [];
+
+        if (added.length) {
+            lines.push(strings.options_added + ': ' + added.join(', '));
+        }
+        if (renamed.length) {
+            lines.push(strings.options_renamed + ': ' + renamed.join(', '));
+        }
+        if (missing.length) {
+            lines.push(strings.options_missing + ': ' + missing.join(', '));
+        }
+
+        return lines;
+    }
+
+    /**
+     * Compare the file with this site.
+     *
+     * Every item: { kind, slug, name, status: added|changed|removed|conflict, details: string[],
+     * selectable, selected }. `unchanged` counts the items per kind that match.
+     */
+    function compare(schema) {
+        const items = [];
+        const unchanged = { groups: 0, fields: 0, layouts: 0 };
+
+        const siteGroups = bySlug(current.product_groups);
+        const fileGroups = bySlug(schema.product_groups);
+
+        Object.keys(fileGroups).forEach(function (slug) {
+            const group = fileGroups[slug];
+            const existing = siteGroups[slug];
+
+            if (!existing) {
+                items.push({ kind: 'groups', slug: slug, name: group.name, status: 'added', details: [] });
+                return;
+            }
+
+            const details = [];
+            if (existing.name !== group.name) {
+                details.push(keyLabel('label') + ': ' + existing.name + ' → ' + group.name);
+            }
+            if ((existing.description || '') !== (group.description || '')) {
+                details.push(keyLabel('description') + ': ' + display('description', existing.description || '') + ' → ' + display('description', group.description || ''));
+            }
+
+            if (details.length) {
+                items.push({ kind: 'groups', slug: slug, name: group.name, status: 'changed', details: details });
+            } else {
+                unchanged.groups++;
+            }
+        });
+
+        Object.keys(siteGroups).filter(slug => !fileGroups[slug]).forEach(function (slug) {
+            items.push({ kind: 'groups', slug: slug, name: siteGroups[slug].name, status: 'removed', details: [strings.group_removed], selectable: false });
+        });
+
+        const siteFields = bySlug(current.fields);
+        const fileFields = bySlug(schema.fields);
+
+        Object.keys(fileFields).forEach(function (slug) {
+            const field = fileFields[slug];
+            const existing = siteFields[slug];
+            const item = { kind: 'fields', slug: slug, name: field.label || slug, details: [] };
+
+            if (!types[field.type]) {
+                items.push($.extend(item, { status: 'conflict', details: [format(strings.unknown_type, field.type)], selectable: false }));
+                return;
+            }
+
+            if (!existing) {
+                item.details.push(keyLabel('type') + ': ' + types[field.type].label);
+                items.push($.extend(item, { status: 'added', details: item.details.concat(diffOptions(field.options, [])) }));
+                return;
+            }
+
+            if (storageOf(existing.type) !== storageOf(field.type)) {
+                items.push($.extend(item, { status: 'conflict', details: [strings.storage_change], selectable: false }));
+                return;
+            }
+
+            FIELD_KEYS.forEach(function (key) {
+                const before = normalize(key, existing[key]);
+                const after = normalize(key, field[key]);
+
+                if (!same(before, after)) {
+                    item.details.push(keyLabel(key) + ': ' + display(key, before) + ' → ' + display(key, after));
+                }
+            });
+
+            const options = diffOptions(field.options, existing.options);
+            // Options only on this site are kept, so they alone are no change
+            const optionChanges = options.filter(line => line.indexOf(strings.options_missing) !== 0);
+            item.details = item.details.concat(options);
+
+            if (item.details.length > options.length || optionChanges.length) {
+                items.push($.extend(item, { status: 'changed' }));
+            } else {
+                unchanged.fields++;
+            }
+        });
+
+        Object.keys(siteFields).filter(slug => !fileFields[slug]).forEach(function (slug) {
+            items.push({ kind: 'remove', slug: slug, name: siteFields[slug].label || slug, status: 'removed', details: [strings.field_removed], selected: false });
+        });
+
+        const fileLayouts = schema.layouts && typeof schema.layouts === 'object' ? schema.layouts : {};
+        const siteLayouts = current.layouts || {};
+
+        Object.keys(fileLayouts).forEach(function (group) {
+            const name = group === 'general' ? group : (fileGroups[group] || siteGroups[group] || { name: group }).name;
+
+            if (!siteLayouts[group]) {
+                items.push({ kind: 'layouts', slug: group, name: name, status: 'added', details: [] });
+            } else if (!same(siteLayouts[group], fileLayouts[group])) {
+                items.push({ kind: 'layouts', slug: group, name: name, status: 'changed', details: [] });
+            } else {
+                unchanged.layouts++;
+            }
+        });
+
+        return { items: items, unchanged: unchanged };
+    }
+
+    function renderSection(title, kinds, diff) {
+        const items = diff.items.filter(item => kinds.includes(item.kind));
+        const unchanged = kinds.reduce((sum, kind) => sum + (diff.unchanged[kind] || 0), 0);
+        const $section = $('<div class="lumaprfi-schema-section">').append($('<h3>').text(title));
+
+        if (items.length) {
+            const $body = $('<tbody>');
+
+            items.forEach(function (item) {
+                const $checkbox = $('<input type="checkbox" class="lumaprfi-schema-pick">')
+                    .attr({ 'data-kind': item.kind, value: item.slug, 'aria-label': item.name })
+                    .prop('checked', item.selectable !== false && item.selected !== false)
+                    .prop('disabled', item.selectable === false);
+
+                const $details = $('<ul class="lumaprfi-schema-details">');
+                item.details.forEach(line => $('<li>').text(line).appendTo($details));
+
+                $body.append($('<tr>').addClass('lumaprfi-schema-' + item.status).append(
+                    $('<th scope="row" class="check-column">').append($checkbox),
+                    $('<td>').append($('<strong>').text(item.name), ' ', $('<code>').text(item.slug)),
+                    $('<td class="lumaprfi-schema-status">').text(strings[item.status] || item.status),
+                    $('<td>').append($details)
+                ));
+            });
+
+            $section.append($('<table class="widefat striped lumaprfi-schema-table">').append(
+                $('<thead>').append($('<tr>').append(
+                    $('<td class="check-column">').text(''),
+                    $('<th>').text(strings.name),
+                    $('<th>').text(strings.change),
+                    $('<th>').text(strings.details)
+                )),
+                $body
+            ));
+        }
+
+        if (unchanged) {
+            $section.append($('<p class="description">').text(format(strings.unchanged, unchanged)));
+        }
+
+        return $section;
+    }
+
+    function updateApplyButton() {
+        const count = $root.find('.lumaprfi-schema-pick:checked').length;
+        $root.find('.lumaprfi-schema-apply').prop('disabled', !count).text(format(strings.apply_button, count));
+    }
+
+    function render() {
+        const schema = file.schema;
+        const diff = compare(schema);
+        const $diff = $root.find('.lumaprfi-schema-diff').prop('hidden', false).empty();
+
+        if (schema.site || schema.exported) {
+            $diff.append($('<p>').text(format(strings.source, schema.site || '?', schema.exported || '?')));
+        }
+
+        if (!diff.items.length) {
+            $diff.append($('<p>').text(strings.no_changes));
+            return;
+        }
+
+        $diff.append(
+            renderSection(strings.product_groups, ['groups'], diff),
+            renderSection(strings.fields, ['fields', 'remove'], diff),
+            renderSection(strings.layouts, ['layouts'], diff),
+            $('<p>').append(
+                $('<button type="button" class="button button-primary lumaprfi-schema-apply">'),
+                ' ',
+                $('<span class="spinner is-active lumaprfi-schema-spinner">').hide()
+            )
+        );
+
+        updateApplyButton();
+    }
+
+    function renderErrors(errors) {
+        const $results = $root.find('.lumaprfi-schema-results').empty();
+
+        if (!errors.length) {
+            return;
+        }
+
+        const $list = $('<ul class="lumaprfi-schema-errors">');
+        errors.forEach(error => $('<li>').append($('<code>').text(error.item), ' ', document.createTextNode(error.message)).appendTo($list));
+
+        $results.append($('<p>').text(strings.failed_heading), $list);
+    }
+
+    function apply() {
+        const picked = { groups: [], fields: [], remove: [], layouts: [] };
+
+        $root.find('.lumaprfi-schema-pick:checked').each(function () {
+            picked[$(this).data('kind')].push(this.value);
+        });
+
+        if (picked.remove.length && !window.confirm(strings.confirm_remove)) {
+            return;
+        }
+
+        const $button = $root.find('.lumaprfi-schema-apply').prop('disabled', true);
+        const $spinner = $root.find('.lumaprfi-schema-spinner').show();
+
+        $.post(ajaxdata.ajaxurl, $.extend({
+            action: ajaxdata.action,
+            nonce: ajaxdata.nonce,
+            luma_product_fields_action: 'schema_import',
+            schema: file.text
+        }, picked)).done(function (response) {
+            if (!response || !response.success) {
+                $spinner.hide();
+                $button.prop('disabled', false);
+                window.lumaProductFieldsNotices.error(response, { retry: apply });
+                return;
+            }
+
+            current = response.data.current || current;
+            window.lumaProductFieldsNotices.success(response.data.message);
+            render();
+            renderErrors(response.data.errors || []);
+        }).fail(function (xhr) {
+            $spinner.hide();
+            $button.prop('disabled', false);
+            window.lumaProductFieldsNotices.error(xhr, { retry: apply });
+        });
+    }
+
+    function load() {
+        const input = this;
+        const chosen = input.files && input.files[0];
+
+        file = null;
+        $root.find('.lumaprfi-schema-diff').prop('hidden', true).empty();
+        $root.find('.lumaprfi-schema-results').empty();
+
+        if (!chosen) {
+            return;
+        }
+
+        const reader = new FileReader();
+
+        reader.onload = function () {
+            const text = String(reader.result || '').replace(/^\uFEFF/, '');
+            let schema = null;
+
+            try {
+                schema = JSON.parse(text);
+            } catch (e) {
+                schema = null;
+            }
+
+            const version = schema ? parseInt(schema.version, 10) || 0 : 0;
+
+            if (!schema || schema.format !== cfg.format || version < 1) {
+                window.lumaProductFieldsNotices.error(strings.invalid_file);
+                return;
+            }
+
+            if (version > cfg.version) {
+                window.lumaProductFieldsNotices.error(format(strings.newer_version, version, cfg.version));
+                return;
+            }
+
+            file = { text: text, schema: schema };
+            render();
+        };
+
+        reader.onerror = function () {
+            window.lumaProductFieldsNotices.error(strings.read_failed);
+        };
+
+        reader.readAsText(chosen);
+    }
+
+    $root.on('change', '#lumaprfi-schema-file', load);
+    $root.on('change', '.lumaprfi-schema-pick', updateApplyButton);
+    $root.on('click', '.lumaprfi-schema-apply', apply);
+})(jQuery);
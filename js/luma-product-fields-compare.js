@@ -0,0 +1,334 @@
+/**
+ * Product comparison on product, shop and archive pages.
+ *
+ * "Add to compare" toggles (.lumaprfi-compare-toggle, see CompareController) keep the
+ * selected product IDs in localStorage, so the selection survives page loads and is shared
+ * between tabs. A bar at the bottom of the page opens the comparison: one table per product
+ * group, with the group's fields as rows, so values line up across products. Rows where the
+ * products differ are highlighted, and can be shown on their own.
+ *
+ * Values are compared by their data, not their formatting: numbers numerically, ranges by
+ * both bounds, multi-value terms as a set, always together with the unit.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_compare || {};
+    const strings = cfg.strings || {};
+    const max = parseInt(cfg.max, 10) || 4;
+    const STORAGE_KEY = 'luma_product_fields_compare';
+    const NUMERIC_TYPES = ['number', 'integer', 'minmax'];
+
+    let data = null;
+    let messageTimer = null;
+
+    function format(template, ...args) {
+        let i = 0;
+        return String(template || '')
+            .replace(/%(\d+)\$[sd]/g, (m, n) => args[parseInt(n, 10) - 1])
+            .replace(/%[sd]/g, () => args[i++]);
+    }
+
+    function getSelection() {
+        try {
+            const ids = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+            return Array.isArray(ids) ? ids.map((id) => parseInt(id, 10)).filter(Boolean).slice(0, max) : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function setSelection(ids) {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+        } catch (e) {
+            // Storage full or disabled: the selection only lasts for this page
+        }
+        refresh(ids);
+    }
+
+    function toggle(productId) {
+        const ids = getSelection();
+        const index = ids.indexOf(productId);
+
+        if (index !== -1) {
+            ids.splice(index, 1);
+        } else if (ids.length >= max) {
+            showMessage(format(strings.max_reached, max));
+            return;
+        } else {
+            ids.push(productId);
+        }
+        setSelection(ids);
+    }
+
+    function number(value) {
+        const float = parseFloat(String(value === undefined || value === null ? '' : value).replace(',', '.'));
+        return isNaN(float) ? '' : String(float);
+    }
+
+    /**
+     * A comparable key for a field value, so that "5", "5.0" and "5,0" are equal, a range
+     * differs when either bound does, and terms compare regardless of order.
+     *
+     * @param {Object|null} field Field data (FieldRenderer::get_field_data()).
+     * @return {string}
+     */
+    function compareKey(field) {
+        if (!field) {
+            return '';
+        }
+
+        const value = field.value;
+        let key;
+
+        if (Array.isArray(value)) {
+            key = value.map(String).sort().join('|');
+        } else if (value !== null && typeof value === 'object') {
+            key = number(value.min) + '–' + number(value.max);
+        } else if (NUMERIC_TYPES.indexOf(field.type) !== -1) {
+            key = number(value);
+        } else {
+            key = String(value).trim().toLowerCase();
+        }
+
+        return key + ' ' + (field.unit || '');
+    }
+
+    function refresh(ids) {
+        ids = ids || getSelection();
+
+        $('.lumaprfi-compare-toggle').each(function () {
+            const selected = ids.indexOf(parseInt($(this).data('product-id'), 10)) !== -1;
+            $(this)
+                .toggleClass('is-selected', selected)
+                .attr('aria-pressed', selected ? 'true' : 'false')
+                .text(selected ? strings.remove : strings.add);
+        });
+
+        const $bar = getBar();
+        $bar.prop('hidden', ids.length === 0);
+        $bar.find('.lumaprfi-compare-open').text(format(strings.compare, ids.length)).prop('disabled', ids.length < 2);
+
+        // Keep an open comparison in sync with removals made elsewhere
+        if (data && $('#lumaprfi-compare').length) {
+            data.products = data.products.filter((product) => ids.indexOf(product.id) !== -1);
+            data.products.length ? renderTables() : closeDialog();
+        }
+    }
+
+    function getBar() {
+        let $bar = $('#lumaprfi-compare-bar');
+        if ($bar.length) {
+            return $bar;
+        }
+
+        $bar = $('<div id="lumaprfi-compare-bar" class="lumaprfi-compare-bar" hidden></div>')
+            .append($('<button type="button" class="button lumaprfi-compare-open"></button>'))
+            .append($('<button type="button" class="lumaprfi-compare-clear"></button>').text(strings.clear))
+            .append('<span class="lumaprfi-compare-message" role="status" aria-live="polite"></span>');
+
+        $('body').append($bar);
+        return $bar;
+    }
+
+    function showMessage(message) {
+        const $message = getBar().prop('hidden', false).find('.lumaprfi-compare-message');
+        $message.text(message);
+
+        clearTimeout(messageTimer);
+        messageTimer = setTimeout(() => $message.text(''), 5000);
+    }
+
+    function openDialog() {
+        const ids = getSelection();
+        const $open = getBar().find('.lumaprfi-compare-open').prop('disabled', true);
+
+        $.ajax({
+            url: cfg.ajax_url,
+            type: 'POST',
+            dataType: 'json',
+            data: {
+                action: 'luma_product_fields_get_compare_data',
+                product_ids: ids,
+                nonce: cfg.nonce
+            }
+        }).done(function (response) {
+            if (!response.success || !response.data) {
+                showMessage(strings.load_failed);
+                return;
+            }
+            data = response.data;
+
+            // Products that were deleted or unpublished since they were added
+            const found = data.products.map((product) => product.id);
+            if (found.length !== ids.length) {
+                setSelection(ids.filter((id) => found.indexOf(id) !== -1));
+            }
+            if (!data.products.length) {
+                return;
+            }
+
+            buildDialog();
+            renderTables();
+        }).fail(function () {
+            showMessage(strings.load_failed);
+        }).always(function () {
+            $open.prop('disabled', getSelection().length < 2);
+        });
+    }
+
+    function buildDialog() {
+        closeDialog();
+
+        const $dialog = $('<div class="lumaprfi-compare-dialog" role="dialog" aria-modal="true" aria-labelledby="lumaprfi-compare-title"></div>');
+        const $header = $('<div class="lumaprfi-compare-header"></div>')
+            .append($('<h2 id="lumaprfi-compare-title"></h2>').text(strings.title))
+            .append($('<label class="lumaprfi-compare-only-diff"><input type="checkbox"> </label>').append(document.createTextNode(strings.only_diff)))
+            .append($('<button type="button" class="lumaprfi-compare-close"></button>').attr('aria-label', strings.close).text('×'));
+
+        $dialog.append($header, '<div class="lumaprfi-compare-body"></div>');
+
+        $('<div id="lumaprfi-compare" class="lumaprfi-compare-backdrop"></div>').append($dialog).appendTo('body');
+        $('body').addClass('lumaprfi-compare-is-open');
+        $dialog.find('.lumaprfi-compare-close').trigger('focus');
+    }
+
+    function closeDialog() {
+        $('#lumaprfi-compare').remove();
+        $('body').removeClass('lumaprfi-compare-is-open');
+    }
+
+    function productHeader(product) {
+        return $('<th scope="col" class="lumaprfi-compare-product"></th>')
+            .append($('<a class="lumaprfi-compare-image"></a>').attr('href', product.url).html(product.image))
+            .append($('<a class="lumaprfi-compare-name"></a>').attr('href', product.url).text(product.name))
+            .append($('<button type="button" class="lumaprfi-compare-remove"></button>')
+                .attr('data-product-id', product.id)
+                .text(strings.remove_product));
+    }
+
+    function valueCell(field) {
+        const $cell = $('<td></td>');
+        if (!field) {
+            return $cell.addClass('is-empty').text('–');
+        }
+
+        $cell.html(field.html);
+        if (field.unit_label) {
+            $cell.append(' ', $('<span class="lumaprfi-unit"></span>').text(field.unit_label));
+        }
+        return $cell;
+    }
+
+    function renderTable(group, products) {
+        const $table = $('<table class="lumaprfi-compare-table"></table>');
+        const $caption = $('<caption></caption>').text(group.name);
+        if (products.length < 2) {
+            $caption.append($('<span class="lumaprfi-compare-note"></span>').text(strings.need_more));
+        }
+
+        const $head = $('<tr><td></td></tr>');
+        products.forEach((product) => $head.append(productHeader(product)));
+
+        const $price = $('<tr></tr>').append($('<th scope="row"></th>').text(strings.price));
+        products.forEach((product) => $price.append($('<td></td>').html(product.price_html)));
+
+        const $body = $('<tbody></tbody>').append($price);
+        let rows = 0;
+
+        group.fields.forEach(function (definition) {
+            const fields = products.map((product) => product.fields[definition.slug] || null);
+            if (fields.every((field) => !field)) {
+                return;
+            }
+
+            const keys = fields.map(compareKey);
+            const differs = products.length > 1 && keys.some((key) => key !== keys[0]);
+
+            const $row = $('<tr></tr>')
+                .toggleClass('lumaprfi-compare-diff', differs)
+                .attr('data-slug', definition.slug)
+                .append($('<th scope="row"></th>').text(definition.label));
+            fields.forEach((field) => $row.append(valueCell(field)));
+
+            $body.append($row);
+            rows++;
+        });
+
+        if (!rows) {
+            $body.append($('<tr></tr>').append($('<td class="lumaprfi-compare-empty"></td>')
+                .attr('colspan', products.length + 1)
+                .text(strings.no_fields)));
+        }
+
+        return $table.append($caption, $('<thead></thead>').append($head), $body);
+    }
+
+    function renderTables() {
+        const $body = $('#lumaprfi-compare .lumaprfi-compare-body').empty();
+        const order = [];
+        const byGroup = {};
+
+        data.products.forEach(function (product) {
+            if (!byGroup[product.group]) {
+                byGroup[product.group] = [];
+                order.push(product.group);
+            }
+            byGroup[product.group].push(product);
+        });
+
+        order.forEach(function (slug) {
+            const group = data.groups[slug] || { name: slug, fields: [] };
+            $body.append($('<div class="lumaprfi-compare-scroll"></div>').append(renderTable(group, byGroup[slug])));
+        });
+    }
+
+    $(document).on('click', '.lumaprfi-compare-toggle', function (e) {
+        e.preventDefault();
+        toggle(parseInt($(this).data('product-id'), 10));
+    });
+
+    $(document).on('click', '.lumaprfi-compare-open', openDialog);
+
+    $(document).on('click', '.lumaprfi-compare-clear', function () {
+        setSelection([]);
+    });
+
+    $(document).on('click', '.lumaprfi-compare-remove', function () {
+        const id = parseInt($(this).data('product-id'), 10);
+        setSelection(getSelection().filter((selected) => selected !== id));
+    });
+
+    $(document).on('change', '.lumaprfi-compare-only-diff input', function () {
+        $('#lumaprfi-compare').toggleClass('is-only-diff', this.checked);
+    });
+
+    $(document).on('click', '.lumaprfi-compare-close', closeDialog);
+
+    $(document).on('click', '#lumaprfi-compare', function (e) {
+        if (e.target === this) {
+            closeDialog();
+        }
+    });
+
+    $(document).on('keydown', function (e) {
+        if (e.key === 'Escape' && $('#lumaprfi-compare').length) {
+            closeDialog();
+        }
+    });
+
+    // Selection changed in another tab
+    $(window).on('storage', function (e) {
+        if (e.originalEvent.key === STORAGE_KEY) {
+            refresh();
+        }
+    });
+
+    // Toggles added later, e.g. by infinite scroll or AJAX filtering
+    $(document.body).on('lumaprfi:products-updated', () => refresh());
+
+    $(function () {
+        refresh();
+    });
+})(jQuery);
@@ -0,0 +1,182 @@
+/**
+ * Faceted filtering of product archives by field values (see FilterController).
+ *
+ * Every change in a filter form builds the filtered archive URL, pushes it to the browser
+ * history and loads that page via AJAX. The results container (#lumaprfi-products) and the
+ * filter forms are replaced with the ones from the loaded page, so counts and ranges always
+ * come from the server. Back/forward load the matching page the same way. Without the
+ * results container (e.g. block-based shop templates) the page is loaded normally.
+ *
+ * Triggers `lumaprfi:products-updated` on document.body after new results are shown.
+ */
+(function ($) {
+    'use strict';
+
+    const cfg = window.luma_product_fields_filters || {};
+    const prefix = cfg.prefix || 'lpf_';
+    const CONTAINER = '#lumaprfi-products';
+
+    let request = null;
+
+    function decimals(step) {
+        const match = String(step).match(/\.(\d+)/);
+        return match ? match[1].length : 0;
+    }
+
+    function formatNumber(value, step) {
+        const digits = decimals(step);
+        return Number(value).toLocaleString(document.documentElement.lang || undefined, {
+            minimumFractionDigits: 0,
+            maximumFractionDigits: digits
+        });
+    }
+
+    /**
+     * Build the archive URL for the state of a filter form: the current URL without
+     * pagination or previous filters, plus the selected terms and narrowed ranges.
+     *
+     * @param {jQuery} $form Filter form.
+     * @return {string}
+     */
+    function buildUrl($form) {
+        const url = new URL(window.location.href);
+
+        url.pathname = url.pathname.replace(/\/page\/\d+\/?$/, '/');
+        Array.from(url.searchParams.keys())
+            .filter((name) => name.indexOf(prefix) === 0 || name === 'paged' || name === 'product-page')
+            .forEach((name) => url.searchParams.delete(name));
+
+        $form.find('.lumaprfi-facet-terms').each(function () {
+            const values = $(this).find('input:checked').map(function () {
+                return this.value;
+            }).get();
+            if (values.length) {
+                url.searchParams.set(prefix + $(this).data('slug'), values.join(','));
+            }
+        });
+
+        $form.find('.lumaprfi-facet-range').each(function () {
+            const $facet = $(this);
+            const slug = $facet.data('slug');
+            const min = parseFloat($facet.find('.lumaprfi-range-min').val());
+            const max = parseFloat($facet.find('.lumaprfi-range-max').val());
+
+            // A bound at the edge of the slider is no filter at all
+            if (min > parseFloat($facet.data('min'))) {
+                url.searchParams.set(prefix + slug + '_min', min);
+            }
+            if (max < parseFloat($facet.data('max'))) {
+                url.searchParams.set(prefix + slug + '_max', max);
+            }
+        });
+
+        return url.toString();
+    }
+
+    function navigate(url) {
+        window.history.pushState({ lumaprfi: true }, '', url);
+        load(url);
+    }
+
+    function load(url) {
+        const $container = $(CONTAINER);
+        if (!$container.length) {
+            window.location.href = url;
+            return;
+        }
+
+        if (request) {
+            request.abort();
+        }
+
+        $container.addClass('is-loading').attr('aria-busy', 'true');
+        $('.lumaprfi-filters').addClass('is-loading');
+
+        request = $.ajax({ url: url, dataType: 'html' });
+
+        request.done(function (html) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            const fresh = doc.querySelector(CONTAINER);
+
+            if (!fresh) {
+                window.location.href = url;
+                return;
+            }
+
+            $container.replaceWith(fresh);
+
+            // Filter forms outside the results container, e.g. in a sidebar widget
+            const forms = $(doc).find('.lumaprfi-filters').filter((i, form) => !$(form).closest(CONTAINER).length);
+            $('.lumaprfi-filters').filter((i, form) => !$(form).closest(CONTAINER).length).each(function (i) {
+                forms[i] ? $(this).replaceWith(forms[i]) : $(this).remove();
+            });
+
+            if (doc.title) {
+                document.title = doc.title;
+            }
+
+            init();
+            $(document.body).trigger('lumaprfi:products-updated');
+        }).fail(function (jqXHR, status) {
+            // Let the browser show the page, or its error
+            if (status !== 'abort') {
+                window.location.href = url;
+            }
+        }).always(function () {
+            request = null;
+        });
+    }
+
+    // Keep the two thumbs from crossing and show the values next to the slider
+    function updateRange($facet, $moved) {
+        const $min = $facet.find('.lumaprfi-range-min');
+        const $max = $facet.find('.lumaprfi-range-max');
+        const step = $min.attr('step');
+
+        if (parseFloat($min.val()) > parseFloat($max.val())) {
+            $moved.is($min) ? $min.val($max.val()) : $max.val($min.val());
+        }
+
+        $facet.find('.lumaprfi-range-min-value').text(formatNumber($min.val(), step));
+        $facet.find('.lumaprfi-range-max-value').text(formatNumber($max.val(), step));
+    }
+
+    function init() {
+        $('.lumaprfi-filters').addClass('has-js');
+        $('.lumaprfi-facet-range').each(function () {
+            updateRange($(this), $());
+        });
+    }
+
+    $(document).on('change', '.lumaprfi-filters .lumaprfi-facet-terms input', function () {
+        navigate(buildUrl($(this).closest('.lumaprfi-filters')));
+    });
+
+    $(document).on('input', '.lumaprfi-filters .lumaprfi-facet-range input', function () {
+        updateRange($(this).closest('.lumaprfi-facet-range'), $(this));
+    });
+
+    // Only load once the thumb is released
+    $(document).on('change', '.lumaprfi-filters .lumaprfi-facet-range input', function () {
+        navigate(buildUrl($(this).closest('.lumaprfi-filters')));
+    });
+
+    $(document).on('submit', '.lumaprfi-filters', function (e) {
+        e.preventDefault();
+        navigate(buildUrl($(this)));
+    });
+
+    $(document).on('click', '.lumaprfi-filters-clear, ' + CONTAINER + ' .woocommerce-pagination a', function (e) {
+        if (e.ctrlKey || e.metaKey || e.shiftKey) {
+            return;
+        }
+        e.preventDefault();
+        navigate(this.href);
+    });
+
+    $(window).on('popstate', function () {
+        load(window.location.href);
+    });
+
+    $(init);
+})(jQuery);
@@ -1,32 +1,330 @@
+/**
+ * Variation fields on the single product page.
+ *
+ * Swaps the contents of #luma-product-fields-list for the selected variation's fields.
+ * Responses are cached per variation ID, so switching back to a variation does not
+ * hit the server again. When preloading is enabled, all variations are fetched in one
+ * request on page load. Clearing the selection restores the parent product's fields.
+ *
+ * Only the latest selection is ever rendered: a pending request is aborted when another
+ * variation is selected, so a slow, older response cannot overwrite a newer one.
+ *
+ * Field values are also available as data, for use anywhere on the page:
+ *
+ * - Elements with `data-luma-field="slug"` get the value of that field (and unit).
+ *   Use `data-luma-field-format` to pick "value", "unit", "label" or "html" instead.
+ *   Elements whose field has no value get a `data-luma-field-empty` attribute.
+ * - `luma_product_fields:variation_changed` fires on document after every change, with
+ *   `event.detail = { productId, variationId, fields }` (variationId is null for the parent).
+ * - `window.lumaProductFields` has getFields(), getField(slug) and bind(root).
+ *
+ * Fields mapped to schema.org properties are swapped in the Product JSON-LD of the page
+ * as well: the parent's mapped properties are removed and the variation's are added.
+ */
 jQuery(document).ready(function ($) {
-    $(".single_variation_wrap").on("show_variation", function (event, variation) {
-        const variationId = variation.variation_id;
-        const container = $("#luma-product-fields-list");
+    'use strict';
 
-        if (!variationId || !luma_product_fields_data || !luma_product_fields_data.ajax_url || !luma_product_fields_data.nonce) {
-            console.warn("Missing variation ID or AJAX config.");
+    const config = window.luma_product_fields_data || {};
+    const $container = $("#luma-product-fields-list");
+    const $form = $(".variations_form");
+
+    const parent = {
+        html: $container.length ? $container.html() : null,
+        fields: config.fields || {},
+        schema: config.schema || {}
+    };
+    const cache = {};
+    let currentId = null;
+    let current = parent;
+    let request = null;
+    let preloading = null;
+
+    // Without the fields list, only the data is needed
+    const format = $container.length ? "both" : "data";
+
+    function getFields() {
+        return current.fields || {};
+    }
+
+    function getField(slug) {
+        return getFields()[slug] || null;
+    }
+
+    function fieldOutput(field, part) {
+        switch (part) {
+            case "value":
+                return document.createTextNode(field.text);
+            case "unit":
+                return document.createTextNode(field.unit_label);
+            case "label":
+                return document.createTextNode(field.label);
+            case "html":
+                return $.parseHTML(field.html);
+            default:
+                return document.createTextNode($.trim(field.text + " " + field.unit_label));
+        }
+    }
+
+    /**
+     * Fill all `data-luma-field` elements inside root with the current field values.
+     *
+     * @param {Element|jQuery} [root] Defaults to document.
+     */
+    function bind(root) {
+        $(root || document).find("[data-luma-field]").each(function () {
+            const $el = $(this);
+            const field = getField(String($el.data("luma-field")));
+
+            if (!field) {
+                $el.empty().attr("data-luma-field-empty", "");
+                return;
+            }
+            $el.removeAttr("data-luma-field-empty")
+                .empty()
+                .append(fieldOutput(field, $el.data("luma-field-format")));
+        });
+    }
+
+    function isProductNode(node) {
+        const type = node && node["@type"];
+        return type === "Product" || (Array.isArray(type) && type.indexOf("Product") !== -1);
+    }
+
+    function findProductNodes(data, nodes) {
+        if (Array.isArray(data)) {
+            data.forEach(function (item) {
+                findProductNodes(item, nodes);
+            });
+        } else if (data && typeof data === "object") {
+            if (isProductNode(data)) {
+                nodes.push(data);
+            }
+            if (data["@graph"]) {
+                findProductNodes(data["@graph"], nodes);
+            }
+        }
+        return nodes;
+    }
+
+    /**
+     * Replace the mapped properties of the Product JSON-LD with those of the entry.
+     *
+     * @param {Object} schema Properties, as built by StructuredData::build().
+     */
+    function updateStructuredData(schema) {
+        const keys = config.schema_keys || {};
+        const properties = keys.properties || [];
+        const slugs = keys.slugs || [];
+
+        if (!properties.length) {
             return;
         }
-            
-        $.ajax({
-            url: luma_product_fields_data.ajax_url,
+
+        $('script[type="application/ld+json"]').each(function () {
+            let data;
+            try {
+                data = JSON.parse(this.textContent);
+            } catch (e) {
+                return;
+            }
+
+            const nodes = findProductNodes(data, []);
+            if (!nodes.length) {
+                return;
+            }
+
+            nodes.forEach(function (node) {
+                properties.forEach(function (property) {
+                    if (property !== "additionalProperty") {
+                        delete node[property];
+                    }
+                });
+
+                let additional = [].concat(node.additionalProperty || []).filter(function (item) {
+                    return !item || slugs.indexOf(item.propertyID) === -1;
+                });
+
+                $.each(schema || {}, function (property, value) {
+                    if (property === "additionalProperty") {
+                        additional = additional.concat(value);
+                    } else {
+                        node[property] = value;
+                    }
+                });
+
+                if (additional.length) {
+                    node.additionalProperty = additional;
+                } else {
+                    delete node.additionalProperty;
+                }
+            });
+
+            this.textContent = JSON.stringify(data);
+        });
+    }
+
+    function render(entry, variationId) {
+        current = entry;
+
+        if ($container.length && typeof entry.html === "string") {
+            $container.html(entry.html);
+        }
+        bind();
+        updateStructuredData(entry.schema);
+
+        document.dispatchEvent(new CustomEvent("luma_product_fields:variation_changed", {
+            detail: {
+                productId: config.product_id ? parseInt(config.product_id, 10) : null,
+                variationId: variationId,
+                fields: getFields()
+            }
+        }));
+    }
+
+    function abortPending() {
+        if (request) {
+            request.abort();
+            request = null;
+        }
+    }
+
+    function fetchVariation(variationId) {
+        abortPending();
+
+        const xhr = $.ajax({
+            url: config.ajax_url,
             type: "POST",
             dataType: "json",
             data: {
                 action: "luma_product_fields_get_variation_fields_html",
                 variation_id: variationId,
-                nonce: luma_product_fields_data.nonce
-            },
-            success: function (response) {
-                if (response.success && response.data && response.data.html) {
-                    container.html(response.data.html);
-                } else {
-                    console.warn("Failed to load variation fields:", response.data?.error || "Unknown error");
+                format: format,
+                nonce: config.nonce
+            }
+        });
+        request = xhr;
+
+        xhr.done(function (response) {
+            if (response.success && response.data) {
+                cache[variationId] = {
+                    html: response.data.html,
+                    fields: response.data.fields || {},
+                    schema: response.data.schema || {}
+                };
+                if (currentId === variationId) {
+                    render(cache[variationId], variationId);
                 }
-            },
-            error: function (xhr, status, error) {
+            } else {
+                console.warn("Failed to load variation fields:", response.data?.error || "Unknown error");
+            }
+        }).fail(function (jqXHR, status, error) {
+            if (status !== "abort") {
                 console.error("AJAX request failed:", status, error);
             }
+        }).always(function () {
+            if (request === xhr) {
+                request = null;
+            }
+        });
+    }
+
+    function showVariation(variationId) {
+        if (!variationId || variationId === currentId) {
+            return;
+        }
+        currentId = variationId;
+
+        if (Object.prototype.hasOwnProperty.call(cache, variationId)) {
+            abortPending();
+            render(cache[variationId], variationId);
+            return;
+        }
+
+        // The preload will render it when it arrives, unless it turns out to be missing
+        if (preloading) {
+            return;
+        }
+
+        fetchVariation(variationId);
+    }
+
+    function showParent() {
+        abortPending();
+        if (currentId === null) {
+            return;
+        }
+        currentId = null;
+        render(parent, null);
+    }
+
+    function preload() {
+        preloading = $.ajax({
+            url: config.ajax_url,
+            type: "POST",
+            dataType: "json",
+            data: {
+                action: "luma_product_fields_get_all_variation_fields_html",
+                product_id: config.product_id,
+                format: format,
+                nonce: config.nonce
+            }
         });
+
+        preloading.done(function (response) {
+            if (response.success && response.data) {
+                const html = response.data.html || {};
+                $.each(response.data.fields || html, function (id) {
+                    cache[parseInt(id, 10)] = {
+                        html: html[id],
+                        fields: (response.data.fields || {})[id] || {},
+                        schema: (response.data.schema || {})[id] || {}
+                    };
+                });
+            } else {
+                console.warn("Failed to preload variation fields:", response.data?.error || "Unknown error");
+            }
+        }).fail(function (jqXHR, status, error) {
+            console.error("AJAX request failed:", status, error);
+        }).always(function () {
+            preloading = null;
+
+            // A variation was selected while the preload was running
+            if (currentId !== null) {
+                if (Object.prototype.hasOwnProperty.call(cache, currentId)) {
+                    render(cache[currentId], currentId);
+                } else {
+                    fetchVariation(currentId);
+                }
+            }
+        });
+    }
+
+    window.lumaProductFields = {
+        getFields: getFields,
+        getField: getField,
+        bind: bind
+    };
+
+    bind();
+
+    if (!$form.length) {
+        return;
+    }
+
+    if (!config.ajax_url || !config.nonce) {
+        console.warn("Missing AJAX config for variation fields.");
+        return;
+    }
+
+    // Bound on the form: depending on the WooCommerce version, show_variation is
+    // triggered on the form itself or bubbles up from .single_variation_wrap.
+    $form.on("show_variation", function (event, variation) {
+        showVariation(variation && variation.variation_id ? parseInt(variation.variation_id, 10) : 0);
     });
+
+    $form.on("hide_variation reset_data", showParent);
+
+    if (config.preload && config.product_id) {
+        preload();
+    }
 });
@@ -74,6 +74,12 @@ if ( function_exists( 'wp_is_block_theme' ) && wp_is_block_theme() ) {
 		</header>
 
 		<?php
+		/**
+		 * Hook: luma_product_fields_archive_filters.
+		 *
+		 * @hooked FilterController::render - 10 (when field filters are enabled)
+		 */
+		do_action( 'luma_product_fields_archive_filters' );
 
 		if ( woocommerce_product_loop() ) {
 			do_action( 'woocommerce_before_shop_loop' );
@@ -141,6 +147,16 @@ do_action( 'woocommerce_before_main_content' );
 
 <?php
 
+// Classic themes: skip when the filters are already in a sidebar widget.
+if ( ! is_active_widget( false, false, 'luma_product_fields_filters' ) ) {
+	/**
+	 * Hook: luma_product_fields_archive_filters.
+	 *
+	 * @hooked FilterController::render - 10 (when field filters are enabled)
+	 */
+	do_action( 'luma_product_fields_archive_filters' );
+}
+
 if ( woocommerce_product_loop() ) {
 	/**
 	 * Hook: woocommerce_before_shop_loop.